@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
+import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { auth } from './utils/api';
+import session from './utils/session';
 import Auth from './components/Auth';
 import Dashboard from './components/Dashboard';
 
@@ -20,7 +22,7 @@ function App() {
     checkAuth();
   }, []);
 
-  // Handle successful login
+  // Handle successful login; the /login route then returns to the saved page
   const handleLogin = (userData) => {
     setUser(userData);
   };
@@ -43,13 +45,36 @@ function App() {
     );
   }
 
-  // Show authentication if not logged in
+  return (
+    <Routes>
+      <Route
+        path="/login"
+        element={user
+          ? <Navigate to={session.consumeRedirect()} replace />
+          : <Auth onLogin={handleLogin} />}
+      />
+      <Route
+        path="/*"
+        element={
+          <RequireAuth user={user}>
+            <Dashboard user={user} onLogout={handleLogout} />
+          </RequireAuth>
+        }
+      />
+    </Routes>
+  );
+}
+
+// Send logged-out visitors to login, remembering the deep link they opened
+function RequireAuth({ user, children }) {
+  const location = useLocation();
+
   if (!user) {
-    return <Auth onLogin={handleLogin} />;
+    const redirect = encodeURIComponent(`${location.pathname}${location.search}${location.hash}`);
+    return <Navigate to={`/login?redirect=${redirect}`} replace />;
   }
 
-  // Show dashboard if logged in
-  return <Dashboard user={user} onLogout={handleLogout} />;
+  return children;
 }
 
 export default App;
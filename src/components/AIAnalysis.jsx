@@ -12,60 +12,30 @@ import {
   Target,
   Zap
 } from 'lucide-react';
-import { scanning } from '../utils/api';
+import jobTracker from '../utils/jobs';
+import { jobIdFor } from '../utils/jobTracker';
+import { useJob } from '../hooks/useJobs';
 
 function AIAnalysis({ scanId, onClose }) { // ✅ FIXED: Use scanId instead of scan
-  const [aiResults, setAiResults] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState('');
   const [selectedRecommendation, setSelectedRecommendation] = useState(null);
 
+  // Waiting on the analysis is a background job: closing this keeps it in the tray
+  const job = useJob(scanId ? jobIdFor('ai-analysis', { scanId }) : null);
+  // not tracked yet, dismissed, or restored after a reload without its result
+  const needsJob = !job || (job.status === 'completed' && job.result === undefined);
   useEffect(() => {
-    if (!scanId) return; // ✅ FIXED: Check scanId instead of scan
-    let cancelled = false;
+    if (!scanId || !needsJob) return; // ✅ FIXED: Check scanId instead of scan
+    jobTracker.track('ai-analysis', { scanId });
+  }, [scanId, needsJob]); // ✅ FIXED: Depend on scanId
 
-    const run = async () => {
-      setLoading(true);
-      setError('');
-      for (let i = 0; i < 60; i++) { // ✅ FIXED: Add polling logic
-        try {
-          const res = await scanning.getAIAnalysis(scanId); // ✅ FIXED: Use scanId
-          if (res?.summary || res?.steps || res?.issues) {
-            if (!cancelled) {
-              setAiResults(res);
-              setLoading(false);
-            }
-            return;
-          }
-        } catch (e) {
-          console.log(`AI analysis poll attempt ${i + 1}: ${e.message}`);
-          // If backend returns 'scan_not_ready' or similar, keep polling
-        }
-        await new Promise(r => setTimeout(r, 2000));
-      }
-      if (!cancelled) {
-        setError('Timed out waiting for AI analysis');
-        setLoading(false);
-      }
-    };
+  const aiResults = job?.result || null;
+  const loading = !job || job.status === 'running' || (job.status === 'completed' && !aiResults);
+  const error = job && job.status !== 'running' && job.status !== 'completed'
+    ? job.error || 'Failed to load AI analysis'
+    : '';
 
-    run();
-    return () => { cancelled = true; };
-  }, [scanId]); // ✅ FIXED: Depend on scanId
-
-  const loadAIAnalysis = async () => {
-    try {
-      setLoading(true);
-      setError('');
-      
-      // ✅ FIXED: Use scanId directly
-      const response = await scanning.getAIAnalysis(scanId);
-      setAiResults(response);
-    } catch (err) {
-      setError(err.message || 'Failed to load AI analysis');
-    } finally {
-      setLoading(false);
-    }
+  const loadAIAnalysis = () => {
+    jobTracker.track('ai-analysis', { scanId }, { restart: true });
   };
 
   // Mock AI recommendations for demo (replace with real API data)
@@ -19,56 +19,49 @@ import {
   DollarSign
 } from 'lucide-react';
 import altTextAIService from '../services/altTextAIService.js';
+import jobTracker from '../utils/jobs.js';
+import { jobIdFor } from '../utils/jobTracker.js';
+import { useJob } from '../hooks/useJobs.js';
 
-const AltTextAISection = ({ scanId, scanData, authToken }) => {
-  const [isExpanded, setIsExpanded] = useState(false);
+const AltTextAISection = ({ scanId, scanData, defaultExpanded = false }) => {
+  const [isExpanded, setIsExpanded] = useState(defaultExpanded);
   const [currentJob, setCurrentJob] = useState(null);
   const [jobResults, setJobResults] = useState(null);
   const [isCreatingJob, setIsCreatingJob] = useState(false);
   const [estimate, setEstimate] = useState(null);
   const [error, setError] = useState(null);
-  const [pollingInterval, setPollingInterval] = useState(null);
-
-  // Initialize service with auth token
-  useEffect(() => {
-    if (authToken) {
-      altTextAIService.setAuthToken(authToken);
-    }
-  }, [authToken]);
 
   // Load existing job for this scan
   useEffect(() => {
-    if (scanId && authToken) {
+    if (scanId) {
       loadExistingJob();
       loadEstimate();
     }
-  }, [scanId, authToken]);
+  }, [scanId]);
 
-  // Polling for job progress
-  useEffect(() => {
-    if (currentJob && (currentJob.status === 'running' || currentJob.status === 'processing')) {
-      const interval = setInterval(async () => {
-        try {
-          const updatedJob = await altTextAIService.getJobStatus(currentJob.jobId);
-          setCurrentJob(updatedJob);
+  // Running jobs are followed by the job tracker (and its tray), not a local interval
+  const trackedId = currentJob ? jobIdFor('alt-text', { jobId: currentJob.jobId, scanId: String(scanId) }) : null;
+  const trackedJob = useJob(trackedId);
+  const isActive = currentJob && (currentJob.status === 'running' || currentJob.status === 'processing');
 
-          if (updatedJob.status === 'completed') {
-            const results = await altTextAIService.getJobResults(updatedJob.jobId);
-            setJobResults(results);
-            clearInterval(interval);
-          } else if (updatedJob.status === 'failed' || updatedJob.status === 'cancelled') {
-            clearInterval(interval);
-          }
-        } catch (error) {
-          console.error('Failed to poll job status:', error);
-          clearInterval(interval);
-        }
-      }, 2000);
+  useEffect(() => {
+    if (isActive && !trackedJob) {
+      jobTracker.track('alt-text', { jobId: currentJob.jobId, scanId: String(scanId) });
+    }
+  }, [isActive, trackedJob]);
 
-      setPollingInterval(interval);
-      return () => clearInterval(interval);
+  useEffect(() => {
+    if (!trackedJob?.data) return;
+    setCurrentJob({
+      ...trackedJob.data,
+      status: trackedJob.status === 'running' ? trackedJob.data.status : trackedJob.status,
+    });
+    if (trackedJob.status === 'completed' && trackedJob.result) {
+      setJobResults(trackedJob.result);
+    } else if (trackedJob.status === 'failed' || trackedJob.status === 'timeout') {
+      setError(trackedJob.error);
     }
-  }, [currentJob]);
+  }, [trackedJob]);
 
   const loadExistingJob = async () => {
     try {
@@ -128,11 +121,12 @@ const AltTextAISection = ({ scanId, scanData, authToken }) => {
     if (!currentJob) return;
 
     try {
-      await altTextAIService.cancelJob(currentJob.jobId);
-      setCurrentJob({ ...currentJob, status: 'cancelled' });
-      if (pollingInterval) {
-        clearInterval(pollingInterval);
+      if (trackedJob?.status === 'running') {
+        await jobTracker.cancel(trackedJob.id);
+      } else {
+        await altTextAIService.cancelJob(currentJob.jobId);
       }
+      setCurrentJob({ ...currentJob, status: 'cancelled' });
     } catch (error) {
       setError(error.message);
     }
@@ -3,11 +3,25 @@
 import React, { useState } from 'react';
 import { Eye, EyeOff, Shield, Zap, Brain } from 'lucide-react';
 import { auth } from '../utils/api';
+import { ValidationError, NetworkError, RateLimitError } from '../utils/errors';
+
+// Backend field names (snake_case) mapped onto this form's inputs
+const FIELD_ALIASES = {
+  first_name: 'firstName',
+  last_name: 'lastName',
+  confirm_password: 'confirmPassword',
+};
+
+const toFormFieldErrors = (fieldErrors = {}) => Object.entries(fieldErrors).reduce((acc, [field, message]) => {
+  acc[FIELD_ALIASES[field] || field] = message;
+  return acc;
+}, {});
 
 function Auth({ onLogin }) {
   const [isLogin, setIsLogin] = useState(true);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
   const [showPassword, setShowPassword] = useState(false);
   const [formData, setFormData] = useState({
     firstName: '',
@@ -24,28 +38,41 @@ function Auth({ onLogin }) {
     });
     // Clear error when user starts typing
     if (error) setError('');
+    if (fieldErrors[e.target.name]) {
+      setFieldErrors(({ [e.target.name]: _cleared, ...rest }) => rest);
+    }
   };
 
+  // Props that mark an input invalid and link it to its message
+  const fieldProps = (name) => ({
+    'aria-invalid': fieldErrors[name] ? true : undefined,
+    'aria-describedby': fieldErrors[name] ? `${name}-error` : undefined,
+  });
+
+  const renderFieldError = (name) => fieldErrors[name] && (
+    <p id={`${name}-error`} className="mt-1 text-sm text-red-600">{fieldErrors[name]}</p>
+  );
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     setError('');
+    setFieldErrors({});
 
     try {
       if (isLogin) {
         // Login
+        // auth.login stores the session tokens
         const response = await auth.login({
           email: formData.email,
           password: formData.password
         });
-        
-        // ✅ FIX: Store authentication data
-        auth.storeAuthData(response.token, response.user);
         onLogin(response.user);
       } else {
         // Register
         if (formData.password !== formData.confirmPassword) {
-          throw new Error('Passwords do not match');
+          setFieldErrors({ confirmPassword: 'Passwords do not match' });
+          return;
         }
         
         const response = await auth.register({
@@ -54,13 +81,18 @@ function Auth({ onLogin }) {
           email: formData.email,
           password: formData.password
         });
-        
-        // ✅ FIX: Store authentication data
-        auth.storeAuthData(response.token, response.user);
         onLogin(response.user);
       }
     } catch (err) {
-      setError(err.message || 'Authentication failed');
+      if (err instanceof ValidationError && Object.keys(err.fieldErrors).length > 0) {
+        setFieldErrors(toFormFieldErrors(err.fieldErrors));
+      } else if (err instanceof RateLimitError) {
+        setError('Too many attempts. Please wait a moment and try again.');
+      } else if (err instanceof NetworkError) {
+        setError('Unable to reach SentryPrime. Check your connection and try again.');
+      } else {
+        setError(err.message || 'Authentication failed');
+      }
     } finally {
       setLoading(false);
     }
@@ -69,6 +101,7 @@ function Auth({ onLogin }) {
   const toggleMode = () => {
     setIsLogin(!isLogin);
     setError('');
+    setFieldErrors({});
     setFormData({
       firstName: '',
       lastName: '',
@@ -135,7 +168,9 @@ function Auth({ onLogin }) {
                     placeholder="John"
                     value={formData.firstName}
                     onChange={handleInputChange}
+                    {...fieldProps('firstName')}
                   />
+                  {renderFieldError('firstName')}
                 </div>
                 <div>
                   <label htmlFor="lastName" className="block text-sm font-medium text-gray-700 mb-2">
@@ -150,7 +185,9 @@ function Auth({ onLogin }) {
                     placeholder="Doe"
                     value={formData.lastName}
                     onChange={handleInputChange}
+                    {...fieldProps('lastName')}
                   />
+                  {renderFieldError('lastName')}
                 </div>
               </div>
             )}
@@ -169,7 +206,9 @@ function Auth({ onLogin }) {
                 placeholder="john@example.com"
                 value={formData.email}
                 onChange={handleInputChange}
+                {...fieldProps('email')}
               />
+              {renderFieldError('email')}
             </div>
 
             {/* Password field */}
@@ -187,6 +226,7 @@ function Auth({ onLogin }) {
                   placeholder="••••••••"
                   value={formData.password}
                   onChange={handleInputChange}
+                  {...fieldProps('password')}
                 />
                 <button
                   type="button"
@@ -200,6 +240,7 @@ function Auth({ onLogin }) {
                   )}
                 </button>
               </div>
+              {renderFieldError('password')}
             </div>
 
             {/* Confirm password for registration */}
@@ -217,7 +258,9 @@ function Auth({ onLogin }) {
                   placeholder="••••••••"
                   value={formData.confirmPassword}
                   onChange={handleInputChange}
+                  {...fieldProps('confirmPassword')}
                 />
+                {renderFieldError('confirmPassword')}
               </div>
             )}
 
@@ -0,0 +1,397 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { X, Upload, Loader2, CheckCircle, XCircle, MinusCircle, Download } from 'lucide-react';
+import { dashboard } from '../utils/api';
+import queries from '../utils/queries';
+import queryCache from '../utils/queryCache';
+import { IMPORT_FORMATS, MAX_IMPORT_ROWS, detectFormat, prepareImport, chunk } from '../utils/websiteImport';
+import { toCsv } from '../utils/exports';
+import { downloadFile, exportFilename } from '../utils/download';
+
+const BATCH_SIZE = 5;
+
+const inputClass = 'w-full rounded-md border border-gray-300 p-2 text-sm focus:border-blue-500 focus:ring-1 focus:ring-blue-500';
+
+const PLACEHOLDERS = {
+  list: 'https://example.com\nclient-two.org\n# lines starting with # are ignored',
+  csv: 'name,url,tags\nExample Co,https://example.com,retail;eu\nClient Two,client-two.org,',
+  sitemap: '<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n  <url><loc>https://example.com/</loc></url>\n</urlset>',
+};
+
+const VALIDATION = {
+  ready: { label: 'Ready', className: 'bg-green-100 text-green-800' },
+  exists: { label: 'Already added', className: 'bg-gray-100 text-gray-700' },
+  duplicate: { label: 'Duplicate', className: 'bg-yellow-100 text-yellow-800' },
+  invalid: { label: 'Invalid', className: 'bg-red-100 text-red-800' },
+};
+
+const RESULT = {
+  created: { label: 'Created', Icon: CheckCircle, className: 'text-green-700' },
+  failed: { label: 'Failed', Icon: XCircle, className: 'text-red-700' },
+  skipped: { label: 'Skipped', Icon: MinusCircle, className: 'text-gray-500' },
+  pending: { label: 'Waiting', Icon: Loader2, className: 'text-gray-400' },
+};
+
+// Paste or upload → preview and pick rows → create in batches with a per-row report
+export default function BulkImportDialog({ existing, onImported, onClose }) {
+  const [step, setStep] = useState('input');           // input | preview | importing | done
+  const [text, setText] = useState('');
+  const [filename, setFilename] = useState('');
+  const [format, setFormat] = useState(null);          // null: detect from the content
+  const [perPage, setPerPage] = useState(false);
+  const [preview, setPreview] = useState(null);        // from prepareImport, rows keyed by line
+  const [selected, setSelected] = useState(new Set()); // lines to import
+  const [results, setResults] = useState({});          // line → { status, message }
+  const cancelRef = useRef(false);
+  const mountedRef = useRef(true);
+
+  useEffect(() => () => {
+    mountedRef.current = false;
+    cancelRef.current = true;
+  }, []);
+
+  const effectiveFormat = format || (text.trim() ? detectFormat(text, filename) : 'list');
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      setText(String(reader.result || ''));
+      setFilename(file.name);
+      setFormat(null);
+    };
+    reader.readAsText(file);
+  };
+
+  const handlePreview = () => {
+    const prepared = prepareImport(text, { format: effectiveFormat, existing, perPage });
+    setPreview(prepared);
+    setSelected(new Set(prepared.rows.filter((row) => row.status === 'ready').map((row) => row.line)));
+    setStep('preview');
+  };
+
+  const updateName = (line, name) => setPreview((prev) => ({
+    ...prev,
+    rows: prev.rows.map((row) => (row.line === line ? { ...row, name } : row)),
+  }));
+
+  const toggleRow = (line) => setSelected((prev) => {
+    const next = new Set(prev);
+    if (next.has(line)) next.delete(line); else next.add(line);
+    return next;
+  });
+
+  const readyRows = preview ? preview.rows.filter((row) => row.status === 'ready') : [];
+  const allSelected = readyRows.length > 0 && readyRows.every((row) => selected.has(row.line));
+
+  const toggleAll = () => setSelected(allSelected ? new Set() : new Set(readyRows.map((row) => row.line)));
+
+  const handleImport = async () => {
+    const rows = preview.rows.filter((row) => selected.has(row.line));
+    const initial = {};
+    preview.rows.forEach((row) => {
+      initial[row.line] = selected.has(row.line)
+        ? { status: 'pending', message: '' }
+        : { status: 'skipped', message: row.message || 'Not selected' };
+    });
+    setResults(initial);
+    setStep('importing');
+    cancelRef.current = false;
+
+    const created = [];
+    for (const batch of chunk(rows, BATCH_SIZE)) {
+      if (cancelRef.current) break;
+      const settled = await Promise.allSettled(batch.map((row) => (
+        dashboard.addWebsite({ name: row.name.trim() || row.url.replace(/^https?:\/\//, ''), url: row.url, tags: row.tags })
+      )));
+      const batchResults = {};
+      settled.forEach((outcome, i) => {
+        const { line } = batch[i];
+        if (outcome.status === 'fulfilled') {
+          created.push(outcome.value);
+          batchResults[line] = { status: 'created', message: '' };
+        } else {
+          const error = outcome.reason;
+          batchResults[line] = { status: 'failed', message: Object.values(error?.fieldErrors || {})[0] || error?.message || 'Failed' };
+        }
+      });
+      // Cards appear as each batch lands
+      queryCache.setData(queries.websites.key, (prev = []) => [
+        ...prev,
+        ...settled.filter((outcome) => outcome.status === 'fulfilled' && outcome.value?.id).map((outcome) => outcome.value),
+      ]);
+      if (!mountedRef.current) break;
+      setResults((prev) => ({ ...prev, ...batchResults }));
+    }
+
+    if (cancelRef.current && mountedRef.current) {
+      setResults((prev) => Object.fromEntries(Object.entries(prev).map(([line, result]) => [
+        line, result.status === 'pending' ? { status: 'skipped', message: 'Import cancelled' } : result,
+      ])));
+    }
+    onImported && onImported(created);
+    if (mountedRef.current) setStep('done');
+  };
+
+  const counts = Object.values(results).reduce((acc, { status }) => ({ ...acc, [status]: (acc[status] || 0) + 1 }), {});
+  const total = preview ? preview.rows.filter((row) => selected.has(row.line)).length : 0;
+  const finished = (counts.created || 0) + (counts.failed || 0);
+
+  const downloadReport = () => {
+    const rows = preview.rows.map((row) => ({
+      line: row.line,
+      name: row.name,
+      url: row.url,
+      tags: row.tags.join('; '),
+      result: RESULT[results[row.line]?.status]?.label || '',
+      message: results[row.line]?.message || '',
+    }));
+    downloadFile(
+      toCsv(rows, [['line', 'Line'], ['name', 'Name'], ['url', 'URL'], ['tags', 'Tags'], ['result', 'Result'], ['message', 'Message']]),
+      exportFilename('websites', 'import-report', 'csv'),
+      'text/csv;charset=utf-8'
+    );
+  };
+
+  const closable = step !== 'importing';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-4xl w-full max-h-[95vh] overflow-hidden flex flex-col" role="dialog" aria-modal="true" aria-labelledby="bulk-import-title">
+        <div className="p-6 border-b border-gray-200 flex items-start justify-between">
+          <div className="flex items-center space-x-3">
+            <Upload className="h-6 w-6 text-blue-600" />
+            <div>
+              <h2 id="bulk-import-title" className="text-xl font-bold text-gray-900">Import websites</h2>
+              <p className="text-sm text-gray-600">From a URL list, a CSV with name, URL and tags, or a sitemap.xml / sitemap index</p>
+            </div>
+          </div>
+          {closable && (
+            <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg transition-colors" aria-label="Close">
+              <X className="h-5 w-5 text-gray-500" />
+            </button>
+          )}
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-4">
+          {step === 'input' && (
+            <>
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <div className="inline-flex rounded-md border border-gray-300 overflow-hidden" role="group" aria-label="Format">
+                  {Object.entries(IMPORT_FORMATS).map(([key, label]) => (
+                    <button
+                      key={key}
+                      onClick={() => setFormat(key)}
+                      className={`px-3 py-1.5 text-sm ${effectiveFormat === key ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                      aria-pressed={effectiveFormat === key}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <label className="inline-flex items-center gap-2 text-sm text-blue-600 hover:text-blue-800 cursor-pointer">
+                  <Upload className="h-4 w-4" />
+                  {filename || 'Upload file'}
+                  <input type="file" accept=".csv,.txt,.xml,text/csv,text/plain,application/xml,text/xml" className="sr-only" onChange={handleFile} />
+                </label>
+              </div>
+              {!format && text.trim() && (
+                <p className="text-xs text-gray-500">Detected {IMPORT_FORMATS[effectiveFormat]}; pick another format above if that's wrong.</p>
+              )}
+              <textarea
+                rows={12}
+                className={`${inputClass} font-mono`}
+                placeholder={PLACEHOLDERS[effectiveFormat]}
+                value={text}
+                onChange={(e) => { setText(e.target.value); setFilename(''); }}
+                aria-label="Websites to import"
+              />
+              {effectiveFormat === 'sitemap' && (
+                <label className="flex items-start gap-2 text-sm">
+                  <input type="checkbox" className="mt-0.5" checked={perPage} onChange={(e) => setPerPage(e.target.checked)} />
+                  <span>
+                    <span className="text-gray-700">Import every page URL as its own website</span>
+                    <span className="block text-gray-500">
+                      By default each host in the sitemap becomes one website. For a sitemap index, each child sitemap's host is used.
+                    </span>
+                  </span>
+                </label>
+              )}
+            </>
+          )}
+
+          {step === 'preview' && preview && (
+            <>
+              {preview.truncated && (
+                <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                  Only the first {MAX_IMPORT_ROWS} rows are shown. Split larger imports into several files.
+                </div>
+              )}
+              <div className="flex flex-wrap gap-2 text-xs">
+                {Object.entries(VALIDATION).map(([status, { label, className }]) => {
+                  const count = preview.rows.filter((row) => row.status === status).length;
+                  return count > 0 && <span key={status} className={`px-2 py-1 rounded-full font-medium ${className}`}>{count} {label}</span>;
+                })}
+              </div>
+              {preview.rows.length > 0 ? (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-left border border-gray-200 rounded-lg text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="p-2 border-b border-gray-200 w-8">
+                          <input type="checkbox" checked={allSelected} onChange={toggleAll} disabled={readyRows.length === 0} aria-label="Select all ready rows" />
+                        </th>
+                        <th className="p-2 border-b border-gray-200 font-medium text-gray-700">Line</th>
+                        <th className="p-2 border-b border-gray-200 font-medium text-gray-700">Name</th>
+                        <th className="p-2 border-b border-gray-200 font-medium text-gray-700">URL</th>
+                        <th className="p-2 border-b border-gray-200 font-medium text-gray-700">Tags</th>
+                        <th className="p-2 border-b border-gray-200 font-medium text-gray-700">Check</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {preview.rows.map((row) => {
+                        const ready = row.status === 'ready';
+                        return (
+                          <tr key={row.line} className={`align-top ${ready ? '' : 'bg-gray-50'}`}>
+                            <td className="p-2 border-b border-gray-200">
+                              <input
+                                type="checkbox"
+                                checked={selected.has(row.line)}
+                                disabled={!ready}
+                                onChange={() => toggleRow(row.line)}
+                                aria-label={`Import line ${row.line}`}
+                              />
+                            </td>
+                            <td className="p-2 border-b border-gray-200 text-gray-500">{row.line}</td>
+                            <td className="p-2 border-b border-gray-200">
+                              {ready ? (
+                                <input className="w-full rounded border border-gray-200 px-1.5 py-1 text-sm" value={row.name} onChange={(e) => updateName(row.line, e.target.value)} aria-label={`Name for line ${row.line}`} />
+                              ) : (
+                                <span className="text-gray-600">{row.name}</span>
+                              )}
+                            </td>
+                            <td className="p-2 border-b border-gray-200 break-all">{row.url}</td>
+                            <td className="p-2 border-b border-gray-200">
+                              {row.tags.map((tag) => <span key={tag} className="mr-1 px-1.5 py-0.5 text-xs rounded bg-gray-100 text-gray-600">{tag}</span>)}
+                            </td>
+                            <td className="p-2 border-b border-gray-200">
+                              <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${VALIDATION[row.status].className}`}>{VALIDATION[row.status].label}</span>
+                              {row.message && <div className="mt-1 text-xs text-gray-500">{row.message}</div>}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <div className="text-center py-8 text-gray-600">
+                  No URLs found. {preview.format === 'sitemap' ? 'The sitemap has no <loc> entries.' : 'Check the format and try again.'}
+                </div>
+              )}
+            </>
+          )}
+
+          {(step === 'importing' || step === 'done') && preview && (
+            <>
+              <div>
+                <div className="flex items-center justify-between text-sm mb-1">
+                  <span className="font-medium text-gray-900">
+                    {step === 'importing' ? `Importing… ${finished} of ${total}` : `${counts.created || 0} created, ${counts.failed || 0} failed, ${counts.skipped || 0} skipped`}
+                  </span>
+                </div>
+                <div className="w-full bg-gray-200 rounded-full h-2 overflow-hidden">
+                  <div className="h-2 rounded-full bg-blue-600 transition-all duration-500" style={{ width: `${total ? Math.round((finished / total) * 100) : 100}%` }} />
+                </div>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="w-full text-left border border-gray-200 rounded-lg text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="p-2 border-b border-gray-200 font-medium text-gray-700">Line</th>
+                      <th className="p-2 border-b border-gray-200 font-medium text-gray-700">Website</th>
+                      <th className="p-2 border-b border-gray-200 font-medium text-gray-700">Result</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.rows.map((row) => {
+                      const result = results[row.line] || { status: 'skipped', message: '' };
+                      const { label, Icon, className } = RESULT[result.status];
+                      return (
+                        <tr key={row.line} className="align-top">
+                          <td className="p-2 border-b border-gray-200 text-gray-500">{row.line}</td>
+                          <td className="p-2 border-b border-gray-200">
+                            <div className="text-gray-900">{row.name}</div>
+                            <div className="text-xs text-gray-500 break-all">{row.url}</div>
+                          </td>
+                          <td className={`p-2 border-b border-gray-200 ${className}`}>
+                            <span className="inline-flex items-center gap-1">
+                              <Icon className={`h-4 w-4 ${result.status === 'pending' ? 'animate-spin' : ''}`} />
+                              {label}
+                            </span>
+                            {result.message && <div className="text-xs text-gray-500">{result.message}</div>}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-gray-200 flex items-center justify-between">
+          <div>
+            {step === 'preview' && (
+              <button onClick={() => setStep('input')} className="text-sm text-gray-600 hover:text-gray-900">← Back</button>
+            )}
+            {step === 'done' && (
+              <button onClick={downloadReport} className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800">
+                <Download className="h-4 w-4 mr-1" />
+                Download report (CSV)
+              </button>
+            )}
+          </div>
+          <div className="flex gap-3">
+            {step === 'input' && (
+              <>
+                <button onClick={onClose} className="px-4 py-2 border border-gray-300 text-sm text-gray-700 rounded-md hover:bg-gray-50">Cancel</button>
+                <button
+                  onClick={handlePreview}
+                  disabled={!text.trim()}
+                  className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Preview
+                </button>
+              </>
+            )}
+            {step === 'preview' && (
+              <>
+                <button onClick={onClose} className="px-4 py-2 border border-gray-300 text-sm text-gray-700 rounded-md hover:bg-gray-50">Cancel</button>
+                <button
+                  onClick={handleImport}
+                  disabled={selected.size === 0}
+                  className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Import {selected.size} website{selected.size === 1 ? '' : 's'}
+                </button>
+              </>
+            )}
+            {step === 'importing' && (
+              <button
+                onClick={() => { cancelRef.current = true; }}
+                className="px-4 py-2 border border-gray-300 text-sm text-gray-700 rounded-md hover:bg-gray-50"
+              >
+                Stop after this batch
+              </button>
+            )}
+            {step === 'done' && (
+              <button onClick={onClose} className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700">Done</button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+import React, { useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Loader2, CheckCircle, XCircle, MinusCircle } from 'lucide-react';
+import WcagTargetPicker from './WcagTargetPicker';
+import queries from '../utils/queries';
+import useQuery from '../hooks/useQuery';
+import useWcagTarget from '../hooks/useWcagTarget';
+import {
+  WCAG_CRITERIA,
+  criteriaForTarget,
+  criterionResults,
+  conformanceScore,
+  formatTarget,
+  tagForCriterion,
+} from '../utils/wcag';
+
+const PRINCIPLES = {
+  1: 'Perceivable',
+  2: 'Operable',
+  3: 'Understandable',
+  4: 'Robust',
+};
+
+const STATUS = {
+  pass: { label: 'Pass', Icon: CheckCircle, className: 'bg-green-100 text-green-800' },
+  fail: { label: 'Fail', Icon: XCircle, className: 'bg-red-100 text-red-800' },
+  'not-tested': { label: 'Not tested', Icon: MinusCircle, className: 'bg-gray-100 text-gray-600' },
+};
+
+// /scans/:scanId/conformance — every WCAG success criterion with its automated result
+export default function ConformanceView({ scanId }) {
+  const { data, error, isLoading } = useQuery(queries.scan(scanId), { enabled: !!scanId });
+  const [target] = useWcagTarget();
+  const [targetOnly, setTargetOnly] = useState(false);
+
+  const pages = data?.results?.pages;
+  const results = useMemo(() => criterionResults(pages), [pages]);
+  const inTarget = useMemo(() => new Set(criteriaForTarget(target).map((sc) => sc.id)), [target]);
+  const score = useMemo(() => conformanceScore(pages, target), [pages, target]);
+
+  const shown = targetOnly ? WCAG_CRITERIA.filter((sc) => inTarget.has(sc.id)) : WCAG_CRITERIA;
+
+  if (isLoading) {
+    return (
+      <div className="p-4 text-sm text-gray-600 flex items-center gap-2">
+        <Loader2 className="h-4 w-4 animate-spin" />
+        Loading conformance…
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700">
+        {error.message || 'Failed to load scan results'}
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-6 space-y-4">
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h3 className="text-xl font-semibold">WCAG Conformance</h3>
+          <p className="text-sm text-gray-600">
+            Automated results per success criterion. “Not tested” criteria need manual review.
+          </p>
+        </div>
+        <WcagTargetPicker />
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div className="p-4 bg-blue-50 rounded-lg text-center">
+          <div className="text-2xl font-bold text-blue-600">{score.score ?? '—'}{score.score != null && '%'}</div>
+          <div className="text-sm text-blue-700">{formatTarget(target)} score</div>
+        </div>
+        <div className="p-4 bg-green-50 rounded-lg text-center">
+          <div className="text-2xl font-bold text-green-600">{score.passed}</div>
+          <div className="text-sm text-green-700">Criteria passing</div>
+        </div>
+        <div className="p-4 bg-red-50 rounded-lg text-center">
+          <div className="text-2xl font-bold text-red-600">{score.failed}</div>
+          <div className="text-sm text-red-700">Criteria failing</div>
+        </div>
+        <div className="p-4 bg-gray-50 rounded-lg text-center">
+          <div className="text-2xl font-bold text-gray-600">{score.total - score.tested}</div>
+          <div className="text-sm text-gray-700">Not tested of {score.total}</div>
+        </div>
+      </div>
+
+      <label className="inline-flex items-center gap-2 text-sm text-gray-700">
+        <input type="checkbox" checked={targetOnly} onChange={(e) => setTargetOnly(e.target.checked)} />
+        Only show criteria in {formatTarget(target)}
+      </label>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-left border border-gray-200 rounded-lg">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="p-3 border-b border-gray-200 font-medium text-gray-700">Success criterion</th>
+              <th className="p-3 border-b border-gray-200 font-medium text-gray-700">Level</th>
+              <th className="p-3 border-b border-gray-200 font-medium text-gray-700">Since</th>
+              <th className="p-3 border-b border-gray-200 font-medium text-gray-700">Status</th>
+              <th className="p-3 border-b border-gray-200 font-medium text-gray-700">Failures</th>
+            </tr>
+          </thead>
+          {Object.entries(PRINCIPLES).map(([number, principle]) => {
+            const rows = shown.filter((sc) => sc.id.startsWith(`${number}.`));
+            if (rows.length === 0) return null;
+            return (
+              <tbody key={number}>
+                <tr>
+                  <th colSpan={5} scope="rowgroup" className="p-3 bg-gray-100 border-b border-gray-200 text-sm font-semibold text-gray-900">
+                    {number}. {principle}
+                  </th>
+                </tr>
+                {rows.map((sc) => {
+                  const result = results.get(sc.id);
+                  const { label, Icon, className } = STATUS[result.status];
+                  const included = inTarget.has(sc.id);
+                  return (
+                    <tr key={sc.id} className={`align-top ${included ? '' : 'opacity-50'}`}>
+                      <td className="p-3 border-b border-gray-200 text-sm">
+                        <span className="font-medium text-gray-900">{sc.id} {sc.title}</span>
+                        {!included && <div className="text-xs text-gray-500">Outside {formatTarget(target)}</div>}
+                      </td>
+                      <td className="p-3 border-b border-gray-200 text-sm text-gray-700">{sc.level}</td>
+                      <td className="p-3 border-b border-gray-200 text-sm text-gray-700">
+                        {sc.version}
+                        {sc.removedIn && <div className="text-xs text-gray-500">Obsolete in {sc.removedIn}</div>}
+                      </td>
+                      <td className="p-3 border-b border-gray-200">
+                        <span className={`inline-flex items-center gap-1 px-2 py-1 text-xs font-medium rounded-full ${className}`}>
+                          <Icon className="h-3 w-3" />
+                          {label}
+                        </span>
+                      </td>
+                      <td className="p-3 border-b border-gray-200 text-sm">
+                        {result.status === 'fail' ? (
+                          <Link
+                            to={`/scans/${scanId}/violations?tag=${tagForCriterion(sc.id)}`}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            {[...result.rules.keys()].join(', ')} on {result.failedPages.size} page{result.failedPages.size === 1 ? '' : 's'} →
+                          </Link>
+                        ) : (
+                          <span className="text-gray-400">—</span>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            );
+          })}
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -1,10 +1,8 @@
-import React, { useState, useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import { 
   Shield, 
   Globe, 
   BarChart3, 
-  AlertTriangle, 
-  CheckCircle, 
   Clock, 
   LogOut,
   Plus,
@@ -12,77 +10,80 @@ import {
   Brain,
   TrendingUp,
   Users,
-  Eye
+  Eye,
+  GitCompare,
+  CalendarClock
 } from 'lucide-react';
-import { dashboard, scanning } from '../utils/api';
+import { Routes, Route, Navigate, NavLink, useNavigate, useLocation } from 'react-router-dom';
+import queries from '../utils/queries';
+import queryCache from '../utils/queryCache';
+import useQuery from '../hooks/useQuery';
+import { isFeatureEnabled } from '../utils/config';
+import { resumeJobs } from '../utils/jobs';
+import { compareUrl } from '../utils/scanDiff';
 import WebsiteManager from './WebsiteManager';
-import ScanResults from './ScanResults';
-import AIAnalysis from './AIAnalysis';
+import WebsiteDetail from './WebsiteDetail';
+import OverviewView from './OverviewView';
+import ScanView from './ScanView';
+import ScanCompare from './ScanCompare';
+import SchedulesView from './SchedulesView';
+import JobTray from './JobTray';
+
+const tabClass = ({ isActive }) => `py-4 px-1 border-b-2 font-medium text-sm ${
+  isActive
+    ? 'border-blue-500 text-blue-600'
+    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+}`;
 
 function Dashboard({ user, onLogout }) {
-  const [activeTab, setActiveTab] = useState('overview');
-  const [stats, setStats] = useState({
-    totalWebsites: 0,
-    totalScans: 0,
-    avgCompliance: 0,
-    totalViolations: 0
-  });
-  const [userWebsites, setUserWebsites] = useState([]);
-  const [recentScans, setRecentScans] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [selectedScanId, setSelectedScanId] = useState(null);
-  const [showAIAnalysis, setShowAIAnalysis] = useState(false);
+  const navigate = useNavigate();
+  const location = useLocation();
+  const overviewQuery = useQuery(queries.overview);
+  const scansQuery = useQuery(queries.scans);
+
+  const recentScans = scansQuery.data || [];
+  const [compareIds, setCompareIds] = useState([]);
+  const loading = overviewQuery.isLoading && scansQuery.isLoading;
 
-  // Load dashboard data
+  // Jobs left running before a reload keep going once we're signed in
   useEffect(() => {
-    loadDashboardData();
+    resumeJobs();
   }, []);
 
-  const loadDashboardData = async () => {
-    try {
-      setLoading(true);
-      const [statsData, websitesData, scansData] = await Promise.all([
-        dashboard.getStats(),
-        dashboard.getWebsites(),
-        dashboard.getScans()
-      ]);
-      
-      setStats(statsData);
-      setUserWebsites(websitesData);
-      setRecentScans(scansData);
-    } catch (error) {
-      console.error('Failed to load dashboard data:', error);
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const handleWebsiteAdded = () => {
-    loadDashboardData();
+  // WebsiteManager updates the websites query itself; the aggregates need a refetch
+  const handleWebsitesChanged = () => {
+    queryCache.invalidate(['overview']);
   };
 
   const handleScanStarted = () => {
-    loadDashboardData();
+    queryCache.invalidate(['scans']);
+    queryCache.invalidate(['overview']);
   };
 
-  // ✅ FIXED: Consistent routing - use 'scan-results' everywhere
   const handleViewScan = (scanId) => {
-    console.log('🎯 Dashboard handleViewScan called with scanId:', scanId);
-    console.log('🎯 Setting selectedScanId to:', scanId);
-    setSelectedScanId(scanId);
-    setActiveTab('scan-results'); // ✅ FIXED: Use consistent tab name
-    console.log('🎯 Switched to scan-results tab');
+    navigate(`/scans/${scanId}`);
   };
 
+  // AI analysis opens over the current page; closing returns here
   const handleViewAIAnalysis = (scanId) => {
-    setSelectedScanId(scanId);
-    setShowAIAnalysis(true);
+    navigate(`/scans/${scanId}/ai`, { state: { from: location.pathname } });
   };
 
-  // ✅ FIXED: Add back button handler for scan results
-  const handleBackToScanResults = () => {
-    setSelectedScanId(null);
-    setActiveTab('scan-results');
+  const isDone = (scan) => scan.status === 'completed' || scan.status === 'done';
+
+  // Comparison needs two finished scans of one website
+  const compareSelection = recentScans.filter((scan) => compareIds.includes(scan.id));
+  const canSelectForCompare = (scan) => isDone(scan) && (
+    compareIds.includes(scan.id) ||
+    (compareSelection.length < 2 && compareSelection.every((selected) => selected.website_id === scan.website_id))
+  );
+
+  const toggleCompare = (scanId) => {
+    setCompareIds((prev) => (prev.includes(scanId) ? prev.filter((id) => id !== scanId) : [...prev, scanId]));
+  };
+
+  const handleCompare = () => {
+    navigate(compareUrl(...compareSelection));
   };
 
   if (loading) {
@@ -124,154 +125,87 @@ function Dashboard({ user, onLogout }) {
       <nav className="bg-white border-b">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
           <div className="flex space-x-8">
-            <button
-              onClick={() => setActiveTab('overview')}
-              className={`py-4 px-1 border-b-2 font-medium text-sm ${
-                activeTab === 'overview'
-                  ? 'border-blue-500 text-blue-600'
-                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
-              }`}
-            >
+            <NavLink to="/overview" className={tabClass}>
               <BarChart3 className="h-4 w-4 inline mr-2" />
               Overview
-            </button>
-            <button
-              onClick={() => setActiveTab('websites')}
-              className={`py-4 px-1 border-b-2 font-medium text-sm ${
-                activeTab === 'websites'
-                  ? 'border-blue-500 text-blue-600'
-                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
-              }`}
-            >
+            </NavLink>
+            <NavLink to="/websites" className={tabClass}>
               <Globe className="h-4 w-4 inline mr-2" />
               Websites
-            </button>
-            <button
-              onClick={() => setActiveTab('scan-results')}
-              className={`py-4 px-1 border-b-2 font-medium text-sm ${
-                activeTab === 'scan-results'
-                  ? 'border-blue-500 text-blue-600'
-                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
-              }`}
-            >
+            </NavLink>
+            <NavLink to="/scans" className={tabClass}>
               <Scan className="h-4 w-4 inline mr-2" />
               Scan Results
-            </button>
+            </NavLink>
+            <NavLink to="/schedules" className={tabClass}>
+              <CalendarClock className="h-4 w-4 inline mr-2" />
+              Schedules
+            </NavLink>
           </div>
         </div>
       </nav>
 
       {/* Main Content */}
       <main className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
-        {/* Overview Tab */}
-        {activeTab === 'overview' && (
-          <div className="px-4 py-6 sm:px-0">
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
-              <div className="bg-white overflow-hidden shadow rounded-lg">
-                <div className="p-5">
-                  <div className="flex items-center">
-                    <div className="flex-shrink-0">
-                      <Globe className="h-6 w-6 text-gray-400" />
-                    </div>
-                    <div className="ml-5 w-0 flex-1">
-                      <dl>
-                        <dt className="text-sm font-medium text-gray-500 truncate">Total Websites</dt>
-                        <dd className="text-lg font-medium text-gray-900">{stats.totalWebsites}</dd>
-                      </dl>
-                    </div>
-                  </div>
-                </div>
-              </div>
-
-              <div className="bg-white overflow-hidden shadow rounded-lg">
-                <div className="p-5">
-                  <div className="flex items-center">
-                    <div className="flex-shrink-0">
-                      <Scan className="h-6 w-6 text-gray-400" />
-                    </div>
-                    <div className="ml-5 w-0 flex-1">
-                      <dl>
-                        <dt className="text-sm font-medium text-gray-500 truncate">Total Scans</dt>
-                        <dd className="text-lg font-medium text-gray-900">{stats.totalScans}</dd>
-                      </dl>
-                    </div>
-                  </div>
-                </div>
-              </div>
-
-              <div className="bg-white overflow-hidden shadow rounded-lg">
-                <div className="p-5">
-                  <div className="flex items-center">
-                    <div className="flex-shrink-0">
-                      <CheckCircle className="h-6 w-6 text-green-400" />
-                    </div>
-                    <div className="ml-5 w-0 flex-1">
-                      <dl>
-                        <dt className="text-sm font-medium text-gray-500 truncate">Avg Compliance</dt>
-                        <dd className="text-lg font-medium text-gray-900">{stats.avgCompliance}%</dd>
-                      </dl>
-                    </div>
-                  </div>
-                </div>
-              </div>
+        <Routes>
+          <Route index element={<Navigate to="/overview" replace />} />
 
-              <div className="bg-white overflow-hidden shadow rounded-lg">
-                <div className="p-5">
-                  <div className="flex items-center">
-                    <div className="flex-shrink-0">
-                      <AlertTriangle className="h-6 w-6 text-red-400" />
-                    </div>
-                    <div className="ml-5 w-0 flex-1">
-                      <dl>
-                        <dt className="text-sm font-medium text-gray-500 truncate">Total Violations</dt>
-                        <dd className="text-lg font-medium text-gray-900">{stats.totalViolations}</dd>
-                      </dl>
-                    </div>
-                  </div>
-                </div>
-              </div>
-            </div>
-          </div>
-        )}
+          {/* Overview Tab */}
+          <Route path="overview" element={<OverviewView onViewScan={handleViewScan} />} />
 
-        {/* Websites Tab */}
-        {activeTab === 'websites' && (
-          <WebsiteManager 
-            onWebsiteAdded={handleWebsiteAdded}
-            onScanStarted={handleScanStarted}
-            onViewResults={handleViewScan}
-          />
-        )}
+          {/* Websites Tab */}
+          <Route path="websites" element={
+            <WebsiteManager 
+              onWebsiteAdded={handleWebsitesChanged}
+              onWebsiteChanged={handleWebsitesChanged}
+              onScanStarted={handleScanStarted}
+              onViewResults={handleViewScan}
+            />
+          } />
+          <Route path="websites/:websiteId" element={
+            <WebsiteDetail onViewScan={handleViewScan} />
+          } />
 
-        {/* ✅ FIXED: Scan Results Tab - Show individual scan results when selectedScanId exists */}
-        {activeTab === 'scan-results' && (
-          <div className="px-4 py-6 sm:px-0">
-            {selectedScanId ? (
-              // Show individual scan results
-              <div>
-                <div className="mb-4">
-                  <button
-                    onClick={handleBackToScanResults}
-                    className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
-                  >
-                    ← Back to Scan Results
-                  </button>
-                </div>
-                <ScanResults 
-                  scanId={selectedScanId}
-                  onBack={handleBackToScanResults}
-                />
-              </div>
-            ) : (
-              // Show scan results list
+          {/* Scan Results Tab */}
+          <Route path="scans" element={
+            <div className="px-4 py-6 sm:px-0">
               <div className="bg-white shadow rounded-lg">
                 <div className="px-4 py-5 sm:p-6">
-                  <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">Recent Scan Results</h3>
+                  <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-lg leading-6 font-medium text-gray-900">Recent Scan Results</h3>
+                    {recentScans.length > 1 && (
+                      <div className="flex items-center space-x-3">
+                        <span className="text-sm text-gray-500">
+                          {compareSelection.length === 2
+                            ? '2 scans selected'
+                            : 'Select two scans of the same website to compare'}
+                        </span>
+                        <button
+                          onClick={handleCompare}
+                          disabled={compareSelection.length !== 2}
+                          className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          <GitCompare className="h-4 w-4 mr-1" />
+                          Compare
+                        </button>
+                      </div>
+                    )}
+                  </div>
                   {recentScans.length > 0 ? (
                     <div className="space-y-4">
                       {recentScans.map((scan) => (
                         <div key={scan.id} className="border rounded-lg p-4 hover:bg-gray-50">
                           <div className="flex items-center justify-between">
+                            {recentScans.length > 1 && (
+                              <input
+                                type="checkbox"
+                                className="mr-4 h-4 w-4 rounded border-gray-300 text-blue-600 disabled:opacity-40"
+                                checked={compareIds.includes(scan.id)}
+                                disabled={!canSelectForCompare(scan)}
+                                onChange={() => toggleCompare(scan.id)}
+                                aria-label={`Select scan of ${scan.url} from ${scan.created_at ? new Date(scan.created_at).toLocaleString() : 'unknown date'} for comparison`}
+                              />
+                            )}
                             <div className="flex-1">
                               <div className="flex items-center space-x-3">
                                 <h4 className="text-sm font-medium text-gray-900">{scan.url}</h4>
@@ -284,6 +218,12 @@ function Dashboard({ user, onLogout }) {
                                 }`}>
                                   {scan.status || 'completed'}
                                 </span>
+                                {scan.trigger === 'schedule' && (
+                                  <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-50 text-blue-700">
+                                    <CalendarClock className="h-3 w-3 mr-1" />
+                                    Scheduled
+                                  </span>
+                                )}
                               </div>
                               <div className="mt-1 text-sm text-gray-500">
                                 <span>Compliance: {scan.compliance_score || 0}%</span>
@@ -303,13 +243,15 @@ function Dashboard({ user, onLogout }) {
                                     <Eye className="h-4 w-4 mr-1" />
                                     View Results
                                   </button>
-                                  <button
-                                    onClick={() => handleViewAIAnalysis(scan.id)}
-                                    className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
-                                  >
-                                    <Brain className="h-4 w-4 mr-1" />
-                                    AI Analysis
-                                  </button>
+                                  {isFeatureEnabled('aiAnalysis') && (
+                                    <button
+                                      onClick={() => handleViewAIAnalysis(scan.id)}
+                                      className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+                                    >
+                                      <Brain className="h-4 w-4 mr-1" />
+                                      AI Analysis
+                                    </button>
+                                  )}
                                 </>
                               )}
                             </div>
@@ -325,7 +267,7 @@ function Dashboard({ user, onLogout }) {
                         Start scanning your websites to see detailed accessibility reports here
                       </p>
                       <button
-                        onClick={() => setActiveTab('websites')}
+                        onClick={() => navigate('/websites')}
                         className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
                       >
                         <Plus className="h-4 w-4 mr-2" />
@@ -335,18 +277,17 @@ function Dashboard({ user, onLogout }) {
                   )}
                 </div>
               </div>
-            )}
-          </div>
-        )}
+            </div>
+          } />
+          <Route path="scans/compare" element={<ScanCompare />} />
+          <Route path="schedules" element={<SchedulesView />} />
+          <Route path="scans/:scanId/*" element={<ScanView />} />
+
+          <Route path="*" element={<Navigate to="/overview" replace />} />
+        </Routes>
       </main>
 
-      {/* AI Analysis Modal */}
-      {showAIAnalysis && selectedScanId && (
-        <AIAnalysis 
-          scanId={selectedScanId}
-          onClose={() => setShowAIAnalysis(false)}
-        />
-      )}
+      <JobTray />
     </div>
   );
 }
@@ -0,0 +1,65 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Download, ChevronDown } from 'lucide-react';
+
+// "Export" dropdown; each option is `{ label, description?, onSelect }`
+export default function ExportMenu({ options, label = 'Export', disabled = false }) {
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    const handleKey = (e) => {
+      if (e.key === 'Escape') setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    document.addEventListener('keydown', handleKey);
+    return () => {
+      document.removeEventListener('mousedown', handleClick);
+      document.removeEventListener('keydown', handleKey);
+    };
+  }, [open]);
+
+  const handleSelect = (option) => {
+    setOpen(false);
+    try {
+      option.onSelect();
+    } catch (error) {
+      console.error('❌ Export failed:', error);
+    }
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={disabled}
+        className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+        aria-haspopup="menu"
+        aria-expanded={open}
+      >
+        <Download className="h-4 w-4 mr-1" />
+        {label}
+        <ChevronDown className="h-4 w-4 ml-1" />
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-30 mt-1 w-64 rounded-md border border-gray-200 bg-white shadow-lg py-1" role="menu">
+          {options.map((option) => (
+            <button
+              key={option.label}
+              onClick={() => handleSelect(option)}
+              className="w-full px-4 py-2 text-left text-sm hover:bg-gray-50"
+              role="menuitem"
+            >
+              <span className="block font-medium text-gray-900">{option.label}</span>
+              {option.description && <span className="block text-xs text-gray-500">{option.description}</span>}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Loader2, CheckCircle, AlertTriangle, XCircle, ChevronDown, ChevronUp, X } from 'lucide-react';
+import useJobs from '../hooks/useJobs';
+import jobTracker from '../utils/jobTracker';
+
+const statusIcon = (status) => {
+  switch (status) {
+    case 'running':
+      return <Loader2 className="h-4 w-4 animate-spin text-blue-600" />;
+    case 'completed':
+      return <CheckCircle className="h-4 w-4 text-green-600" />;
+    case 'cancelled':
+      return <XCircle className="h-4 w-4 text-gray-500" />;
+    default:
+      return <AlertTriangle className="h-4 w-4 text-red-600" />;
+  }
+};
+
+// Global "running jobs" tray: follows scans and AI jobs across pages
+export default function JobTray() {
+  const jobs = useJobs();
+  const [open, setOpen] = useState(true);
+  const [cancelling, setCancelling] = useState({}); // job id → true while in flight, or the error message
+
+  // jobs that were already done on their first check never ran in the background
+  const visible = jobs.filter((job) => job.status === 'running' || job.checks > 0);
+  if (visible.length === 0) return null;
+
+  const running = visible.filter((job) => job.status === 'running').length;
+
+  const setCancelState = (id, value) => setCancelling((prev) => {
+    const next = { ...prev };
+    if (value === null) delete next[id];
+    else next[id] = value;
+    return next;
+  });
+
+  // The job keeps running when the backend refuses; say so on its row
+  const handleCancel = async (job) => {
+    setCancelState(job.id, true);
+    try {
+      await jobTracker.cancel(job.id);
+      setCancelState(job.id, null);
+    } catch (e) {
+      setCancelState(job.id, `Couldn't cancel: ${e.message || 'please try again'}`);
+    }
+  };
+
+  return (
+    <div className="fixed bottom-4 right-4 z-40 w-80 rounded-lg border bg-white shadow-lg" role="region" aria-label="Background jobs">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center justify-between px-4 py-3 text-sm font-medium text-gray-900 hover:bg-gray-50 rounded-t-lg"
+        aria-expanded={open}
+      >
+        <span className="flex items-center gap-2">
+          {running > 0 && <Loader2 className="h-4 w-4 animate-spin text-blue-600" />}
+          {running > 0 ? `${running} job${running === 1 ? '' : 's'} running` : 'Background jobs'}
+        </span>
+        {open ? <ChevronDown className="h-4 w-4" /> : <ChevronUp className="h-4 w-4" />}
+      </button>
+
+      {open && (
+        <ul className="max-h-80 overflow-y-auto divide-y border-t">
+          {visible.map((job) => (
+            <li key={job.id} className="px-4 py-3 text-sm">
+              <div className="flex items-start gap-2">
+                <div className="mt-0.5 flex-shrink-0">{statusIcon(job.status)}</div>
+                <div className="min-w-0 flex-1">
+                  <div className="font-medium text-gray-900 truncate" title={job.label}>{job.label}</div>
+                  <div className={`text-xs ${job.error ? 'text-red-600' : 'text-gray-500'}`}>
+                    {job.error || job.message || (job.status === 'running' ? 'Working…' : job.status)}
+                  </div>
+                  {job.status === 'running' && typeof cancelling[job.id] === 'string' && (
+                    <div className="text-xs text-red-600" role="alert">{cancelling[job.id]}</div>
+                  )}
+                  {job.status === 'running' && (
+                    <div className="mt-2 w-full bg-gray-200 rounded-full h-1.5 overflow-hidden">
+                      <div
+                        className={`h-1.5 rounded-full transition-all duration-500 ${job.retrying ? 'bg-orange-500' : 'bg-blue-600'} ${job.percent == null ? 'animate-pulse' : ''}`}
+                        style={{ width: `${job.percent ?? 100}%` }}
+                      />
+                    </div>
+                  )}
+                  <div className="mt-1 flex items-center gap-3 text-xs">
+                    {job.link && (
+                      <Link to={job.link} className="text-blue-600 hover:text-blue-800">
+                        {job.status === 'completed' ? 'View results' : 'Open'}
+                      </Link>
+                    )}
+                    {job.status === 'running' && (
+                      <button
+                        onClick={() => handleCancel(job)}
+                        disabled={cancelling[job.id] === true}
+                        className="text-gray-500 hover:text-gray-700 disabled:opacity-50"
+                      >
+                        {cancelling[job.id] === true ? 'Cancelling…' : job.cancellable ? 'Cancel' : 'Stop tracking'}
+                      </button>
+                    )}
+                  </div>
+                </div>
+                {job.status !== 'running' && (
+                  <button
+                    onClick={() => jobTracker.dismiss(job.id)}
+                    className="text-gray-400 hover:text-gray-600"
+                    aria-label={`Dismiss ${job.label}`}
+                  >
+                    <X className="h-4 w-4" />
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
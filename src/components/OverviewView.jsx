@@ -0,0 +1,358 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { Globe, Scan, CheckCircle, AlertTriangle, Loader2, CalendarClock, RefreshCw, TrendingUp, TrendingDown } from 'lucide-react';
+import queries from '../utils/queries';
+import useQuery from '../hooks/useQuery';
+import { normalizeOverview } from '../utils/overview';
+import { IMPACTS, IMPACT_COLORS, impactClass } from '../utils/violations';
+import { isFinishedScan } from '../utils/trends';
+import TrendChart from './TrendChart';
+
+const capitalize = (text) => text[0].toUpperCase() + text.slice(1);
+
+// Trend dates are calendar days, not instants
+const dayLabel = (date, options = { day: 'numeric', month: 'short' }) => (
+  new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { ...options, timeZone: 'UTC' })
+);
+
+const scoreClass = (score) => (
+  score >= 90 ? 'bg-green-100 text-green-800' :
+  score >= 70 ? 'bg-yellow-100 text-yellow-800' :
+  'bg-red-100 text-red-800'
+);
+
+function StatCard({ icon: Icon, iconClass, label, value }) {
+  return (
+    <div className="bg-white overflow-hidden shadow rounded-lg">
+      <div className="p-5">
+        <div className="flex items-center">
+          <div className="flex-shrink-0">
+            <Icon className={`h-6 w-6 ${iconClass}`} />
+          </div>
+          <div className="ml-5 w-0 flex-1">
+            <dl>
+              <dt className="text-sm font-medium text-gray-500 truncate">{label}</dt>
+              <dd className="text-lg font-medium text-gray-900">{value ?? '—'}</dd>
+            </dl>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// One panel of the overview. A section the server didn't send (and that couldn't be
+// worked out from the websites and scans) says so instead of showing zeros.
+function Widget({ title, section, overview, loading, isEmpty, emptyText, className = '', children }) {
+  const data = overview[section];
+  let body;
+  if (data == null) {
+    body = loading ? (
+      <div className="text-sm text-gray-500 flex items-center gap-2">
+        <Loader2 className="h-4 w-4 animate-spin" />
+        Loading…
+      </div>
+    ) : (
+      <p className="text-sm text-gray-500">Not available from the server.</p>
+    );
+  } else if (isEmpty && isEmpty(data)) {
+    body = <p className="text-sm text-gray-500">{emptyText}</p>;
+  } else {
+    body = children(data);
+  }
+
+  return (
+    <section className={`bg-white shadow rounded-lg p-6 ${className}`}>
+      <div className="flex items-baseline justify-between gap-2 mb-4">
+        <h3 className="text-lg font-medium text-gray-900">{title}</h3>
+        {overview.derived.includes(section) && (
+          <span className="text-xs text-gray-400" title="The server didn't send this; it's worked out from the websites and scans lists">
+            From scan list
+          </span>
+        )}
+      </div>
+      {body}
+    </section>
+  );
+}
+
+// /overview — how the whole portfolio is doing
+export default function OverviewView({ onViewScan }) {
+  const overviewQuery = useQuery(queries.overview);
+  const websitesQuery = useQuery(queries.websites);
+  const scansQuery = useQuery(queries.scans);
+
+  const overview = normalizeOverview(overviewQuery.data, { websites: websitesQuery.data, scans: scansQuery.data });
+  const loading = overviewQuery.isLoading || websitesQuery.isLoading || scansQuery.isLoading;
+  const { totals } = overview;
+
+  const trendPoints = (overview.complianceTrend || []).map((point) => ({
+    key: point.date,
+    label: dayLabel(point.date),
+    title: `${dayLabel(point.date, { day: 'numeric', month: 'long', year: 'numeric' })}${point.websites != null ? ` · ${point.websites} website${point.websites === 1 ? '' : 's'}` : ''}`,
+    values: { score: point.avgCompliance ?? null },
+  }));
+  const trendScores = trendPoints.map((point) => point.values.score).filter((score) => score != null);
+  const trendDelta = trendScores.length > 1 ? trendScores[trendScores.length - 1] - trendScores[0] : null;
+
+  return (
+    <div className="px-4 py-6 sm:px-0 space-y-6">
+      {overviewQuery.error && (
+        <div className="rounded-md border border-yellow-300 bg-yellow-50 p-3 text-sm text-yellow-800 flex items-start gap-2">
+          <AlertTriangle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+          <span className="flex-1">
+            The overview couldn't be loaded ({overviewQuery.error.message || 'request failed'}). Showing what can be worked out from your websites and scans.
+          </span>
+          <button onClick={() => overviewQuery.refetch().catch(() => {})} className="inline-flex items-center gap-1 font-medium hover:underline">
+            <RefreshCw className="h-4 w-4" />
+            Retry
+          </button>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        <StatCard icon={Globe} iconClass="text-gray-400" label="Total Websites" value={totals.totalWebsites} />
+        <StatCard icon={Scan} iconClass="text-gray-400" label="Total Scans" value={totals.totalScans} />
+        <StatCard icon={CheckCircle} iconClass="text-green-400" label="Avg Compliance" value={totals.avgCompliance != null ? `${totals.avgCompliance}%` : null} />
+        <StatCard icon={AlertTriangle} iconClass="text-red-400" label="Total Violations" value={totals.totalViolations} />
+      </div>
+
+      <div className="grid gap-6 lg:grid-cols-3">
+        <Widget
+          title="Compliance trend"
+          section="complianceTrend"
+          overview={overview}
+          loading={loading}
+          isEmpty={(trend) => trend.length === 0}
+          emptyText="Scan a website to start the trend."
+          className="lg:col-span-2"
+        >
+          {() => (
+            <>
+              <p className="text-sm text-gray-500 mb-3 flex items-center gap-2">
+                Average of every website's latest score
+                {trendDelta != null && trendDelta !== 0 && (
+                  <span className={`inline-flex items-center gap-1 text-xs font-medium ${trendDelta > 0 ? 'text-green-700' : 'text-red-700'}`}>
+                    {trendDelta > 0 ? <TrendingUp className="h-3.5 w-3.5" /> : <TrendingDown className="h-3.5 w-3.5" />}
+                    {trendDelta > 0 ? '+' : ''}{trendDelta} pts since {trendPoints[0].label}
+                  </span>
+                )}
+              </p>
+              <TrendChart
+                points={trendPoints}
+                series={[{ key: 'score', label: 'Average compliance', color: '#16a34a' }]}
+                yMax={100}
+                unit="%"
+                ariaLabel="Average compliance across websites by day"
+              />
+            </>
+          )}
+        </Widget>
+
+        <Widget
+          title="Open vs fixed issues"
+          section="issues"
+          overview={overview}
+          loading={loading}
+          isEmpty={(issues) => issues.open == null && issues.fixed == null}
+          emptyText="No issue counts yet."
+        >
+          {(issues) => {
+            const widest = Math.max(1, ...issues.byWebsite.map((site) => (site.open || 0) + (site.fixed || 0)));
+            return (
+              <>
+                <dl className="grid grid-cols-3 gap-2 text-center mb-4">
+                  <div className="rounded-md bg-gray-50 p-2">
+                    <dt className="text-xs text-gray-500">Open</dt>
+                    <dd className="text-xl font-semibold text-gray-900">{issues.open ?? '—'}</dd>
+                  </div>
+                  <div className="rounded-md bg-green-50 p-2">
+                    <dt className="text-xs text-green-700">Fixed</dt>
+                    <dd className="text-xl font-semibold text-green-800">{issues.fixed ?? '—'}</dd>
+                  </div>
+                  <div className="rounded-md bg-red-50 p-2">
+                    <dt className="text-xs text-red-700">New</dt>
+                    <dd className="text-xl font-semibold text-red-800">{issues.introduced ?? '—'}</dd>
+                  </div>
+                </dl>
+                <p className="text-xs text-gray-500 mb-3">Affected elements in each website's latest scan; fixed and new are since the scan before it.</p>
+                <ul className="space-y-2">
+                  {issues.byWebsite.map((site) => (
+                    <li key={site.websiteId} className="text-sm">
+                      <div className="flex justify-between gap-2">
+                        <Link to={`/websites/${site.websiteId}`} className="truncate text-gray-700 hover:text-blue-600">{site.name}</Link>
+                        <span className="text-xs text-gray-500 whitespace-nowrap">
+                          {site.open ?? 0} open · {site.since ? `${site.fixed ?? 0} fixed` : 'first scan'}
+                        </span>
+                      </div>
+                      <div className="mt-1 flex h-2 rounded-full bg-gray-100 overflow-hidden" aria-hidden="true">
+                        <div className="bg-gray-400" style={{ width: `${((site.open || 0) / widest) * 100}%` }} />
+                        <div className="bg-green-500" style={{ width: `${((site.fixed || 0) / widest) * 100}%` }} />
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            );
+          }}
+        </Widget>
+      </div>
+
+      <div className="grid gap-6 lg:grid-cols-3">
+        <Widget
+          title="Impact distribution"
+          section="impactDistribution"
+          overview={overview}
+          loading={loading}
+          isEmpty={(impacts) => IMPACTS.every((impact) => !impacts[impact])}
+          emptyText="No violations in the latest scans."
+        >
+          {(impacts) => {
+            const total = IMPACTS.reduce((sum, impact) => sum + impacts[impact], 0);
+            return (
+              <>
+                <div className="flex h-4 rounded-full overflow-hidden mb-4" role="img" aria-label={IMPACTS.map((impact) => `${impacts[impact]} ${impact}`).join(', ')}>
+                  {IMPACTS.map((impact) => impacts[impact] > 0 && (
+                    <div key={impact} style={{ width: `${(impacts[impact] / total) * 100}%`, backgroundColor: IMPACT_COLORS[impact] }} />
+                  ))}
+                </div>
+                <ul className="space-y-2 text-sm">
+                  {IMPACTS.map((impact) => (
+                    <li key={impact} className="flex items-center justify-between">
+                      <span className="inline-flex items-center gap-2">
+                        <span className="inline-block h-2.5 w-2.5 rounded-sm" style={{ backgroundColor: IMPACT_COLORS[impact] }} />
+                        {capitalize(impact)}
+                      </span>
+                      <span className="text-gray-600">
+                        {impacts[impact]} <span className="text-gray-400">({Math.round((impacts[impact] / total) * 100)}%)</span>
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+                <p className="mt-3 text-xs text-gray-500">Violations in each website's latest scan.</p>
+              </>
+            );
+          }}
+        </Widget>
+
+        <Widget
+          title="Most frequent rules"
+          section="topRules"
+          overview={overview}
+          loading={loading}
+          isEmpty={(rules) => rules.length === 0}
+          emptyText="No violations in the latest scans."
+          className="lg:col-span-2"
+        >
+          {(rules) => {
+            const most = Math.max(1, ...rules.map((rule) => rule.occurrences || 0));
+            return (
+              <ol className="space-y-2">
+                {rules.slice(0, 10).map((rule, index) => (
+                  <li key={rule.ruleId} className="text-sm">
+                    <div className="flex items-center gap-2">
+                      <span className="w-5 text-right text-gray-400">{index + 1}.</span>
+                      <code className="font-mono text-gray-900">{rule.ruleId}</code>
+                      {rule.impact && (
+                        <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${impactClass(rule.impact)}`}>{rule.impact}</span>
+                      )}
+                      <span className="ml-auto text-xs text-gray-500 whitespace-nowrap">
+                        {rule.occurrences ?? '—'} elements
+                        {rule.websites != null && ` · ${rule.websites} website${rule.websites === 1 ? '' : 's'}`}
+                      </span>
+                    </div>
+                    <div className="ml-7 mt-1 flex items-center gap-2">
+                      <div className="flex-1 h-1.5 rounded-full bg-gray-100 overflow-hidden" aria-hidden="true">
+                        <div className="h-full bg-blue-500" style={{ width: `${((rule.occurrences || 0) / most) * 100}%` }} />
+                      </div>
+                    </div>
+                    {rule.help && <div className="ml-7 mt-0.5 text-xs text-gray-500 truncate">{rule.help}</div>}
+                  </li>
+                ))}
+              </ol>
+            );
+          }}
+        </Widget>
+      </div>
+
+      <div className="grid gap-6 lg:grid-cols-2">
+        <Widget
+          title="Lowest-scoring websites"
+          section="worstWebsites"
+          overview={overview}
+          loading={loading}
+          isEmpty={(sites) => sites.length === 0}
+          emptyText="No website has been scanned yet."
+        >
+          {(sites) => (
+            <ul className="divide-y">
+              {sites.map((site) => (
+                <li key={site.id} className="py-2 flex items-center gap-3 text-sm">
+                  <span className={`w-14 text-center px-2 py-0.5 rounded-full text-xs font-semibold ${scoreClass(site.complianceScore)}`}>
+                    {site.complianceScore}%
+                  </span>
+                  <div className="flex-1 min-w-0">
+                    <Link to={`/websites/${site.id}`} className="block truncate font-medium text-gray-900 hover:text-blue-600">{site.name || site.url}</Link>
+                    <div className="text-xs text-gray-500">
+                      {site.totalViolations != null && `${site.totalViolations} violations`}
+                      {site.lastScanDate && ` · scanned ${new Date(site.lastScanDate).toLocaleDateString()}`}
+                    </div>
+                  </div>
+                  {site.lastScanId && (
+                    <button onClick={() => onViewScan(site.lastScanId)} className="text-sm text-blue-600 hover:text-blue-800 whitespace-nowrap">
+                      View scan
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </Widget>
+
+        <Widget
+          title="Recent activity"
+          section="recentActivity"
+          overview={overview}
+          loading={loading}
+          isEmpty={(activity) => activity.length === 0}
+          emptyText="No scans yet."
+        >
+          {(activity) => (
+            <ul className="divide-y">
+              {activity.map((item) => {
+                const done = isFinishedScan(item);
+                return (
+                  <li key={item.scanId} className="py-2 flex items-center gap-3 text-sm">
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-center gap-2">
+                        <span className="truncate font-medium text-gray-900">{item.websiteName || item.url}</span>
+                        {!done && (
+                          <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">{item.status || 'running'}</span>
+                        )}
+                        {item.trigger === 'schedule' && (
+                          <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-blue-50 text-blue-700">
+                            <CalendarClock className="h-3 w-3 mr-1" />
+                            Scheduled
+                          </span>
+                        )}
+                      </div>
+                      <div className="text-xs text-gray-500">
+                        {item.createdAt ? new Date(item.createdAt).toLocaleString() : 'Unknown date'}
+                        {done && item.complianceScore != null && ` · ${item.complianceScore}% compliance`}
+                      </div>
+                    </div>
+                    {done && (
+                      <button onClick={() => onViewScan(item.scanId)} className="text-sm text-blue-600 hover:text-blue-800 whitespace-nowrap">
+                        View
+                      </button>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </Widget>
+      </div>
+    </div>
+  );
+}
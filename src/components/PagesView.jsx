@@ -0,0 +1,233 @@
+import React, { useMemo, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Loader2, X, ExternalLink, FileText, ChevronDown, ChevronRight } from 'lucide-react';
+import ViolationNodes from './ViolationNodes';
+import queries from '../utils/queries';
+import useQuery from '../hooks/useQuery';
+import {
+  IMPACTS,
+  impactClass,
+  summarizePages,
+  comparePageSeverity,
+  flattenViolations,
+  sortViolations,
+} from '../utils/violations';
+
+const SORTS = {
+  severity: { label: 'Most severe first', compare: comparePageSeverity },
+  issues: { label: 'Most issues first', compare: (a, b) => b.violationCount - a.violationCount || comparePageSeverity(a, b) },
+  url: { label: 'URL (A–Z)', compare: (a, b) => a.url.localeCompare(b.url) },
+  loadTime: { label: 'Slowest first', compare: (a, b) => (b.loadTime ?? 0) - (a.loadTime ?? 0) },
+};
+
+const impactTextClass = {
+  critical: 'text-red-600',
+  serious: 'text-orange-600',
+  moderate: 'text-yellow-600',
+  minor: 'text-blue-600',
+};
+
+// One page's metadata and issues
+function PageDetail({ scanId, summary, rows, onClose }) {
+  const [expandedKey, setExpandedKey] = useState(null);
+
+  return (
+    <aside className="bg-white border border-gray-200 rounded-lg p-6 space-y-4" aria-label="Page details">
+      <div className="flex items-start justify-between gap-2">
+        <div className="min-w-0">
+          <h4 className="text-lg font-semibold text-gray-900 break-words">{summary.title || 'Untitled page'}</h4>
+          <a href={summary.url} target="_blank" rel="noopener noreferrer" className="text-sm text-blue-600 hover:text-blue-800 break-all inline-flex items-center gap-1">
+            {summary.url}
+            <ExternalLink className="h-3 w-3 flex-shrink-0" />
+          </a>
+        </div>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label="Close page details">
+          <X className="h-5 w-5" />
+        </button>
+      </div>
+
+      <dl className="grid grid-cols-2 gap-3 text-sm">
+        <div>
+          <dt className="text-gray-500">Status code</dt>
+          <dd className={`font-medium ${summary.statusCode >= 400 ? 'text-red-600' : 'text-gray-900'}`}>{summary.statusCode ?? 'Unknown'}</dd>
+        </div>
+        <div>
+          <dt className="text-gray-500">Load time</dt>
+          <dd className="font-medium text-gray-900">{summary.loadTime != null ? `${summary.loadTime} ms` : 'Unknown'}</dd>
+        </div>
+        <div>
+          <dt className="text-gray-500">Scanned</dt>
+          <dd className="font-medium text-gray-900">{summary.scannedAt ? new Date(summary.scannedAt).toLocaleString() : 'Unknown'}</dd>
+        </div>
+        <div>
+          <dt className="text-gray-500">Affected elements</dt>
+          <dd className="font-medium text-gray-900">{summary.nodeCount}</dd>
+        </div>
+      </dl>
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h5 className="font-medium text-gray-900">Issues ({rows.length})</h5>
+          {rows.length > 0 && (
+            <Link
+              to={`/scans/${scanId}/violations?page_url=${encodeURIComponent(summary.url)}`}
+              className="text-sm text-blue-600 hover:text-blue-800"
+            >
+              Open in explorer →
+            </Link>
+          )}
+        </div>
+        {rows.length > 0 ? (
+          <ul className="divide-y border border-gray-200 rounded-lg">
+            {rows.map((row) => (
+              <li key={row.key} className="p-3 text-sm">
+                <button
+                  onClick={() => setExpandedKey(expandedKey === row.key ? null : row.key)}
+                  className="w-full flex items-center gap-2 text-left"
+                  aria-expanded={expandedKey === row.key}
+                >
+                  {expandedKey === row.key
+                    ? <ChevronDown className="h-4 w-4 text-gray-500 flex-shrink-0" />
+                    : <ChevronRight className="h-4 w-4 text-gray-500 flex-shrink-0" />}
+                  <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${impactClass(row.impact)}`}>{row.impact}</span>
+                  <span className="font-medium text-gray-900">{row.ruleId}</span>
+                  <span className="text-gray-500 ml-auto">{row.nodeCount} element{row.nodeCount === 1 ? '' : 's'}</span>
+                </button>
+                <p className="mt-1 text-gray-600">{row.help || row.description}</p>
+                {expandedKey === row.key && (
+                  <div className="mt-3">
+                    <ViolationNodes nodes={row.nodes} />
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500">No issues found on this page.</p>
+        )}
+      </div>
+    </aside>
+  );
+}
+
+// /scans/:scanId/pages — every scanned URL, worst first; `?url=` opens a page's details
+export default function PagesView({ scanId }) {
+  const { data, error, isLoading } = useQuery(queries.scan(scanId), { enabled: !!scanId });
+  const [params, setParams] = useSearchParams();
+  const sortKey = SORTS[params.get('sort')] ? params.get('sort') : 'severity';
+  const selectedUrl = params.get('url');
+
+  const pages = data?.results?.pages;
+  const summaries = useMemo(() => summarizePages(pages), [pages]);
+  const sorted = useMemo(() => [...summaries].sort(SORTS[sortKey].compare), [summaries, sortKey]);
+  const rows = useMemo(() => flattenViolations(pages), [pages]);
+
+  const selected = selectedUrl ? summaries.find((page) => page.url === selectedUrl) : null;
+  const selectedRows = useMemo(
+    () => (selected ? sortViolations(rows.filter((row) => row.pageUrl === selected.url)) : []),
+    [rows, selected]
+  );
+
+  const setParam = (key, value) => {
+    setParams((prev) => {
+      const next = new URLSearchParams(prev);
+      if (value) next.set(key, value);
+      else next.delete(key);
+      return next;
+    }, { replace: true });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="p-4 text-sm text-gray-600 flex items-center gap-2">
+        <Loader2 className="h-4 w-4 animate-spin" />
+        Loading pages…
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700">
+        {error.message || 'Failed to load scan results'}
+      </div>
+    );
+  }
+
+  return (
+    <div className={`grid gap-6 ${selected ? 'lg:grid-cols-5' : ''}`}>
+      <div className={`bg-white border border-gray-200 rounded-lg p-6 space-y-4 ${selected ? 'lg:col-span-3' : ''}`}>
+        <div className="flex items-center justify-between gap-4">
+          <h3 className="text-xl font-semibold">Pages ({summaries.length})</h3>
+          <select
+            className="rounded-md border border-gray-300 p-2 text-sm focus:border-blue-500 focus:ring-1 focus:ring-blue-500"
+            value={sortKey}
+            onChange={(e) => setParam('sort', e.target.value === 'severity' ? '' : e.target.value)}
+            aria-label="Sort pages"
+          >
+            {Object.entries(SORTS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </div>
+
+        {sorted.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="w-full text-left border border-gray-200 rounded-lg">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="p-3 border-b border-gray-200 font-medium text-gray-700">Page</th>
+                  {IMPACTS.map((impact) => (
+                    <th key={impact} className="p-3 border-b border-gray-200 font-medium text-gray-700 text-center capitalize">{impact}</th>
+                  ))}
+                  <th className="p-3 border-b border-gray-200 font-medium text-gray-700 text-center">Elements</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sorted.map((page) => {
+                  const isSelected = selected?.url === page.url;
+                  return (
+                    <tr
+                      key={page.url || page.index}
+                      className={`cursor-pointer ${isSelected ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+                      onClick={() => setParam('url', isSelected ? '' : page.url)}
+                    >
+                      <td className="p-3 border-b border-gray-200 text-sm">
+                        <button
+                          className="text-left"
+                          aria-expanded={isSelected}
+                          onClick={(e) => { e.stopPropagation(); setParam('url', isSelected ? '' : page.url); }}
+                        >
+                          <span className="font-medium text-gray-900 flex items-center gap-1">
+                            <FileText className="h-4 w-4 text-gray-400 flex-shrink-0" />
+                            {page.title || 'Untitled page'}
+                          </span>
+                          <span className="text-gray-500 break-all">{page.url}</span>
+                        </button>
+                      </td>
+                      {IMPACTS.map((impact) => (
+                        <td
+                          key={impact}
+                          className={`p-3 border-b border-gray-200 text-center text-sm font-medium ${page.byImpact[impact] ? impactTextClass[impact] : 'text-gray-300'}`}
+                        >
+                          {page.byImpact[impact]}
+                        </td>
+                      ))}
+                      <td className="p-3 border-b border-gray-200 text-center text-sm text-gray-900">{page.nodeCount}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="text-center py-8 text-gray-600">No pages were scanned.</div>
+        )}
+      </div>
+
+      {selected && (
+        <div className="lg:col-span-2">
+          <PageDetail key={selected.url} scanId={scanId} summary={selected} rows={selectedRows} onClose={() => setParam('url', '')} />
+        </div>
+      )}
+    </div>
+  );
+}
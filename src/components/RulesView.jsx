@@ -0,0 +1,160 @@
+import React, { useMemo, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Loader2, ChevronDown, ChevronRight } from 'lucide-react';
+import ViolationNodes from './ViolationNodes';
+import queries from '../utils/queries';
+import useQuery from '../hooks/useQuery';
+import { IMPACTS, impactClass, formatTag, groupByRule } from '../utils/violations';
+
+const bySeverity = (a, b) => IMPACTS.indexOf(a.impact) - IMPACTS.indexOf(b.impact) || b.pageCount - a.pageCount;
+
+const SORTS = {
+  severity: { label: 'Most severe first', compare: bySeverity },
+  pages: { label: 'Most pages first', compare: (a, b) => b.pageCount - a.pageCount || bySeverity(a, b) },
+  elements: { label: 'Most unique elements first', compare: (a, b) => b.uniqueCount - a.uniqueCount || bySeverity(a, b) },
+  rule: { label: 'Rule (A–Z)', compare: (a, b) => a.ruleId.localeCompare(b.ruleId) },
+};
+
+const PAGE_PREVIEW = 5;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Pages an element was found on, trimmed to a few with a toggle for the rest
+function ElementPages({ pageUrls }) {
+  const [showAll, setShowAll] = useState(false);
+  const shown = showAll ? pageUrls : pageUrls.slice(0, PAGE_PREVIEW);
+
+  return (
+    <div>
+      <div className="text-xs font-medium text-gray-700 mb-1">Found on {plural(pageUrls.length, 'page')}</div>
+      <ul className="text-sm text-gray-600 space-y-0.5">
+        {shown.map((url) => <li key={url} className="break-all">{url}</li>)}
+      </ul>
+      {pageUrls.length > PAGE_PREVIEW && (
+        <button onClick={() => setShowAll(!showAll)} className="mt-1 text-xs text-blue-600 hover:text-blue-800">
+          {showAll ? 'Show fewer' : `Show ${pageUrls.length - PAGE_PREVIEW} more`}
+        </button>
+      )}
+    </div>
+  );
+}
+
+// /scans/:scanId/rules — violations grouped by rule across pages, identical elements collapsed
+export default function RulesView({ scanId }) {
+  const { data, error, isLoading } = useQuery(queries.scan(scanId), { enabled: !!scanId });
+  const [params, setParams] = useSearchParams();
+  const sortKey = SORTS[params.get('sort')] ? params.get('sort') : 'severity';
+  const [expanded, setExpanded] = useState(null);
+
+  const pages = data?.results?.pages;
+  const groups = useMemo(() => groupByRule(pages), [pages]);
+  const sorted = useMemo(() => [...groups].sort(SORTS[sortKey].compare), [groups, sortKey]);
+
+  const setSort = (value) => {
+    setParams((prev) => {
+      const next = new URLSearchParams(prev);
+      if (value === 'severity') next.delete('sort');
+      else next.set('sort', value);
+      return next;
+    }, { replace: true });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="p-4 text-sm text-gray-600 flex items-center gap-2">
+        <Loader2 className="h-4 w-4 animate-spin" />
+        Loading rules…
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700">
+        {error.message || 'Failed to load scan results'}
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-6 space-y-4">
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <h3 className="text-xl font-semibold">Issues by Rule ({groups.length})</h3>
+          <p className="text-sm text-gray-600">
+            Each rule is one item to fix; elements shared across pages are counted once.
+          </p>
+        </div>
+        <select
+          className="rounded-md border border-gray-300 p-2 text-sm focus:border-blue-500 focus:ring-1 focus:ring-blue-500"
+          value={sortKey}
+          onChange={(e) => setSort(e.target.value)}
+          aria-label="Sort rules"
+        >
+          {Object.entries(SORTS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+      </div>
+
+      {sorted.length > 0 ? (
+        <ul className="divide-y border border-gray-200 rounded-lg">
+          {sorted.map((group) => {
+            const isExpanded = expanded === group.ruleId;
+            return (
+              <li key={group.ruleId} className={isExpanded ? 'bg-gray-50' : ''}>
+                <button
+                  onClick={() => setExpanded(isExpanded ? null : group.ruleId)}
+                  className="w-full p-4 flex items-start gap-3 text-left hover:bg-gray-50"
+                  aria-expanded={isExpanded}
+                >
+                  {isExpanded
+                    ? <ChevronDown className="h-4 w-4 mt-1 text-gray-500 flex-shrink-0" />
+                    : <ChevronRight className="h-4 w-4 mt-1 text-gray-500 flex-shrink-0" />}
+                  <div className="min-w-0 flex-1">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <span className="font-medium text-gray-900">{group.ruleId}</span>
+                      <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${impactClass(group.impact)}`}>{group.impact}</span>
+                      {group.tags.filter((tag) => tag.startsWith('wcag')).map((tag) => (
+                        <span key={tag} className="px-1.5 py-0.5 text-xs rounded bg-gray-100 text-gray-600">{formatTag(tag)}</span>
+                      ))}
+                    </div>
+                    <p className="mt-1 text-sm text-gray-600">{group.help || group.description}</p>
+                  </div>
+                  <div className="text-right text-sm flex-shrink-0">
+                    <div className="font-medium text-gray-900">
+                      Affects {plural(group.pageCount, 'page')}, {plural(group.uniqueCount, 'unique element')}
+                    </div>
+                    <div className="text-gray-500">{plural(group.occurrenceCount, 'occurrence')} in total</div>
+                  </div>
+                </button>
+
+                {isExpanded && (
+                  <div className="px-4 pb-4 space-y-3">
+                    <div className="flex items-center gap-4 text-sm">
+                      <Link
+                        to={`/scans/${scanId}/violations?rule=${encodeURIComponent(group.ruleId)}`}
+                        className="text-blue-600 hover:text-blue-800"
+                      >
+                        Open in explorer →
+                      </Link>
+                      {group.helpUrl && (
+                        <a href={group.helpUrl} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800">
+                          Learn more →
+                        </a>
+                      )}
+                    </div>
+                    <ViolationNodes
+                      nodes={group.elements.map((element) => element.node)}
+                      renderFooter={(node, index) => <ElementPages pageUrls={group.elements[index].pageUrls} />}
+                    />
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      ) : (
+        <div className="text-center py-8 text-gray-600">No issues found in this scan.</div>
+      )}
+    </div>
+  );
+}
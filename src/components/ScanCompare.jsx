@@ -0,0 +1,268 @@
+import React, { useMemo, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { Loader2, ArrowLeft, ArrowLeftRight, ChevronDown, ChevronRight, AlertTriangle } from 'lucide-react';
+import ViolationNodes from './ViolationNodes';
+import queries from '../utils/queries';
+import useQuery from '../hooks/useQuery';
+import useWcagTarget from '../hooks/useWcagTarget';
+import { IMPACTS, impactClass } from '../utils/violations';
+import { formatTarget } from '../utils/wcag';
+import { diffScans, groupDiffByRule } from '../utils/scanDiff';
+
+const VIEWS = {
+  added: { label: 'New', empty: 'No new issues since the earlier scan.', className: 'text-red-700' },
+  fixed: { label: 'Fixed', empty: 'Nothing from the earlier scan has been fixed yet.', className: 'text-green-700' },
+  persisting: { label: 'Still present', empty: 'No issues carried over from the earlier scan.', className: 'text-gray-700' },
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// +3 / −2 / ±0, coloured so that improvements are green whichever direction they go
+function Delta({ value, higherIsBetter = false, suffix = '' }) {
+  if (value == null) return <span className="text-gray-400">—</span>;
+  const better = higherIsBetter ? value > 0 : value < 0;
+  const className = value === 0 ? 'text-gray-500' : better ? 'text-green-600' : 'text-red-600';
+  const sign = value > 0 ? '+' : value < 0 ? '−' : '±';
+  return <span className={`font-medium ${className}`}>{sign}{Math.abs(value)}{suffix}</span>;
+}
+
+const scanLabel = (scan) => (scan?.scanDate ? new Date(scan.scanDate).toLocaleString() : 'Unknown date');
+
+// /scans/compare?base=:id&compare=:id — what changed between two scans of the same website
+export default function ScanCompare() {
+  const navigate = useNavigate();
+  const [params, setParams] = useSearchParams();
+  const baseId = params.get('base');
+  const compareId = params.get('compare');
+  const view = VIEWS[params.get('view')] ? params.get('view') : 'added';
+  const [target] = useWcagTarget();
+  const [expanded, setExpanded] = useState(null);
+
+  const baseQuery = useQuery(queries.scan(baseId), { enabled: !!baseId });
+  const compareQuery = useQuery(queries.scan(compareId), { enabled: !!compareId });
+  const base = baseQuery.data;
+  const compare = compareQuery.data;
+
+  const diff = useMemo(() => (base && compare ? diffScans(base, compare, target) : null), [base, compare, target]);
+  const groups = useMemo(() => (diff ? groupDiffByRule(diff[view]) : []), [diff, view]);
+
+  const updateParams = (changes) => {
+    setParams((prev) => {
+      const next = new URLSearchParams(prev);
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value) next.set(key, value);
+        else next.delete(key);
+      });
+      return next;
+    }, { replace: true });
+  };
+
+  const handleSwap = () => {
+    setExpanded(null);
+    updateParams({ base: compareId, compare: baseId });
+  };
+
+  const handleView = (key) => {
+    setExpanded(null);
+    updateParams({ view: key === 'added' ? null : key });
+  };
+
+  const back = (
+    <button
+      onClick={() => navigate('/scans')}
+      className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900 mb-4"
+    >
+      <ArrowLeft className="h-4 w-4 mr-1" />
+      Back to scans
+    </button>
+  );
+
+  if (!baseId || !compareId) {
+    return (
+      <div className="px-4 py-6 sm:px-0">
+        {back}
+        <div className="bg-white border border-gray-200 rounded-lg p-6 text-sm text-gray-600">
+          Pick two completed scans of the same website on the scans page to compare them.
+        </div>
+      </div>
+    );
+  }
+
+  if (baseQuery.isLoading || compareQuery.isLoading) {
+    return (
+      <div className="px-4 py-6 sm:px-0">
+        {back}
+        <div className="p-4 text-sm text-gray-600 flex items-center gap-2">
+          <Loader2 className="h-4 w-4 animate-spin" />
+          Loading scans…
+        </div>
+      </div>
+    );
+  }
+
+  const error = baseQuery.error || compareQuery.error;
+  if (error || !diff) {
+    return (
+      <div className="px-4 py-6 sm:px-0">
+        {back}
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700">
+          {error?.message || 'Failed to load scan results'}
+        </div>
+      </div>
+    );
+  }
+
+  const differentSites = base.url !== compare.url;
+  const unfinished = [base, compare].some((scan) => !scan.results);
+  const reversed = base.scanDate && compare.scanDate && new Date(base.scanDate) > new Date(compare.scanDate);
+
+  return (
+    <div className="px-4 py-6 sm:px-0 space-y-4">
+      {back}
+
+      <div className="bg-white border border-gray-200 rounded-lg p-6 space-y-6">
+        <div className="flex flex-wrap items-start justify-between gap-4">
+          <div>
+            <h3 className="text-xl font-semibold">Scan Comparison</h3>
+            <p className="text-sm text-gray-600">{compare.websiteName || compare.url}</p>
+            <p className="mt-1 text-sm text-gray-500">
+              <Link to={`/scans/${baseId}`} className="text-blue-600 hover:text-blue-800">{scanLabel(base)}</Link>
+              <span className="mx-2">→</span>
+              <Link to={`/scans/${compareId}`} className="text-blue-600 hover:text-blue-800">{scanLabel(compare)}</Link>
+            </p>
+          </div>
+          <button
+            onClick={handleSwap}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+          >
+            <ArrowLeftRight className="h-4 w-4 mr-1" />
+            Swap
+          </button>
+        </div>
+
+        {(differentSites || unfinished || reversed) && (
+          <div className="flex items-start gap-2 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+            <AlertTriangle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+            <span>
+              {differentSites && 'These scans are of different websites, so almost every issue will show as new or fixed. '}
+              {unfinished && 'One of the scans has not finished; its issues are treated as empty. '}
+              {reversed && 'The earlier scan is on the right: “new” and “fixed” are reversed. Use Swap to put them in order.'}
+            </span>
+          </div>
+        )}
+
+        {/* Summary */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <div className="p-4 bg-blue-50 rounded-lg text-center">
+            <div className="text-2xl font-bold text-blue-600">
+              {diff.score.compare ?? '—'}{diff.score.compare != null && '%'}
+            </div>
+            <div className="text-sm text-blue-700">
+              {formatTarget(target)} score <Delta value={diff.score.delta} higherIsBetter suffix=" pts" />
+            </div>
+            <div className="text-xs text-blue-700">was {diff.score.base ?? '—'}{diff.score.base != null && '%'}</div>
+          </div>
+          {Object.entries(VIEWS).map(([key, { label, className }]) => (
+            <button
+              key={key}
+              onClick={() => handleView(key)}
+              className={`p-4 rounded-lg text-center border ${view === key ? 'border-blue-500 bg-blue-50' : 'border-gray-200 bg-gray-50 hover:bg-gray-100'}`}
+              aria-pressed={view === key}
+            >
+              <div className={`text-2xl font-bold ${className}`}>{diff[key].length}</div>
+              <div className="text-sm text-gray-700">{label}</div>
+            </button>
+          ))}
+        </div>
+
+        {/* Changes per impact level, in affected elements */}
+        <div className="overflow-x-auto">
+          <table className="w-full text-left border border-gray-200 rounded-lg">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="p-3 border-b border-gray-200 font-medium text-gray-700">Impact</th>
+                <th className="p-3 border-b border-gray-200 font-medium text-gray-700">Before</th>
+                <th className="p-3 border-b border-gray-200 font-medium text-gray-700">After</th>
+                <th className="p-3 border-b border-gray-200 font-medium text-gray-700">Change</th>
+                <th className="p-3 border-b border-gray-200 font-medium text-gray-700">New</th>
+                <th className="p-3 border-b border-gray-200 font-medium text-gray-700">Fixed</th>
+              </tr>
+            </thead>
+            <tbody>
+              {IMPACTS.map((impact) => {
+                const counts = diff.byImpact[impact];
+                return (
+                  <tr key={impact}>
+                    <td className="p-3 border-b border-gray-200">
+                      <span className={`px-2 py-1 text-xs font-medium rounded-full ${impactClass(impact)}`}>{impact}</span>
+                    </td>
+                    <td className="p-3 border-b border-gray-200 text-sm">{counts.base}</td>
+                    <td className="p-3 border-b border-gray-200 text-sm">{counts.compare}</td>
+                    <td className="p-3 border-b border-gray-200 text-sm"><Delta value={counts.delta} /></td>
+                    <td className="p-3 border-b border-gray-200 text-sm text-red-700">{counts.added}</td>
+                    <td className="p-3 border-b border-gray-200 text-sm text-green-700">{counts.fixed}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <p className="mt-2 text-xs text-gray-500">
+            Counts are affected elements. An element is the same issue in both scans when its rule, page and markup match.
+          </p>
+        </div>
+
+        {/* Issues in the selected bucket */}
+        <div>
+          <h4 className="text-lg font-medium mb-2">
+            {VIEWS[view].label} ({plural(diff[view].length, 'element')} in {plural(groups.length, 'rule')})
+          </h4>
+          {groups.length > 0 ? (
+            <ul className="divide-y border border-gray-200 rounded-lg">
+              {groups.map((group) => {
+                const isExpanded = expanded === group.ruleId;
+                return (
+                  <li key={group.ruleId} className={isExpanded ? 'bg-gray-50' : ''}>
+                    <button
+                      onClick={() => setExpanded(isExpanded ? null : group.ruleId)}
+                      className="w-full p-4 flex items-start gap-3 text-left hover:bg-gray-50"
+                      aria-expanded={isExpanded}
+                    >
+                      {isExpanded
+                        ? <ChevronDown className="h-4 w-4 mt-1 text-gray-500 flex-shrink-0" />
+                        : <ChevronRight className="h-4 w-4 mt-1 text-gray-500 flex-shrink-0" />}
+                      <div className="min-w-0 flex-1">
+                        <div className="flex flex-wrap items-center gap-2">
+                          <span className="font-medium text-gray-900">{group.ruleId}</span>
+                          <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${impactClass(group.impact)}`}>{group.impact}</span>
+                        </div>
+                        <p className="mt-1 text-sm text-gray-600">{group.help}</p>
+                      </div>
+                      <div className="text-right text-sm text-gray-700 flex-shrink-0">
+                        {plural(group.elements.length, 'element')} on {plural(group.pageCount, 'page')}
+                      </div>
+                    </button>
+
+                    {isExpanded && (
+                      <div className="px-4 pb-4">
+                        <ViolationNodes
+                          nodes={group.elements.map((element) => element.node)}
+                          renderFooter={(node, index) => (
+                            <div className="text-xs text-gray-600 break-all">
+                              <span className="font-medium text-gray-700">Page:</span> {group.elements[index].pageUrl}
+                            </div>
+                          )}
+                        />
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          ) : (
+            <div className="text-center py-8 text-gray-600">{VIEWS[view].empty}</div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
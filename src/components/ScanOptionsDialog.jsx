@@ -0,0 +1,243 @@
+import React, { useEffect, useState } from 'react';
+import { X, Settings, ChevronDown, ChevronRight } from 'lucide-react';
+import { WCAG_VERSIONS, WCAG_LEVELS } from '../utils/wcag';
+import {
+  DEFAULT_SCAN_OPTIONS,
+  EXTRA_RULE_TAGS,
+  VIEWPORT_PRESETS,
+  validateScanOptions,
+} from '../utils/scanOptions';
+
+const inputClass = 'w-full rounded-md border border-gray-300 p-2 text-sm focus:border-blue-500 focus:ring-1 focus:ring-blue-500';
+
+// The form edits strings; lists are one entry per line
+const toForm = (options) => ({
+  ...options,
+  maxPages: String(options.maxPages),
+  maxDepth: String(options.maxDepth),
+  includePatterns: options.includePatterns.join('\n'),
+  excludePatterns: options.excludePatterns.join('\n'),
+  waitForSelectors: options.waitForSelectors.join('\n'),
+  viewportWidth: String(options.viewport.width),
+  viewportHeight: String(options.viewport.height),
+  requestsPerSecond: String(options.requestsPerSecond),
+  concurrency: String(options.concurrency),
+});
+
+const lines = (text) => text.split('\n').map((line) => line.trim()).filter(Boolean);
+
+const fromForm = (form) => ({
+  maxPages: Number(form.maxPages),
+  maxDepth: Number(form.maxDepth),
+  includePatterns: lines(form.includePatterns),
+  excludePatterns: lines(form.excludePatterns),
+  sitemapUrl: form.sitemapUrl.trim(),
+  wcagVersion: form.wcagVersion,
+  wcagLevel: form.wcagLevel,
+  extraTags: form.extraTags,
+  viewport: { width: Number(form.viewportWidth), height: Number(form.viewportHeight) },
+  waitForSelectors: lines(form.waitForSelectors),
+  requestsPerSecond: form.requestsPerSecond.trim() === '' ? 0 : Number(form.requestsPerSecond),
+  concurrency: Number(form.concurrency),
+});
+
+function Field({ label, hint, error, children, className = '' }) {
+  return (
+    <label className={`block text-sm ${className}`}>
+      <span className="font-medium text-gray-700">{label}</span>
+      <div className="mt-1">{children}</div>
+      {error ? <p className="mt-1 text-xs text-red-600">{error}</p> : hint && <p className="mt-1 text-xs text-gray-500">{hint}</p>}
+    </label>
+  );
+}
+
+// Scan settings for one website, opened from "Scan Now"
+export default function ScanOptionsDialog({ site, initialOptions, onStart, onClose }) {
+  const [form, setForm] = useState(() => toForm(initialOptions));
+  const [errors, setErrors] = useState({});
+  const [showAdvanced, setShowAdvanced] = useState(false);
+
+  useEffect(() => {
+    const onKey = (e) => { if (e.key === 'Escape') onClose(); };
+    document.addEventListener('keydown', onKey);
+    return () => document.removeEventListener('keydown', onKey);
+  }, [onClose]);
+
+  const update = (key, value) => setForm((prev) => ({ ...prev, [key]: value }));
+
+  const toggleTag = (tag) => setForm((prev) => ({
+    ...prev,
+    extraTags: prev.extraTags.includes(tag) ? prev.extraTags.filter((t) => t !== tag) : [...prev.extraTags, tag],
+  }));
+
+  const preset = Object.keys(VIEWPORT_PRESETS).find((key) => (
+    String(VIEWPORT_PRESETS[key].width) === form.viewportWidth && String(VIEWPORT_PRESETS[key].height) === form.viewportHeight
+  )) || 'custom';
+
+  const applyPreset = (key) => {
+    if (key === 'custom') return;
+    setForm((prev) => ({ ...prev, viewportWidth: String(VIEWPORT_PRESETS[key].width), viewportHeight: String(VIEWPORT_PRESETS[key].height) }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const options = fromForm(form);
+    const found = validateScanOptions(options);
+    setErrors(found);
+    if (Object.keys(found).length > 0) {
+      // Problems in the collapsed section would otherwise be invisible
+      if (['viewport', 'waitForSelectors', 'requestsPerSecond', 'concurrency'].some((key) => found[key])) setShowAdvanced(true);
+      return;
+    }
+    onStart(options);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white rounded-lg max-w-2xl w-full max-h-[95vh] overflow-hidden flex flex-col"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="scan-options-title"
+      >
+        <div className="p-6 border-b border-gray-200 flex items-start justify-between">
+          <div className="flex items-center space-x-3">
+            <Settings className="h-6 w-6 text-blue-600" />
+            <div>
+              <h2 id="scan-options-title" className="text-xl font-bold text-gray-900">Scan settings</h2>
+              <p className="text-sm text-gray-600 break-all">{site.name || site.url}</p>
+            </div>
+          </div>
+          <button type="button" onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg transition-colors" aria-label="Close">
+            <X className="h-5 w-5 text-gray-500" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          {/* Crawl */}
+          <fieldset className="space-y-4">
+            <legend className="text-sm font-semibold text-gray-900 mb-2">Crawl</legend>
+            <div className="grid grid-cols-2 gap-4">
+              <Field label="Max pages" error={errors.maxPages}>
+                <input type="number" min="1" className={inputClass} value={form.maxPages} onChange={(e) => update('maxPages', e.target.value)} />
+              </Field>
+              <Field label="Crawl depth" hint="Links followed from the start page" error={errors.maxDepth}>
+                <input type="number" min="0" className={inputClass} value={form.maxDepth} onChange={(e) => update('maxDepth', e.target.value)} />
+              </Field>
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <Field label="Include URLs" hint="One pattern per line, e.g. /blog/*. Empty means everything.">
+                <textarea rows={3} className={`${inputClass} font-mono`} value={form.includePatterns} onChange={(e) => update('includePatterns', e.target.value)} />
+              </Field>
+              <Field label="Exclude URLs" hint="One pattern per line, e.g. *.pdf or /admin/*">
+                <textarea rows={3} className={`${inputClass} font-mono`} value={form.excludePatterns} onChange={(e) => update('excludePatterns', e.target.value)} />
+              </Field>
+            </div>
+            <Field label="Sitemap URL" hint="Optional. Pages listed in the sitemap are scanned as well as crawled ones." error={errors.sitemapUrl}>
+              <input
+                type="url"
+                placeholder={`${site.url.replace(/\/+$/, '')}/sitemap.xml`}
+                className={inputClass}
+                value={form.sitemapUrl}
+                onChange={(e) => update('sitemapUrl', e.target.value)}
+              />
+            </Field>
+          </fieldset>
+
+          {/* Rules */}
+          <fieldset className="space-y-4">
+            <legend className="text-sm font-semibold text-gray-900 mb-2">Rules</legend>
+            <div className="grid grid-cols-2 gap-4">
+              <Field label="WCAG version">
+                <select className={inputClass} value={form.wcagVersion} onChange={(e) => update('wcagVersion', e.target.value)}>
+                  {WCAG_VERSIONS.map((version) => <option key={version} value={version}>WCAG {version}</option>)}
+                </select>
+              </Field>
+              <Field label="Up to level">
+                <select className={inputClass} value={form.wcagLevel} onChange={(e) => update('wcagLevel', e.target.value)}>
+                  {WCAG_LEVELS.map((level) => <option key={level} value={level}>{level}</option>)}
+                </select>
+              </Field>
+            </div>
+            <div className="space-y-2">
+              {EXTRA_RULE_TAGS.map(({ tag, label, description }) => (
+                <label key={tag} className="flex items-start gap-2 text-sm">
+                  <input type="checkbox" className="mt-0.5" checked={form.extraTags.includes(tag)} onChange={() => toggleTag(tag)} />
+                  <span>
+                    <span className="font-medium text-gray-700">{label}</span>
+                    <span className="text-gray-500"> — {description}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+          </fieldset>
+
+          {/* Browser and rate limiting */}
+          <div>
+            <button
+              type="button"
+              onClick={() => setShowAdvanced(!showAdvanced)}
+              className="inline-flex items-center text-sm font-semibold text-gray-900"
+              aria-expanded={showAdvanced}
+            >
+              {showAdvanced ? <ChevronDown className="h-4 w-4 mr-1" /> : <ChevronRight className="h-4 w-4 mr-1" />}
+              Browser and rate limiting
+            </button>
+            {showAdvanced && (
+              <div className="mt-4 space-y-4">
+                <div className="grid grid-cols-3 gap-4">
+                  <Field label="Viewport">
+                    <select className={inputClass} value={preset} onChange={(e) => applyPreset(e.target.value)}>
+                      {Object.entries(VIEWPORT_PRESETS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                      <option value="custom">Custom</option>
+                    </select>
+                  </Field>
+                  <Field label="Width (px)" error={errors.viewport}>
+                    <input type="number" className={inputClass} value={form.viewportWidth} onChange={(e) => update('viewportWidth', e.target.value)} />
+                  </Field>
+                  <Field label="Height (px)">
+                    <input type="number" className={inputClass} value={form.viewportHeight} onChange={(e) => update('viewportHeight', e.target.value)} />
+                  </Field>
+                </div>
+                <Field
+                  label="Wait for selectors"
+                  hint="One CSS selector per line. Each page is tested once these elements appear, for content rendered after load."
+                  error={errors.waitForSelectors}
+                >
+                  <textarea rows={2} className={`${inputClass} font-mono`} value={form.waitForSelectors} onChange={(e) => update('waitForSelectors', e.target.value)} />
+                </Field>
+                <div className="grid grid-cols-2 gap-4">
+                  <Field label="Requests per second" hint="0 for no limit" error={errors.requestsPerSecond}>
+                    <input type="number" min="0" step="0.5" className={inputClass} value={form.requestsPerSecond} onChange={(e) => update('requestsPerSecond', e.target.value)} />
+                  </Field>
+                  <Field label="Pages at a time" error={errors.concurrency}>
+                    <input type="number" min="1" className={inputClass} value={form.concurrency} onChange={(e) => update('concurrency', e.target.value)} />
+                  </Field>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="p-4 border-t border-gray-200 flex items-center justify-between">
+          <button
+            type="button"
+            onClick={() => { setForm(toForm({ ...DEFAULT_SCAN_OPTIONS, wcagVersion: form.wcagVersion, wcagLevel: form.wcagLevel })); setErrors({}); }}
+            className="text-sm text-gray-600 hover:text-gray-900"
+          >
+            Reset to defaults
+          </button>
+          <div className="flex gap-3">
+            <button type="button" onClick={onClose} className="px-4 py-2 border border-gray-300 text-sm text-gray-700 rounded-md hover:bg-gray-50">
+              Cancel
+            </button>
+            <button type="submit" className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700">
+              Start scan
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+}
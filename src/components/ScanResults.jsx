@@ -1,37 +1,74 @@
-import React, { useEffect, useState } from 'react';
-import { scanning, makeRequest } from '../utils/api';
+import React, { useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { ChevronDown, ChevronRight } from 'lucide-react';
+import ViolationNodes from './ViolationNodes';
+import ExportMenu from './ExportMenu';
+import { makeRequest } from '../utils/api';
+import queries from '../utils/queries';
+import useQuery from '../hooks/useQuery';
+import jobTracker from '../utils/jobs';
+import { useJob } from '../hooks/useJobs';
+import { isAbortError } from '../utils/httpClient';
+import { NetworkError, RateLimitError } from '../utils/errors';
+import { isFeatureEnabled } from '../utils/config';
+import { buildReportHtml, printReport } from '../utils/report';
+import { downloadFile, exportFilename } from '../utils/download';
+import { violationsToCsv, violationsToJson } from '../utils/exports';
+import { toSarifJson, toJunitXml } from '../utils/ciReports';
+import { flattenViolations, sortViolations } from '../utils/violations';
+import { conformanceScore, formatTarget } from '../utils/wcag';
+import { describeScanOptions, fromApiOptions } from '../utils/scanOptions';
+import useWcagTarget from '../hooks/useWcagTarget';
+
+// Status card text; payloads without a status are finished reports
+const describeStatus = (status) => {
+  if (!status || status === 'done' || status === 'completed') return { label: 'Complete', detail: 'Analysis finished' };
+  if (status === 'error' || status === 'failed') return { label: 'Failed', detail: 'The scan did not finish' };
+  if (status === 'running') return { label: 'Running', detail: 'Scan in progress' };
+  return { label: status.charAt(0).toUpperCase() + status.slice(1), detail: 'Waiting to start' };
+};
 
 const ScanResults = ({ scanId }) => {
-  const [loading, setLoading] = useState(true);
-  const [results, setResults] = useState(null);
-  const [error, setError] = useState(null);
+  // Cached per scan: revisiting a report is instant, and unmounting aborts the fetch
+  const { data: results, error: loadError, isLoading: loading } = useQuery(queries.scan(scanId), { enabled: !!scanId });
+
+  let error = null;
+  if (loadError instanceof NetworkError) {
+    error = 'Unable to reach the server. Check your connection and try again.';
+  } else if (loadError?.status === 404) {
+    error = 'This scan could not be found.';
+  } else if (loadError) {
+    error = 'Failed to load scan results';
+  }
   
   // Alt Text AI State
   const [showAltTextModal, setShowAltTextModal] = useState(false);
   const [altTextEstimate, setAltTextEstimate] = useState(null);
-  const [altTextJob, setAltTextJob] = useState(null);
+  const [altTextJobId, setAltTextJobId] = useState(null);
   const [altTextLoading, setAltTextLoading] = useState(false);
-  const [altTextResults, setAltTextResults] = useState(null);
 
+  // Row of the issues table whose affected elements are shown
+  const [expandedIssue, setExpandedIssue] = useState(null);
+  const [exportError, setExportError] = useState('');
+  const [showSettings, setShowSettings] = useState(false);
+  const [wcagTarget] = useWcagTarget();
+
+  // Progress comes from the job tracker, which keeps following the job if we leave
+  const trackedAltTextJob = useJob(altTextJobId);
+  const altTextJob = trackedAltTextJob && {
+    ...trackedAltTextJob.data,
+    status: trackedAltTextJob.status === 'running' ? 'processing' : trackedAltTextJob.status,
+    error: trackedAltTextJob.error,
+  };
+  const altTextResults = trackedAltTextJob?.result || null;
+
+  // Aborted on unmount so Alt Text AI requests and polling stop with the view
+  const abortRef = useRef(null);
   useEffect(() => {
-    const fetchResults = async () => {
-      try {
-        console.log(`🔍 Fetching results for scan ${scanId}`);
-        const data = await scanning.getScanResults(scanId);
-        console.log('📊 Received scan results:', data);
-        setResults(data);
-      } catch (err) {
-        console.error('❌ Error loading scan results:', err);
-        setError('Failed to load scan results');
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    if (scanId) {
-      fetchResults();
-    }
-  }, [scanId]);
+    const controller = new AbortController();
+    abortRef.current = controller;
+    return () => controller.abort();
+  }, []);
 
   // Alt Text AI Functions - FIXED to use makeRequest
   const handleGenerateAltText = async () => {
@@ -42,15 +79,19 @@ const ScanResults = ({ scanId }) => {
       // Get cost estimate using makeRequest
       const estimate = await makeRequest('/api/alt-text-ai/estimate', {
         method: 'POST',
-        body: JSON.stringify({ scan_id: scanId })
+        body: JSON.stringify({ scan_id: scanId }),
+        signal: abortRef.current?.signal
       });
 
       console.log('💰 Alt Text AI estimate:', estimate);
       setAltTextEstimate(estimate);
       setShowAltTextModal(true);
     } catch (error) {
+      if (isAbortError(error)) return;
       console.error('❌ Alt Text AI estimate failed:', error);
-      alert('Failed to get Alt Text AI estimate. Please try again.');
+      alert(error instanceof RateLimitError
+        ? 'Alt Text AI is busy right now. Please try again in a moment.'
+        : 'Failed to get Alt Text AI estimate. Please try again.');
     } finally {
       setAltTextLoading(false);
     }
@@ -63,69 +104,26 @@ const ScanResults = ({ scanId }) => {
 
       const job = await makeRequest('/api/alt-text-ai/jobs', {
         method: 'POST',
-        body: JSON.stringify({ scan_id: scanId })
+        body: JSON.stringify({ scan_id: scanId }),
+        signal: abortRef.current?.signal
       });
 
       console.log('✅ Alt Text AI job created:', job);
-      setAltTextJob(job);
       setShowAltTextModal(false);
-      
-      // Start polling for job completion
-      pollAltTextJob(job.jobId);
+
+      // Track it until completion (shows up in the jobs tray too)
+      setAltTextJobId(jobTracker.track('alt-text', { jobId: job.jobId, scanId: String(scanId) }).id);
     } catch (error) {
+      if (isAbortError(error)) return;
       console.error('❌ Alt Text AI job creation failed:', error);
-      alert('Failed to create Alt Text AI job. Please try again.');
+      alert(error instanceof RateLimitError
+        ? 'Alt Text AI is busy right now. Please try again in a moment.'
+        : 'Failed to create Alt Text AI job. Please try again.');
     } finally {
       setAltTextLoading(false);
     }
   };
 
-  const pollAltTextJob = async (jobId) => {
-    const maxAttempts = 30; // 1 minute max
-    let attempts = 0;
-
-    const poll = async () => {
-      try {
-        attempts++;
-        console.log(`🔄 Polling Alt Text AI job ${jobId} (attempt ${attempts})`);
-
-        const jobStatus = await makeRequest(`/api/alt-text-ai/jobs/${jobId}`);
-        console.log('📊 Alt Text AI job status:', jobStatus);
-
-        if (jobStatus.status === 'completed') {
-          console.log('🎉 Alt Text AI job completed!');
-          setAltTextResults(jobStatus.results);
-          setAltTextJob(jobStatus);
-          return;
-        }
-
-        if (jobStatus.status === 'failed') {
-          console.error('❌ Alt Text AI job failed');
-          alert('Alt Text AI processing failed. Please try again.');
-          return;
-        }
-
-        // Update job progress
-        setAltTextJob(jobStatus);
-
-        // Continue polling if not complete and under max attempts
-        if (attempts < maxAttempts) {
-          setTimeout(poll, 2000); // Poll every 2 seconds
-        } else {
-          console.error('⏰ Alt Text AI job polling timeout');
-          alert('Alt Text AI processing is taking longer than expected. Please check back later.');
-        }
-      } catch (error) {
-        console.error('❌ Alt Text AI job polling error:', error);
-        if (attempts < maxAttempts) {
-          setTimeout(poll, 2000); // Retry on error
-        }
-      }
-    };
-
-    poll();
-  };
-
   const handleLearnMore = () => {
     // Open learn more modal or navigate to documentation
     alert('Alt Text AI uses advanced computer vision to analyze images and generate descriptive, accessible alt text that helps screen readers provide better descriptions for visually impaired users.');
@@ -179,8 +177,12 @@ const ScanResults = ({ scanId }) => {
     totalViolations = 0,
     complianceScore = 0,
     pagesScanned = 0,
-    results: scanResults
+    status,
+    results: scanResults,
+    options: rawOptions
   } = results;
+  const scanStatus = describeStatus(status);
+  const scanOptions = fromApiOptions(rawOptions);
 
   // ✅ Parse the nested results object if it exists
   const {
@@ -190,6 +192,54 @@ const ScanResults = ({ scanId }) => {
     violations = totalViolations
   } = scanResults || {};
 
+  // Scored against the chosen target; the backend score is the fallback when nothing in it is testable
+  const targetScore = conformanceScore(pages, wcagTarget);
+  const score = targetScore.score ?? complianceScore;
+  const reportOptions = { standard: formatTarget(wcagTarget), score };
+
+  // Client/auditor report: standalone HTML, or the same document printed to PDF
+  const handleDownloadHtml = () => {
+    downloadFile(
+      buildReportHtml(results, reportOptions),
+      exportFilename(websiteName || url, 'accessibility-report', 'html'),
+      'text/html;charset=utf-8'
+    );
+  };
+
+  const handlePrintPdf = () => {
+    setExportError(printReport(results, reportOptions) ? '' : 'Your browser blocked the report window. Allow pop-ups for this site and try again.');
+  };
+
+  // Raw data: one row per affected element across every page
+  const exportIssues = (format) => {
+    const rows = sortViolations(flattenViolations(pages));
+    const subject = websiteName || url;
+    if (format === 'csv') {
+      downloadFile(violationsToCsv(rows), exportFilename(subject, 'issues', 'csv'), 'text/csv;charset=utf-8');
+    } else {
+      downloadFile(violationsToJson(rows, { scanId, url }), exportFilename(subject, 'issues', 'json'), 'application/json');
+    }
+  };
+
+  // CI formats: SARIF for GitHub code scanning, JUnit XML for test dashboards
+  const exportCi = (format) => {
+    const subject = websiteName || url;
+    if (format === 'sarif') {
+      downloadFile(toSarifJson(results), exportFilename(subject, 'accessibility', 'sarif'), 'application/sarif+json');
+    } else {
+      downloadFile(toJunitXml(results), exportFilename(subject, 'accessibility-junit', 'xml'), 'application/xml');
+    }
+  };
+
+  const exportOptions = [
+    { label: 'HTML report', description: 'Branded, standalone document', onSelect: handleDownloadHtml },
+    { label: 'PDF report', description: 'Print-optimized; save as PDF', onSelect: handlePrintPdf },
+    { label: 'Issues as CSV', description: 'One row per affected element', onSelect: () => exportIssues('csv') },
+    { label: 'Issues as JSON', description: 'One entry per affected element', onSelect: () => exportIssues('json') },
+    { label: 'SARIF 2.1.0', description: 'For GitHub code scanning', onSelect: () => exportCi('sarif') },
+    { label: 'JUnit XML', description: 'One test suite per page', onSelect: () => exportCi('junit') },
+  ];
+
   // ✅ Extract violations array from pages if available
   const allViolations = pages.reduce((acc, page) => {
     return acc.concat(page.violations || []);
@@ -199,7 +249,11 @@ const ScanResults = ({ scanId }) => {
     <div className="p-6 space-y-6">
       {/* Header */}
       <div className="border-b border-gray-200 pb-4">
-        <h2 className="text-2xl font-bold text-gray-900">Accessibility Scan Results</h2>
+        <div className="flex items-start justify-between gap-4">
+          <h2 className="text-2xl font-bold text-gray-900">Accessibility Scan Results</h2>
+          <ExportMenu options={exportOptions} />
+        </div>
+        {exportError && <p className="text-sm text-red-600 mt-2">{exportError}</p>}
         {websiteName && (
           <p className="text-gray-600 mt-1">
             <span className="font-medium">{websiteName}</span> • {url}
@@ -212,12 +266,41 @@ const ScanResults = ({ scanId }) => {
         )}
       </div>
 
+      {/* Settings the scan was started with */}
+      {scanOptions && (
+        <div className="border border-gray-200 rounded-lg">
+          <button
+            onClick={() => setShowSettings(!showSettings)}
+            className="w-full px-4 py-3 flex items-center text-left text-sm font-medium text-gray-700 hover:bg-gray-50"
+            aria-expanded={showSettings}
+          >
+            {showSettings ? <ChevronDown className="h-4 w-4 mr-2" /> : <ChevronRight className="h-4 w-4 mr-2" />}
+            Scan settings
+          </button>
+          {showSettings && (
+            <dl className="px-4 pb-4 grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2 text-sm">
+              {describeScanOptions(scanOptions).map(([label, value]) => (
+                <div key={label} className="flex gap-2">
+                  <dt className="w-24 flex-shrink-0 text-gray-500">{label}</dt>
+                  <dd className="text-gray-900 break-all">{value}</dd>
+                </div>
+              ))}
+            </dl>
+          )}
+        </div>
+      )}
+
       {/* Summary Cards */}
       <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
         <div className="bg-gradient-to-r from-blue-500 to-blue-600 text-white p-6 rounded-lg shadow">
           <h3 className="text-lg font-medium">Compliance Score</h3>
-          <p className="text-3xl font-bold mt-2">{complianceScore}%</p>
-          <p className="text-blue-100 text-sm mt-1">WCAG 2.1 AA</p>
+          <p className="text-3xl font-bold mt-2">{score}%</p>
+          <p className="text-blue-100 text-sm mt-1">
+            <Link to={`/scans/${scanId}/conformance`} className="hover:text-white underline">
+              {formatTarget(wcagTarget)}
+            </Link>
+            {targetScore.tested > 0 && ` · ${targetScore.passed} of ${targetScore.tested} tested criteria pass`}
+          </p>
         </div>
         
         <div className="bg-gradient-to-r from-green-500 to-green-600 text-white p-6 rounded-lg shadow">
@@ -234,8 +317,8 @@ const ScanResults = ({ scanId }) => {
 
         <div className="bg-gradient-to-r from-purple-500 to-purple-600 text-white p-6 rounded-lg shadow">
           <h3 className="text-lg font-medium">Status</h3>
-          <p className="text-2xl font-bold mt-2">Complete</p>
-          <p className="text-purple-100 text-sm mt-1">Analysis finished</p>
+          <p className="text-2xl font-bold mt-2">{scanStatus.label}</p>
+          <p className="text-purple-100 text-sm mt-1">{scanStatus.detail}</p>
         </div>
       </div>
 
@@ -276,46 +359,74 @@ const ScanResults = ({ scanId }) => {
                 </tr>
               </thead>
               <tbody>
-                {allViolations.slice(0, 10).map((violation, idx) => (
-                  <tr key={idx} className="hover:bg-gray-50">
-                    <td className="p-3 border-b border-gray-200">
-                      <span className="font-medium text-gray-900">{violation.id || 'Unknown Issue'}</span>
-                    </td>
-                    <td className="p-3 border-b border-gray-200">
-                      <span className={`px-2 py-1 text-xs font-medium rounded-full ${
-                        violation.impact === 'critical' ? 'bg-red-100 text-red-800' :
-                        violation.impact === 'serious' ? 'bg-orange-100 text-orange-800' :
-                        violation.impact === 'moderate' ? 'bg-yellow-100 text-yellow-800' :
-                        'bg-blue-100 text-blue-800'
-                      }`}>
-                        {violation.impact || 'minor'}
-                      </span>
-                    </td>
-                    <td className="p-3 border-b border-gray-200 text-gray-600">
-                      {violation.description || 'No description available'}
-                    </td>
-                    <td className="p-3 border-b border-gray-200">
-                      {violation.helpUrl ? (
-                        <a 
-                          href={violation.helpUrl} 
-                          target="_blank" 
-                          rel="noopener noreferrer"
-                          className="text-blue-600 hover:text-blue-800 text-sm"
-                        >
-                          Learn more →
-                        </a>
-                      ) : (
-                        <span className="text-gray-400 text-sm">No help available</span>
+                {allViolations.slice(0, 10).map((violation, idx) => {
+                  const isExpanded = expandedIssue === idx;
+                  return (
+                    <React.Fragment key={idx}>
+                      <tr className={isExpanded ? 'bg-gray-50' : 'hover:bg-gray-50'}>
+                        <td className="p-3 border-b border-gray-200">
+                          <button
+                            onClick={() => setExpandedIssue(isExpanded ? null : idx)}
+                            className="inline-flex items-center gap-1 text-left"
+                            aria-expanded={isExpanded}
+                          >
+                            {isExpanded ? <ChevronDown className="h-4 w-4 text-gray-500" /> : <ChevronRight className="h-4 w-4 text-gray-500" />}
+                            <span className="font-medium text-gray-900">{violation.id || 'Unknown Issue'}</span>
+                          </button>
+                          {violation.nodes?.length > 0 && (
+                            <div className="ml-5 text-xs text-gray-500">{violation.nodes.length} element{violation.nodes.length === 1 ? '' : 's'}</div>
+                          )}
+                        </td>
+                        <td className="p-3 border-b border-gray-200">
+                          <span className={`px-2 py-1 text-xs font-medium rounded-full ${
+                            violation.impact === 'critical' ? 'bg-red-100 text-red-800' :
+                            violation.impact === 'serious' ? 'bg-orange-100 text-orange-800' :
+                            violation.impact === 'moderate' ? 'bg-yellow-100 text-yellow-800' :
+                            'bg-blue-100 text-blue-800'
+                          }`}>
+                            {violation.impact || 'minor'}
+                          </span>
+                        </td>
+                        <td className="p-3 border-b border-gray-200 text-gray-600">
+                          {violation.description || 'No description available'}
+                        </td>
+                        <td className="p-3 border-b border-gray-200">
+                          {violation.helpUrl ? (
+                            <a 
+                              href={violation.helpUrl} 
+                              target="_blank" 
+                              rel="noopener noreferrer"
+                              className="text-blue-600 hover:text-blue-800 text-sm"
+                            >
+                              Learn more →
+                            </a>
+                          ) : (
+                            <span className="text-gray-400 text-sm">No help available</span>
+                          )}
+                        </td>
+                      </tr>
+                      {isExpanded && (
+                        <tr>
+                          <td colSpan={4} className="p-4 border-b border-gray-200 bg-gray-50">
+                            <ViolationNodes nodes={violation.nodes} />
+                          </td>
+                        </tr>
                       )}
-                    </td>
-                  </tr>
-                ))}
+                    </React.Fragment>
+                  );
+                })}
               </tbody>
             </table>
             
             {allViolations.length > 10 && (
               <p className="text-sm text-gray-500 mt-3">
-                Showing first 10 of {allViolations.length} issues. Full report available in detailed view.
+                Showing first 10 of {allViolations.length} issues.{' '}
+                <Link to={`/scans/${scanId}/violations`} className="text-blue-600 hover:text-blue-800">
+                  View all issues →
+                </Link>{' '}
+                <Link to={`/scans/${scanId}/rules`} className="text-blue-600 hover:text-blue-800">
+                  Group by rule →
+                </Link>
               </p>
             )}
           </div>
@@ -329,89 +440,91 @@ const ScanResults = ({ scanId }) => {
       </div>
 
       {/* Alt Text AI Section */}
-      <div className="bg-gradient-to-r from-purple-50 to-blue-50 border border-purple-200 rounded-lg p-6">
-        <div className="flex items-center space-x-3 mb-4">
-          <div className="p-2 bg-purple-100 rounded-lg">
-            <span className="text-purple-600 text-xl">🤖</span>
-          </div>
-          <div>
-            <h3 className="text-xl font-semibold text-gray-900">Alt Text AI</h3>
-            <p className="text-gray-600">AI-powered alt text generation for your images</p>
+      {isFeatureEnabled('altTextAI') && (
+        <div className="bg-gradient-to-r from-purple-50 to-blue-50 border border-purple-200 rounded-lg p-6">
+          <div className="flex items-center space-x-3 mb-4">
+            <div className="p-2 bg-purple-100 rounded-lg">
+              <span className="text-purple-600 text-xl">🤖</span>
+            </div>
+            <div>
+              <h3 className="text-xl font-semibold text-gray-900">Alt Text AI</h3>
+              <p className="text-gray-600">AI-powered alt text generation for your images</p>
+            </div>
           </div>
-        </div>
-        
-        {altTextJob ? (
-          <div className="space-y-4">
-            {altTextJob.status === 'processing' ? (
-              <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
-                <div className="flex items-center space-x-2 mb-2">
-                  <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
-                  <span className="font-medium text-blue-800">Processing Images...</span>
+          
+          {altTextJob ? (
+            <div className="space-y-4">
+              {altTextJob.status === 'processing' ? (
+                <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+                  <div className="flex items-center space-x-2 mb-2">
+                    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
+                    <span className="font-medium text-blue-800">Processing Images...</span>
+                  </div>
+                  <div className="w-full bg-blue-200 rounded-full h-2">
+                    <div 
+                      className="bg-blue-600 h-2 rounded-full transition-all duration-300" 
+                      style={{ width: `${altTextJob.progress || 0}%` }}
+                    ></div>
+                  </div>
+                  <p className="text-sm text-blue-700 mt-2">
+                    {altTextJob.processedImages || 0} of {altTextJob.totalImages || 0} images processed
+                  </p>
                 </div>
-                <div className="w-full bg-blue-200 rounded-full h-2">
-                  <div 
-                    className="bg-blue-600 h-2 rounded-full transition-all duration-300" 
-                    style={{ width: `${altTextJob.progress || 0}%` }}
-                  ></div>
+              ) : altTextJob.status === 'completed' && altTextResults ? (
+                <div className="bg-green-50 border border-green-200 rounded-lg p-4">
+                  <div className="flex items-center space-x-2 mb-3">
+                    <span className="text-green-600 text-lg">✅</span>
+                    <span className="font-medium text-green-800">Alt Text Generation Complete!</span>
+                  </div>
+                  <p className="text-green-700 mb-3">
+                    Generated alt text for {altTextResults.summary?.totalProcessed || 0} images
+                  </p>
+                  <button 
+                    onClick={() => setShowAltTextModal(true)}
+                    className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
+                  >
+                    View Suggestions
+                  </button>
                 </div>
-                <p className="text-sm text-blue-700 mt-2">
-                  {altTextJob.processedImages || 0} of {altTextJob.totalImages || 0} images processed
-                </p>
-              </div>
-            ) : altTextJob.status === 'completed' && altTextResults ? (
-              <div className="bg-green-50 border border-green-200 rounded-lg p-4">
-                <div className="flex items-center space-x-2 mb-3">
-                  <span className="text-green-600 text-lg">✅</span>
-                  <span className="font-medium text-green-800">Alt Text Generation Complete!</span>
+              ) : (
+                <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                  <span className="text-red-800">{altTextJob.error || 'Alt Text AI processing failed. Please try again.'}</span>
                 </div>
-                <p className="text-green-700 mb-3">
-                  Generated alt text for {altTextResults.summary?.totalProcessed || 0} images
-                </p>
+              )}
+            </div>
+          ) : (
+            <div className="space-y-4">
+              <p className="text-gray-700">
+                Automatically generate descriptive alt text for images on your website using advanced AI vision technology.
+              </p>
+              
+              <div className="flex space-x-3">
                 <button 
-                  onClick={() => setShowAltTextModal(true)}
-                  className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
+                  onClick={handleGenerateAltText}
+                  disabled={altTextLoading}
+                  className="px-6 py-3 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors font-medium"
                 >
-                  View Suggestions
+                  {altTextLoading ? (
+                    <span className="flex items-center space-x-2">
+                      <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+                      <span>Getting Estimate...</span>
+                    </span>
+                  ) : (
+                    'Generate AI Alt Text'
+                  )}
+                </button>
+                
+                <button 
+                  onClick={handleLearnMore}
+                  className="px-6 py-3 border border-purple-300 text-purple-700 rounded-lg hover:bg-purple-50 transition-colors font-medium"
+                >
+                  Learn More
                 </button>
               </div>
-            ) : (
-              <div className="bg-red-50 border border-red-200 rounded-lg p-4">
-                <span className="text-red-800">Alt Text AI processing failed. Please try again.</span>
-              </div>
-            )}
-          </div>
-        ) : (
-          <div className="space-y-4">
-            <p className="text-gray-700">
-              Automatically generate descriptive alt text for images on your website using advanced AI vision technology.
-            </p>
-            
-            <div className="flex space-x-3">
-              <button 
-                onClick={handleGenerateAltText}
-                disabled={altTextLoading}
-                className="px-6 py-3 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors font-medium"
-              >
-                {altTextLoading ? (
-                  <span className="flex items-center space-x-2">
-                    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
-                    <span>Getting Estimate...</span>
-                  </span>
-                ) : (
-                  'Generate AI Alt Text'
-                )}
-              </button>
-              
-              <button 
-                onClick={handleLearnMore}
-                className="px-6 py-3 border border-purple-300 text-purple-700 rounded-lg hover:bg-purple-50 transition-colors font-medium"
-              >
-                Learn More
-              </button>
             </div>
-          </div>
-        )}
-      </div>
+          )}
+        </div>
+      )}
 
       {/* Alt Text AI Estimate Modal */}
       {showAltTextModal && altTextEstimate && (
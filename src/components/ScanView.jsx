@@ -0,0 +1,128 @@
+import React, { useEffect, useState } from 'react';
+import { Routes, Route, Navigate, NavLink, useParams, useNavigate, useLocation } from 'react-router-dom';
+import { FileText, Brain, Image, List, Files, Layers, FileCheck, LayoutGrid } from 'lucide-react';
+import { scanning } from '../utils/api';
+import { isFeatureEnabled } from '../utils/config';
+import { isAbortError } from '../utils/httpClient';
+import ScanResults from './ScanResults';
+import AIAnalysis from './AIAnalysis';
+import AltTextAISection from './AltTextAISection';
+import ViolationsExplorer from './ViolationsExplorer';
+import PagesView from './PagesView';
+import RulesView from './RulesView';
+import VpatView from './VpatView';
+import ConformanceView from './ConformanceView';
+
+const linkClass = ({ isActive }) => `inline-flex items-center px-3 py-2 text-sm leading-4 font-medium rounded-md ${
+  isActive ? 'bg-blue-50 text-blue-700' : 'text-gray-600 hover:bg-gray-50'
+}`;
+
+// Alt Text AI for one scan; needs the scanned URL before a job can start
+function AltTextView({ scanId }) {
+  const [scanData, setScanData] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const controller = new AbortController();
+    scanning.getScanMeta(scanId, { signal: controller.signal })
+      .then(setScanData)
+      .catch((err) => {
+        if (!isAbortError(err)) setError(err.message || 'Failed to load scan');
+      });
+    return () => controller.abort();
+  }, [scanId]);
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700">{error}</div>
+    );
+  }
+
+  return <AltTextAISection scanId={scanId} scanData={scanData} defaultExpanded />;
+}
+
+// /scans/:scanId plus its sub-views: ai, violations, rules, pages, conformance, vpat and alt-text
+function ScanView() {
+  const { scanId } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  // The report sits behind the AI modal; other sub-views replace it
+  const showReport = !/\/(alt-text|violations|rules|pages|conformance|vpat)$/.test(location.pathname);
+
+  // Return to wherever the analysis was opened from (scan list, report, …)
+  const handleCloseAI = () => {
+    navigate(location.state?.from || `/scans/${scanId}`);
+  };
+
+  return (
+    <div className="px-4 py-6 sm:px-0">
+      <div className="mb-4 flex items-center justify-between">
+        <button
+          onClick={() => navigate('/scans')}
+          className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+        >
+          ← Back to Scan Results
+        </button>
+        <nav className="flex items-center space-x-2" aria-label="Scan views">
+          <NavLink to={`/scans/${scanId}`} end className={linkClass}>
+            <FileText className="h-4 w-4 mr-1" />
+            Report
+          </NavLink>
+          <NavLink to={`/scans/${scanId}/violations`} className={linkClass}>
+            <List className="h-4 w-4 mr-1" />
+            All Issues
+          </NavLink>
+          <NavLink to={`/scans/${scanId}/rules`} className={linkClass}>
+            <Layers className="h-4 w-4 mr-1" />
+            By Rule
+          </NavLink>
+          <NavLink to={`/scans/${scanId}/pages`} className={linkClass}>
+            <Files className="h-4 w-4 mr-1" />
+            Pages
+          </NavLink>
+          <NavLink to={`/scans/${scanId}/conformance`} className={linkClass}>
+            <LayoutGrid className="h-4 w-4 mr-1" />
+            WCAG
+          </NavLink>
+          <NavLink to={`/scans/${scanId}/vpat`} className={linkClass}>
+            <FileCheck className="h-4 w-4 mr-1" />
+            VPAT
+          </NavLink>
+          {isFeatureEnabled('aiAnalysis') && (
+            <NavLink to={`/scans/${scanId}/ai`} className={linkClass}>
+              <Brain className="h-4 w-4 mr-1" />
+              AI Analysis
+            </NavLink>
+          )}
+          {isFeatureEnabled('altTextAI') && (
+            <NavLink to={`/scans/${scanId}/alt-text`} className={linkClass}>
+              <Image className="h-4 w-4 mr-1" />
+              Alt Text AI
+            </NavLink>
+          )}
+        </nav>
+      </div>
+
+      {/* The report stays mounted under the AI modal so closing it doesn't refetch */}
+      {showReport && <ScanResults scanId={scanId} />}
+
+      <Routes>
+        <Route index element={null} />
+        <Route path="violations" element={<ViolationsExplorer scanId={scanId} />} />
+        <Route path="rules" element={<RulesView scanId={scanId} />} />
+        <Route path="pages" element={<PagesView scanId={scanId} />} />
+        <Route path="conformance" element={<ConformanceView scanId={scanId} />} />
+        <Route path="vpat" element={<VpatView key={scanId} scanId={scanId} />} />
+        {isFeatureEnabled('aiAnalysis') && (
+          <Route path="ai" element={<AIAnalysis scanId={scanId} onClose={handleCloseAI} />} />
+        )}
+        {isFeatureEnabled('altTextAI') && (
+          <Route path="alt-text" element={<AltTextView scanId={scanId} />} />
+        )}
+        <Route path="*" element={<Navigate to={`/scans/${scanId}`} replace />} />
+      </Routes>
+    </div>
+  );
+}
+
+export default ScanView;
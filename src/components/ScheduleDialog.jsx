@@ -0,0 +1,217 @@
+import React, { useEffect, useState } from 'react';
+import { X, CalendarClock, Loader2 } from 'lucide-react';
+import { dashboard } from '../utils/api';
+import { ValidationError } from '../utils/errors';
+import { loadScanOptions, toApiOptions } from '../utils/scanOptions';
+import {
+  FREQUENCIES,
+  WEEKDAYS,
+  MAX_DAY_OF_MONTH,
+  defaultSchedule,
+  fromApiSchedule,
+  toApiSchedule,
+  validateSchedule,
+  cronError,
+  nextRuns,
+  timeZones,
+  isValidTimeZone,
+} from '../utils/schedule';
+
+const inputClass = 'w-full rounded-md border border-gray-300 p-2 text-sm focus:border-blue-500 focus:ring-1 focus:ring-blue-500';
+
+// The API reports field errors in snake_case
+const FIELD_NAMES = { day_of_week: 'dayOfWeek', day_of_month: 'dayOfMonth' };
+
+function Field({ label, hint, error, children }) {
+  return (
+    <label className="block text-sm">
+      <span className="font-medium text-gray-700">{label}</span>
+      <div className="mt-1">{children}</div>
+      {error ? <p className="mt-1 text-xs text-red-600">{error}</p> : hint && <p className="mt-1 text-xs text-gray-500">{hint}</p>}
+    </label>
+  );
+}
+
+// Recurring scan schedule for one website. Scheduled scans run with the settings
+// the website was last scanned with.
+export default function ScheduleDialog({ site, onSaved, onClose }) {
+  const existing = fromApiSchedule(site.schedule);
+  const [form, setForm] = useState(() => existing || defaultSchedule());
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(null); // 'save' | 'remove' while a request is in flight
+  const [requestError, setRequestError] = useState('');
+  // Built once from the initial zone, so a saved zone the browser doesn't list stays selectable
+  const [zones] = useState(() => {
+    const all = timeZones();
+    return all.includes(form.timezone) ? all : [form.timezone, ...all];
+  });
+
+  useEffect(() => {
+    const onKey = (e) => { if (e.key === 'Escape' && !saving) onClose(); };
+    document.addEventListener('keydown', onKey);
+    return () => document.removeEventListener('keydown', onKey);
+  }, [onClose, saving]);
+
+  const update = (key, value) => setForm((prev) => ({ ...prev, [key]: value }));
+
+  const liveCronError = form.frequency === 'cron' ? cronError(form.cron) : null;
+  const preview = liveCronError ? [] : nextRuns({ ...form, paused: false }, { count: 3 });
+  // Same fallback as nextRuns: a zone this browser doesn't know previews in UTC
+  const previewZone = isValidTimeZone(form.timezone) ? form.timezone : 'UTC';
+  const fmtInZone = (date) => date.toLocaleString(undefined, {
+    timeZone: previewZone, weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit',
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const found = validateSchedule(form);
+    setErrors(found);
+    if (Object.keys(found).length > 0) return;
+
+    setSaving('save');
+    setRequestError('');
+    try {
+      const updated = await dashboard.saveSchedule(site.id, {
+        ...toApiSchedule(form),
+        options: toApiOptions(loadScanOptions(String(site.id))),
+      });
+      onSaved(updated);
+    } catch (err) {
+      if (err instanceof ValidationError && Object.keys(err.fieldErrors).length > 0) {
+        setErrors(Object.fromEntries(Object.entries(err.fieldErrors).map(([key, message]) => [FIELD_NAMES[key] || key, message])));
+      } else {
+        setRequestError(err.message || 'Failed to save schedule');
+      }
+      setSaving(null);
+    }
+  };
+
+  const handleRemove = async () => {
+    setSaving('remove');
+    setRequestError('');
+    try {
+      onSaved(await dashboard.deleteSchedule(site.id));
+    } catch (err) {
+      setRequestError(err.message || 'Failed to remove schedule');
+      setSaving(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white rounded-lg max-w-lg w-full max-h-[95vh] overflow-hidden flex flex-col"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="schedule-title"
+      >
+        <div className="p-6 border-b border-gray-200 flex items-start justify-between">
+          <div className="flex items-center space-x-3">
+            <CalendarClock className="h-6 w-6 text-blue-600" />
+            <div>
+              <h2 id="schedule-title" className="text-xl font-bold text-gray-900">Scan schedule</h2>
+              <p className="text-sm text-gray-600 break-all">{site.name || site.url}</p>
+            </div>
+          </div>
+          <button type="button" onClick={onClose} disabled={!!saving} className="p-2 hover:bg-gray-100 rounded-lg transition-colors" aria-label="Close">
+            <X className="h-5 w-5 text-gray-500" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-4">
+          {requestError && (
+            <div className="rounded-md border border-red-300 bg-red-50 p-3 text-sm text-red-700">{requestError}</div>
+          )}
+
+          <Field label="Repeat" error={errors.frequency}>
+            <select className={inputClass} value={form.frequency} onChange={(e) => update('frequency', e.target.value)}>
+              {Object.entries(FREQUENCIES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+          </Field>
+
+          {form.frequency === 'cron' ? (
+            <Field
+              label="Cron expression"
+              hint="minute hour day-of-month month day-of-week, e.g. 30 6 * * 1-5 for weekdays at 06:30"
+              error={errors.cron || liveCronError}
+            >
+              <input className={`${inputClass} font-mono`} value={form.cron} onChange={(e) => update('cron', e.target.value)} spellCheck={false} />
+            </Field>
+          ) : (
+            <div className="grid grid-cols-2 gap-4">
+              {form.frequency === 'weekly' && (
+                <Field label="On">
+                  <select className={inputClass} value={form.dayOfWeek} onChange={(e) => update('dayOfWeek', Number(e.target.value))}>
+                    {WEEKDAYS.map((day, index) => <option key={day} value={index}>{day}</option>)}
+                  </select>
+                </Field>
+              )}
+              {form.frequency === 'monthly' && (
+                <Field label="On day" error={errors.dayOfMonth}>
+                  <select className={inputClass} value={form.dayOfMonth} onChange={(e) => update('dayOfMonth', Number(e.target.value))}>
+                    {Array.from({ length: MAX_DAY_OF_MONTH }, (_, i) => i + 1).map((day) => <option key={day} value={day}>{day}</option>)}
+                  </select>
+                </Field>
+              )}
+              <Field label="At" error={errors.time}>
+                <input type="time" className={inputClass} value={form.time} onChange={(e) => update('time', e.target.value)} required />
+              </Field>
+            </div>
+          )}
+
+          <Field label="Time zone" error={errors.timezone}>
+            <select className={inputClass} value={form.timezone} onChange={(e) => update('timezone', e.target.value)}>
+              {zones.map((zone) => <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>)}
+            </select>
+          </Field>
+
+          <label className="flex items-start gap-2 text-sm">
+            <input type="checkbox" className="mt-0.5" checked={form.paused} onChange={(e) => update('paused', e.target.checked)} />
+            <span>
+              <span className="font-medium text-gray-700">Paused</span>
+              <span className="block text-gray-500">Keep the schedule but don't start any scans until it's resumed.</span>
+            </span>
+          </label>
+
+          <div className="rounded-md bg-gray-50 border border-gray-200 p-3 text-sm">
+            <div className="font-medium text-gray-700 mb-1">{form.paused ? 'Next runs once resumed' : 'Next runs'}</div>
+            {preview.length > 0 ? (
+              <ul className="space-y-0.5 text-gray-600">
+                {preview.map((run) => (
+                  <li key={run.getTime()}>
+                    {fmtInZone(run)}
+                    {previewZone !== Intl.DateTimeFormat().resolvedOptions().timeZone && (
+                      <span className="text-gray-400"> · {run.toLocaleString(undefined, { hour: '2-digit', minute: '2-digit', day: 'numeric', month: 'short' })} your time</span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-gray-500">{liveCronError ? 'Fix the expression to see when it runs.' : 'This schedule never runs.'}</p>
+            )}
+            <p className="mt-2 text-xs text-gray-500">Scans use this website's last scan settings.</p>
+          </div>
+        </div>
+
+        <div className="p-4 border-t border-gray-200 flex items-center justify-between">
+          {existing ? (
+            <button type="button" onClick={handleRemove} disabled={!!saving} className="text-sm text-red-600 hover:text-red-800 disabled:opacity-50 flex items-center gap-2">
+              {saving === 'remove' && <Loader2 className="h-4 w-4 animate-spin" />}
+              Remove schedule
+            </button>
+          ) : <span />}
+          <div className="flex gap-3">
+            <button type="button" onClick={onClose} disabled={!!saving} className="px-4 py-2 border border-gray-300 text-sm text-gray-700 rounded-md hover:bg-gray-50">
+              Cancel
+            </button>
+            <button type="submit" disabled={!!saving} className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2">
+              {saving === 'save' && <Loader2 className="h-4 w-4 animate-spin" />}
+              Save schedule
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+}
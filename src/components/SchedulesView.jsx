@@ -0,0 +1,217 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { CalendarClock, Loader2, AlertTriangle, Pause, Play, Pencil } from 'lucide-react';
+import queries, { setSchedulePaused } from '../utils/queries';
+import queryCache from '../utils/queryCache';
+import useQuery from '../hooks/useQuery';
+import { describeSchedule, formatRelative, fromApiSchedule, nextRuns } from '../utils/schedule';
+import ScheduleDialog from './ScheduleDialog';
+
+// How far ahead the upcoming list looks, and how many runs it shows at most
+const UPCOMING_DAYS = 7;
+const MAX_UPCOMING = 50;
+const REFRESH_MS = 60 * 1000;
+
+const dayLabel = (date) => date.toLocaleDateString(undefined, { weekday: 'long', day: 'numeric', month: 'long' });
+
+// /schedules — every website's scan schedule and the scans coming up across all of them
+export default function SchedulesView() {
+  const websitesQuery = useQuery(queries.websites);
+  const [editing, setEditing] = useState(null);
+  const [busyIds, setBusyIds] = useState(new Set());
+  const [error, setError] = useState('');
+  const [now, setNow] = useState(() => new Date());
+
+  // Keeps relative times current and picks up next-run times moved on by scheduled scans
+  useEffect(() => {
+    const timer = setInterval(() => {
+      setNow(new Date());
+      queryCache.invalidate(['websites']);
+    }, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const scheduled = (websitesQuery.data || [])
+    .filter((site) => site.schedule && site.status !== 'archived')
+    .map((site) => ({ site, schedule: fromApiSchedule(site.schedule) }));
+  const active = scheduled
+    .filter(({ schedule }) => !schedule.paused)
+    .sort((a, b) => (Date.parse(a.site.next_scan_at) || Infinity) - (Date.parse(b.site.next_scan_at) || Infinity));
+  const paused = scheduled.filter(({ schedule }) => schedule.paused);
+
+  const horizon = now.getTime() + UPCOMING_DAYS * 24 * 60 * 60 * 1000;
+  const upcoming = active
+    .flatMap(({ site, schedule }) => nextRuns(schedule, { from: now, count: MAX_UPCOMING })
+      .filter((run) => run.getTime() <= horizon)
+      .map((run) => ({ site, run })))
+    .sort((a, b) => a.run - b.run)
+    .slice(0, MAX_UPCOMING);
+  const upcomingByDay = upcoming.reduce((groups, item) => {
+    const label = dayLabel(item.run);
+    const group = groups.find((g) => g.label === label);
+    if (group) group.items.push(item); else groups.push({ label, items: [item] });
+    return groups;
+  }, []);
+
+  const setBusy = (id, busy) => setBusyIds((prev) => {
+    const next = new Set(prev);
+    if (busy) next.add(id); else next.delete(id);
+    return next;
+  });
+
+  const replaceSite = (updated) => queryCache.setData(queries.websites.key, (prev = []) => (
+    prev.map((site) => (String(site.id) === String(updated.id) ? { ...site, ...updated } : site))
+  ));
+
+  const handleTogglePause = async (site) => {
+    const id = String(site.id);
+    const pause = !site.schedule.paused;
+    setError('');
+    setBusy(id, true);
+    try {
+      await setSchedulePaused(site, pause);
+    } catch (err) {
+      setError(err.message || `Failed to ${pause ? 'pause' : 'resume'} schedule`);
+    } finally {
+      setBusy(id, false);
+    }
+  };
+
+  const handleSaved = (updated) => {
+    setEditing(null);
+    if (updated?.id) replaceSite(updated);
+    queryCache.invalidate(['websites']);
+  };
+
+  if (websitesQuery.isLoading) {
+    return (
+      <div className="p-4 text-sm text-gray-600 flex items-center gap-2">
+        <Loader2 className="h-4 w-4 animate-spin" />
+        Loading schedules…
+      </div>
+    );
+  }
+
+  const scheduleRow = ({ site, schedule }) => {
+    const id = String(site.id);
+    const busy = busyIds.has(id);
+    return (
+      <tr key={id} className="border-t">
+        <td className="py-3 pr-4">
+          <Link to={`/websites/${id}`} className="font-medium text-gray-900 hover:text-blue-600">{site.name || site.url}</Link>
+          <div className="text-xs text-gray-500 break-all">{site.url}</div>
+        </td>
+        <td className="py-3 pr-4 text-gray-700">{describeSchedule(schedule)}</td>
+        <td className="py-3 pr-4 text-gray-700 whitespace-nowrap">
+          {schedule.paused ? (
+            <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-gray-200 text-gray-700">Paused</span>
+          ) : site.next_scan_at ? (
+            <>
+              {new Date(site.next_scan_at).toLocaleString()}
+              <div className="text-xs text-gray-500">{formatRelative(site.next_scan_at, now)}</div>
+            </>
+          ) : '—'}
+        </td>
+        <td className="py-3 text-right whitespace-nowrap">
+          <button
+            onClick={() => handleTogglePause(site)}
+            disabled={busy}
+            className="inline-flex items-center gap-1 px-2 py-1 text-sm text-gray-600 hover:text-gray-900 disabled:opacity-40"
+          >
+            {busy ? <Loader2 className="h-4 w-4 animate-spin" /> : schedule.paused ? <Play className="h-4 w-4" /> : <Pause className="h-4 w-4" />}
+            {schedule.paused ? 'Resume' : 'Pause'}
+          </button>
+          <button
+            onClick={() => setEditing(site)}
+            disabled={busy}
+            className="inline-flex items-center gap-1 px-2 py-1 text-sm text-gray-600 hover:text-gray-900 disabled:opacity-40"
+          >
+            <Pencil className="h-4 w-4" />
+            Edit
+          </button>
+        </td>
+      </tr>
+    );
+  };
+
+  return (
+    <div className="px-4 py-6 sm:px-0 space-y-6">
+      {(error || websitesQuery.error) && (
+        <div className="rounded-md border border-red-300 bg-red-50 p-3 text-sm text-red-700 flex items-start gap-2">
+          <AlertTriangle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+          <span>{error || websitesQuery.error.message || 'Failed to load schedules'}</span>
+        </div>
+      )}
+
+      {scheduled.length === 0 ? (
+        <div className="bg-white shadow rounded-lg text-center py-12 text-gray-500">
+          <CalendarClock className="h-8 w-8 mx-auto mb-3 text-gray-400" />
+          <div className="text-lg font-medium mb-2">No scheduled scans</div>
+          <div className="text-sm">
+            Use the calendar button on a card under <Link to="/websites" className="text-blue-600 hover:underline">Websites</Link> to scan it automatically
+          </div>
+        </div>
+      ) : (
+        <>
+          <div className="bg-white shadow rounded-lg p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-1">Upcoming scans</h3>
+            <p className="text-sm text-gray-500 mb-4">The next {UPCOMING_DAYS} days, in your time zone.</p>
+            {upcomingByDay.length > 0 ? (
+              <div className="space-y-4">
+                {upcomingByDay.map(({ label, items }) => (
+                  <div key={label}>
+                    <div className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-1">{label}</div>
+                    <ul className="divide-y border rounded-md">
+                      {items.map(({ site, run }) => (
+                        <li key={`${site.id}-${run.getTime()}`} className="px-3 py-2 flex items-center gap-4 text-sm">
+                          <span className="w-16 font-mono text-gray-700">
+                            {run.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}
+                          </span>
+                          <Link to={`/websites/${site.id}`} className="flex-1 min-w-0 truncate text-gray-900 hover:text-blue-600">
+                            {site.name || site.url}
+                          </Link>
+                          <span className="text-xs text-gray-500">{formatRelative(run, now)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+                {upcoming.length === MAX_UPCOMING && (
+                  <p className="text-xs text-gray-500">Showing the first {MAX_UPCOMING} runs.</p>
+                )}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">
+                {active.length > 0 ? `Nothing runs in the next ${UPCOMING_DAYS} days.` : 'Every schedule is paused.'}
+              </p>
+            )}
+          </div>
+
+          <div className="bg-white shadow rounded-lg p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Schedules</h3>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left">
+                <thead>
+                  <tr className="text-xs uppercase tracking-wide text-gray-500">
+                    <th className="pb-2 pr-4 font-medium">Website</th>
+                    <th className="pb-2 pr-4 font-medium">Schedule</th>
+                    <th className="pb-2 pr-4 font-medium">Next scan</th>
+                    <th className="pb-2" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {active.map(scheduleRow)}
+                  {paused.map(scheduleRow)}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+
+      {editing && (
+        <ScheduleDialog site={editing} onSaved={handleSaved} onClose={() => setEditing(null)} />
+      )}
+    </div>
+  );
+}
@@ -17,15 +17,32 @@ import {
   Zap
 } from 'lucide-react';
 import altTextAIService from '../services/altTextAIService.js';
+import ExportMenu from './ExportMenu';
+import { downloadFile, exportFilename } from '../utils/download';
+import { suggestionsToCsv, suggestionsToJson } from '../utils/exports';
+
+const CONFIDENCE_FILTERS = ['all', 'high', 'medium', 'low'];
+
+const confidenceLevel = (confidence) => {
+  if (confidence >= 0.8) return 'high';
+  if (confidence >= 0.6) return 'medium';
+  return 'low';
+};
 
 const SuggestionViewer = ({ jobResults, onSuggestionSelect }) => {
   const [selectedSuggestions, setSelectedSuggestions] = useState(new Map());
   const [expandedImages, setExpandedImages] = useState(new Set());
   const [customAltText, setCustomAltText] = useState(new Map());
   const [feedback, setFeedback] = useState(new Map());
+  const [confidenceFilter, setConfidenceFilter] = useState('all');
+
+  const allSuggestions = jobResults?.suggestions || [];
+  const visibleSuggestions = confidenceFilter === 'all'
+    ? allSuggestions
+    : allSuggestions.filter(suggestion => confidenceLevel(suggestion.confidence) === confidenceFilter);
 
   // Group suggestions by image
-  const imageGroups = jobResults?.suggestions?.reduce((groups, suggestion) => {
+  const imageGroups = visibleSuggestions.reduce((groups, suggestion) => {
     const imageUrl = suggestion.imageUrl;
     if (!groups[imageUrl]) {
       groups[imageUrl] = {
@@ -36,7 +53,8 @@ const SuggestionViewer = ({ jobResults, onSuggestionSelect }) => {
     }
     groups[imageUrl].suggestions.push(suggestion);
     return groups;
-  }, {}) || {};
+  }, {});
+  const imageCount = new Set(allSuggestions.map(suggestion => suggestion.imageUrl)).size;
 
   const handleSuggestionSelect = async (imageUrl, suggestionId, altText) => {
     try {
@@ -77,6 +95,24 @@ const SuggestionViewer = ({ jobResults, onSuggestionSelect }) => {
     }
   };
 
+  // Exports what is on screen: the current confidence filter plus any selections
+  const exportSuggestions = (format) => {
+    const subject = jobResults.websiteUrl || jobResults.jobId;
+    if (format === 'csv') {
+      downloadFile(
+        suggestionsToCsv(visibleSuggestions, selectedSuggestions),
+        exportFilename(subject, 'alt-text', 'csv'),
+        'text/csv;charset=utf-8'
+      );
+    } else {
+      downloadFile(
+        suggestionsToJson(visibleSuggestions, selectedSuggestions, { jobId: jobResults.jobId, filters: { confidence: confidenceFilter } }),
+        exportFilename(subject, 'alt-text', 'json'),
+        'application/json'
+      );
+    }
+  };
+
   const toggleImageExpanded = (imageUrl) => {
     setExpandedImages(prev => {
       const newSet = new Set(prev);
@@ -144,17 +180,53 @@ const SuggestionViewer = ({ jobResults, onSuggestionSelect }) => {
         <div>
           <h3 className="text-lg font-semibold text-gray-900">Alt Text Suggestions</h3>
           <p className="text-sm text-gray-600">
-            {Object.keys(imageGroups).length} images with {jobResults.suggestions.length} suggestions
+            {imageCount} images with {jobResults.suggestions.length} suggestions
           </p>
         </div>
-        <div className="flex items-center space-x-2 text-sm text-gray-600">
-          <CheckCircle className="w-4 h-4 text-green-500" />
-          <span>{selectedSuggestions.size} selected</span>
+        <div className="flex items-center space-x-4">
+          <div className="flex items-center space-x-2 text-sm text-gray-600">
+            <CheckCircle className="w-4 h-4 text-green-500" />
+            <span>{selectedSuggestions.size} selected</span>
+          </div>
+          <ExportMenu
+            disabled={visibleSuggestions.length === 0}
+            options={[
+              { label: 'CSV', description: 'One row per suggestion', onSelect: () => exportSuggestions('csv') },
+              { label: 'JSON', description: 'One entry per suggestion', onSelect: () => exportSuggestions('json') },
+            ]}
+          />
         </div>
       </div>
 
+      {/* Confidence Filter */}
+      <div className="flex items-center space-x-2" role="group" aria-label="Filter by confidence">
+        <span className="text-sm text-gray-600">Confidence:</span>
+        {CONFIDENCE_FILTERS.map(level => (
+          <button
+            key={level}
+            onClick={() => setConfidenceFilter(level)}
+            aria-pressed={confidenceFilter === level}
+            className={`px-3 py-1 text-xs font-medium rounded-full border capitalize transition-colors ${
+              confidenceFilter === level
+                ? 'border-purple-300 bg-purple-50 text-purple-700'
+                : 'border-gray-300 text-gray-600 hover:bg-gray-50'
+            }`}
+          >
+            {level}
+          </button>
+        ))}
+        {confidenceFilter !== 'all' && (
+          <span className="text-sm text-gray-500">
+            {visibleSuggestions.length} of {allSuggestions.length} suggestions
+          </span>
+        )}
+      </div>
+
       {/* Image Groups */}
       <div className="space-y-4">
+        {visibleSuggestions.length === 0 && (
+          <p className="text-center py-6 text-sm text-gray-600">No suggestions match this confidence level.</p>
+        )}
         {Object.values(imageGroups).map((group, index) => {
           const isExpanded = expandedImages.has(group.imageUrl);
           const selectedSuggestion = selectedSuggestions.get(group.imageUrl);
@@ -375,13 +447,13 @@ const SuggestionViewer = ({ jobResults, onSuggestionSelect }) => {
           <div>
             <h4 className="font-medium text-gray-900">Selection Summary</h4>
             <p className="text-sm text-gray-600">
-              {selectedSuggestions.size} of {Object.keys(imageGroups).length} images have alt text selected
+              {selectedSuggestions.size} of {imageCount} images have alt text selected
             </p>
           </div>
           
           <div className="text-right">
             <div className="text-2xl font-bold text-purple-600">
-              {Math.round((selectedSuggestions.size / Object.keys(imageGroups).length) * 100) || 0}%
+              {Math.round((selectedSuggestions.size / imageCount) * 100) || 0}%
             </div>
             <div className="text-sm text-gray-600">Complete</div>
           </div>
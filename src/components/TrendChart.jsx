@@ -0,0 +1,167 @@
+import React from 'react';
+import { niceMax } from '../utils/trends';
+
+const WIDTH = 600;
+const PADDING = { top: 12, right: 12, bottom: 28, left: 40 };
+const MAX_X_LABELS = 6;
+
+/**
+ * Small SVG chart for values over time: lines, or bars stacked by series.
+ * Points are evenly spaced in order; null values leave a gap in a line.
+ * Hovering a point shows its values; `onSelect` makes points buttons (click, Enter or
+ * Space) named `selectLabel` plus the point's values.
+ * The same data is available to screen readers as a table.
+ *
+ * points: `[{ key, label, title, values: { [seriesKey]: number|null } }]`
+ * series: `[{ key, label, color }]`
+ */
+export default function TrendChart({
+  points,
+  series,
+  type = 'line',
+  height = 200,
+  yMax,
+  unit = '',
+  ariaLabel,
+  onSelect,
+  selectLabel = 'Open',
+}) {
+  if (points.length === 0) {
+    return <p className="text-sm text-gray-500">No data yet.</p>;
+  }
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  const band = plotWidth / points.length;
+  const totals = points.map((point) => (type === 'stacked'
+    ? series.reduce((sum, s) => sum + (point.values[s.key] || 0), 0)
+    : Math.max(0, ...series.map((s) => point.values[s.key] ?? 0))));
+  const max = yMax ?? niceMax(Math.max(...totals));
+  const x = (index) => PADDING.left + band * (index + 0.5);
+  const y = (value) => PADDING.top + plotHeight - (Math.min(value, max) / max) * plotHeight;
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map((f) => Math.round(max * f * 100) / 100);
+  const labelEvery = Math.ceil(points.length / MAX_X_LABELS);
+  const format = (value) => (value == null ? '—' : `${value}${unit}`);
+  const describe = (point) => [point.title || point.label, ...series.map((s) => `${s.label}: ${format(point.values[s.key])}`)];
+  const tooltip = (point) => describe(point).join('\n');
+  const handleKeyDown = (point) => (e) => {
+    if (e.key !== 'Enter' && e.key !== ' ') return;
+    e.preventDefault();
+    onSelect(point);
+  };
+
+  // Consecutive non-null values of a series, so gaps break the line
+  const segments = (key) => points.reduce((runs, point, index) => {
+    const value = point.values[key];
+    if (value == null) {
+      runs.push([]);
+    } else {
+      runs[runs.length - 1].push(`${x(index)},${y(value)}`);
+    }
+    return runs;
+  }, [[]]).filter((run) => run.length > 0);
+
+  return (
+    <div>
+      {/* an image can't contain buttons, so a selectable chart is a group */}
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full h-auto" role={onSelect ? 'group' : 'img'} aria-label={ariaLabel}>
+        {ticks.map((tick) => (
+          <g key={tick}>
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(tick)} y2={y(tick)} stroke="#e5e7eb" />
+            <text x={PADDING.left - 6} y={y(tick)} textAnchor="end" dominantBaseline="middle" fontSize="11" fill="#6b7280">
+              {tick}{unit}
+            </text>
+          </g>
+        ))}
+
+        {points.map((point, index) => (index % labelEvery === 0 || index === points.length - 1) && (
+          <text key={point.key} x={x(index)} y={height - 8} textAnchor="middle" fontSize="11" fill="#6b7280">
+            {point.label}
+          </text>
+        ))}
+
+        {type === 'stacked' && points.map((point, index) => {
+          let base = 0;
+          const barWidth = Math.min(40, band * 0.6);
+          return (
+            <g key={point.key}>
+              {series.map((s) => {
+                const value = point.values[s.key] || 0;
+                const top = y(base + value);
+                const rect = (
+                  <rect key={s.key} x={x(index) - barWidth / 2} y={top} width={barWidth} height={y(base) - top} fill={s.color} />
+                );
+                base += value;
+                return rect;
+              })}
+            </g>
+          );
+        })}
+
+        {type === 'line' && series.map((s) => (
+          <g key={s.key}>
+            {segments(s.key).map((run) => (
+              <polyline key={run[0]} points={run.join(' ')} fill="none" stroke={s.color} strokeWidth="2" strokeLinejoin="round" />
+            ))}
+            {points.map((point, index) => point.values[s.key] != null && (
+              <circle key={point.key} cx={x(index)} cy={y(point.values[s.key])} r="3.5" fill="white" stroke={s.color} strokeWidth="2" />
+            ))}
+          </g>
+        ))}
+
+        {/* Hover, click and focus targets span the whole column */}
+        {points.map((point, index) => (
+          <rect
+            key={point.key}
+            x={x(index) - band / 2}
+            y={PADDING.top}
+            width={band}
+            height={plotHeight}
+            fill="transparent"
+            className={onSelect
+              ? 'cursor-pointer hover:fill-gray-500/10 focus:outline-none focus-visible:fill-blue-500/10 focus-visible:stroke-blue-600'
+              : 'hover:fill-gray-500/10'}
+            {...(onSelect && {
+              role: 'button',
+              tabIndex: 0,
+              'aria-label': `${selectLabel} ${describe(point).join(', ')}`,
+              onClick: () => onSelect(point),
+              onKeyDown: handleKeyDown(point),
+            })}
+          >
+            <title>{tooltip(point)}</title>
+          </rect>
+        ))}
+      </svg>
+
+      {series.length > 1 && (
+        <div className="mt-2 flex flex-wrap gap-4 text-xs text-gray-600">
+          {series.map((s) => (
+            <span key={s.key} className="inline-flex items-center gap-1">
+              <span className="inline-block h-2.5 w-2.5 rounded-sm" style={{ backgroundColor: s.color }} />
+              {s.label}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <table className="sr-only">
+        <caption>{ariaLabel}</caption>
+        <thead>
+          <tr>
+            <th scope="col">Date</th>
+            {series.map((s) => <th key={s.key} scope="col">{s.label}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {points.map((point) => (
+            <tr key={point.key}>
+              <th scope="row">{point.title || point.label}</th>
+              {series.map((s) => <td key={s.key}>{format(point.values[s.key])}</td>)}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { Copy, Check } from 'lucide-react';
+import { formatSelector } from '../utils/violations';
+
+// Minimal HTML tokenizer for snippet highlighting: tags, attribute names and values
+const TOKEN_PATTERN = /(<\/?)([\w:-]+)|([\w:-]+)(=)("[^"]*"|'[^']*'|[^\s>]+)|(\/?>)/g;
+
+const highlightHtml = (html) => {
+  const parts = [];
+  let last = 0;
+  let match;
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(html)) !== null) {
+    if (match.index > last) parts.push({ type: 'text', text: html.slice(last, match.index) });
+    if (match[2]) {
+      parts.push({ type: 'punct', text: match[1] }, { type: 'tag', text: match[2] });
+    } else if (match[3]) {
+      parts.push({ type: 'attr', text: match[3] }, { type: 'punct', text: match[4] }, { type: 'value', text: match[5] });
+    } else {
+      parts.push({ type: 'punct', text: match[6] });
+    }
+    last = TOKEN_PATTERN.lastIndex;
+  }
+  if (last < html.length) parts.push({ type: 'text', text: html.slice(last) });
+  return parts;
+};
+
+const TOKEN_CLASS = {
+  tag: 'text-pink-400',
+  attr: 'text-sky-300',
+  value: 'text-amber-300',
+  punct: 'text-gray-400',
+  text: 'text-gray-100',
+};
+
+const CHECK_GROUPS = [
+  { key: 'any', label: 'Fix any of the following' },
+  { key: 'all', label: 'Fix all of the following' },
+  { key: 'none', label: 'Fix all of the following (must not be present)' },
+];
+
+function CopyButton({ text, label }) {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (error) {
+      console.error('Failed to copy to clipboard:', error);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleCopy}
+      className="inline-flex items-center gap-1 px-2 py-1 text-xs rounded border border-gray-300 text-gray-600 hover:bg-gray-50"
+      title={label}
+      aria-label={label}
+    >
+      {copied ? <Check className="h-3 w-3 text-green-600" /> : <Copy className="h-3 w-3" />}
+      {copied ? 'Copied' : 'Copy'}
+    </button>
+  );
+}
+
+// Every affected element of one violation: markup, selector, failure summary and checks
+export default function ViolationNodes({ nodes = [], renderFooter }) {
+  if (nodes.length === 0) {
+    return <p className="text-sm text-gray-500">No element details were reported for this issue.</p>;
+  }
+
+  return (
+    <ol className="space-y-4">
+      {nodes.map((node, index) => {
+        const selector = formatSelector(node.target);
+        return (
+          <li key={`${selector}-${index}`} className="border border-gray-200 rounded-lg p-4 bg-white space-y-3">
+            <div className="text-xs font-medium text-gray-500 uppercase tracking-wide">
+              Element {index + 1} of {nodes.length}
+            </div>
+
+            {selector && (
+              <div className="flex items-center gap-2">
+                <code className="flex-1 min-w-0 px-2 py-1 text-sm bg-gray-100 text-gray-800 rounded break-all">{selector}</code>
+                <CopyButton text={selector} label="Copy CSS selector" />
+              </div>
+            )}
+
+            {node.html && (
+              <pre className="p-3 text-xs bg-gray-900 rounded-md overflow-x-auto whitespace-pre-wrap break-all">
+                <code>
+                  {highlightHtml(node.html).map((part, i) => (
+                    <span key={i} className={TOKEN_CLASS[part.type]}>{part.text}</span>
+                  ))}
+                </code>
+              </pre>
+            )}
+
+            {node.failureSummary && (
+              <div>
+                <div className="text-xs font-medium text-gray-700 mb-1">Failure summary</div>
+                <p className="text-sm text-gray-600 whitespace-pre-wrap">{node.failureSummary}</p>
+              </div>
+            )}
+
+            {CHECK_GROUPS.filter(({ key }) => node[key]?.length).map(({ key, label }) => (
+              <div key={key}>
+                <div className="text-xs font-medium text-gray-700 mb-1">
+                  <span className="font-mono uppercase mr-1">{key}</span>— {label}
+                </div>
+                <ul className="space-y-1">
+                  {node[key].map((check, i) => (
+                    <li key={`${check.id}-${i}`} className="text-sm text-gray-600 flex gap-2">
+                      <code className="text-xs text-gray-500 flex-shrink-0">{check.id}</code>
+                      <span>
+                        {check.message}
+                        {check.relatedNodes?.length > 0 && (
+                          <span className="text-gray-400"> ({check.relatedNodes.length} related element{check.relatedNodes.length === 1 ? '' : 's'})</span>
+                        )}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+
+            {renderFooter?.(node, index)}
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
@@ -0,0 +1,316 @@
+import React, { useMemo, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Search, ArrowUpDown, ChevronUp, ChevronDown, ChevronLeft, ChevronRight, X, Loader2 } from 'lucide-react';
+import ViolationNodes from './ViolationNodes';
+import ExportMenu from './ExportMenu';
+import queries from '../utils/queries';
+import useQuery from '../hooks/useQuery';
+import { downloadFile, exportFilename } from '../utils/download';
+import { violationsToCsv, violationsToJson } from '../utils/exports';
+import {
+  IMPACTS,
+  flattenViolations,
+  facetsFor,
+  filterViolations,
+  sortViolations,
+  paginate,
+  formatTag,
+  impactClass,
+  readExplorerParams,
+  PAGE_SIZES,
+} from '../utils/violations';
+
+const selectClass = 'rounded-md border border-gray-300 p-2 text-sm focus:border-blue-500 focus:ring-1 focus:ring-blue-500';
+
+// /scans/:scanId/violations — every violation on every page; filters live in the URL
+export default function ViolationsExplorer({ scanId }) {
+  const { data, error, isLoading } = useQuery(queries.scan(scanId), { enabled: !!scanId });
+  const [params, setParams] = useSearchParams();
+  const { filters, sort, page, pageSize } = useMemo(() => readExplorerParams(params), [params]);
+
+  const rows = useMemo(() => flattenViolations(data?.results?.pages), [data]);
+  const facets = useMemo(() => facetsFor(rows), [rows]);
+  const filtered = useMemo(() => sortViolations(filterViolations(rows, filters), sort), [rows, filters, sort]);
+  const current = paginate(filtered, page, pageSize);
+  const [expanded, setExpanded] = useState(() => new Set());
+
+  const toggleExpanded = (key) => {
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  };
+
+  // Any filter change goes back to the first page
+  const update = (changes, { keepPage = false } = {}) => {
+    setParams((prev) => {
+      const next = new URLSearchParams(prev);
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value === '' || value === null || value === undefined) next.delete(key);
+        else next.set(key, value);
+      });
+      if (!keepPage) next.delete('p');
+      return next;
+    }, { replace: true });
+  };
+
+  const toggleImpact = (impact) => {
+    const impacts = filters.impacts.includes(impact)
+      ? filters.impacts.filter((i) => i !== impact)
+      : [...filters.impacts, impact];
+    update({ impact: impacts.join(',') });
+  };
+
+  const toggleSort = (field) => {
+    const direction = sort.field === field && sort.direction === 'asc' ? 'desc' : 'asc';
+    update({ sort: field, dir: direction }, { keepPage: true });
+  };
+
+  const hasFilters = filters.search || filters.impacts.length || filters.ruleId || filters.tag || filters.pageUrl;
+
+  const clearFilters = () => {
+    update({ q: '', impact: '', rule: '', tag: '', page_url: '' });
+  };
+
+  // Exports follow the active filters and sort, across all result pages
+  const exportIssues = (format) => {
+    const subject = data?.websiteName || data?.url;
+    if (format === 'csv') {
+      downloadFile(violationsToCsv(filtered), exportFilename(subject, 'issues', 'csv'), 'text/csv;charset=utf-8');
+    } else {
+      downloadFile(
+        violationsToJson(filtered, { scanId, url: data?.url, filters, sort }),
+        exportFilename(subject, 'issues', 'json'),
+        'application/json'
+      );
+    }
+  };
+
+  const exportOptions = [
+    { label: 'CSV', description: hasFilters ? 'Matching issues, one row per element' : 'One row per affected element', onSelect: () => exportIssues('csv') },
+    { label: 'JSON', description: hasFilters ? 'Matching issues, one entry per element' : 'One entry per affected element', onSelect: () => exportIssues('json') },
+  ];
+
+  const sortHeader = (field, label) => {
+    const active = sort.field === field;
+    const Icon = !active ? ArrowUpDown : sort.direction === 'asc' ? ChevronUp : ChevronDown;
+    return (
+      <th
+        className="p-3 border-b border-gray-200 font-medium text-gray-700"
+        aria-sort={active ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+      >
+        <button onClick={() => toggleSort(field)} className="inline-flex items-center gap-1 hover:text-gray-900">
+          {label}
+          <Icon className={`h-3 w-3 ${active ? 'text-gray-900' : 'text-gray-400'}`} />
+        </button>
+      </th>
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <div className="p-4 text-sm text-gray-600 flex items-center gap-2">
+        <Loader2 className="h-4 w-4 animate-spin" />
+        Loading issues…
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700">
+        {error.message || 'Failed to load scan results'}
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-xl font-semibold">All Issues</h3>
+        <div className="flex items-center gap-4">
+          <p className="text-sm text-gray-600" aria-live="polite">
+            {filtered.length === rows.length
+              ? `${rows.length} issues`
+              : `${filtered.length} of ${rows.length} issues match`}
+          </p>
+          <ExportMenu options={exportOptions} disabled={filtered.length === 0} />
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="space-y-3">
+        <div className="relative">
+          <Search className="h-4 w-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="search"
+            placeholder="Search rules, descriptions, pages…"
+            className="w-full rounded-md border border-gray-300 p-2 pl-9 text-sm focus:border-blue-500 focus:ring-1 focus:ring-blue-500"
+            value={filters.search}
+            onChange={(e) => update({ q: e.target.value })}
+            aria-label="Search issues"
+          />
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          {IMPACTS.map((impact) => {
+            const active = filters.impacts.includes(impact);
+            return (
+              <button
+                key={impact}
+                onClick={() => toggleImpact(impact)}
+                aria-pressed={active}
+                className={`px-3 py-1 text-xs font-medium rounded-full border transition-colors ${
+                  active ? `${impactClass(impact)} border-transparent` : 'border-gray-300 text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                {impact}
+              </button>
+            );
+          })}
+
+          <select className={selectClass} value={filters.ruleId} onChange={(e) => update({ rule: e.target.value })} aria-label="Filter by rule">
+            <option value="">All rules</option>
+            {facets.ruleIds.map((ruleId) => <option key={ruleId} value={ruleId}>{ruleId}</option>)}
+          </select>
+
+          <select className={selectClass} value={filters.tag} onChange={(e) => update({ tag: e.target.value })} aria-label="Filter by WCAG tag">
+            <option value="">All WCAG tags</option>
+            {facets.tags.map((tag) => <option key={tag} value={tag}>{formatTag(tag)}</option>)}
+          </select>
+
+          <select className={`${selectClass} max-w-xs`} value={filters.pageUrl} onChange={(e) => update({ page_url: e.target.value })} aria-label="Filter by page">
+            <option value="">All pages</option>
+            {facets.pageUrls.map((pageUrl) => <option key={pageUrl} value={pageUrl}>{pageUrl}</option>)}
+          </select>
+
+          {hasFilters && (
+            <button onClick={clearFilters} className="inline-flex items-center gap-1 text-sm text-gray-600 hover:text-gray-900">
+              <X className="h-4 w-4" />
+              Clear filters
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Table */}
+      {current.items.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="w-full text-left border border-gray-200 rounded-lg">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="p-3 border-b border-gray-200 w-8"><span className="sr-only">Details</span></th>
+                {sortHeader('ruleId', 'Rule')}
+                {sortHeader('impact', 'Impact')}
+                <th className="p-3 border-b border-gray-200 font-medium text-gray-700">Description</th>
+                {sortHeader('pageUrl', 'Page')}
+                {sortHeader('nodeCount', 'Elements')}
+                <th className="p-3 border-b border-gray-200 font-medium text-gray-700">Help</th>
+              </tr>
+            </thead>
+            <tbody>
+              {current.items.map((row) => {
+                const isExpanded = expanded.has(row.key);
+                return (
+                  <React.Fragment key={row.key}>
+                    <tr className={`align-top ${isExpanded ? 'bg-gray-50' : 'hover:bg-gray-50'}`}>
+                      <td className="p-3 border-b border-gray-200">
+                        <button
+                          onClick={() => toggleExpanded(row.key)}
+                          className="text-gray-500 hover:text-gray-900"
+                          aria-expanded={isExpanded}
+                          aria-label={`${isExpanded ? 'Hide' : 'Show'} affected elements for ${row.ruleId}`}
+                        >
+                          {isExpanded ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+                        </button>
+                      </td>
+                      <td className="p-3 border-b border-gray-200">
+                        <span className="font-medium text-gray-900">{row.ruleId}</span>
+                        <div className="mt-1 flex flex-wrap gap-1">
+                          {row.tags.filter((tag) => tag.startsWith('wcag')).map((tag) => (
+                            <span key={tag} className="px-1.5 py-0.5 text-xs rounded bg-gray-100 text-gray-600">{formatTag(tag)}</span>
+                          ))}
+                        </div>
+                      </td>
+                      <td className="p-3 border-b border-gray-200">
+                        <span className={`px-2 py-1 text-xs font-medium rounded-full ${impactClass(row.impact)}`}>
+                          {row.impact}
+                        </span>
+                      </td>
+                      <td className="p-3 border-b border-gray-200 text-gray-600 text-sm">
+                        {row.description || 'No description available'}
+                      </td>
+                      <td className="p-3 border-b border-gray-200 text-sm break-all">
+                        <span className="text-gray-900">{row.pageTitle}</span>
+                        <div className="text-gray-500">{row.pageUrl}</div>
+                      </td>
+                      <td className="p-3 border-b border-gray-200 text-sm text-gray-900">{row.nodeCount}</td>
+                      <td className="p-3 border-b border-gray-200">
+                        {row.helpUrl ? (
+                          <a href={row.helpUrl} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800 text-sm">
+                            Learn more →
+                          </a>
+                        ) : (
+                          <span className="text-gray-400 text-sm">No help available</span>
+                        )}
+                      </td>
+                    </tr>
+                    {isExpanded && (
+                      <tr>
+                        <td colSpan={7} className="p-4 border-b border-gray-200 bg-gray-50">
+                          <ViolationNodes nodes={row.nodes} />
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="text-center py-8 text-gray-600">
+          {rows.length ? 'No issues match these filters.' : 'No issues found in this scan.'}
+        </div>
+      )}
+
+      {/* Pagination */}
+      {filtered.length > 0 && (
+        <div className="flex items-center justify-between text-sm text-gray-600">
+          <div className="flex items-center gap-2">
+            <span>Showing {current.start}–{current.end} of {filtered.length}</span>
+            <select
+              className={selectClass}
+              value={pageSize}
+              onChange={(e) => update({ size: e.target.value })}
+              aria-label="Issues per page"
+            >
+              {PAGE_SIZES.map((size) => <option key={size} value={size}>{size} per page</option>)}
+            </select>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => update({ p: current.page - 1 }, { keepPage: true })}
+              disabled={current.page <= 1}
+              className="p-2 rounded-md border border-gray-300 disabled:opacity-40 hover:bg-gray-50"
+              aria-label="Previous page"
+            >
+              <ChevronLeft className="h-4 w-4" />
+            </button>
+            <span>Page {current.page} of {current.pageCount}</span>
+            <button
+              onClick={() => update({ p: current.page + 1 }, { keepPage: true })}
+              disabled={current.page >= current.pageCount}
+              className="p-2 rounded-md border border-gray-300 disabled:opacity-40 hover:bg-gray-50"
+              aria-label="Next page"
+            >
+              <ChevronRight className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
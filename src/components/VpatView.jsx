@@ -0,0 +1,241 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Loader2, AlertTriangle, RotateCcw } from 'lucide-react';
+import ExportMenu from './ExportMenu';
+import queries from '../utils/queries';
+import useQuery from '../hooks/useQuery';
+import { WCAG_VERSIONS, WCAG_LEVELS } from '../utils/wcag';
+import wcagTarget from '../utils/wcagTarget';
+import { CONFORMANCE_LEVELS, evaluateCriteria, buildVpatHtml } from '../utils/vpat';
+import { downloadFile, exportFilename } from '../utils/download';
+
+const draftKey = (scanId) => `sentryprime_vpat_${scanId}`;
+
+// A new report starts from the app-wide conformance target
+const emptyDraft = () => ({ product: {}, target: wcagTarget.get(), entries: {} });
+
+const loadDraft = (scanId) => {
+  try {
+    return { ...emptyDraft(), ...JSON.parse(localStorage.getItem(draftKey(scanId)) || '{}') };
+  } catch {
+    return emptyDraft();
+  }
+};
+
+const statusClass = {
+  Supports: 'bg-green-100 text-green-800',
+  'Partially Supports': 'bg-yellow-100 text-yellow-800',
+  'Does Not Support': 'bg-red-100 text-red-800',
+  'Not Applicable': 'bg-gray-100 text-gray-700',
+  'Not Evaluated': 'bg-blue-100 text-blue-800',
+};
+
+const inputClass = 'w-full rounded-md border border-gray-300 p-2 text-sm focus:border-blue-500 focus:ring-1 focus:ring-blue-500';
+
+const PRODUCT_FIELDS = [
+  ['name', 'Product name'],
+  ['version', 'Product version'],
+  ['reportDate', 'Report date'],
+  ['contact', 'Contact information'],
+  ['description', 'Product description', true],
+  ['notes', 'Notes', true],
+  ['evaluationMethods', 'Evaluation methods used', true],
+];
+
+// /scans/:scanId/vpat — build an Accessibility Conformance Report from the scan plus manual review
+export default function VpatView({ scanId }) {
+  const { data, error, isLoading } = useQuery(queries.scan(scanId), { enabled: !!scanId });
+  const [draft, setDraft] = useState(() => loadDraft(scanId));
+
+  // Manual work is kept per scan so a half-finished review survives a reload
+  useEffect(() => {
+    try {
+      localStorage.setItem(draftKey(scanId), JSON.stringify(draft));
+    } catch {
+      // storage full or unavailable: edits still apply to this session
+    }
+  }, [scanId, draft]);
+
+  const criteria = useMemo(() => evaluateCriteria(data, draft.target), [data, draft.target]);
+
+  const pageCount = data?.results?.pages?.length || 0;
+  const product = {
+    name: data?.websiteName || data?.url || '',
+    reportDate: new Date().toISOString().slice(0, 10),
+    evaluationMethods: `Automated testing with SentryPrime (axe-core rules) of ${pageCount} page${pageCount === 1 ? '' : 's'} of ${data?.url || 'the website'}`
+      + `${data?.scanDate ? ` on ${new Date(data.scanDate).toLocaleDateString()}` : ''}, followed by manual review of the results.`,
+    ...draft.product,
+  };
+
+  const updateProduct = (key, value) => setDraft((prev) => ({ ...prev, product: { ...prev.product, [key]: value } }));
+  const updateTarget = (key, value) => setDraft((prev) => ({ ...prev, target: { ...prev.target, [key]: value } }));
+  const updateEntry = (id, changes) => setDraft((prev) => ({
+    ...prev,
+    entries: { ...prev.entries, [id]: { ...prev.entries[id], ...changes } },
+  }));
+
+  const statusOf = (sc) => draft.entries[sc.id]?.status || sc.status;
+  const counts = CONFORMANCE_LEVELS.reduce((acc, level) => ({ ...acc, [level]: 0 }), {});
+  criteria.forEach((sc) => { counts[statusOf(sc)] += 1; });
+  // VPAT only allows "Not Evaluated" for AAA criteria
+  const unevaluated = criteria.filter((sc) => sc.level !== 'AAA' && statusOf(sc) === 'Not Evaluated').length;
+
+  const handleReset = () => {
+    if (window.confirm('Discard all manual edits to this report?')) setDraft(emptyDraft());
+  };
+
+  const exportReport = (word) => {
+    const html = buildVpatHtml({ product, target: draft.target, criteria, entries: draft.entries }, { word });
+    const subject = data?.websiteName || data?.url;
+    if (word) {
+      downloadFile(html, exportFilename(subject, 'vpat', 'doc'), 'application/msword');
+    } else {
+      downloadFile(html, exportFilename(subject, 'vpat', 'html'), 'text/html;charset=utf-8');
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="p-4 text-sm text-gray-600 flex items-center gap-2">
+        <Loader2 className="h-4 w-4 animate-spin" />
+        Loading scan…
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700">
+        {error.message || 'Failed to load scan results'}
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-6 space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h3 className="text-xl font-semibold">Accessibility Conformance Report</h3>
+          <p className="text-sm text-gray-600">
+            VPAT® 2.x, WCAG edition. Statuses start from the automated results; review each criterion and add remarks before exporting.
+          </p>
+        </div>
+        <div className="flex items-center gap-2 flex-shrink-0">
+          <button onClick={handleReset} className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900">
+            <RotateCcw className="h-4 w-4 mr-1" />
+            Reset
+          </button>
+          <ExportMenu
+            options={[
+              { label: 'HTML', description: 'Standalone web page', onSelect: () => exportReport(false) },
+              { label: 'Word (.doc)', description: 'DOCX-compatible HTML that Word opens and can save as .docx', onSelect: () => exportReport(true) },
+            ]}
+          />
+        </div>
+      </div>
+
+      {/* Product information */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {PRODUCT_FIELDS.map(([key, label, multiline]) => (
+          <label key={key} className={`block text-sm ${multiline ? 'md:col-span-2' : ''}`}>
+            <span className="font-medium text-gray-700">{label}</span>
+            {multiline ? (
+              <textarea className={`${inputClass} mt-1`} rows={2} value={product[key] || ''} onChange={(e) => updateProduct(key, e.target.value)} />
+            ) : (
+              <input
+                type={key === 'reportDate' ? 'date' : 'text'}
+                className={`${inputClass} mt-1`}
+                value={product[key] || ''}
+                onChange={(e) => updateProduct(key, e.target.value)}
+              />
+            )}
+          </label>
+        ))}
+      </div>
+
+      {/* Target and summary */}
+      <div className="flex flex-wrap items-center gap-4">
+        <label className="text-sm flex items-center gap-2">
+          <span className="font-medium text-gray-700">WCAG version</span>
+          <select className="rounded-md border border-gray-300 p-2 text-sm" value={draft.target.version} onChange={(e) => updateTarget('version', e.target.value)}>
+            {WCAG_VERSIONS.map((version) => <option key={version} value={version}>WCAG {version}</option>)}
+          </select>
+        </label>
+        <label className="text-sm flex items-center gap-2">
+          <span className="font-medium text-gray-700">Up to level</span>
+          <select className="rounded-md border border-gray-300 p-2 text-sm" value={draft.target.level} onChange={(e) => updateTarget('level', e.target.value)}>
+            {WCAG_LEVELS.map((level) => <option key={level} value={level}>{level}</option>)}
+          </select>
+        </label>
+        <div className="flex flex-wrap gap-2 text-xs">
+          {CONFORMANCE_LEVELS.filter((level) => counts[level]).map((level) => (
+            <span key={level} className={`px-2 py-1 rounded-full font-medium ${statusClass[level]}`}>{counts[level]} {level}</span>
+          ))}
+        </div>
+      </div>
+
+      {unevaluated > 0 && (
+        <div className="flex items-start gap-2 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+          <AlertTriangle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+          <span>
+            {unevaluated} Level A/AA criteria are still “Not Evaluated”. VPAT reserves that term for Level AAA, so evaluate
+            them manually and set a conformance level before sending the report.
+          </span>
+        </div>
+      )}
+
+      {/* Criteria */}
+      {WCAG_LEVELS.slice(0, WCAG_LEVELS.indexOf(draft.target.level) + 1).map((level) => (
+        <div key={level}>
+          <h4 className="text-lg font-medium mb-2">Level {level}</h4>
+          <div className="overflow-x-auto">
+            <table className="w-full text-left border border-gray-200 rounded-lg">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="p-3 border-b border-gray-200 font-medium text-gray-700 w-1/4">Criterion</th>
+                  <th className="p-3 border-b border-gray-200 font-medium text-gray-700 w-48">Conformance</th>
+                  <th className="p-3 border-b border-gray-200 font-medium text-gray-700">Remarks and explanations</th>
+                </tr>
+              </thead>
+              <tbody>
+                {criteria.filter((sc) => sc.level === level).map((sc) => {
+                  const entry = draft.entries[sc.id] || {};
+                  const status = statusOf(sc);
+                  return (
+                    <tr key={sc.id} className="align-top">
+                      <td className="p-3 border-b border-gray-200 text-sm">
+                        <span className="font-medium text-gray-900">{sc.id} {sc.title}</span>
+                        {sc.version !== '2.0' && <div className="text-xs text-gray-500">WCAG {sc.version}</div>}
+                      </td>
+                      <td className="p-3 border-b border-gray-200 text-sm space-y-1">
+                        <select
+                          className={`w-full rounded-md border-0 p-1.5 text-xs font-medium ${statusClass[status]}`}
+                          value={status}
+                          onChange={(e) => updateEntry(sc.id, { status: e.target.value === sc.status ? undefined : e.target.value })}
+                          aria-label={`Conformance level for ${sc.id}`}
+                        >
+                          {CONFORMANCE_LEVELS.map((option) => <option key={option} value={option}>{option}</option>)}
+                        </select>
+                        {entry.status && <div className="text-xs text-gray-500">Automated: {sc.status}</div>}
+                      </td>
+                      <td className="p-3 border-b border-gray-200 text-sm">
+                        <p className="text-gray-600">{sc.remark}</p>
+                        <textarea
+                          className={`${inputClass} mt-2`}
+                          rows={1}
+                          placeholder="Add manual remarks…"
+                          value={entry.remarks || ''}
+                          onChange={(e) => updateEntry(sc.id, { remarks: e.target.value })}
+                          aria-label={`Remarks for ${sc.id}`}
+                        />
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
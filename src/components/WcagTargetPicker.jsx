@@ -0,0 +1,22 @@
+import React from 'react';
+import useWcagTarget from '../hooks/useWcagTarget';
+import { WCAG_VERSIONS, WCAG_LEVELS } from '../utils/wcag';
+
+const selectClass = 'rounded-md border border-gray-300 p-2 text-sm focus:border-blue-500 focus:ring-1 focus:ring-blue-500';
+
+// Target standard and level; the choice is shared by every score and matrix
+export default function WcagTargetPicker() {
+  const [target, setTarget] = useWcagTarget();
+
+  return (
+    <div className="flex items-center gap-2 text-sm" role="group" aria-label="Conformance target">
+      <span className="font-medium text-gray-700">Target</span>
+      <select className={selectClass} value={target.version} onChange={(e) => setTarget({ version: e.target.value })} aria-label="WCAG version">
+        {WCAG_VERSIONS.map((version) => <option key={version} value={version}>WCAG {version}</option>)}
+      </select>
+      <select className={selectClass} value={target.level} onChange={(e) => setTarget({ level: e.target.value })} aria-label="Conformance level">
+        {WCAG_LEVELS.map((level) => <option key={level} value={level}>Level {level}</option>)}
+      </select>
+    </div>
+  );
+}
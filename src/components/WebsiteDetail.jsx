@@ -0,0 +1,301 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { Globe, Eye, Loader2, AlertTriangle, GitCompare, TrendingUp, TrendingDown, CalendarClock } from 'lucide-react';
+import queries from '../utils/queries';
+import useQuery from '../hooks/useQuery';
+import { IMPACTS, IMPACT_COLORS } from '../utils/violations';
+import { isFinishedScan, scanTrend, trendChange } from '../utils/trends';
+import { compareUrl } from '../utils/scanDiff';
+import TrendChart from './TrendChart';
+
+const shortDate = (date) => date.toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+
+// Rising scores are good; rising violation counts are not
+function Change({ change, unit = '', higherIsBetter = true }) {
+  if (!change || change.delta === 0) {
+    return change ? <span className="text-xs text-gray-500">No change since {shortDate(change.since)}</span> : null;
+  }
+  const improved = (change.delta > 0) === higherIsBetter;
+  const Icon = change.delta > 0 ? TrendingUp : TrendingDown;
+  return (
+    <span className={`inline-flex items-center gap-1 text-xs font-medium ${improved ? 'text-green-700' : 'text-red-700'}`}>
+      <Icon className="h-3.5 w-3.5" />
+      {change.delta > 0 ? '+' : ''}{change.delta}{unit} since {shortDate(change.since)}
+    </span>
+  );
+}
+
+// /websites/:websiteId — one website, its scan history and how it has changed over time
+export default function WebsiteDetail({ onViewScan }) {
+  const { websiteId } = useParams();
+  const navigate = useNavigate();
+  // Shares the websites/scans cache with the list views, so opening a card is instant
+  const websitesQuery = useQuery(queries.websites);
+  const scansQuery = useQuery(queries.scans);
+  const [compareIds, setCompareIds] = useState([]);
+
+  const loading = websitesQuery.isLoading || scansQuery.isLoading;
+  const site = (websitesQuery.data || []).find((w) => String(w.id) === String(websiteId)) || null;
+  const scans = (scansQuery.data || [])
+    .filter((s) => String(s.website_id) === String(websiteId))
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  // The finished scan run just before this one, for "compare with previous"
+  const previousScan = (scan) => scans
+    .filter((s) => isFinishedScan(s) && new Date(s.created_at) < new Date(scan.created_at))
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0];
+
+  const trend = scanTrend(scans);
+  const hasImpactBreakdown = trend.some((point) => point.byImpact);
+  const chartPoint = (point, values) => ({
+    key: point.id,
+    label: shortDate(point.date),
+    title: point.date.toLocaleString(),
+    scanId: point.id,
+    values,
+  });
+  const scorePoints = trend.map((point) => chartPoint(point, { score: point.score }));
+  const violationPoints = trend.map((point) => chartPoint(point, point.byImpact
+    ? point.byImpact
+    : { ...Object.fromEntries(IMPACTS.map((impact) => [impact, null])), total: point.violations }));
+  const violationSeries = [
+    ...IMPACTS.map((impact) => ({ key: impact, label: impact[0].toUpperCase() + impact.slice(1), color: IMPACT_COLORS[impact] })),
+    // Scans without a breakdown still count towards the total
+    ...(trend.every((point) => point.byImpact) ? [] : [{ key: 'total', label: hasImpactBreakdown ? 'Not broken down' : 'Violations', color: '#9ca3af' }]),
+  ];
+  const pagePoints = trend.map((point) => chartPoint(point, { pages: point.pages }));
+  const openScan = (point) => onViewScan(point.scanId);
+
+  const compareSelection = scans.filter((scan) => compareIds.includes(scan.id));
+  const toggleCompare = (scanId) => {
+    setCompareIds((prev) => (prev.includes(scanId) ? prev.filter((id) => id !== scanId) : [...prev, scanId]));
+  };
+
+  const handleCompare = () => {
+    navigate(compareUrl(...compareSelection));
+  };
+
+  const loadError = websitesQuery.error || scansQuery.error;
+  let error = '';
+  if (loadError) {
+    error = loadError.message || 'Failed to load website';
+  } else if (!loading && !site) {
+    error = 'This website could not be found.';
+  }
+
+  if (loading) {
+    return (
+      <div className="p-4 text-sm text-gray-600 flex items-center gap-2">
+        <Loader2 className="h-4 w-4 animate-spin" />
+        Loading website…
+      </div>
+    );
+  }
+
+  return (
+    <div className="px-4 py-6 sm:px-0 space-y-6">
+      <Link to="/websites" className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900">
+        ← Back to Websites
+      </Link>
+
+      {error && (
+        <div className="rounded-md border border-red-300 bg-red-50 p-3 text-sm text-red-700 flex items-start gap-2">
+          <AlertTriangle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {site && (
+        <>
+          <div className="bg-white shadow rounded-lg p-6">
+            <div className="flex items-center gap-3">
+              <Globe className="h-6 w-6 text-blue-600" />
+              <div>
+                <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+                  {site.name || site.url}
+                  {site.status === 'archived' && (
+                    <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-gray-200 text-gray-700">Archived</span>
+                  )}
+                </h2>
+                <a href={site.url} target="_blank" rel="noopener noreferrer" className="text-sm text-blue-600 hover:text-blue-800 break-all">
+                  {site.url}
+                </a>
+              </div>
+            </div>
+            <div className="mt-4 flex flex-wrap items-center gap-6 text-sm text-gray-600">
+              <span className="flex items-center gap-2">
+                Compliance: {site.compliance_score ?? 0}%
+                <Change change={trendChange(trend, 'score')} unit=" pts" />
+              </span>
+              <span className="flex items-center gap-2">
+                Violations: {site.total_violations ?? 0}
+                <Change change={trendChange(trend, 'violations')} higherIsBetter={false} />
+              </span>
+              <span>Last Scan: {site.last_scan_date ? new Date(site.last_scan_date).toLocaleString() : 'Never'}</span>
+              {site.next_scan_at && (
+                <span className="flex items-center gap-1">
+                  <CalendarClock className="h-4 w-4" />
+                  Next scan: {new Date(site.next_scan_at).toLocaleString()}
+                </span>
+              )}
+            </div>
+          </div>
+
+          <div className="bg-white shadow rounded-lg p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-1">Trends</h3>
+            {trend.length < 2 ? (
+              <p className="text-sm text-gray-500">
+                {trend.length === 0 ? 'Trends appear once this website has been scanned.' : 'Trends appear after a second scan.'}
+              </p>
+            ) : (
+              <>
+                <p className="text-sm text-gray-500 mb-4">
+                  {trend.length} scans from {trend[0].date.toLocaleDateString()} to {trend[trend.length - 1].date.toLocaleDateString()}. Click a point to open that scan.
+                </p>
+                <div className="grid gap-6 lg:grid-cols-2">
+                  <div>
+                    <h4 className="text-sm font-medium text-gray-700 mb-2">Compliance score</h4>
+                    <TrendChart
+                      points={scorePoints}
+                      series={[{ key: 'score', label: 'Compliance', color: '#16a34a' }]}
+                      yMax={100}
+                      unit="%"
+                      ariaLabel="Compliance score by scan"
+                      onSelect={openScan}
+                      selectLabel="Open scan of"
+                    />
+                  </div>
+                  <div>
+                    <h4 className="text-sm font-medium text-gray-700 mb-2">Violations by impact</h4>
+                    <TrendChart
+                      type="stacked"
+                      points={violationPoints}
+                      series={violationSeries}
+                      ariaLabel="Violations by impact by scan"
+                      onSelect={openScan}
+                      selectLabel="Open scan of"
+                    />
+                  </div>
+                  <div>
+                    <h4 className="text-sm font-medium text-gray-700 mb-2">Pages scanned</h4>
+                    <TrendChart
+                      type="stacked"
+                      points={pagePoints}
+                      series={[{ key: 'pages', label: 'Pages', color: '#6366f1' }]}
+                      height={160}
+                      ariaLabel="Pages scanned by scan"
+                      onSelect={openScan}
+                      selectLabel="Open scan of"
+                    />
+                  </div>
+                </div>
+              </>
+            )}
+          </div>
+
+          <div className="bg-white shadow rounded-lg p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">Scan history</h3>
+              {scans.filter(isFinishedScan).length > 1 && (
+                <div className="flex items-center space-x-3">
+                  <span className="text-sm text-gray-500">
+                    {compareSelection.length === 2 ? '2 scans selected' : 'Select two scans to compare'}
+                  </span>
+                  <button
+                    onClick={handleCompare}
+                    disabled={compareSelection.length !== 2}
+                    className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <GitCompare className="h-4 w-4 mr-1" />
+                    Compare
+                  </button>
+                </div>
+              )}
+            </div>
+            {scans.length > 0 ? (
+              <div className="space-y-3">
+                {scans.map((scan) => {
+                  const previous = isFinishedScan(scan) ? previousScan(scan) : null;
+                  const delta = previous && scan.compliance_score != null && previous.compliance_score != null
+                    ? scan.compliance_score - previous.compliance_score
+                    : null;
+                  return (
+                    <div key={scan.id} className="border rounded-lg p-4 flex items-center justify-between gap-4 hover:bg-gray-50">
+                      <div className="flex items-center gap-4 min-w-0">
+                        {scans.filter(isFinishedScan).length > 1 && (
+                          <input
+                            type="checkbox"
+                            className="h-4 w-4 rounded border-gray-300 text-blue-600 disabled:opacity-40"
+                            checked={compareIds.includes(scan.id)}
+                            disabled={!isFinishedScan(scan) || (!compareIds.includes(scan.id) && compareSelection.length >= 2)}
+                            onChange={() => toggleCompare(scan.id)}
+                            aria-label={`Select scan from ${scan.created_at ? new Date(scan.created_at).toLocaleString() : 'unknown date'} for comparison`}
+                          />
+                        )}
+                        <div className="text-sm text-gray-600">
+                          <div className="flex items-center gap-2">
+                            <span className="font-medium text-gray-900">
+                              {scan.created_at ? new Date(scan.created_at).toLocaleString() : 'Unknown date'}
+                            </span>
+                            {!isFinishedScan(scan) && (
+                              <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                                {scan.status || 'running'}
+                              </span>
+                            )}
+                            {scan.trigger === 'schedule' && (
+                              <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-blue-50 text-blue-700">
+                                <CalendarClock className="h-3 w-3 mr-1" />
+                                Scheduled
+                              </span>
+                            )}
+                          </div>
+                          {isFinishedScan(scan) && (
+                            <div className="mt-1">
+                              <span>Compliance: {scan.compliance_score || 0}%</span>
+                              {delta != null && delta !== 0 && (
+                                <span className={`ml-1 ${delta > 0 ? 'text-green-700' : 'text-red-700'}`}>({delta > 0 ? '+' : ''}{delta})</span>
+                              )}
+                              <span className="mx-2">•</span>
+                              <span>Violations: {scan.total_violations || 0}</span>
+                              {scan.pages_scanned != null && (
+                                <>
+                                  <span className="mx-2">•</span>
+                                  <span>Pages: {scan.pages_scanned}</span>
+                                </>
+                              )}
+                            </div>
+                          )}
+                        </div>
+                      </div>
+                      {isFinishedScan(scan) && (
+                        <div className="flex items-center gap-2 flex-shrink-0">
+                          {previous && (
+                            <Link
+                              to={compareUrl(previous, scan)}
+                              className="inline-flex items-center px-3 py-2 text-sm leading-4 font-medium rounded-md text-blue-600 hover:bg-blue-50"
+                            >
+                              <GitCompare className="h-4 w-4 mr-1" />
+                              Compare with previous
+                            </Link>
+                          )}
+                          <button
+                            onClick={() => onViewScan(scan.id)}
+                            className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                          >
+                            <Eye className="h-4 w-4 mr-1" />
+                            View Results
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">No scans yet for this website.</p>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,260 +1,317 @@
 import React, { useEffect, useState, useRef } from 'react';
+import { Link } from 'react-router-dom';
 import { dashboard, scanning } from '../utils/api';
-import { Eye, Loader2, CheckCircle, AlertTriangle } from 'lucide-react';
+import queries, { setSchedulePaused } from '../utils/queries';
+import queryCache from '../utils/queryCache';
+import useQuery from '../hooks/useQuery';
+import jobTracker from '../utils/jobs';
+import useJobs from '../hooks/useJobs';
+import { loadScanOptions, saveScanOptions, toApiOptions } from '../utils/scanOptions';
+import { describeSchedule, formatRelative, fromApiSchedule } from '../utils/schedule';
+import { ValidationError } from '../utils/errors';
+import ScanOptionsDialog from './ScanOptionsDialog';
+import BulkImportDialog from './BulkImportDialog';
+import ScheduleDialog from './ScheduleDialog';
+import {
+  Eye, Loader2, CheckCircle, AlertTriangle, Pencil, Archive, ArchiveRestore, Trash2, Upload, CalendarClock, Pause, Play,
+} from 'lucide-react';
 
-const MAX_SCAN_MINUTES = 10;
-const POLL_EVERY_MS = 2000;
-
-// --- helpers: stable keys + session persistence ---
 const keyOf = (id) => String(id);
 
-const activeScansStore = {
-  read() {
-    try { return JSON.parse(sessionStorage.getItem('activeScans') || '{}'); }
-    catch { return {}; }
-  },
-  write(data) {
-    sessionStorage.setItem('activeScans', JSON.stringify(data));
-  },
-  set(websiteId, payload) {
-    const data = this.read();
-    data[keyOf(websiteId)] = payload;
-    this.write(data);
-  },
-  delete(websiteId) {
-    const data = this.read();
-    delete data[keyOf(websiteId)];
-    this.write(data);
-  },
-};
-
-export default function WebsiteManager({ onWebsiteAdded, onScanStarted, onViewResults }) {
-  const [list, setList] = useState([]);
-  const [loading, setLoading] = useState(true);
+const inputClass = 'w-full rounded-md border border-gray-300 p-2 text-sm focus:border-blue-500 focus:ring-1 focus:ring-blue-500';
+
+const iconButtonClass = 'p-2 rounded-md text-gray-500 hover:text-gray-900 hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed';
+
+// Confirmation before a website is removed, with the option to drop its scan history too
+function DeleteWebsiteDialog({ site, scanCount, onConfirm, onCancel }) {
+  const [deleteScans, setDeleteScans] = useState(false);
+  const [deleting, setDeleting] = useState(false);
+  const [error, setError] = useState('');
+
+  // Success closes the dialog; a failure stays here so it can be retried
+  const handleConfirm = async () => {
+    setDeleting(true);
+    setError('');
+    try {
+      await onConfirm({ deleteScans });
+    } catch (err) {
+      setError(err.message || 'Failed to delete website');
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" role="alertdialog" aria-modal="true" aria-labelledby="delete-website-title">
+      <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4">
+        <h3 id="delete-website-title" className="text-xl font-semibold mb-2">Delete {site.name || site.url}?</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          The website is removed from your dashboard. This can't be undone; archive it instead to keep it out of the way.
+        </p>
+        {scanCount > 0 && (
+          <label className="flex items-start gap-2 text-sm mb-6">
+            <input type="checkbox" className="mt-0.5" checked={deleteScans} onChange={(e) => setDeleteScans(e.target.checked)} />
+            <span>
+              Also delete its {scanCount === 1 ? 'scan' : `${scanCount} scans`} and their results.
+              <span className="block text-gray-500">Otherwise past scans stay under Scan Results.</span>
+            </span>
+          </label>
+        )}
+        {error && (
+          <div className="rounded-md border border-red-300 bg-red-50 p-3 text-sm text-red-700 mb-4" role="alert">{error}</div>
+        )}
+        <div className="flex space-x-3">
+          <button
+            onClick={handleConfirm}
+            disabled={deleting}
+            className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center justify-center gap-2"
+          >
+            {deleting && <Loader2 className="h-4 w-4 animate-spin" />}
+            {deleting ? 'Deleting…' : 'Delete website'}
+          </button>
+          <button
+            onClick={onCancel}
+            disabled={deleting}
+            className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function WebsiteManager({ onWebsiteAdded, onWebsiteChanged, onScanStarted, onViewResults }) {
+  const websitesQuery = useQuery(queries.websites);
+  const scansQuery = useQuery(queries.scans);
+  const allSites = websitesQuery.data || [];
+  const loading = websitesQuery.isLoading;
   const [adding, setAdding] = useState(false);
   const [newWebsiteUrl, setNewWebsiteUrl] = useState('');
-  const [scanningIds, setScanningIds] = useState(new Set());    // Set<string>
-  const [scanProgress, setScanProgress] = useState(new Map());  // Map<string, {status,message,progress}>
+  const [startingIds, setStartingIds] = useState(new Set());   // Set<string>, until startScan returns
+  const [completedIds, setCompletedIds] = useState(new Set()); // Set<string>, shown briefly before opening results
   const [error, setError] = useState('');
+  const [configuring, setConfiguring] = useState(null);           // website whose scan settings are open
+  const [editing, setEditing] = useState(null);                   // { id, name, url, errors } while a card is in edit mode
+  const [deleting, setDeleting] = useState(null);                 // website awaiting delete confirmation
+  const [busyIds, setBusyIds] = useState(new Set());              // Set<string>, archive/restore/save in flight
+  const [showArchived, setShowArchived] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [scheduling, setScheduling] = useState(null);             // website whose schedule dialog is open
+
+  const archivedCount = allSites.filter((site) => site.status === 'archived').length;
+  const list = showArchived ? allSites : allSites.filter((site) => site.status !== 'archived');
+
+  // Scan progress lives in the job tracker, so it survives navigation and reloads
+  const jobs = useJobs();
+  const scanJobs = new Map();
+  for (const job of jobs) {
+    if (job.kind === 'scan' && job.status === 'running') scanJobs.set(keyOf(job.params.websiteId), job);
+  }
 
   const mountedRef = useRef(false);
-  const timersRef = useRef(new Map()); // Map<string, number>
+  const timersRef = useRef(new Set());
+  const onViewResultsRef = useRef(onViewResults);
+  onViewResultsRef.current = onViewResults;
 
   useEffect(() => {
     mountedRef.current = true;
     return () => {
       mountedRef.current = false;
-      // clear all pending timeouts on unmount
-      for (const t of timersRef.current.values()) clearTimeout(t);
+      // the scans keep running in the tray; only local timers stop
+      for (const t of timersRef.current) clearTimeout(t);
       timersRef.current.clear();
     };
   }, []);
 
   const safeSet = (fn) => { if (mountedRef.current) fn(); };
 
-  const loadWebsites = async () => {
-    setError('');
-    try {
-      setLoading(true);
-      const items = await dashboard.getWebsites();
-      safeSet(() => setList(items));
-    } catch (e) {
-      safeSet(() => setError(e.message || 'Failed to load websites'));
-    } finally {
-      safeSet(() => setLoading(false));
-    }
-  };
+  useEffect(() => {
+    if (websitesQuery.error) setError(websitesQuery.error.message || 'Failed to load websites');
+  }, [websitesQuery.error]);
 
-  // Resume any scans persisted in sessionStorage
-  const resumeActiveScans = () => {
-    const store = activeScansStore.read();
-    const ids = Object.keys(store);
-    if (!ids.length) return;
-    // mark all as scanning and kick off polling for each
-    safeSet(() => setScanningIds(new Set(ids)));
-    for (const websiteId of ids) {
-      const { scanId, startedAt } = store[websiteId] || {};
-      if (!scanId) continue;
-      // show a baseline progress bar immediately
-      safeSet(() => {
-        setScanProgress(prev => {
-          const m = new Map(prev);
-          if (!m.get(websiteId)) {
-            m.set(websiteId, { status: 'scanning', message: 'Resuming…', progress: 12 });
-          }
-          return m;
-        });
-      });
-      poll(websiteId, scanId, startedAt || Date.now());
-    }
-  };
+  // Finished scans: show completion, then open the results while we're still on this page
+  useEffect(() => jobTracker.subscribe((_, job) => {
+    if (!job || job.kind !== 'scan' || job.status === 'running' || job.status === 'cancelled') return;
+    const websiteId = keyOf(job.params.websiteId);
 
-  useEffect(() => {
-    (async () => {
-      await loadWebsites();
-      resumeActiveScans();
-    })();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+    if (job.status !== 'completed') {
+      safeSet(() => setError(job.error || 'Scan failed'));
+      return;
+    }
 
+    safeSet(() => setCompletedIds(prev => new Set(prev).add(websiteId)));
+    const t = setTimeout(() => {
+      timersRef.current.delete(t);
+      if (!mountedRef.current) return;
+      jobTracker.dismiss(job.id);
+      setCompletedIds(prev => { const s = new Set(prev); s.delete(websiteId); return s; });
+      onViewResultsRef.current && onViewResultsRef.current(job.params.scanId);
+    }, 1200);
+    timersRef.current.add(t);
+  }), []);
+
+  // Optimistic add: the card shows up at once and is swapped for the saved one
   const handleAddWebsite = async (e) => {
     e.preventDefault();
-    if (!newWebsiteUrl.trim()) return;
+    const url = newWebsiteUrl.trim();
+    if (!url) return;
+
+    const tempId = `pending-${Date.now()}`;
+    const rollback = queryCache.setData(queries.websites.key, (prev = []) => [
+      ...prev,
+      { id: tempId, url, name: url.replace(/^https?:\/\//, ''), pending: true },
+    ]);
 
     setAdding(true);
     setError('');
+    setNewWebsiteUrl('');
     try {
-      await websites.add({ url: newWebsiteUrl.trim() });
-      setNewWebsiteUrl('');
-      await loadWebsites();
-      onWebsiteAdded && onWebsiteAdded();
+      const created = await dashboard.addWebsite({ url });
+      queryCache.setData(queries.websites.key, (prev = []) => (
+        created?.id
+          ? prev.map((site) => (site.id === tempId ? created : site))
+          : prev
+      ));
+      queryCache.invalidate(['websites']);
+      onWebsiteAdded && onWebsiteAdded(created);
     } catch (e) {
-      setError(e.message || 'Failed to add website');
+      rollback();
+      safeSet(() => {
+        setNewWebsiteUrl(url);
+        setError(e.message || 'Failed to add website');
+      });
     } finally {
-      setAdding(false);
+      safeSet(() => setAdding(false));
     }
   };
 
-  // --- polling loop bound to (websiteId, scanId) ---
-  const poll = (websiteId, scanId, startedAt = Date.now(), attempt = 0) => {
-    if (!mountedRef.current) return;
+  // The dialog has already added the new cards batch by batch
+  const handleImported = (created) => {
+    queryCache.invalidate(['websites']);
+    if (created.length > 0) onWebsiteAdded && onWebsiteAdded(created);
+  };
 
-    const maxAttempts = Math.ceil((MAX_SCAN_MINUTES * 60 * 1000) / POLL_EVERY_MS);
+  const setBusy = (id, busy) => setBusyIds((prev) => {
+    const next = new Set(prev);
+    if (busy) next.add(id); else next.delete(id);
+    return next;
+  });
 
-    const tick = async () => {
-      if (!mountedRef.current) return;
-      const nextAttempt = attempt + 1;
+  const replaceSite = (id, changes) => queryCache.setData(queries.websites.key, (prev = []) => (
+    prev.map((site) => (keyOf(site.id) === id ? { ...site, ...changes } : site))
+  ));
+
+  const startEditing = (site) => {
+    setError('');
+    setEditing({ id: keyOf(site.id), name: site.name || '', url: site.url, errors: {} });
+  };
 
-      // optimistic progress (kept visible across renders)
-      const elapsed = Date.now() - startedAt;
-      const m = Math.floor(elapsed / 60000);
-      const s = Math.floor((elapsed % 60000) / 1000);
-      const pct = Math.min((nextAttempt / maxAttempts) * 94, 94);
+  // Optimistic like add: the card shows the new values while the save is in flight
+  const handleSaveEdit = async (e) => {
+    e.preventDefault();
+    const { id, name, url } = editing;
+    const changes = { name: name.trim(), url: url.trim() };
+    if (!changes.name || !changes.url) {
+      setEditing((prev) => ({ ...prev, errors: { name: !changes.name && 'Name is required', url: !changes.url && 'URL is required' } }));
+      return;
+    }
 
+    const rollback = replaceSite(id, changes);
+    setEditing(null);
+    setBusy(id, true);
+    try {
+      const updated = await dashboard.updateWebsite(id, changes);
+      if (updated?.id) replaceSite(id, updated);
+      queryCache.invalidate(['websites']);
+      onWebsiteChanged && onWebsiteChanged(updated);
+    } catch (err) {
+      rollback();
       safeSet(() => {
-        setScanProgress(prev => {
-          const map = new Map(prev);
-          map.set(websiteId, { status: 'scanning', message: `Scanning… (${m}m ${s}s)`, progress: pct });
-          return map;
-        });
-      });
-
-      try {
-        const meta = await scanning.getScanMeta(scanId);
-
-        if (meta?.status === 'done') {
-          // show completion
-          safeSet(() => {
-            setScanProgress(prev => {
-              const map = new Map(prev);
-              map.set(websiteId, { status: 'completed', message: 'Scan completed!', progress: 100 });
-              return map;
-            });
-          });
-
-          // show results + refresh sites, then clean UI state
-          setTimeout(async () => {
-            if (!mountedRef.current) return;
-            onViewResults && onViewResults(scanId);
-            await loadWebsites();
-            activeScansStore.delete(websiteId);
-            safeSet(() => {
-              setScanningIds(prev => { const s = new Set(prev); s.delete(websiteId); return s; });
-              setScanProgress(prev => { const m2 = new Map(prev); m2.delete(websiteId); return m2; });
-            });
-          }, 1200);
-          return;
+        if (err instanceof ValidationError && Object.keys(err.fieldErrors).length > 0) {
+          setEditing({ id, ...changes, errors: err.fieldErrors });
+        } else {
+          setError(err.message || 'Failed to update website');
         }
+      });
+    } finally {
+      safeSet(() => setBusy(id, false));
+    }
+  };
 
-        if (meta?.status === 'error') {
-          throw new Error('Scan failed on backend');
-        }
+  const handleArchive = async (site, archive) => {
+    const id = keyOf(site.id);
+    setError('');
+    const rollback = replaceSite(id, archive
+      ? { status: 'archived', archived_at: new Date().toISOString() }
+      : { status: 'active', archived_at: null });
+    setBusy(id, true);
+    try {
+      const updated = archive ? await dashboard.archiveWebsite(id) : await dashboard.restoreWebsite(id);
+      if (updated?.id) replaceSite(id, updated);
+      queryCache.invalidate(['websites']);
+      onWebsiteChanged && onWebsiteChanged(updated);
+    } catch (err) {
+      rollback();
+      safeSet(() => setError(err.message || `Failed to ${archive ? 'archive' : 'restore'} website`));
+    } finally {
+      safeSet(() => setBusy(id, false));
+    }
+  };
 
-        if (nextAttempt >= maxAttempts) {
-          safeSet(() => {
-            setError(`Scan timed out after ${MAX_SCAN_MINUTES} minutes. It may still be running.`);
-            setScanProgress(prev => {
-              const map = new Map(prev);
-              map.set(websiteId, { status: 'timeout', message: 'Timed out — may still be processing', progress: 95 });
-              return map;
-            });
-            setScanningIds(prev => { const s = new Set(prev); s.delete(websiteId); return s; });
-          });
-          activeScansStore.delete(websiteId);
-          return;
-        }
+  // Closes the dialog once deleted; errors reject so the dialog stays open and shows them
+  const handleDelete = async (site, { deleteScans }) => {
+    const id = keyOf(site.id);
+    await dashboard.deleteWebsite(id, { deleteScans });
+    queryCache.setData(queries.websites.key, (prev = []) => prev.filter((s) => keyOf(s.id) !== id));
+    if (deleteScans) {
+      queryCache.setData(queries.scans.key, (prev = []) => prev.filter((scan) => keyOf(scan.website_id) !== id));
+    }
+    queryCache.invalidate(['websites']);
+    queryCache.invalidate(['scans']);
+    onWebsiteChanged && onWebsiteChanged(null);
+    safeSet(() => setDeleting(null));
+  };
 
-        // schedule the next tick
-        const t = setTimeout(() => poll(websiteId, scanId, startedAt, nextAttempt), POLL_EVERY_MS);
-        timersRef.current.set(websiteId, t);
-
-      } catch (e) {
-        const retryable = /502|503|429|network|fetch|timeout/i.test(String(e?.message || ''));
-        if (retryable && attempt < maxAttempts) {
-          // brief retry with same attempt count (keeps progress steady)
-          const t = setTimeout(() => poll(websiteId, scanId, startedAt, nextAttempt), 3000);
-          timersRef.current.set(websiteId, t);
-          safeSet(() => {
-            setScanProgress(prev => {
-              const map = new Map(prev);
-              const cur = map.get(websiteId) || { progress: 12 };
-              map.set(websiteId, { status: 'retrying', message: 'Temporary issue, retrying…', progress: cur.progress });
-              return map;
-            });
-          });
-          return;
-        }
-        // permanent error
-        safeSet(() => {
-          setError(e?.message || 'Scan failed');
-          setScanProgress(prev => {
-            const map = new Map(prev);
-            map.set(websiteId, { status: 'error', message: 'Scan failed — please try again', progress: 0 });
-            return map;
-          });
-          setScanningIds(prev => { const s = new Set(prev); s.delete(websiteId); return s; });
-        });
-        activeScansStore.delete(websiteId);
-      }
-    };
+  const handleScheduleSaved = (updated) => {
+    setScheduling(null);
+    if (updated?.id) replaceSite(keyOf(updated.id), updated);
+    queryCache.invalidate(['websites']);
+  };
 
-    tick();
+  const handleTogglePause = async (site) => {
+    const id = keyOf(site.id);
+    const paused = !site.schedule.paused;
+    setError('');
+    setBusy(id, true);
+    try {
+      await setSchedulePaused(site, paused);
+    } catch (err) {
+      safeSet(() => setError(err.message || `Failed to ${paused ? 'pause' : 'resume'} schedule`));
+    } finally {
+      safeSet(() => setBusy(id, false));
+    }
   };
 
-  const handleScan = async (site) => {
+  const handleScan = async (site, options) => {
     const websiteId = keyOf(site.id);
     setError('');
+    setConfiguring(null);
+    saveScanOptions(websiteId, options);
 
     // lock UI immediately
-    safeSet(() => {
-      setScanningIds(prev => { const s = new Set(prev); s.add(websiteId); return s; });
-      setScanProgress(prev => {
-        const m = new Map(prev);
-        m.set(websiteId, { status: 'starting', message: 'Starting…', progress: 10 });
-        return m;
-      });
-    });
+    setStartingIds(prev => new Set(prev).add(websiteId));
 
     try {
       // ✅ FIXED: Pass both websiteId and websiteUrl to match backend expectations
-      const scan = await scanning.startScan(site.id, site.url);
-      // persist so we can survive remounts
-      activeScansStore.set(websiteId, { scanId: scan.id, startedAt: Date.now() });
-
-      // ⚠️ If your parent remounts this component when this fires,
-      // our sessionStorage + resumeActiveScans will keep the UI/polling alive.
+      const scan = await scanning.startScan(site.id, site.url, toApiOptions(options));
+      // tracked (and persisted) from here on, even if we navigate away
+      jobTracker.track('scan', { scanId: scan.id, websiteId, url: site.url });
       onScanStarted && onScanStarted(scan);
-
-      // start polling now
-      poll(websiteId, scan.id, Date.now(), 0);
     } catch (e) {
-      setError(e.message || 'Failed to start scan');
-      // revert UI lock
-      safeSet(() => {
-        setScanningIds(prev => { const s = new Set(prev); s.delete(websiteId); return s; });
-        setScanProgress(prev => { const m = new Map(prev); m.delete(websiteId); return m; });
-      });
-      activeScansStore.delete(websiteId);
+      safeSet(() => setError(e.message || 'Failed to start scan'));
+    } finally {
+      safeSet(() => setStartingIds(prev => { const s = new Set(prev); s.delete(websiteId); return s; }));
     }
   };
 
@@ -301,25 +358,170 @@ export default function WebsiteManager({ onWebsiteAdded, onScanStarted, onViewRe
           {adding && <Loader2 className="h-4 w-4 animate-spin" />}
           {adding ? 'Adding…' : 'Add Website'}
         </button>
+        <button
+          type="button"
+          onClick={() => setImporting(true)}
+          className="rounded-md border border-gray-300 px-4 py-2 text-sm text-gray-700 flex items-center gap-2 hover:bg-gray-50 transition-colors"
+        >
+          <Upload className="h-4 w-4" />
+          Import
+        </button>
       </form>
 
+      {archivedCount > 0 && (
+        <label className="inline-flex items-center gap-2 text-sm text-gray-700">
+          <input type="checkbox" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} />
+          Show archived ({archivedCount})
+        </label>
+      )}
+
       <div className="grid gap-4 md:grid-cols-2">
         {list.map((site) => {
           const id = keyOf(site.id);
-          const isScanning = scanningIds.has(id);
-          const progress = scanProgress.get(id) || (isScanning ? { status: 'scanning', message: 'Scanning…', progress: 12 } : null);
+          const job = scanJobs.get(id);
+          let progress = null;
+          if (completedIds.has(id)) {
+            progress = { status: 'completed', message: 'Scan completed!', percent: 100 };
+          } else if (job) {
+            progress = { ...job.data, status: job.retrying ? 'retrying' : 'scanning', message: job.message || 'Scanning…', percent: job.percent };
+          } else if (startingIds.has(id)) {
+            progress = { status: 'starting', message: 'Starting…', percent: null };
+          }
+          const isScanning = !!progress;
           const canViewResults = !!site.last_scan_id && !isScanning;
+          const isArchived = site.status === 'archived';
+          const isBusy = busyIds.has(id);
+          const locked = site.pending || isBusy || isScanning;
+          const schedule = fromApiSchedule(site.schedule);
+
+          if (editing?.id === id) {
+            return (
+              <form key={id} onSubmit={handleSaveEdit} className="rounded-lg border border-blue-300 p-4 bg-white shadow-sm space-y-3">
+                <label className="block text-sm">
+                  <span className="font-medium text-gray-700">Name</span>
+                  <input
+                    className={`${inputClass} mt-1`}
+                    value={editing.name}
+                    onChange={(e) => setEditing((prev) => ({ ...prev, name: e.target.value }))}
+                    autoFocus
+                  />
+                  {editing.errors.name && <span className="mt-1 block text-xs text-red-600">{editing.errors.name}</span>}
+                </label>
+                <label className="block text-sm">
+                  <span className="font-medium text-gray-700">URL</span>
+                  <input
+                    type="url"
+                    className={`${inputClass} mt-1`}
+                    value={editing.url}
+                    onChange={(e) => setEditing((prev) => ({ ...prev, url: e.target.value }))}
+                  />
+                  {editing.errors.url && <span className="mt-1 block text-xs text-red-600">{editing.errors.url}</span>}
+                </label>
+                <div className="flex items-center gap-2">
+                  <button type="submit" className="rounded-md px-3 py-2 text-sm font-medium bg-blue-600 text-white hover:bg-blue-700">
+                    Save
+                  </button>
+                  <button type="button" onClick={() => setEditing(null)} className="rounded-md px-3 py-2 text-sm text-gray-700 border border-gray-300 hover:bg-gray-50">
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            );
+          }
 
           return (
-            <div key={id} className="rounded-lg border p-4 bg-white shadow-sm hover:shadow-md transition-shadow">
-              <div className="mb-2 font-medium text-gray-900">{site.name || site.url}</div>
-              <div className="mb-3 text-sm text-gray-600 break-all">{site.url}</div>
+            <div key={id} className={`rounded-lg border p-4 shadow-sm hover:shadow-md transition-shadow ${isArchived ? 'bg-gray-50' : 'bg-white'} ${site.pending ? 'opacity-60' : ''}`}>
+              <div className="mb-2 flex items-start justify-between gap-2">
+                <div className="min-w-0">
+                  {site.pending ? (
+                    <div className="font-medium text-gray-900 flex items-center gap-2">
+                      <Loader2 className="h-4 w-4 animate-spin" />
+                      {site.name || site.url}
+                    </div>
+                  ) : (
+                    <div className="flex items-center gap-2">
+                      <Link to={`/websites/${id}`} className={`font-medium hover:text-blue-600 ${isArchived ? 'text-gray-500' : 'text-gray-900'}`}>
+                        {site.name || site.url}
+                      </Link>
+                      {isArchived && (
+                        <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-gray-200 text-gray-700">Archived</span>
+                      )}
+                      {isBusy && <Loader2 className="h-4 w-4 animate-spin text-gray-400" />}
+                    </div>
+                  )}
+                </div>
+                {!site.pending && (
+                  <div className="flex items-center flex-shrink-0">
+                    <button onClick={() => startEditing(site)} disabled={locked} className={iconButtonClass} title="Edit" aria-label={`Edit ${site.name || site.url}`}>
+                      <Pencil className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => setScheduling(site)}
+                      disabled={locked}
+                      className={iconButtonClass}
+                      title={schedule ? 'Edit schedule' : 'Schedule scans'}
+                      aria-label={`${schedule ? 'Edit schedule for' : 'Schedule scans of'} ${site.name || site.url}`}
+                    >
+                      <CalendarClock className="h-4 w-4" />
+                    </button>
+                    {isArchived ? (
+                      <button onClick={() => handleArchive(site, false)} disabled={locked} className={iconButtonClass} title="Restore" aria-label={`Restore ${site.name || site.url}`}>
+                        <ArchiveRestore className="h-4 w-4" />
+                      </button>
+                    ) : (
+                      <button onClick={() => handleArchive(site, true)} disabled={locked} className={iconButtonClass} title="Archive" aria-label={`Archive ${site.name || site.url}`}>
+                        <Archive className="h-4 w-4" />
+                      </button>
+                    )}
+                    <button
+                      onClick={() => setDeleting(site)}
+                      disabled={locked}
+                      className={`${iconButtonClass} hover:text-red-600 hover:bg-red-50`}
+                      title="Delete"
+                      aria-label={`Delete ${site.name || site.url}`}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                )}
+              </div>
+              <div className={`${site.tags?.length ? 'mb-2' : 'mb-3'} text-sm text-gray-600 break-all`}>{site.url}</div>
+              {site.tags?.length > 0 && (
+                <div className="mb-3 flex flex-wrap gap-1">
+                  {site.tags.map((tag) => <span key={tag} className="px-1.5 py-0.5 text-xs rounded bg-gray-100 text-gray-600">{tag}</span>)}
+                </div>
+              )}
+
+              {schedule && (
+                <div className="mb-3 flex items-start justify-between gap-2 rounded-md border border-gray-200 bg-gray-50 px-3 py-2 text-xs">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-1 font-medium text-gray-700">
+                      <CalendarClock className="h-3.5 w-3.5 flex-shrink-0" />
+                      <span className="truncate" title={describeSchedule(schedule)}>{describeSchedule(schedule)}</span>
+                    </div>
+                    <div className="mt-0.5 text-gray-500">
+                      {isArchived ? 'Not running while archived'
+                        : schedule.paused ? 'Paused'
+                        : site.next_scan_at ? `Next scan ${new Date(site.next_scan_at).toLocaleString()} (${formatRelative(site.next_scan_at)})`
+                        : 'No upcoming runs'}
+                    </div>
+                  </div>
+                  {!isArchived && (
+                    <button
+                      onClick={() => handleTogglePause(site)}
+                      disabled={locked}
+                      className="flex items-center gap-1 text-gray-600 hover:text-gray-900 disabled:opacity-40 flex-shrink-0"
+                    >
+                      {schedule.paused ? <Play className="h-3.5 w-3.5" /> : <Pause className="h-3.5 w-3.5" />}
+                      {schedule.paused ? 'Resume' : 'Pause'}
+                    </button>
+                  )}
+                </div>
+              )}
 
               {isScanning && (
                 <div className={`mb-3 p-3 rounded-md border ${
                   progress?.status === 'completed' ? 'bg-green-50 border-green-200' :
-                  progress?.status === 'error' ? 'bg-red-50 border-red-200' :
-                  progress?.status === 'timeout' ? 'bg-yellow-50 border-yellow-200' :
                   progress?.status === 'retrying' ? 'bg-orange-50 border-orange-200' :
                   'bg-blue-50 border-blue-200'
                 }`}>
@@ -327,19 +529,26 @@ export default function WebsiteManager({ onWebsiteAdded, onScanStarted, onViewRe
                     {(progress?.status === 'starting' || progress?.status === 'scanning') &&
                       <Loader2 className="h-4 w-4 animate-spin text-blue-600" />}
                     {progress?.status === 'completed' && <CheckCircle className="h-4 w-4 text-green-600" />}
-                    {progress?.status === 'error' && <AlertTriangle className="h-4 w-4 text-red-600" />}
                     <span className="font-medium">
                       {progress?.message}
                     </span>
+                    {progress?.violationsFound != null && (
+                      <span className="text-gray-600">• {progress.violationsFound} violations found</span>
+                    )}
                   </div>
-                  <div className="mt-2 w-full bg-gray-200 rounded-full h-2">
+                  {progress?.currentUrl && progress?.status !== 'completed' && (
+                    <div className="mt-1 text-xs text-gray-500 truncate" title={progress.currentUrl}>
+                      {progress.currentUrl}
+                    </div>
+                  )}
+                  <div className="mt-2 w-full bg-gray-200 rounded-full h-2 overflow-hidden">
                     <div
                       className={`h-2 rounded-full transition-all duration-500 ${
                         progress?.status === 'completed' ? 'bg-green-600' :
                         progress?.status === 'retrying' ? 'bg-orange-600' :
                         'bg-blue-600'
-                      }`}
-                      style={{ width: `${progress?.progress ?? 12}%` }}
+                      } ${progress?.percent == null ? 'animate-pulse' : ''}`}
+                      style={{ width: `${progress?.percent ?? 100}%` }}
                     />
                   </div>
                 </div>
@@ -347,10 +556,11 @@ export default function WebsiteManager({ onWebsiteAdded, onScanStarted, onViewRe
 
               <div className="flex items-center gap-2 mb-3">
                 <button
-                  onClick={() => handleScan(site)}
-                  disabled={isScanning}
+                  onClick={() => setConfiguring(site)}
+                  disabled={locked || isArchived}
+                  title={isArchived ? 'Restore this website to scan it' : undefined}
                   className={`rounded-md px-3 py-2 text-sm font-medium flex items-center gap-2 transition-colors ${
-                    isScanning ? 'bg-gray-400 text-white cursor-not-allowed' : 'bg-blue-600 text-white hover:bg-blue-700'
+                    locked || isArchived ? 'bg-gray-400 text-white cursor-not-allowed' : 'bg-blue-600 text-white hover:bg-blue-700'
                   }`}
                 >
                   {isScanning && <Loader2 className="h-4 w-4 animate-spin" />}
@@ -374,13 +584,55 @@ export default function WebsiteManager({ onWebsiteAdded, onScanStarted, onViewRe
                   <span>Violations: {site.total_violations ?? 0}</span>
                 </div>
                 <div>Last Scan: {site.last_scan_date ? new Date(site.last_scan_date).toLocaleString() : 'Never'}</div>
+                {isArchived && site.archived_at && <div>Archived: {new Date(site.archived_at).toLocaleString()}</div>}
               </div>
             </div>
           );
         })}
       </div>
 
-      {list.length === 0 && (
+      {configuring && (
+        <ScanOptionsDialog
+          site={configuring}
+          initialOptions={loadScanOptions(keyOf(configuring.id))}
+          onStart={(options) => handleScan(configuring, options)}
+          onClose={() => setConfiguring(null)}
+        />
+      )}
+
+      {scheduling && (
+        <ScheduleDialog
+          site={scheduling}
+          onSaved={handleScheduleSaved}
+          onClose={() => setScheduling(null)}
+        />
+      )}
+
+      {importing && (
+        <BulkImportDialog
+          existing={allSites.filter((site) => !site.pending)}
+          onImported={handleImported}
+          onClose={() => setImporting(false)}
+        />
+      )}
+
+      {deleting && (
+        <DeleteWebsiteDialog
+          site={deleting}
+          scanCount={(scansQuery.data || []).filter((scan) => keyOf(scan.website_id) === keyOf(deleting.id)).length}
+          onConfirm={(options) => handleDelete(deleting, options)}
+          onCancel={() => setDeleting(null)}
+        />
+      )}
+
+      {allSites.length > 0 && list.length === 0 && (
+        <div className="text-center py-12 text-gray-500">
+          <div className="text-lg font-medium mb-2">All websites are archived</div>
+          <div className="text-sm">Show archived websites to restore one, or add a new website above</div>
+        </div>
+      )}
+
+      {allSites.length === 0 && (
         <div className="text-center py-12 text-gray-500">
           <div className="text-lg font-medium mb-2">No websites added yet</div>
           <div className="text-sm">Add your first website above to start scanning for accessibility issues</div>
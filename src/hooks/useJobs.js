@@ -0,0 +1,20 @@
+import { useSyncExternalStore } from 'react';
+import jobTracker from '../utils/jobTracker';
+
+/**
+ * Subscribe a component to every tracked background job
+ * @returns {Array<Object>} Job snapshots, newest first
+ */
+export default function useJobs() {
+  return useSyncExternalStore(jobTracker.subscribe, jobTracker.list);
+}
+
+/**
+ * Subscribe a component to one tracked job
+ * @param {string|null} id - Job id from `jobTracker.track`
+ * @returns {Object|null} Job snapshot
+ */
+export function useJob(id) {
+  const jobs = useJobs();
+  return id ? jobs.find((job) => job.id === id) || null : null;
+}
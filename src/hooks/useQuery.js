@@ -0,0 +1,46 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import queryCache from '../utils/queryCache';
+import { isAbortError } from '../utils/httpClient';
+
+/**
+ * Subscribe a component to a cached query (stale-while-revalidate)
+ * @param {Object} query - `{ key, fetch, staleTime }` from utils/queries.js
+ * @param {Object} options - `{ enabled }`
+ * @returns {{data: *, error: Error|null, isLoading: boolean, isFetching: boolean, refetch: Function}}
+ */
+export default function useQuery(query, { enabled = true } = {}) {
+  const id = JSON.stringify(query.key);
+  const [state, setState] = useState(() => queryCache.getState(query.key));
+
+  // Definitions are rebuilt every render; the serialised key decides when to resubscribe
+  const queryRef = useRef(query);
+  useEffect(() => {
+    queryRef.current = query;
+  });
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const { key, fetch: fetcher, staleTime } = queryRef.current;
+    const sync = () => setState(queryCache.getState(key));
+    const unsubscribe = queryCache.subscribe(key, sync);
+    sync();
+    // cached data renders immediately; a stale entry refetches in the background
+    queryCache.fetch(key, fetcher, { staleTime }).catch((error) => {
+      if (!isAbortError(error)) console.error(`Query ${id} failed:`, error);
+    });
+    return unsubscribe;
+  }, [id, enabled]);
+
+  const refetch = useCallback(() => {
+    const { key, fetch: fetcher, staleTime } = queryRef.current;
+    return queryCache.fetch(key, fetcher, { staleTime, force: true });
+  }, []);
+
+  return {
+    data: state.data,
+    error: state.error,
+    isLoading: enabled && state.data === undefined && !state.error,
+    isFetching: state.isFetching,
+    refetch,
+  };
+}
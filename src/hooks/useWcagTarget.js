@@ -0,0 +1,10 @@
+import { useSyncExternalStore } from 'react';
+import wcagTarget from '../utils/wcagTarget';
+
+/**
+ * Subscribe a component to the chosen WCAG conformance target
+ * @returns {[Object, Function]} `[{ version, level }, setTarget(changes)]`
+ */
+export default function useWcagTarget() {
+  return [useSyncExternalStore(wcagTarget.subscribe, wcagTarget.get), wcagTarget.set];
+}
@@ -1,11 +1,25 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
+import { BrowserRouter } from 'react-router-dom';
 import App from './App.jsx';
+import { config } from './utils/config';
 import './index.css';
 
-// Create root and render the app
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+const bootstrap = async () => {
+  // Offline mock backend, loaded only when VITE_MOCK_API is on
+  if (config.mockApi) {
+    const { installMockApi } = await import('./mocks/mockServer.js');
+    installMockApi();
+  }
+
+  // Create root and render the app
+  ReactDOM.createRoot(document.getElementById('root')).render(
+    <React.StrictMode>
+      <BrowserRouter>
+        <App />
+      </BrowserRouter>
+    </React.StrictMode>
+  );
+};
+
+bootstrap();
@@ -0,0 +1,287 @@
+// Mock API fixtures
+// Realistic seed data and generators used by the offline mock backend
+
+import { isUrlAllowed } from '../utils/scanOptions.js';
+
+export const MOCK_USER = {
+  id: 1,
+  name: 'Demo User',
+  firstName: 'Demo',
+  lastName: 'User',
+  email: 'demo@sentryprime.dev',
+};
+
+// Axe-style rule catalogue the generator draws violations from
+export const RULES = [
+  {
+    id: 'color-contrast',
+    impact: 'serious',
+    description: 'Ensures the contrast between foreground and background colors meets WCAG 2 AA contrast ratio thresholds',
+    help: 'Elements must have sufficient color contrast',
+    tags: ['cat.color', 'wcag2aa', 'wcag143'],
+    html: '<p class="text-gray-400 bg-gray-200">Contact us today</p>',
+    target: ['.hero > p.subtitle'],
+    failureSummary: 'Fix any of the following:\n  Element has insufficient color contrast of 2.1 (foreground color: #9ca3af, background color: #e5e7eb, font size: 12.0pt, font weight: normal). Expected contrast ratio of 4.5:1',
+  },
+  {
+    id: 'image-alt',
+    impact: 'critical',
+    description: 'Ensures <img> elements have alternate text or a role of none or presentation',
+    help: 'Images must have alternate text',
+    tags: ['cat.text-alternatives', 'wcag2a', 'wcag111', 'section508'],
+    html: '<img src="/assets/hero.jpg" class="w-full">',
+    target: ['main > section:nth-child(1) > img'],
+    failureSummary: 'Fix any of the following:\n  Element does not have an alt attribute\n  aria-label attribute does not exist or is empty\n  Element has no title attribute',
+  },
+  {
+    id: 'label',
+    impact: 'critical',
+    description: 'Ensures every form element has a label',
+    help: 'Form elements must have labels',
+    tags: ['cat.forms', 'wcag2a', 'wcag412', 'wcag131'],
+    html: '<input type="email" name="email" placeholder="Your email">',
+    target: ['#newsletter input[name="email"]'],
+    failureSummary: 'Fix any of the following:\n  Form element does not have an implicit (wrapped) <label>\n  Form element does not have an explicit <label>',
+  },
+  {
+    id: 'link-name',
+    impact: 'serious',
+    description: 'Ensures links have discernible text',
+    help: 'Links must have discernible text',
+    tags: ['cat.name-role-value', 'wcag2a', 'wcag412', 'wcag244'],
+    html: '<a href="/cart"><i class="icon-cart"></i></a>',
+    target: ['header nav > a.cart'],
+    failureSummary: 'Fix all of the following:\n  Element is in tab order and does not have accessible text',
+  },
+  {
+    id: 'heading-order',
+    impact: 'moderate',
+    description: 'Ensures the order of headings is semantically correct',
+    help: 'Heading levels should only increase by one',
+    tags: ['cat.semantics', 'best-practice'],
+    html: '<h4>Our services</h4>',
+    target: ['main > section:nth-child(2) > h4'],
+    failureSummary: 'Fix any of the following:\n  Heading order invalid',
+  },
+  {
+    id: 'region',
+    impact: 'moderate',
+    description: 'Ensures all page content is contained by landmarks',
+    help: 'All page content should be contained by landmarks',
+    tags: ['cat.keyboard', 'best-practice'],
+    html: '<div class="cookie-banner">We use cookies</div>',
+    target: ['body > div.cookie-banner'],
+    failureSummary: 'Fix any of the following:\n  Some page content is not contained by landmarks',
+  },
+  {
+    id: 'html-has-lang',
+    impact: 'serious',
+    description: 'Ensures every HTML document has a lang attribute',
+    help: '<html> element must have a lang attribute',
+    tags: ['cat.language', 'wcag2a', 'wcag311'],
+    html: '<html>',
+    target: ['html'],
+    failureSummary: 'Fix any of the following:\n  The <html> element does not have a lang attribute',
+  },
+  {
+    id: 'button-name',
+    impact: 'critical',
+    description: 'Ensures buttons have discernible text',
+    help: 'Buttons must have discernible text',
+    tags: ['cat.name-role-value', 'wcag2a', 'wcag412', 'section508'],
+    html: '<button class="menu-toggle"><svg></svg></button>',
+    target: ['header > button.menu-toggle'],
+    failureSummary: 'Fix any of the following:\n  Element does not have inner text that is visible to screen readers\n  aria-label attribute does not exist or is empty',
+  },
+  {
+    id: 'target-size',
+    impact: 'minor',
+    description: 'Ensures touch targets have sufficient size and space',
+    help: 'All touch targets must be 24px large, or leave sufficient space',
+    tags: ['cat.sensory-and-visual-cues', 'wcag22aa', 'wcag258'],
+    html: '<a href="/privacy" class="text-xs">Privacy</a>',
+    target: ['footer a[href="/privacy"]'],
+    failureSummary: 'Fix any of the following:\n  Target has insufficient size (16px by 12px, should be at least 24px by 24px)',
+  },
+];
+
+const PAGE_PATHS = ['/', '/about', '/pricing', '/blog', '/blog/launch-announcement', '/contact', '/careers', '/docs/getting-started'];
+const PAGE_TITLES = ['Home', 'About us', 'Pricing', 'Blog', 'Launch announcement', 'Contact', 'Careers', 'Getting started'];
+
+// Small deterministic PRNG so a scan id always produces the same report
+const seeded = (seed) => {
+  let state = Number(seed) || 1;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+};
+
+// axe check results recovered from a rule's failure summary ("Fix any/all of the following:")
+const checksFor = (rule) => {
+  const [heading, ...lines] = rule.failureSummary.split('\n');
+  const checks = lines.map((line, i) => ({
+    id: lines.length > 1 ? `${rule.id}-${i + 1}` : rule.id,
+    impact: rule.impact,
+    message: line.trim(),
+    relatedNodes: [],
+  }));
+  return /Fix all/.test(heading) ? { any: [], all: checks, none: [] } : { any: checks, all: [], none: [] };
+};
+
+const buildNode = (rule, index) => ({
+  html: rule.html,
+  target: index === 0 ? rule.target : [`${rule.target[0]}:nth-of-type(${index + 1})`],
+  failureSummary: rule.failureSummary,
+  impact: rule.impact,
+  ...checksFor(rule),
+});
+
+// The start page is always scanned; the rest follow the URL patterns and page limit
+const applyScanOptions = (pages, options) => {
+  const patterns = { includePatterns: options.include_patterns || [], excludePatterns: options.exclude_patterns || [] };
+  const tags = options.tags?.length ? new Set(options.tags) : null;
+  return pages
+    .filter((page, index) => index === 0 || isUrlAllowed(page.url, patterns))
+    .slice(0, options.max_pages || pages.length)
+    .map((page) => ({
+      ...page,
+      violations: tags ? page.violations.filter((v) => v.tags.some((tag) => tags.has(tag))) : page.violations,
+    }));
+};
+
+/**
+ * Generate a deterministic axe-style report for a website
+ * @param {number} scanId - Scan ID used as the random seed
+ * @param {string} baseUrl - Website URL
+ * @param {Object} [options] - Scan options as sent to the API; limits the pages and rules
+ * @returns {Object} `{ pages, byImpact, totalViolations, complianceScore }`
+ */
+export const generateScanReport = (scanId, baseUrl, options = null) => {
+  const random = seeded(scanId);
+  const origin = String(baseUrl || 'https://example.com').replace(/\/+$/, '');
+  const pageCount = 3 + Math.floor(random() * (PAGE_PATHS.length - 2));
+
+  const generated = PAGE_PATHS.slice(0, pageCount).map((path, pageIndex) => {
+    const violations = RULES
+      .filter(() => random() > 0.45)
+      .map((rule) => {
+        const nodeCount = 1 + Math.floor(random() * 4);
+        return {
+          id: rule.id,
+          impact: rule.impact,
+          description: rule.description,
+          help: rule.help,
+          helpUrl: `https://dequeuniversity.com/rules/axe/4.8/${rule.id}`,
+          tags: rule.tags,
+          nodes: Array.from({ length: nodeCount }, (_, i) => buildNode(rule, i)),
+        };
+      });
+
+    return {
+      url: `${origin}${path}`,
+      title: `${PAGE_TITLES[pageIndex]} | ${origin.replace(/^https?:\/\//, '')}`,
+      statusCode: 200,
+      scannedAt: new Date().toISOString(),
+      loadTime: 400 + Math.floor(random() * 1600),
+      violations,
+    };
+  });
+
+  // Options only narrow the generated report, so the same scan always draws the same data
+  const pages = options ? applyScanOptions(generated, options) : generated;
+  const byImpact = { critical: 0, serious: 0, moderate: 0, minor: 0 };
+  pages.forEach((page) => page.violations.forEach((v) => { byImpact[v.impact] += 1; }));
+
+  const totalViolations = Object.values(byImpact).reduce((sum, n) => sum + n, 0);
+  const penalty = byImpact.critical * 4 + byImpact.serious * 2 + byImpact.moderate + byImpact.minor * 0.5;
+  const complianceScore = Math.max(12, Math.round(100 - penalty / pages.length * 2.5));
+
+  return { pages, byImpact, totalViolations, complianceScore };
+};
+
+/**
+ * Build the AI analysis payload for a scan report
+ * @param {Object} report - Output of generateScanReport
+ * @returns {Object} `{ summary, steps, issues }`
+ */
+export const generateAIAnalysis = (report) => {
+  const counts = new Map();
+  report.pages.forEach((page) => page.violations.forEach((v) => {
+    counts.set(v.id, (counts.get(v.id) || 0) + 1);
+  }));
+  const ranked = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  const issues = ranked.map(([ruleId, pagesAffected]) => {
+    const rule = RULES.find((r) => r.id === ruleId);
+    return {
+      rule: ruleId,
+      impact: rule.impact,
+      pagesAffected,
+      recommendation: rule.help,
+    };
+  });
+
+  return {
+    summary: `Found ${report.totalViolations} accessibility issues across ${report.pages.length} pages. `
+      + `The most widespread problem is "${issues[0]?.recommendation || 'none'}", `
+      + `affecting ${issues[0]?.pagesAffected || 0} pages. Fix critical issues first: they block screen reader and keyboard users entirely.`,
+    steps: issues.slice(0, 5).map((issue, i) => `${i + 1}. ${issue.recommendation} (${issue.impact}, ${issue.pagesAffected} pages)`),
+    issues,
+  };
+};
+
+/**
+ * Build alt-text suggestions for a finished job
+ * @param {string} jobId - Job ID
+ * @param {string} websiteUrl - Website URL
+ * @param {number} imageCount - Number of images
+ * @returns {Array} Suggestions grouped by `imageUrl`
+ */
+export const generateAltTextSuggestions = (jobId, websiteUrl, imageCount) => {
+  const subjects = ['Team of professionals collaborating around a laptop', 'Company logo on a white background', 'Product dashboard showing accessibility scores', 'Customer smiling while using a mobile phone', 'Chart comparing monthly compliance trends'];
+  const origin = String(websiteUrl || 'https://example.com').replace(/\/+$/, '');
+  const suggestions = [];
+
+  for (let i = 0; i < imageCount; i++) {
+    const subject = subjects[i % subjects.length];
+    const imageUrl = `${origin}/assets/image-${i + 1}.jpg`;
+    const imageInfo = {
+      width: 1200,
+      height: 800,
+      fileSize: 180000 + i * 12000,
+      existingAlt: i % 3 === 0 ? 'image' : '',
+      isDecorative: i % 5 === 4,
+    };
+    [
+      { type: 'concise', text: subject, confidence: 0.91 },
+      { type: 'detailed', text: `${subject}, photographed in a bright, modern setting with natural light`, confidence: 0.78 },
+      { type: 'brief', text: subject.split(' ').slice(0, 3).join(' '), confidence: 0.55 },
+    ].forEach((s, k) => {
+      suggestions.push({ id: `${jobId}-s${i + 1}-${k + 1}`, imageUrl, imageInfo, ...s });
+    });
+  }
+  return suggestions;
+};
+
+export const SEED_WEBSITES = [
+  { id: 1, name: 'SentryPrime Marketing', url: 'https://www.sentryprime.dev' },
+  { id: 2, name: 'Acme Store', url: 'https://shop.acme.test' },
+  { id: 3, name: 'City Library', url: 'https://library.example.org' },
+];
+
+export const SEED_NOTIFICATIONS = [
+  {
+    id: 'n1',
+    type: 'job_completed',
+    title: 'Alt text ready',
+    message: 'Alt Text AI finished generating suggestions for SentryPrime Marketing.',
+    read: false,
+  },
+  {
+    id: 'n2',
+    type: 'scan_completed',
+    title: 'Scan complete',
+    message: 'Acme Store scored 71% compliance.',
+    read: true,
+  },
+];
@@ -0,0 +1,748 @@
+// Offline mock backend
+// Intercepts fetch calls to the configured backend and serves fixture data.
+// Enable with VITE_MOCK_API=true; state persists in localStorage between reloads.
+
+import { config } from '../utils/config.js';
+import {
+  MOCK_USER,
+  SEED_WEBSITES,
+  SEED_NOTIFICATIONS,
+  generateScanReport,
+  generateAIAnalysis,
+  generateAltTextSuggestions,
+} from './fixtures.js';
+import { fromApiSchedule, nextRun, toApiSchedule, validateSchedule } from '../utils/schedule.js';
+import { diffScans } from '../utils/scanDiff.js';
+
+const STORAGE_KEY = 'sentryprime_mock_db';
+const SCAN_DURATION_MS = 15000;
+const JOB_DURATION_MS = 12000;
+const ACCESS_TOKEN_TTL_S = 10 * 60;
+const REFRESH_TOKEN_TTL_S = 7 * 24 * 60 * 60;
+
+// --- tokens: unsigned JWT-shaped so the client can decode `exp` ---
+const base64url = (value) => btoa(JSON.stringify(value)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const issueToken = (type, ttlSeconds) => {
+  const now = Math.floor(Date.now() / 1000);
+  return [
+    base64url({ alg: 'none', typ: 'JWT' }),
+    base64url({ sub: MOCK_USER.id, type, iat: now, exp: now + ttlSeconds }),
+    'mock',
+  ].join('.');
+};
+
+const readToken = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp * 1000 > Date.now() ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+const issueSession = (user) => ({
+  token: issueToken('access', ACCESS_TOKEN_TTL_S),
+  refresh_token: issueToken('refresh', REFRESH_TOKEN_TTL_S),
+  user,
+});
+
+// --- persisted in-memory database ---
+const createSeedDb = () => {
+  const now = Date.now();
+  const day = 24 * 60 * 60 * 1000;
+  return {
+    nextId: 200,
+    websites: SEED_WEBSITES.map((site, i) => ({ ...site, created_at: new Date(now - (30 - i) * day).toISOString() })),
+    // A few weeks of history per seed website so trends have something to show
+    scans: [
+      { id: 96, website_id: 1, url: SEED_WEBSITES[0].url, startedAt: now - 24 * day, durationMs: SCAN_DURATION_MS },
+      { id: 97, website_id: 1, url: SEED_WEBSITES[0].url, startedAt: now - 17 * day, durationMs: SCAN_DURATION_MS },
+      { id: 98, website_id: 1, url: SEED_WEBSITES[0].url, startedAt: now - 10 * day, durationMs: SCAN_DURATION_MS },
+      { id: 99, website_id: 2, url: SEED_WEBSITES[1].url, startedAt: now - 15 * day, durationMs: SCAN_DURATION_MS },
+      { id: 100, website_id: 2, url: SEED_WEBSITES[1].url, startedAt: now - 8 * day, durationMs: SCAN_DURATION_MS },
+      { id: 101, website_id: 1, url: SEED_WEBSITES[0].url, startedAt: now - 3 * day, durationMs: SCAN_DURATION_MS },
+      { id: 102, website_id: 2, url: SEED_WEBSITES[1].url, startedAt: now - day, durationMs: SCAN_DURATION_MS },
+    ],
+    jobs: [],
+    notifications: SEED_NOTIFICATIONS.map((n, i) => ({ ...n, created_at: new Date(now - i * day).toISOString() })),
+  };
+};
+
+const db = {
+  state: null,
+  read() {
+    if (this.state) return this.state;
+    try { this.state = JSON.parse(localStorage.getItem(STORAGE_KEY)) || createSeedDb(); }
+    catch { this.state = createSeedDb(); }
+    return this.state;
+  },
+  write() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.state));
+  },
+  nextId() {
+    const state = this.read();
+    state.nextId += 1;
+    return state.nextId;
+  },
+};
+
+/**
+ * Reset the mock database to its seed state
+ */
+export const resetMockDb = () => {
+  db.state = createSeedDb();
+  db.write();
+};
+
+// --- derived views ---
+const scanStatus = (scan) => (Date.now() - scan.startedAt >= scan.durationMs ? 'done' : 'running');
+
+// Crawl discovers pages over the first third of the run, then scans them in order
+const scanProgress = (scan) => {
+  const report = generateScanReport(scan.id, scan.url, scan.options);
+  const total = report.pages.length;
+  const fraction = Math.min(1, (Date.now() - scan.startedAt) / scan.durationMs);
+  const discovered = Math.max(1, Math.min(total, Math.ceil(total * Math.min(1, fraction * 3))));
+  const scanned = Math.min(discovered, Math.floor(total * fraction));
+  const violations = report.pages.slice(0, scanned)
+    .reduce((sum, page) => sum + page.violations.reduce((n, v) => n + v.nodes.length, 0), 0);
+  return {
+    pages_discovered: discovered,
+    pages_scanned: scanned,
+    current_url: report.pages[Math.min(scanned, total - 1)]?.url || scan.url,
+    violations_found: violations,
+  };
+};
+
+const scanSummary = (scan) => {
+  const status = scanStatus(scan);
+  const createdAt = new Date(scan.startedAt).toISOString();
+  const trigger = scan.trigger || 'manual';
+  if (status !== 'done') {
+    return { id: scan.id, website_id: scan.website_id, url: scan.url, trigger, status, created_at: createdAt, progress: scanProgress(scan) };
+  }
+  const report = generateScanReport(scan.id, scan.url, scan.options);
+  return {
+    id: scan.id,
+    website_id: scan.website_id,
+    url: scan.url,
+    trigger,
+    status,
+    created_at: createdAt,
+    completed_at: new Date(scan.startedAt + scan.durationMs).toISOString(),
+    compliance_score: report.complianceScore,
+    total_violations: report.totalViolations,
+    violations_by_impact: report.byImpact,
+    pages_scanned: report.pages.length,
+  };
+};
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+const sameUrl = (a, b) => String(a).replace(/\/+$/, '').toLowerCase() === String(b).replace(/\/+$/, '').toLowerCase();
+
+const websiteView = (site) => {
+  const done = db.read().scans
+    .filter((s) => s.website_id === site.id && scanStatus(s) === 'done')
+    .sort((a, b) => b.startedAt - a.startedAt);
+  const last = done[0] ? scanSummary(done[0]) : null;
+  return {
+    ...site,
+    status: site.archived_at ? 'archived' : 'active',
+    archived_at: site.archived_at || null,
+    schedule: site.schedule || null,
+    next_scan_at: site.archived_at ? null : site.next_scan_at || null,
+    last_scan_id: last?.id || null,
+    last_scan_date: last?.completed_at || null,
+    compliance_score: last?.compliance_score ?? null,
+    total_violations: last?.total_violations ?? null,
+  };
+};
+
+// --- scheduled scans ---
+const nextScanAt = (schedule, from = new Date()) => nextRun(fromApiSchedule(schedule), from)?.toISOString() || null;
+
+// Starts every scan whose schedule is due. Runs missed while the app was closed
+// collapse into one scan at the first missed time, like a scheduler catching up.
+const runDueSchedules = () => {
+  const state = db.read();
+  const now = Date.now();
+  let changed = false;
+  state.websites.forEach((site) => {
+    if (!site.schedule || site.archived_at || !site.next_scan_at || Date.parse(site.next_scan_at) > now) return;
+    state.scans.push({
+      id: db.nextId(),
+      website_id: site.id,
+      url: site.url,
+      options: site.schedule.options || null,
+      trigger: 'schedule',
+      startedAt: Date.parse(site.next_scan_at),
+      durationMs: SCAN_DURATION_MS,
+    });
+    site.next_scan_at = nextScanAt(site.schedule, new Date(now));
+    changed = true;
+  });
+  if (changed) db.write();
+};
+
+const scanDetail = (scan) => {
+  const summary = scanSummary(scan);
+  const website = db.read().websites.find((w) => w.id === scan.website_id);
+  const base = {
+    id: scan.id,
+    scanId: scan.id,
+    status: summary.status,
+    websiteName: website?.name || scan.url,
+    url: scan.url,
+    scanDate: summary.created_at,
+    options: scan.options || null,
+  };
+  if (summary.status !== 'done') return { ...base, progress: summary.progress };
+
+  const report = generateScanReport(scan.id, scan.url, scan.options);
+  return {
+    ...base,
+    completionDate: summary.completed_at,
+    totalViolations: report.totalViolations,
+    complianceScore: report.complianceScore,
+    pagesScanned: report.pages.length,
+    results: {
+      totalPages: report.pages.length,
+      byImpact: report.byImpact,
+      violations: report.totalViolations,
+      pages: report.pages,
+    },
+  };
+};
+
+// --- portfolio analytics for the overview ---
+const TREND_DAYS = 90;
+const TOP_RULES = 10;
+const WORST_WEBSITES = 5;
+const RECENT_ACTIVITY = 10;
+
+const dayKey = (ms) => new Date(ms).toISOString().slice(0, 10);
+const finishedAt = (scan) => scan.startedAt + scan.durationMs;
+
+// Active websites only; every figure is based on each website's scans as of a moment
+const overviewAnalytics = (state) => {
+  const sites = state.websites.filter((w) => !w.archived_at);
+  const siteIds = new Set(sites.map((w) => w.id));
+  const done = state.scans
+    .filter((s) => siteIds.has(s.website_id) && scanStatus(s) === 'done')
+    .sort((a, b) => finishedAt(a) - finishedAt(b));
+  const history = new Map(sites.map((site) => [site.id, done.filter((s) => s.website_id === site.id)]));
+  const reports = new Map();
+  const reportOf = (scan) => {
+    if (!reports.has(scan.id)) reports.set(scan.id, generateScanReport(scan.id, scan.url, scan.options));
+    return reports.get(scan.id);
+  };
+  const latest = sites
+    .map((site) => ({ site, scans: history.get(site.id) }))
+    .filter(({ scans }) => scans.length > 0)
+    .map(({ site, scans }) => ({ site, scan: scans[scans.length - 1], previous: scans[scans.length - 2] || null }));
+
+  // Average of each website's most recent score at the end of every day a scan finished
+  const since = Date.now() - TREND_DAYS * 24 * 60 * 60 * 1000;
+  const days = [...new Set(done.filter((s) => finishedAt(s) >= since).map((s) => dayKey(finishedAt(s))))];
+  const complianceTrend = days.map((date) => {
+    const end = Date.parse(`${date}T23:59:59.999Z`);
+    const scores = [...history.values()]
+      .map((scans) => scans.filter((s) => finishedAt(s) <= end).pop())
+      .filter(Boolean)
+      .map((scan) => reportOf(scan).complianceScore);
+    return { date, avgCompliance: Math.round(scores.reduce((sum, n) => sum + n, 0) / scores.length), websites: scores.length };
+  });
+
+  const impactDistribution = { critical: 0, serious: 0, moderate: 0, minor: 0 };
+  const rules = new Map();
+  latest.forEach(({ site, scan }) => {
+    const report = reportOf(scan);
+    Object.keys(impactDistribution).forEach((impact) => { impactDistribution[impact] += report.byImpact[impact]; });
+    report.pages.forEach((page) => page.violations.forEach((v) => {
+      const rule = rules.get(v.id) || { ruleId: v.id, help: v.help, impact: v.impact, occurrences: 0, pages: 0, websites: new Set() };
+      rule.occurrences += v.nodes.length;
+      rule.pages += 1;
+      rule.websites.add(site.id);
+      rules.set(v.id, rule);
+    }));
+  });
+  const topRules = [...rules.values()]
+    .sort((a, b) => b.occurrences - a.occurrences || a.ruleId.localeCompare(b.ruleId))
+    .slice(0, TOP_RULES)
+    .map((rule) => ({ ...rule, websites: rule.websites.size }));
+
+  const worstWebsites = latest
+    .map(({ site, scan }) => ({
+      id: site.id,
+      name: site.name,
+      url: site.url,
+      complianceScore: reportOf(scan).complianceScore,
+      totalViolations: reportOf(scan).totalViolations,
+      lastScanId: scan.id,
+      lastScanDate: new Date(finishedAt(scan)).toISOString(),
+    }))
+    .sort((a, b) => a.complianceScore - b.complianceScore)
+    .slice(0, WORST_WEBSITES);
+
+  const recentActivity = [...state.scans]
+    .sort((a, b) => b.startedAt - a.startedAt)
+    .slice(0, RECENT_ACTIVITY)
+    .map((scan) => {
+      const summary = scanSummary(scan);
+      return {
+        scanId: scan.id,
+        websiteId: scan.website_id,
+        websiteName: state.websites.find((w) => w.id === scan.website_id)?.name || scan.url,
+        url: scan.url,
+        status: summary.status,
+        trigger: summary.trigger,
+        createdAt: summary.created_at,
+        complianceScore: summary.compliance_score ?? null,
+      };
+    });
+
+  // Affected elements in the latest scan, and what changed since the scan before it
+  const byWebsite = latest.map(({ site, scan, previous }) => {
+    const current = { results: { pages: reportOf(scan).pages } };
+    const diff = diffScans(previous ? { results: { pages: reportOf(previous).pages } } : { results: { pages: [] } }, current);
+    return {
+      websiteId: site.id,
+      name: site.name,
+      open: diff.added.length + diff.persisting.length,
+      fixed: previous ? diff.fixed.length : 0,
+      introduced: previous ? diff.added.length : null,
+      since: previous ? new Date(finishedAt(previous)).toISOString() : null,
+    };
+  });
+  const issues = {
+    open: byWebsite.reduce((sum, w) => sum + w.open, 0),
+    fixed: byWebsite.reduce((sum, w) => sum + w.fixed, 0),
+    introduced: byWebsite.reduce((sum, w) => sum + (w.introduced || 0), 0),
+    byWebsite,
+  };
+
+  return { complianceTrend, impactDistribution, topRules, worstWebsites, recentActivity, issues };
+};
+
+const jobView = (job) => {
+  const elapsed = Date.now() - job.createdAt;
+  let status = 'processing';
+  if (job.cancelled) status = 'cancelled';
+  else if (elapsed >= JOB_DURATION_MS) status = 'completed';
+  const progress = status === 'completed' ? 100 : Math.min(99, Math.round((elapsed / JOB_DURATION_MS) * 100));
+  return {
+    jobId: job.jobId,
+    scanId: job.scanId,
+    websiteUrl: job.websiteUrl,
+    status,
+    progress,
+    totalImages: job.totalImages,
+    processedImages: Math.floor((progress / 100) * job.totalImages),
+    estimatedTimeRemaining: status === 'processing' ? JOB_DURATION_MS - elapsed : 0,
+    createdAt: new Date(job.createdAt).toISOString(),
+  };
+};
+
+const jobResults = (job) => {
+  const suggestions = generateAltTextSuggestions(job.jobId, job.websiteUrl, job.totalImages);
+  const avg = suggestions.reduce((sum, s) => sum + s.confidence, 0) / (suggestions.length || 1);
+  return {
+    jobId: job.jobId,
+    suggestions,
+    totalSuggestions: suggestions.length,
+    imagesProcessed: job.totalImages,
+    averageConfidence: avg,
+    summary: { totalProcessed: job.totalImages },
+  };
+};
+
+const imageCountFor = (scanId) => 4 + (Number(scanId) % 5);
+
+const estimateFor = (scanId) => {
+  const imageCount = imageCountFor(scanId);
+  const cost = (imageCount * 0.012).toFixed(2);
+  return {
+    // flat shape read by ScanResults
+    totalImages: imageCount,
+    imagesWithoutAlt: Math.ceil(imageCount / 2),
+    estimatedCost: cost,
+    estimatedTime: `${Math.round(JOB_DURATION_MS / 1000)} seconds`,
+    // nested shape read by altTextAIService.getEstimate
+    estimate: { imageCount, time: { estimated: JOB_DURATION_MS }, cost: { estimatedCost: cost } },
+  };
+};
+
+// --- route table ---
+const SSE_INTERVAL_MS = 1000;
+
+const sseFrame = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// Emits a progress frame every second until the scan is done
+async function* scanEventStream(scan) {
+  while (scanStatus(scan) !== 'done') {
+    yield sseFrame('progress', scanProgress(scan));
+    await new Promise((resolve) => setTimeout(resolve, SSE_INTERVAL_MS));
+  }
+  yield sseFrame('complete', scanSummary(scan));
+}
+
+const ok = (body, status = 200) => ({ status, body });
+const fail = (status, error, extra = {}) => ({ status, body: { error, ...extra } });
+const invalid = (errors) => fail(422, 'Validation failed', { code: 'validation_error', errors });
+
+const findWebsite = (id) => db.read().websites.find((w) => String(w.id) === String(id));
+const findScan = (id) => db.read().scans.find((s) => String(s.id) === String(id));
+const findJob = (id) => db.read().jobs.find((j) => j.jobId === id);
+
+const routes = [
+  // auth
+  ['POST', /^\/api\/auth\/login$/, ({ body }) => {
+    if (!body?.email) return invalid({ email: 'Email is required' });
+    if (!body?.password) return invalid({ password: 'Password is required' });
+    return ok(issueSession({ ...MOCK_USER, email: body.email }));
+  }],
+  ['POST', /^\/api\/auth\/register$/, ({ body }) => {
+    const errors = {};
+    if (!body?.email || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(body.email)) errors.email = 'Enter a valid email address';
+    if (String(body?.password || '').length < 8) errors.password = 'Password must be at least 8 characters';
+    if (!body?.firstName) errors.first_name = 'First name is required';
+    if (Object.keys(errors).length) return invalid(errors);
+    const user = {
+      ...MOCK_USER,
+      firstName: body.firstName,
+      lastName: body.lastName,
+      name: `${body.firstName || ''} ${body.lastName || ''}`.trim() || MOCK_USER.name,
+      email: body.email,
+    };
+    return ok(issueSession(user), 201);
+  }],
+  ['POST', /^\/api\/auth\/refresh$/, ({ body }) => {
+    const payload = body?.refresh_token && readToken(body.refresh_token);
+    if (!payload || payload.type !== 'refresh') return fail(401, 'Refresh token expired', { code: 'refresh_expired' });
+    return ok(issueSession(MOCK_USER));
+  }],
+
+  // dashboard
+  ['GET', /^\/api\/dashboard\/overview$/, () => {
+    const state = db.read();
+    const done = state.scans.filter((s) => scanStatus(s) === 'done').map(scanSummary);
+    const avg = done.length ? Math.round(done.reduce((sum, s) => sum + s.compliance_score, 0) / done.length) : 0;
+    return ok({
+      totalWebsites: state.websites.filter((w) => !w.archived_at).length,
+      totalScans: state.scans.length,
+      avgCompliance: avg,
+      totalViolations: done.reduce((sum, s) => sum + s.total_violations, 0),
+      ...overviewAnalytics(state),
+    });
+  }],
+  ['GET', /^\/api\/dashboard\/websites$/, () => ok(db.read().websites.map(websiteView))],
+  ['POST', /^\/api\/dashboard\/websites$/, ({ body }) => {
+    if (!body?.url) return invalid({ url: 'URL is required' });
+    if (!isHttpUrl(body.url)) return invalid({ url: 'Enter a full http(s) URL' });
+    if (db.read().websites.some((w) => sameUrl(w.url, body.url))) return invalid({ url: 'This website has already been added' });
+    const site = {
+      id: db.nextId(),
+      name: body.name || String(body.url).replace(/^https?:\/\//, ''),
+      url: body.url,
+      tags: Array.isArray(body.tags) ? body.tags.map(String) : [],
+      created_at: new Date().toISOString(),
+    };
+    db.read().websites.push(site);
+    db.write();
+    return ok(websiteView(site), 201);
+  }],
+  ['PATCH', /^\/api\/dashboard\/websites\/([^/]+)$/, ({ params, body }) => {
+    const site = findWebsite(params[0]);
+    if (!site) return fail(404, 'Website not found');
+    const name = body?.name !== undefined ? String(body.name).trim() : site.name;
+    const url = body?.url !== undefined ? String(body.url).trim() : site.url;
+    if (!name) return invalid({ name: 'Name is required' });
+    if (!isHttpUrl(url)) return invalid({ url: 'Enter a full http(s) URL' });
+    if (db.read().websites.some((w) => w.id !== site.id && sameUrl(w.url, url))) return invalid({ url: 'Another website already uses this URL' });
+    Object.assign(site, { name, url, updated_at: new Date().toISOString() });
+    db.write();
+    return ok(websiteView(site));
+  }],
+  ['DELETE', /^\/api\/dashboard\/websites\/([^/]+)$/, ({ params, query }) => {
+    const state = db.read();
+    const site = findWebsite(params[0]);
+    if (!site) return fail(404, 'Website not found');
+    if (state.scans.some((s) => s.website_id === site.id && scanStatus(s) !== 'done')) {
+      return fail(409, 'A scan of this website is still running', { code: 'scan_running' });
+    }
+    state.websites = state.websites.filter((w) => w.id !== site.id);
+    let deletedScans = 0;
+    if (query.get('delete_scans') === 'true') {
+      const ids = new Set(state.scans.filter((s) => s.website_id === site.id).map((s) => s.id));
+      deletedScans = ids.size;
+      state.scans = state.scans.filter((s) => !ids.has(s.id));
+      state.jobs = state.jobs.filter((j) => !ids.has(Number(j.scanId)));
+    }
+    db.write();
+    return ok({ id: site.id, deleted_scans: deletedScans });
+  }],
+  ['POST', /^\/api\/dashboard\/websites\/([^/]+)\/archive$/, ({ params }) => {
+    const site = findWebsite(params[0]);
+    if (!site) return fail(404, 'Website not found');
+    site.archived_at = site.archived_at || new Date().toISOString();
+    db.write();
+    return ok(websiteView(site));
+  }],
+  ['POST', /^\/api\/dashboard\/websites\/([^/]+)\/restore$/, ({ params }) => {
+    const site = findWebsite(params[0]);
+    if (!site) return fail(404, 'Website not found');
+    site.archived_at = null;
+    // Runs due while archived are skipped rather than started on restore
+    if (site.schedule) site.next_scan_at = nextScanAt(site.schedule);
+    db.write();
+    return ok(websiteView(site));
+  }],
+  ['PUT', /^\/api\/dashboard\/websites\/([^/]+)\/schedule$/, ({ params, body }) => {
+    const site = findWebsite(params[0]);
+    if (!site) return fail(404, 'Website not found');
+    const schedule = fromApiSchedule(body || {});
+    const errors = validateSchedule(schedule);
+    if (Object.keys(errors).length > 0) return invalid(errors);
+    site.schedule = { ...toApiSchedule(schedule), options: body.options || site.schedule?.options || null };
+    site.next_scan_at = nextScanAt(site.schedule);
+    db.write();
+    return ok(websiteView(site));
+  }],
+  ['DELETE', /^\/api\/dashboard\/websites\/([^/]+)\/schedule$/, ({ params }) => {
+    const site = findWebsite(params[0]);
+    if (!site) return fail(404, 'Website not found');
+    site.schedule = null;
+    site.next_scan_at = null;
+    db.write();
+    return ok(websiteView(site));
+  }],
+  ['GET', /^\/api\/dashboard\/scans$/, () => {
+    const scans = [...db.read().scans].sort((a, b) => b.startedAt - a.startedAt).map(scanSummary);
+    return ok({ scans });
+  }],
+  ['POST', /^\/api\/dashboard\/scans$/, ({ body }) => {
+    const site = findWebsite(body?.website_id);
+    if (!site) return fail(404, 'Website not found');
+    if (site.archived_at) return fail(409, 'Restore this website before scanning it', { code: 'website_archived' });
+    const scan = {
+      id: db.nextId(),
+      website_id: site.id,
+      url: body.url || site.url,
+      options: body.options || null,
+      startedAt: Date.now(),
+      durationMs: SCAN_DURATION_MS,
+    };
+    db.read().scans.push(scan);
+    db.write();
+    return ok(scanSummary(scan), 201);
+  }],
+
+  // scanning
+  ['GET', /^\/api\/scans\/([^/]+)$/, ({ params }) => {
+    const scan = findScan(params[0]);
+    return scan ? ok(scanDetail(scan)) : fail(404, 'Scan not found');
+  }],
+  ['GET', /^\/api\/scans\/([^/]+)\/events$/, ({ params }) => {
+    const scan = findScan(params[0]);
+    return scan ? { status: 200, stream: scanEventStream(scan) } : fail(404, 'Scan not found');
+  }],
+  ['POST', /^\/api\/ai\/analyze$/, ({ body }) => {
+    const scan = findScan(body?.scan_id);
+    if (!scan) return fail(404, 'Scan not found');
+    if (scanStatus(scan) !== 'done') return fail(409, 'Scan is not finished yet', { code: 'scan_not_ready' });
+    return ok(generateAIAnalysis(generateScanReport(scan.id, scan.url, scan.options)));
+  }],
+
+  // alt text AI
+  ['GET', /^\/api\/alt-text-ai\/estimate$/, ({ query }) => ok(estimateFor(query.get('scan_id')))],
+  ['POST', /^\/api\/alt-text-ai\/estimate$/, ({ body }) => ok(estimateFor(body?.scan_id))],
+  ['GET', /^\/api\/alt-text-ai\/health$/, () => ok({ health: { status: 'healthy', provider: 'mock', latencyMs: config.mockLatencyMs } })],
+  ['GET', /^\/api\/alt-text-ai\/usage$/, () => {
+    const jobs = db.read().jobs;
+    const images = jobs.reduce((sum, j) => sum + j.totalImages, 0);
+    return ok({ usage: { jobs: jobs.length, images, cost: (images * 0.012).toFixed(2) } });
+  }],
+  ['GET', /^\/api\/alt-text-ai\/jobs$/, ({ query }) => {
+    let jobs = [...db.read().jobs].sort((a, b) => b.createdAt - a.createdAt).map(jobView);
+    if (query.get('scan_id')) jobs = jobs.filter((j) => String(j.scanId) === query.get('scan_id'));
+    if (query.get('status')) jobs = jobs.filter((j) => j.status === query.get('status'));
+    if (query.get('limit')) jobs = jobs.slice(0, Number(query.get('limit')));
+    return ok({ jobs });
+  }],
+  ['POST', /^\/api\/alt-text-ai\/jobs$/, ({ body }) => {
+    const scan = findScan(body?.scan_id);
+    if (!scan) return fail(404, 'Scan not found');
+    const job = {
+      jobId: `job_${db.nextId()}`,
+      scanId: scan.id,
+      websiteUrl: body.website_url || scan.url,
+      totalImages: imageCountFor(scan.id),
+      createdAt: Date.now(),
+      cancelled: false,
+    };
+    db.read().jobs.push(job);
+    db.write();
+    const view = jobView(job);
+    // ScanResults reads the job at the top level, altTextAIService under `job`
+    return ok({ ...view, job: view }, 201);
+  }],
+  ['GET', /^\/api\/alt-text-ai\/jobs\/([^/]+)$/, ({ params }) => {
+    const job = findJob(params[0]);
+    if (!job) return fail(404, 'Job not found');
+    const view = jobView(job);
+    const results = view.status === 'completed' ? jobResults(job) : undefined;
+    return ok({ ...view, results, job: view });
+  }],
+  ['DELETE', /^\/api\/alt-text-ai\/jobs\/([^/]+)$/, ({ params }) => {
+    const job = findJob(params[0]);
+    if (!job) return fail(404, 'Job not found');
+    job.cancelled = true;
+    db.write();
+    return ok({ result: { jobId: job.jobId, status: 'cancelled' } });
+  }],
+  ['GET', /^\/api\/alt-text-ai\/jobs\/([^/]+)\/results$/, ({ params }) => {
+    const job = findJob(params[0]);
+    if (!job) return fail(404, 'Job not found');
+    if (jobView(job).status !== 'completed') return fail(409, 'Job is not completed');
+    return ok({ results: jobResults(job) });
+  }],
+  ['POST', /^\/api\/alt-text-ai\/jobs\/([^/]+)\/suggestions\/([^/]+)\/select$/, ({ params, body }) => ok({
+    suggestion: { id: params[1], jobId: params[0], selectedText: body?.selectedSuggestion, userFeedback: body?.userFeedback || '' },
+  })],
+  ['GET', /^\/api\/alt-text-ai\/notifications$/, ({ query }) => {
+    let notifications = db.read().notifications;
+    if (query.get('unread_only') === 'true') notifications = notifications.filter((n) => !n.read);
+    if (query.get('type')) notifications = notifications.filter((n) => n.type === query.get('type'));
+    if (query.get('limit')) notifications = notifications.slice(0, Number(query.get('limit')));
+    const all = db.read().notifications;
+    return ok({ notifications, stats: { total: all.length, unread: all.filter((n) => !n.read).length } });
+  }],
+  ['POST', /^\/api\/alt-text-ai\/notifications\/read-all$/, () => {
+    db.read().notifications.forEach((n) => { n.read = true; });
+    db.write();
+    return ok({ success: true });
+  }],
+  ['POST', /^\/api\/alt-text-ai\/notifications\/([^/]+)\/read$/, ({ params }) => {
+    const notification = db.read().notifications.find((n) => n.id === params[0]);
+    if (!notification) return fail(404, 'Notification not found');
+    notification.read = true;
+    db.write();
+    return ok({ success: true });
+  }],
+];
+
+const PUBLIC_ROUTES = /^\/api\/auth\/(login|register|refresh)$/;
+
+/**
+ * Resolve a request against the mock route table
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path including query string
+ * @param {Object|null} body - Parsed JSON body
+ * @param {string|null} authorization - Authorization header value
+ * @returns {{status: number, body: Object}} Mock response
+ */
+export const handleMockRequest = (method, path, body = null, authorization = null) => {
+  const [pathname, search = ''] = path.split('?');
+  // Strip the API version segment so routes match both /api/... and /api/v2/...
+  const normalized = config.apiVersion
+    ? pathname.replace(new RegExp(`^/api/${config.apiVersion}/`), '/api/')
+    : pathname;
+
+  if (!PUBLIC_ROUTES.test(normalized)) {
+    const token = String(authorization || '').replace(/^Bearer\s+/i, '');
+    const payload = token && readToken(token);
+    if (!payload || payload.type !== 'access') {
+      return fail(401, token ? 'Token expired' : 'Authentication required', { code: token ? 'token_expired' : 'missing_token' });
+    }
+  }
+
+  runDueSchedules();
+  for (const [routeMethod, pattern, handler] of routes) {
+    if (routeMethod !== method) continue;
+    const match = normalized.match(pattern);
+    if (match) {
+      return handler({ params: match.slice(1), query: new URLSearchParams(search), body });
+    }
+  }
+  return fail(404, `No mock route for ${method} ${normalized}`);
+};
+
+const abortReason = (signal) => signal.reason || new DOMException('The operation was aborted.', 'AbortError');
+
+// Simulated latency that, like fetch, rejects as soon as the request's signal aborts
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(abortReason(signal));
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortReason(signal));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Patch window.fetch so every request to the configured backend is served
+ * by the mock route table. Other URLs pass through untouched.
+ */
+export const installMockApi = () => {
+  const realFetch = window.fetch.bind(window);
+
+  window.fetch = async (input, init = {}) => {
+    const url = typeof input === 'string' ? input : input.url;
+    if (!url.startsWith(config.backendUrl)) return realFetch(input, init);
+
+    const method = (init.method || 'GET').toUpperCase();
+    let body = null;
+    try { body = init.body ? JSON.parse(init.body) : null; }
+    catch { body = null; }
+
+    const signal = init.signal || (typeof input === 'string' ? null : input.signal);
+    await delay(config.mockLatencyMs, signal);
+    const headers = new Headers(init.headers || {});
+    const result = handleMockRequest(method, url.slice(config.backendUrl.length), body, headers.get('Authorization'));
+    if (config.debug) {
+      console.log(`🧪 [mock] ${method} ${url} → ${result.status}`, result.body);
+    }
+    if (result.stream) {
+      const encoder = new TextEncoder();
+      const frames = result.stream;
+      const body = new ReadableStream({
+        start(controller) {
+          // An aborted fetch errors its body stream, so readers stop waiting
+          signal?.addEventListener('abort', () => {
+            frames.return();
+            controller.error(abortReason(signal));
+          }, { once: true });
+        },
+        async pull(controller) {
+          const { value, done } = await frames.next();
+          if (done) controller.close();
+          else controller.enqueue(encoder.encode(value));
+        },
+        cancel() {
+          frames.return();
+        },
+      });
+      return new Response(body, { status: result.status, headers: { 'Content-Type': 'text/event-stream' } });
+    }
+    return new Response(JSON.stringify(result.body), {
+      status: result.status,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  };
+
+  console.info('🧪 SentryPrime mock API enabled — no requests will reach the backend');
+};
@@ -1,59 +1,22 @@
 // Alt Text AI Frontend Service
 // Handles API communication with the Alt Text AI backend
 
+import { config, apiPath } from '../utils/config.js';
+import { makeRequest } from '../utils/api.js';
+import jobTracker from '../utils/jobTracker.js';
+
 class AltTextAIService {
-  constructor(baseURL = '', authToken = null) {
+  constructor(baseURL = config.backendUrl) {
     this.baseURL = baseURL;
-    this.authToken = authToken;
-    this.apiBase = `${baseURL}/api/alt-text-ai`;
-  }
-
-  /**
-   * Set authentication token
-   */
-  setAuthToken(token) {
-    this.authToken = token;
-  }
-
-  /**
-   * Get request headers with authentication
-   * @private
-   */
-  getHeaders() {
-    const headers = {
-      'Content-Type': 'application/json',
-    };
-
-    if (this.authToken) {
-      headers['Authorization'] = `Bearer ${this.authToken}`;
-    }
-
-    return headers;
+    this.apiBase = `${baseURL}${apiPath('/api/alt-text-ai')}`;
   }
 
   /**
-   * Make API request with error handling
+   * Make an authenticated API request (session token, refresh-and-retry on 401)
    * @private
    */
   async makeRequest(endpoint, options = {}) {
-    try {
-      const url = `${this.apiBase}${endpoint}`;
-      const response = await fetch(url, {
-        headers: this.getHeaders(),
-        ...options,
-      });
-
-      const data = await response.json();
-
-      if (!response.ok) {
-        throw new Error(data.message || data.error || `HTTP ${response.status}`);
-      }
-
-      return data;
-    } catch (error) {
-      console.error(`Alt Text AI API Error (${endpoint}):`, error);
-      throw error;
-    }
+    return makeRequest(`${this.apiBase}${endpoint}`, options);
   }
 
   /**
@@ -79,20 +42,22 @@ class AltTextAIService {
   /**
    * Get job status and progress
    * @param {string} jobId - Job ID
+   * @param {Object} options - Request options (e.g. `signal`)
    * @returns {Promise<Object>} Job status
    */
-  async getJobStatus(jobId) {
-    const response = await this.makeRequest(`/jobs/${jobId}`);
+  async getJobStatus(jobId, options = {}) {
+    const response = await this.makeRequest(`/jobs/${jobId}`, options);
     return response.job;
   }
 
   /**
    * Get job results and suggestions
    * @param {string} jobId - Job ID
+   * @param {Object} options - Request options (e.g. `signal`)
    * @returns {Promise<Object>} Job results
    */
-  async getJobResults(jobId) {
-    const response = await this.makeRequest(`/jobs/${jobId}/results`);
+  async getJobResults(jobId, options = {}) {
+    const response = await this.makeRequest(`/jobs/${jobId}/results`, options);
     return response.results;
   }
 
@@ -227,38 +192,28 @@ class AltTextAIService {
   }
 
   /**
-   * Poll job status until completion
+   * Follow a job until completion through the shared job tracker
+   * (backoff, pause while hidden, 30 minute limit, visible in the jobs tray).
+   * Needs the job kinds from utils/jobs.js to be loaded.
    * @param {string} jobId - Job ID
-   * @param {Function} onProgress - Progress callback
-   * @param {number} interval - Polling interval in ms
-   * @returns {Promise<Object>} Final job status
+   * @param {Function} onProgress - Progress callback, receives the job status
+   * @param {Object} options - `{ scanId }`; pass it so pages following the same job share one tracker entry
+   * @returns {Promise<Object>} Final job status, with the results as `result` when completed
    */
-  async pollJobStatus(jobId, onProgress = null, interval = 2000) {
-    return new Promise((resolve, reject) => {
-      const poll = async () => {
-        try {
-          const job = await this.getJobStatus(jobId);
-          
-          if (onProgress) {
-            onProgress(job);
-          }
+  async pollJobStatus(jobId, onProgress = null, { scanId } = {}) {
+    const tracked = jobTracker.track('alt-text', scanId == null ? { jobId } : { jobId, scanId: String(scanId) });
+    const unsubscribe = onProgress
+      ? jobTracker.subscribe((jobs, changed) => {
+        if (changed?.id === tracked.id && changed.data) onProgress(changed.data);
+      })
+      : null;
 
-          // Check if job is complete
-          if (job.status === 'completed' || job.status === 'failed' || job.status === 'cancelled') {
-            resolve(job);
-            return;
-          }
-
-          // Continue polling
-          setTimeout(poll, interval);
-          
-        } catch (error) {
-          reject(error);
-        }
-      };
-
-      poll();
-    });
+    try {
+      const finished = await jobTracker.wait(tracked.id);
+      return { ...finished.data, jobId, status: finished.status, error: finished.error, result: finished.result };
+    } finally {
+      unsubscribe?.();
+    }
   }
 
   /**
@@ -273,12 +228,11 @@ class AltTextAIService {
     // Create job
     const job = await this.createJob(scanId, websiteUrl, options);
     
-    // Poll until completion
-    const finalJob = await this.pollJobStatus(job.jobId, onProgress);
+    // Poll until completion; the tracker fetches the results when the job completes
+    const finalJob = await this.pollJobStatus(job.jobId, onProgress, { scanId });
     
-    // Get results if successful
     if (finalJob.status === 'completed') {
-      return await this.getJobResults(finalJob.jobId);
+      return finalJob.result;
     }
     
     throw new Error(`Job failed with status: ${finalJob.status}`);
@@ -1,79 +1,84 @@
-// Base API configuration
-const API_BASE = 'https://sentryprime-backend-v2-production.up.railway.app';
+import httpClient from './httpClient';
+import session from './session';
+import jobTracker from './jobTracker';
+import { AuthError } from './errors';
 
-// Enhanced request function with better error handling
+// Authenticated request through the shared client (timeouts, retries, abort via `signal`).
+// A 401 triggers one refresh-and-retry; if that fails the session ends and the user
+// is sent to login with a redirect back here.
 export const makeRequest = async (endpoint, options = {}) => {
-  const token = localStorage.getItem('token') || localStorage.getItem('sentryprime_token');
-  
-  if (!token) {
-    throw new Error('No authentication token found');
-  }
-
-  const config = {
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${token}`,
-    },
-    ...options,
-  };
-
   try {
-    const response = await fetch(`${API_BASE}${endpoint}`, config);
-    
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    // Handle empty responses
-    const text = await response.text();
-    if (!text) return {};
-    
-    return JSON.parse(text);
+    return await httpClient.request(endpoint, options);
   } catch (error) {
-    console.error(`API request failed for ${endpoint}:`, error);
-    throw error;
+    if (!(error instanceof AuthError) || error.status !== 401 || options.skipAuth) throw error;
+
+    try {
+      await session.refresh();
+    } catch {
+      session.expire();
+      throw error;
+    }
+    try {
+      return await httpClient.request(endpoint, options);
+    } catch (retryError) {
+      if (retryError instanceof AuthError && retryError.status === 401) session.expire();
+      throw retryError;
+    }
   }
 };
 
+// Backend responses name tokens inconsistently; accept every variant
+const storeAuthResponse = (response) => {
+  session.store({
+    accessToken: response.token || response.access_token || response.accessToken,
+    refreshToken: response.refresh_token || response.refreshToken,
+    user: response.user,
+  });
+  return response;
+};
+
 // Authentication API
 export const auth = {
   login: async (credentials) => {
-    return await makeRequest('/api/auth/login', {
-      method: 'POST',
-      body: JSON.stringify(credentials),
-    });
+    const response = await httpClient.post('/api/auth/login', credentials, { skipAuth: true });
+    return storeAuthResponse(response);
   },
 
   register: async (userData) => {
-    return await makeRequest('/api/auth/register', {
-      method: 'POST',
-      body: JSON.stringify(userData),
-    });
+    const response = await httpClient.post('/api/auth/register', userData, { skipAuth: true });
+    return storeAuthResponse(response);
+  },
+
+  storeAuthData: (token, user, refreshToken) => {
+    session.store({ accessToken: token, refreshToken, user });
   },
 
+  isAuthenticated: () => session.isAuthenticated(),
+
+  getCurrentUser: () => session.getUser(),
+
   logout: () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('sentryprime_token');
+    session.clear();
+    // background jobs belong to this user
+    jobTracker.clear();
     window.location.href = '/login';
   },
 };
 
 // Dashboard API
 export const dashboard = {
-  getOverview: async () => {
-    return await makeRequest('/api/dashboard/overview');
+  getOverview: async (options = {}) => {
+    return await makeRequest('/api/dashboard/overview', options);
   },
 
-  getWebsites: async () => {
-    const response = await makeRequest('/api/dashboard/websites');
+  getWebsites: async (options = {}) => {
+    const response = await makeRequest('/api/dashboard/websites', options);
     // ✅ FIXED: Backend returns array directly, not wrapped in object
     return response || [];
   },
 
-  getScans: async () => {
-    const response = await makeRequest('/api/dashboard/scans');
+  getScans: async (options = {}) => {
+    const response = await makeRequest('/api/dashboard/scans', options);
     return response.scans || [];
   },
 
@@ -83,31 +88,71 @@ export const dashboard = {
       body: JSON.stringify(websiteData),
     });
   },
+
+  // `changes`: `{ name, url }`; returns the updated website
+  updateWebsite: async (websiteId, changes) => {
+    return await makeRequest(`/api/dashboard/websites/${websiteId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes),
+    });
+  },
+
+  // Scans are kept (and still listed) unless `deleteScans` is set
+  deleteWebsite: async (websiteId, { deleteScans = false } = {}) => {
+    return await makeRequest(`/api/dashboard/websites/${websiteId}${deleteScans ? '?delete_scans=true' : ''}`, {
+      method: 'DELETE',
+    });
+  },
+
+  // Archived websites keep their history but can't be scanned until restored
+  archiveWebsite: async (websiteId) => {
+    return await makeRequest(`/api/dashboard/websites/${websiteId}/archive`, { method: 'POST' });
+  },
+
+  restoreWebsite: async (websiteId) => {
+    return await makeRequest(`/api/dashboard/websites/${websiteId}/restore`, { method: 'POST' });
+  },
+
+  // `schedule`: API shape from toApiSchedule (utils/schedule) plus the scan `options`
+  // to run with; returns the website with `schedule` and `next_scan_at`
+  saveSchedule: async (websiteId, schedule) => {
+    return await makeRequest(`/api/dashboard/websites/${websiteId}/schedule`, {
+      method: 'PUT',
+      body: JSON.stringify(schedule),
+    });
+  },
+
+  deleteSchedule: async (websiteId) => {
+    return await makeRequest(`/api/dashboard/websites/${websiteId}/schedule`, { method: 'DELETE' });
+  },
 };
 
 export const scanning = {
   // ✅ FIXED: Updated to work with the original backend route structure
-  startScan: async (websiteId, websiteUrl) => {
+  // `options`: crawl and rule settings in API shape (see toApiOptions in utils/scanOptions)
+  startScan: async (websiteId, websiteUrl, options) => {
     return await makeRequest('/api/dashboard/scans', {
       method: 'POST',
       body: JSON.stringify({
         website_id: websiteId,
-        url: websiteUrl
+        url: websiteUrl,
+        ...(options && { options })
       })
     });
   },
   
-  getScanMeta: async (scanId) => {
-    return await makeRequest(`/api/scans/${scanId}`);
+  getScanMeta: async (scanId, options = {}) => {
+    return await makeRequest(`/api/scans/${scanId}`, options);
   },
   
   // ✅ FIXED: Changed from /api/scans/:id/results to /api/scans/:id
-  getScanResults: async (scanId) => {
-    return await makeRequest(`/api/scans/${scanId}`);
+  getScanResults: async (scanId, options = {}) => {
+    return await makeRequest(`/api/scans/${scanId}`, options);
   },
   
-  getAIAnalysis: async (scanId) => {
+  getAIAnalysis: async (scanId, options = {}) => {
     return await makeRequest('/api/ai/analyze', {
+      ...options,
       method: 'POST',
       body: JSON.stringify({ scan_id: scanId })
     });
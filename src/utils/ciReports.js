@@ -0,0 +1,219 @@
+// CI report formats
+// SARIF 2.1.0 (GitHub code scanning) and JUnit XML (test dashboards) for the scan
+// result returned by `scanning.getScanResults`. Pure functions with no browser
+// dependencies, so build scripts can import them too.
+
+import { flattenViolations, formatSelector, nodeFingerprint } from './violations.js';
+
+const TOOL_NAME = 'SentryPrime';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const SARIF_LEVEL = {
+  critical: 'error',
+  serious: 'error',
+  moderate: 'warning',
+  minor: 'note',
+};
+
+/**
+ * Short stable hash (FNV-1a, 32-bit hex) for result fingerprints
+ * @private
+ */
+const hash = (text) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+};
+
+// XML 1.0 allows tab, line feed and carriage return but no other C0 control characters
+const isXmlChar = (ch) => {
+  const code = ch.charCodeAt(0);
+  return code >= 0x20 || code === 0x09 || code === 0x0A || code === 0x0D;
+};
+
+/**
+ * ISO 8601 timestamp, or null when the value isn't a valid date
+ * @private
+ */
+const toIsoString = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Escape text for XML content and attribute values, dropping characters XML 1.0 cannot hold
+ * @param {*} value - Anything printable
+ * @returns {string}
+ */
+export const escapeXml = (value) => String(value ?? '')
+  .split('')
+  .filter(isXmlChar)
+  .join('')
+  .replace(/[&<>"']/g, (ch) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&apos;',
+  }[ch]));
+
+/**
+ * Convert a scan to a SARIF 2.1.0 log: one rule per axe rule, one result per affected element
+ * @param {Object} scan - Scan detail from `getScanResults`
+ * @param {Object} [options]
+ * @param {string} [options.toolVersion] - Reported as the driver version
+ * @returns {Object} SARIF log (serialise with JSON.stringify)
+ */
+export const toSarif = (scan, { toolVersion } = {}) => {
+  const rows = flattenViolations(scan?.results?.pages);
+  const rules = [];
+  const ruleIndex = new Map();
+
+  rows.forEach((row) => {
+    if (ruleIndex.has(row.ruleId)) return;
+    ruleIndex.set(row.ruleId, rules.length);
+    rules.push({
+      id: row.ruleId,
+      name: row.ruleId,
+      shortDescription: { text: row.help || row.ruleId },
+      fullDescription: { text: row.description || row.help || row.ruleId },
+      ...(row.helpUrl && { helpUri: row.helpUrl }),
+      help: {
+        text: `${row.help || row.description}${row.helpUrl ? `\n${row.helpUrl}` : ''}`,
+        markdown: `${row.help || row.description}${row.helpUrl ? `\n\n[Learn more](${row.helpUrl})` : ''}`,
+      },
+      defaultConfiguration: { level: SARIF_LEVEL[row.impact] || 'warning' },
+      properties: { tags: ['accessibility', ...row.tags], impact: row.impact },
+    });
+  });
+
+  const results = rows.flatMap((row) => row.nodes.map((node) => {
+    const selector = formatSelector(node.target);
+    return {
+      ruleId: row.ruleId,
+      ruleIndex: ruleIndex.get(row.ruleId),
+      level: SARIF_LEVEL[node.impact || row.impact] || 'warning',
+      message: {
+        text: node.failureSummary
+          ? `${row.help}\n${node.failureSummary}`
+          : row.help || row.description,
+      },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: row.pageUrl },
+          ...(node.html && { region: { snippet: { text: node.html } } }),
+        },
+        ...(selector && { logicalLocations: [{ fullyQualifiedName: selector, kind: 'element' }] }),
+      }],
+      partialFingerprints: {
+        'sentryprimeNode/v1': hash(`${row.ruleId}|${row.pageUrl}|${nodeFingerprint(node)}`),
+      },
+      properties: { impact: node.impact || row.impact, pageTitle: row.pageTitle },
+    };
+  }));
+
+  const startTimeUtc = toIsoString(scan?.scanDate);
+  const endTimeUtc = startTimeUtc && toIsoString(scan.completionDate);
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          ...(toolVersion && { version: toolVersion }),
+          rules,
+        },
+      },
+      automationDetails: { id: `sentryprime/${scan?.url || 'scan'}/${scan?.scanId ?? scan?.id ?? ''}` },
+      // invocation times are optional; unparseable dates are left out rather than guessed
+      ...(startTimeUtc && {
+        invocations: [{
+          executionSuccessful: true,
+          startTimeUtc,
+          ...(endTimeUtc && { endTimeUtc }),
+        }],
+      }),
+      results,
+    }],
+  };
+};
+
+/**
+ * SARIF log as a JSON string
+ * @param {Object} scan - Scan detail
+ * @param {Object} [options] - As for toSarif
+ * @returns {string}
+ */
+export const toSarifJson = (scan, options) => JSON.stringify(toSarif(scan, options), null, 2);
+
+/** @private */
+const failureBody = (nodes) => nodes.map((node, index) => [
+  `Element ${index + 1}: ${formatSelector(node.target) || '(no selector)'}`,
+  node.html && `  ${node.html}`,
+  node.failureSummary && node.failureSummary.split('\n').map((line) => `  ${line}`).join('\n'),
+].filter(Boolean).join('\n')).join('\n\n');
+
+/**
+ * Convert a scan to JUnit XML: one testsuite per page, one failing testcase per violated rule.
+ * Rules listed in a page's `passes` (when the backend includes them) become passing testcases,
+ * and pages that failed to load are reported as errors.
+ * @param {Object} scan - Scan detail from `getScanResults`
+ * @returns {string}
+ */
+export const toJunitXml = (scan) => {
+  const pages = scan?.results?.pages || [];
+  const timestamp = (toIsoString(scan?.scanDate) || new Date().toISOString()).slice(0, 19);
+  let totalTests = 0;
+  let totalFailures = 0;
+  let totalErrors = 0;
+
+  const suites = pages.map((page, index) => {
+    const violations = page.violations || [];
+    const passes = page.passes || [];
+    const loadFailed = page.statusCode >= 400;
+    const classname = escapeXml(page.url || `page-${index + 1}`);
+    const time = ((page.loadTime || 0) / 1000).toFixed(3);
+
+    const cases = [
+      ...(loadFailed ? [
+        `    <testcase classname="${classname}" name="page-load" time="${time}">\n`
+        + `      <error message="HTTP ${escapeXml(page.statusCode)}" type="http-error"/>\n`
+        + '    </testcase>',
+      ] : []),
+      ...violations.map((violation) => (
+        `    <testcase classname="${classname}" name="${escapeXml(violation.id)}">\n`
+        + `      <failure message="${escapeXml(violation.help || violation.description)}" type="${escapeXml(violation.impact || 'minor')}">`
+        + `${escapeXml(`${violation.description || ''}\n${violation.helpUrl || ''}\n\n${failureBody(violation.nodes || [])}`.trim())}</failure>\n`
+        + '    </testcase>'
+      )),
+      ...passes.map((pass) => `    <testcase classname="${classname}" name="${escapeXml(pass.id)}"/>`),
+    ];
+
+    const tests = cases.length;
+    const failures = violations.length;
+    const errors = loadFailed ? 1 : 0;
+    totalTests += tests;
+    totalFailures += failures;
+    totalErrors += errors;
+
+    return `  <testsuite name="${escapeXml(page.title || page.url)}" tests="${tests}" failures="${failures}" errors="${errors}" skipped="0" time="${time}" timestamp="${timestamp}">\n`
+      + '    <properties>\n'
+      + `      <property name="url" value="${escapeXml(page.url)}"/>\n`
+      + `      <property name="statusCode" value="${escapeXml(page.statusCode ?? '')}"/>\n`
+      + '    </properties>\n'
+      + `${cases.join('\n')}${cases.length ? '\n' : ''}`
+      + '  </testsuite>';
+  });
+
+  const name = `${TOOL_NAME} accessibility scan${scan?.url ? ` – ${scan.url}` : ''}`;
+  return '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + `<testsuites name="${escapeXml(name)}" tests="${totalTests}" failures="${totalFailures}" errors="${totalErrors}">\n`
+    + `${suites.join('\n')}${suites.length ? '\n' : ''}`
+    + '</testsuites>\n';
+};
@@ -0,0 +1,83 @@
+// Runtime configuration
+// Resolves backend URL, API version and feature toggles for the current environment
+
+const ENVIRONMENTS = ['local', 'dev', 'staging', 'prod'];
+
+// The only backend the app is known to use. Other environments set VITE_BACKEND_URL.
+const DEFAULT_BACKEND_URL = 'https://sentryprime-backend-v2-production.up.railway.app';
+
+const env = import.meta.env || {};
+
+/**
+ * Parse a boolean-ish env value ("true", "1", "yes", "on")
+ * @param {string|undefined} value - Raw env value
+ * @param {boolean} fallback - Value used when the variable is unset
+ * @returns {boolean}
+ */
+const readFlag = (value, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  return /^(true|1|yes|on)$/i.test(String(value).trim());
+};
+
+/**
+ * Pick the environment name. VITE_APP_ENV wins; otherwise `vite` dev server
+ * runs map to "local" and production builds to "prod".
+ * @returns {string} One of ENVIRONMENTS
+ */
+const resolveEnvironment = () => {
+  const requested = String(env.VITE_APP_ENV || '').toLowerCase();
+  if (ENVIRONMENTS.includes(requested)) return requested;
+  if (requested) {
+    console.warn(`Unknown VITE_APP_ENV "${requested}", falling back to build mode`);
+  }
+  return env.DEV ? 'local' : 'prod';
+};
+
+const environment = resolveEnvironment();
+
+const stripTrailingSlash = (url) => String(url || '').replace(/\/+$/, '');
+
+export const config = Object.freeze({
+  environment,
+  backendUrl: stripTrailingSlash(env.VITE_BACKEND_URL || DEFAULT_BACKEND_URL),
+  apiVersion: String(env.VITE_API_VERSION || '').replace(/^\/+|\/+$/g, ''),
+  appName: env.VITE_APP_NAME || 'SentryPrime',
+  appVersion: env.VITE_APP_VERSION || '2.0.0',
+  debug: readFlag(env.VITE_DEV_MODE, environment === 'local'),
+  mockApi: readFlag(env.VITE_MOCK_API, false),
+  mockLatencyMs: Number.isFinite(Number(env.VITE_MOCK_LATENCY)) && env.VITE_MOCK_LATENCY !== ''
+    ? Number(env.VITE_MOCK_LATENCY)
+    : 300,
+  features: Object.freeze({
+    aiAnalysis: readFlag(env.VITE_FEATURE_AI_ANALYSIS, true),
+    altTextAI: readFlag(env.VITE_FEATURE_ALT_TEXT_AI, true),
+  }),
+});
+
+/**
+ * Insert the configured API version into an `/api/...` path
+ * (e.g. `/api/scans/1` -> `/api/v2/scans/1`). Unversioned when none is set.
+ * @param {string} endpoint - Path starting with `/api/`
+ * @returns {string} Versioned path
+ */
+export const apiPath = (endpoint) => (
+  config.apiVersion
+    ? endpoint.replace(/^\/api\//, `/api/${config.apiVersion}/`)
+    : endpoint
+);
+
+/**
+ * Build an absolute backend URL for an `/api/...` endpoint
+ * @param {string} endpoint - Path starting with `/api/`
+ * @returns {string} Absolute URL
+ */
+export const apiUrl = (endpoint) => `${config.backendUrl}${apiPath(endpoint)}`;
+
+/**
+ * Check whether a feature toggle is enabled
+ * @param {string} name - Key of config.features
+ * @returns {boolean}
+ */
+export const isFeatureEnabled = (name) => Boolean(config.features[name]);
+
+export default config;
@@ -0,0 +1,47 @@
+// Browser file downloads
+// Shared by every export (reports, CSV/JSON, SARIF, VPAT).
+
+/**
+ * Filename-safe slug: `https://Example.com/a` → `example-com-a`
+ * @param {string} value - Any label or URL
+ * @returns {string}
+ */
+export const fileSlug = (value = '') => (
+  String(value)
+    .replace(/^https?:\/\//i, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'scan'
+);
+
+/**
+ * Dated export filename: `example-com-accessibility-report-2024-05-01.html`
+ * @param {string} subject - Website name or URL
+ * @param {string} kind - What is exported, e.g. `accessibility-report`
+ * @param {string} extension - Without the dot
+ * @param {Date} [date] - Defaults to now
+ * @returns {string}
+ */
+export const exportFilename = (subject, kind, extension, date = new Date()) => (
+  `${fileSlug(subject)}-${kind}-${date.toISOString().slice(0, 10)}.${extension}`
+);
+
+/**
+ * Save text content as a file
+ * @param {string|Blob} content - File content
+ * @param {string} filename - Suggested filename
+ * @param {string} [type] - MIME type when content is a string
+ */
+export const downloadFile = (content, filename, type = 'text/plain;charset=utf-8') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoked on the next tick so the download has started
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
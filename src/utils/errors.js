@@ -0,0 +1,125 @@
+// API error model
+// Typed errors thrown by the shared HTTP client so callers can branch on
+// the kind of failure instead of matching message strings
+
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Human-readable message
+   * @param {Object} details - `{ status, code, retryable, data, cause }`
+   */
+  constructor(message, { status = 0, code = null, retryable = false, data = null, cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+    this.data = data;
+    if (cause) this.cause = cause;
+  }
+}
+
+// 401/403: missing, expired or insufficient credentials
+export class AuthError extends ApiError {
+  constructor(message = 'Authentication required', details = {}) {
+    super(message, { status: 401, ...details, retryable: false });
+    this.name = 'AuthError';
+  }
+}
+
+// 429: carries the server's Retry-After hint in milliseconds
+export class RateLimitError extends ApiError {
+  constructor(message = 'Too many requests', { retryAfter = null, ...details } = {}) {
+    super(message, { status: 429, ...details, retryable: true });
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+// 400/422: request rejected, with per-field messages when the backend sends them
+export class ValidationError extends ApiError {
+  constructor(message = 'Validation failed', { fieldErrors = {}, ...details } = {}) {
+    super(message, { status: 422, ...details, retryable: false });
+    this.name = 'ValidationError';
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+// No response at all: offline, DNS, CORS or timeout
+export class NetworkError extends ApiError {
+  constructor(message = 'Network request failed', details = {}) {
+    super(message, { status: 0, ...details, retryable: true });
+    this.name = 'NetworkError';
+  }
+}
+
+// 5xx: gateway errors are transient, the rest are not
+export class ServerError extends ApiError {
+  constructor(message = 'Server error', details = {}) {
+    const status = details.status || 500;
+    super(message, { retryable: [502, 503, 504].includes(status), ...details, status });
+    this.name = 'ServerError';
+  }
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP-date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in ms
+ */
+export const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Normalize backend field errors into `{ field: message }`.
+ * Accepts `{ field: 'msg' }`, `{ field: ['msg'] }` or `[{ field, message }]`.
+ * @param {Object|Array} raw - `errors` / `fields` from the response body
+ * @returns {Object} Field name to message
+ */
+export const normalizeFieldErrors = (raw) => {
+  if (!raw || typeof raw !== 'object') return {};
+  if (Array.isArray(raw)) {
+    return raw.reduce((acc, item) => {
+      const field = item?.field || item?.path || item?.param;
+      if (field) acc[field] = item.message || item.msg || 'Invalid value';
+      return acc;
+    }, {});
+  }
+  return Object.entries(raw).reduce((acc, [field, message]) => {
+    acc[field] = Array.isArray(message) ? message[0] : String(message);
+    return acc;
+  }, {});
+};
+
+/**
+ * Build the typed error for a non-2xx response
+ * @param {Response} response - fetch Response
+ * @param {Object} data - Parsed body
+ * @returns {ApiError}
+ */
+export const errorFromResponse = (response, data = {}) => {
+  const { status } = response;
+  const message = data?.error || data?.message || `HTTP ${status}: ${response.statusText}`;
+  const details = { status, code: data?.code || data?.error_code || null, data };
+
+  if (status === 401 || status === 403) return new AuthError(message, details);
+  if (status === 429) {
+    return new RateLimitError(message, { ...details, retryAfter: parseRetryAfter(response.headers.get('Retry-After')) });
+  }
+  if (status === 400 || status === 422) {
+    return new ValidationError(message, { ...details, fieldErrors: normalizeFieldErrors(data?.errors || data?.fields) });
+  }
+  if (status >= 500) return new ServerError(message, details);
+  return new ApiError(message, { ...details, retryable: status === 408 });
+};
+
+/**
+ * Whether an operation that failed with this error may be retried
+ * @param {Error} error - Caught error
+ * @returns {boolean}
+ */
+export const isRetryable = (error) => error instanceof ApiError && error.retryable;
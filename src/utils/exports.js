@@ -0,0 +1,143 @@
+// Data exports
+// CSV and JSON serialisers for violations (one row per affected element) and alt-text suggestions.
+
+import { formatSelector } from './violations';
+
+const VIOLATION_COLUMNS = [
+  ['pageUrl', 'page_url'],
+  ['pageTitle', 'page_title'],
+  ['ruleId', 'rule_id'],
+  ['impact', 'impact'],
+  ['description', 'description'],
+  ['help', 'help'],
+  ['helpUrl', 'help_url'],
+  ['wcag', 'wcag_tags'],
+  ['selector', 'selector'],
+  ['html', 'html'],
+  ['failureSummary', 'failure_summary'],
+];
+
+const SUGGESTION_COLUMNS = [
+  ['imageUrl', 'image_url'],
+  ['existingAlt', 'existing_alt'],
+  ['suggestionId', 'suggestion_id'],
+  ['type', 'type'],
+  ['text', 'alt_text'],
+  ['confidence', 'confidence'],
+  ['selected', 'selected'],
+  ['chosenAlt', 'chosen_alt_text'],
+];
+
+/**
+ * Quote one CSV cell (RFC 4180); cells that a spreadsheet would run as a formula are prefixed with `'`
+ * @private
+ */
+const csvCell = (value) => {
+  let text = Array.isArray(value) ? value.join(' ') : String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialise rows to CSV with a header line; starts with a BOM so Excel reads UTF-8
+ * @param {Array<Object>} rows - Flat records
+ * @param {Array<[string, string]>} columns - `[key, header]` pairs
+ * @returns {string}
+ */
+export const toCsv = (rows, columns) => {
+  const lines = [columns.map(([, header]) => csvCell(header)).join(',')];
+  rows.forEach((row) => lines.push(columns.map(([key]) => csvCell(row[key])).join(',')));
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * One record per affected element
+ * @param {Array} rows - From flattenViolations (already filtered/sorted)
+ * @returns {Array<Object>}
+ */
+export const violationNodeRecords = (rows) => rows.flatMap((row) => {
+  const base = {
+    pageUrl: row.pageUrl,
+    pageTitle: row.pageTitle,
+    ruleId: row.ruleId,
+    impact: row.impact,
+    description: row.description,
+    help: row.help,
+    helpUrl: row.helpUrl,
+    wcag: row.tags.filter((tag) => tag.startsWith('wcag')),
+  };
+  // Violations without node details still get a row so nothing is silently dropped
+  const nodes = row.nodes.length ? row.nodes : [{}];
+  return nodes.map((node) => ({
+    ...base,
+    selector: formatSelector(node.target),
+    html: node.html || '',
+    failureSummary: node.failureSummary || '',
+  }));
+});
+
+/**
+ * Violations as CSV, one row per element
+ * @param {Array} rows - From flattenViolations
+ * @returns {string}
+ */
+export const violationsToCsv = (rows) => toCsv(violationNodeRecords(rows), VIOLATION_COLUMNS);
+
+/**
+ * Violations as JSON, one entry per element, with the scan and filters it came from
+ * @param {Array} rows - From flattenViolations
+ * @param {Object} [meta] - `{ scanId, url, filters }`
+ * @returns {string}
+ */
+export const violationsToJson = (rows, meta = {}) => {
+  const records = violationNodeRecords(rows);
+  return JSON.stringify({
+    ...meta,
+    exportedAt: new Date().toISOString(),
+    count: records.length,
+    violations: records,
+  }, null, 2);
+};
+
+/**
+ * One record per alt-text suggestion, marking the one picked for its image
+ * @param {Array} suggestions - `jobResults.suggestions`
+ * @param {Map} [selected] - imageUrl → `{ suggestionId, altText }`
+ * @returns {Array<Object>}
+ */
+export const suggestionRecords = (suggestions = [], selected = new Map()) => suggestions.map((suggestion) => ({
+  imageUrl: suggestion.imageUrl,
+  existingAlt: suggestion.imageInfo?.existingAlt || '',
+  suggestionId: suggestion.id,
+  type: suggestion.type || '',
+  text: suggestion.text || '',
+  confidence: suggestion.confidence ?? '',
+  selected: selected.get(suggestion.imageUrl)?.suggestionId === suggestion.id,
+  // What was picked for the image, including custom text or "" for decorative
+  chosenAlt: selected.get(suggestion.imageUrl)?.altText ?? '',
+}));
+
+/**
+ * Alt-text suggestions as CSV
+ * @param {Array} suggestions - Suggestions to export
+ * @param {Map} [selected] - imageUrl → `{ suggestionId, altText }`
+ * @returns {string}
+ */
+export const suggestionsToCsv = (suggestions, selected) => toCsv(suggestionRecords(suggestions, selected), SUGGESTION_COLUMNS);
+
+/**
+ * Alt-text suggestions as JSON
+ * @param {Array} suggestions - Suggestions to export
+ * @param {Map} [selected] - imageUrl → `{ suggestionId, altText }`
+ * @param {Object} [meta] - `{ jobId, filters }`
+ * @returns {string}
+ */
+export const suggestionsToJson = (suggestions, selected, meta = {}) => {
+  const records = suggestionRecords(suggestions, selected);
+  return JSON.stringify({
+    ...meta,
+    exportedAt: new Date().toISOString(),
+    count: records.length,
+    suggestions: records,
+  }, null, 2);
+};
@@ -0,0 +1,218 @@
+// Shared HTTP client
+// One fetch wrapper for every backend call: interceptors, timeouts,
+// AbortController cancellation and jittered retry for idempotent requests
+
+import { apiUrl } from './config';
+import { NetworkError, RateLimitError, errorFromResponse } from './errors';
+
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+const DEFAULTS = {
+  timeout: 30000,
+  retries: 2,
+  retryBaseDelay: 500,
+  retryMaxDelay: 8000,
+};
+
+// Absolute URLs pass through; `/api/...` paths resolve against the configured backend
+const resolveUrl = (endpoint) => (/^https?:\/\//i.test(endpoint) ? endpoint : apiUrl(endpoint));
+
+// Options read by the client and its interceptors; fetch never sees them
+const CLIENT_OPTIONS = new Set(['endpoint', 'skipAuth', 'timeout', 'retries']);
+
+const toFetchInit = (req) => Object.fromEntries(
+  Object.entries(req).filter(([key]) => !CLIENT_OPTIONS.has(key)),
+);
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason || new DOMException('Aborted', 'AbortError'));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Full-jitter exponential backoff: random delay in [0, min(max, base * 2^attempt)]
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Object} opts - `{ retryBaseDelay, retryMaxDelay }`
+ * @returns {number} Delay in ms
+ */
+export const backoffDelay = (attempt, { retryBaseDelay, retryMaxDelay } = DEFAULTS) => {
+  const ceiling = Math.min(retryMaxDelay, retryBaseDelay * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+};
+
+/**
+ * Check whether an error came from an aborted request
+ * @param {Error} error - Caught error
+ * @returns {boolean}
+ */
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+/**
+ * Merge the caller's AbortSignal with a per-call timeout
+ * @private
+ */
+const linkSignals = (callerSignal, timeout) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = timeout > 0
+    ? setTimeout(() => { timedOut = true; controller.abort(); }, timeout)
+    : null;
+  const onAbort = () => controller.abort(callerSignal.reason);
+
+  if (callerSignal) {
+    if (callerSignal.aborted) controller.abort(callerSignal.reason);
+    else callerSignal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  return {
+    signal: controller.signal,
+    didTimeout: () => timedOut,
+    cleanup: () => {
+      if (timer) clearTimeout(timer);
+      callerSignal?.removeEventListener('abort', onAbort);
+    },
+  };
+};
+
+/**
+ * Read a response body as JSON, tolerating empty bodies
+ * @private
+ */
+const parseBody = async (response) => {
+  const text = await response.text();
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { message: text };
+  }
+};
+
+/**
+ * Create an HTTP client bound to the configured backend
+ * @param {Object} defaults - Overrides for timeout/retry defaults
+ * @returns {Object} Client with `request`, `get`, `post`, `put`, `delete` and `interceptors`
+ */
+export const createHttpClient = (defaults = {}) => {
+  const settings = { ...DEFAULTS, ...defaults };
+  const requestInterceptors = [];
+  const responseInterceptors = [];
+
+  const register = (list) => ({
+    use(fn) {
+      list.push(fn);
+      return () => {
+        const index = list.indexOf(fn);
+        if (index !== -1) list.splice(index, 1);
+      };
+    },
+  });
+
+  /**
+   * Send a request to an `/api/...` endpoint
+   * @param {string} endpoint - Backend path or absolute URL
+   * @param {Object} options - fetch options plus `timeout`, `retries`, `signal`
+   * @returns {Promise<Object>} Parsed JSON body (`{}` when empty)
+   * @throws {ApiError} Typed error from utils/errors.js (AbortError when cancelled)
+   */
+  const request = async (endpoint, options = {}) => {
+    const {
+      timeout = settings.timeout,
+      retries,
+      signal: callerSignal,
+      headers,
+      ...fetchOptions
+    } = options;
+
+    let req = {
+      ...fetchOptions,
+      endpoint,
+      method: (fetchOptions.method || 'GET').toUpperCase(),
+      headers: { 'Content-Type': 'application/json', ...headers },
+    };
+    for (const interceptor of requestInterceptors) {
+      req = (await interceptor(req)) || req;
+    }
+
+    // Only idempotent methods retry unless the caller opts in explicitly
+    const maxRetries = retries ?? (IDEMPOTENT_METHODS.has(req.method) ? settings.retries : 0);
+
+    for (let attempt = 0; ; attempt++) {
+      const { signal, didTimeout, cleanup } = linkSignals(callerSignal, timeout);
+      let response;
+
+      try {
+        response = await fetch(resolveUrl(req.endpoint), { ...toFetchInit(req), signal });
+      } catch (error) {
+        cleanup();
+        if (callerSignal?.aborted) throw error;
+        const failure = didTimeout()
+          ? new NetworkError(`Request timed out after ${timeout}ms`, { code: 'timeout', cause: error })
+          : new NetworkError(`Network error: ${error.message}`, { code: 'network', cause: error });
+        if (attempt < maxRetries) {
+          await sleep(backoffDelay(attempt, settings), callerSignal);
+          continue;
+        }
+        console.error(`API request failed for ${endpoint}:`, failure);
+        throw failure;
+      }
+
+      let data;
+      try {
+        data = await parseBody(response);
+      } finally {
+        cleanup();
+      }
+
+      let result = { request: req, response, status: response.status, data };
+      for (const interceptor of responseInterceptors) {
+        result = (await interceptor(result)) || result;
+      }
+
+      if (result.response.ok) return result.data;
+
+      const error = errorFromResponse(result.response, result.data);
+      if (error.retryable && attempt < maxRetries) {
+        // Honor the server's Retry-After when it sends one
+        const wait = error instanceof RateLimitError && error.retryAfter !== null
+          ? Math.min(error.retryAfter, settings.retryMaxDelay)
+          : backoffDelay(attempt, settings);
+        await sleep(wait, callerSignal);
+        continue;
+      }
+
+      console.error(`API request failed for ${endpoint}:`, error);
+      throw error;
+    }
+  };
+
+  const withBody = (method) => (endpoint, body, options = {}) => request(endpoint, {
+    ...options,
+    method,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+
+  return {
+    request,
+    get: (endpoint, options = {}) => request(endpoint, { ...options, method: 'GET' }),
+    post: withBody('POST'),
+    put: withBody('PUT'),
+    delete: (endpoint, options = {}) => request(endpoint, { ...options, method: 'DELETE' }),
+    interceptors: {
+      request: register(requestInterceptors),
+      response: register(responseInterceptors),
+    },
+  };
+};
+
+// Shared instance used by utils/api.js and services
+const httpClient = createHttpClient();
+
+export default httpClient;
@@ -0,0 +1,396 @@
+// Background job tracker
+// One engine for everything the app waits on (scans, AI analysis, Alt Text AI
+// jobs): registered job kinds, sessionStorage persistence across reloads,
+// exponential backoff, and no polling while the tab is hidden.
+// Kinds are defined in utils/jobs.js; React binds through hooks/useJobs.js.
+
+import { isAbortError } from './httpClient';
+import { RateLimitError, isRetryable } from './errors';
+
+const STORAGE_KEY = 'sentryprime_jobs';
+const MAX_FINISHED = 10;
+
+const KIND_DEFAULTS = {
+  interval: 2000,
+  maxInterval: 30000,
+  maxDuration: 10 * 60 * 1000,
+};
+
+const ACTIVE = 'running';
+
+const kinds = new Map();
+const jobs = new Map();
+const runtime = new Map(); // id → { timer, controller, attempt, lastData, streamFailed, paused, waiters }
+const listeners = new Set();
+let snapshot = [];
+let resumed = false;
+
+const isHidden = () => typeof document !== 'undefined' && document.visibilityState === 'hidden';
+
+/**
+ * Stable id for a kind + params pair, so tracking the same thing twice is a no-op
+ * @param {string} kind - Job kind
+ * @param {Object} params - Kind-specific params
+ * @returns {string}
+ */
+export const jobIdFor = (kind, params) => `${kind}:${JSON.stringify(params, Object.keys(params).sort())}`;
+
+// --- persistence ---
+const persist = () => {
+  try {
+    // results can be large; only the tracking state survives a reload
+    const stored = [...jobs.values()].map(({ result, ...job }) => job);
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+  } catch {
+    // storage full or unavailable: tracking still works for this page load
+  }
+};
+
+const restore = () => {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY) || '[]');
+    stored.forEach((job) => jobs.set(job.id, job));
+  } catch {
+    // corrupt entry; start clean
+  }
+};
+
+const emit = (changed = null) => {
+  snapshot = [...jobs.values()].sort((a, b) => b.startedAt - a.startedAt);
+  persist();
+  listeners.forEach((listener) => listener(snapshot, changed));
+};
+
+// Keep the tray short: drop the oldest finished jobs past the limit
+const pruneFinished = () => {
+  const finished = [...jobs.values()]
+    .filter((job) => job.status !== ACTIVE)
+    .sort((a, b) => b.finishedAt - a.finishedAt);
+  finished.slice(MAX_FINISHED).forEach((job) => {
+    jobs.delete(job.id);
+    runtime.delete(job.id);
+  });
+};
+
+const runtimeFor = (id) => {
+  if (!runtime.has(id)) {
+    runtime.set(id, { timer: null, controller: null, attempt: 0, lastData: null, streamFailed: false, paused: false, waiters: [] });
+  }
+  return runtime.get(id);
+};
+
+const stopTimers = (rt) => {
+  clearTimeout(rt.timer);
+  rt.timer = null;
+  rt.controller?.abort();
+  rt.controller = null;
+};
+
+const update = (id, patch) => {
+  const job = jobs.get(id);
+  if (!job) return null;
+  const next = { ...job, ...patch, updatedAt: Date.now() };
+  jobs.set(id, next);
+  emit(next);
+  return next;
+};
+
+const finish = (id, status, patch = {}) => {
+  const rt = runtimeFor(id);
+  stopTimers(rt);
+  const job = update(id, { ...patch, status, finishedAt: Date.now() });
+  if (!job) return;
+
+  const definition = kinds.get(job.kind);
+  if (status === 'completed') {
+    try { definition?.onComplete?.(job); }
+    catch (error) { console.error(`Job ${id} onComplete failed:`, error); }
+  }
+  rt.waiters.splice(0).forEach((resolve) => resolve(job));
+  pruneFinished();
+  emit();
+};
+
+// Exponential backoff that resets whenever the job reports new progress
+const nextDelay = (definition, rt) => Math.min(definition.maxInterval, definition.interval * 2 ** rt.attempt);
+
+const schedule = (id, delay) => {
+  const rt = runtimeFor(id);
+  clearTimeout(rt.timer);
+  rt.timer = setTimeout(() => run(id), delay);
+};
+
+// Apply a `{ status, percent, message, data, result, error }` outcome from a kind
+const apply = (id, outcome) => {
+  const { status = ACTIVE, percent = null, message = '', data = null, result, error } = outcome;
+  if (status === 'completed') {
+    finish(id, 'completed', { percent: 100, message: message || 'Completed', data, result });
+    return true;
+  }
+  if (status === 'failed' || status === 'cancelled') {
+    finish(id, status, { message, data, error: error || message || `Job ${status}` });
+    return true;
+  }
+
+  const rt = runtimeFor(id);
+  const fingerprint = JSON.stringify(data);
+  rt.attempt = fingerprint === rt.lastData ? rt.attempt + 1 : 0;
+  rt.lastData = fingerprint;
+  const job = jobs.get(id);
+  update(id, { percent, message, data, retrying: false, checks: (job?.checks || 0) + 1 });
+  return false;
+};
+
+const timeOut = (id, job, definition) => {
+  const minutes = Math.round(definition.maxDuration / 60000);
+  finish(id, 'timeout', { error: `${job.label} timed out after ${minutes} minutes. It may still be running.` });
+};
+
+async function run(id) {
+  const job = jobs.get(id);
+  const definition = job && kinds.get(job.kind);
+  const rt = runtimeFor(id);
+  if (!job || job.status !== ACTIVE || !definition) return;
+
+  // paused; the visibility listener picks it back up
+  if (isHidden()) {
+    rt.paused = true;
+    return;
+  }
+  rt.paused = false;
+
+  const remaining = definition.maxDuration - (Date.now() - job.startedAt);
+  if (remaining < 0) {
+    timeOut(id, job, definition);
+    return;
+  }
+
+  const controller = new AbortController();
+  rt.controller = controller;
+  const { signal } = controller;
+
+  try {
+    // Stream first when the kind supports it; fall back to polling for good
+    if (definition.stream && !rt.streamFailed) {
+      let outcome = null;
+      // a stream can outlive maxDuration; finishing aborts it
+      const deadline = setTimeout(() => timeOut(id, job, definition), remaining);
+      try {
+        outcome = await definition.stream(job.params, {
+          signal,
+          onProgress: (progress) => apply(id, progress),
+        });
+      } catch (error) {
+        if (isAbortError(error) || signal.aborted) return;
+        console.warn(`📡 Job ${id} stream unavailable, polling instead:`, error.message);
+      } finally {
+        clearTimeout(deadline);
+      }
+      if (signal.aborted) return;
+      if (outcome && apply(id, outcome)) return;
+      rt.streamFailed = true;
+    }
+
+    const outcome = await definition.check(job.params, { signal });
+    if (signal.aborted || apply(id, outcome)) return;
+    schedule(id, nextDelay(definition, rt));
+  } catch (error) {
+    if (isAbortError(error) || signal.aborted) return;
+
+    if (definition.isPending?.(error)) {
+      rt.attempt += 1;
+      update(id, { checks: (job.checks || 0) + 1 });
+      schedule(id, nextDelay(definition, rt));
+      return;
+    }
+
+    if (isRetryable(error)) {
+      rt.attempt += 1;
+      update(id, { message: 'Temporary issue, retrying…', retrying: true });
+      const wait = error instanceof RateLimitError && error.retryAfter ? error.retryAfter : nextDelay(definition, rt);
+      schedule(id, wait);
+      return;
+    }
+
+    console.error(`❌ Job ${id} failed:`, error);
+    finish(id, 'failed', { error: error.message || 'Job failed' });
+  } finally {
+    if (rt.controller === controller) rt.controller = null;
+  }
+}
+
+// Neither waiting on a timer nor mid-request
+const isIdle = (id) => {
+  const rt = runtimeFor(id);
+  return !rt.timer && !rt.controller;
+};
+
+// Restored jobs stay put until resume() (i.e. there's a signed-in session)
+const onVisibilityChange = () => {
+  if (!resumed) return;
+  jobs.forEach((job) => {
+    if (job.status !== ACTIVE) return;
+    const rt = runtimeFor(job.id);
+    if (isHidden()) {
+      stopTimers(rt);
+      rt.paused = true;
+    } else if (rt.paused || isIdle(job.id)) {
+      // check straight away; whatever changed while hidden shows up now
+      rt.attempt = 0;
+      run(job.id);
+    }
+  });
+};
+
+if (typeof document !== 'undefined') {
+  document.addEventListener('visibilitychange', onVisibilityChange);
+}
+
+restore();
+snapshot = [...jobs.values()].sort((a, b) => b.startedAt - a.startedAt);
+
+export const jobTracker = {
+  /**
+   * Register a job kind
+   * @param {string} kind - Kind name, e.g. `'scan'`
+   * @param {Object} definition - `{ label, check, stream, isPending, cancel, link, onComplete, interval, maxInterval, maxDuration }`
+   */
+  define(kind, definition) {
+    kinds.set(kind, { ...KIND_DEFAULTS, ...definition });
+  },
+
+  /**
+   * Start tracking a job, or return the one already tracking the same params
+   * @param {string} kind - Registered job kind
+   * @param {Object} params - Kind-specific params (persisted, keep them small)
+   * @param {Object} options - `{ startedAt, restart }`
+   * @returns {Object} Job snapshot
+   */
+  track(kind, params, { startedAt = Date.now(), restart = false } = {}) {
+    const definition = kinds.get(kind);
+    if (!definition) throw new Error(`Unknown job kind: ${kind}`);
+
+    const id = jobIdFor(kind, params);
+    const existing = jobs.get(id);
+    if (existing && !restart) {
+      if (existing.status === ACTIVE) {
+        if (isIdle(id)) run(id);
+        return existing;
+      }
+      // a finished job is only reusable while its result is still in memory
+      if (existing.status === 'completed' && existing.result !== undefined) return existing;
+    }
+    // callers already waiting on this id follow the restarted job
+    const waiters = existing ? runtimeFor(id).waiters : [];
+    if (existing) stopTimers(runtimeFor(id));
+    runtime.delete(id);
+    runtimeFor(id).waiters.push(...waiters);
+
+    const job = {
+      id,
+      kind,
+      params,
+      label: definition.label ? definition.label(params) : kind,
+      link: definition.link ? definition.link(params) : null,
+      cancellable: Boolean(definition.cancel),
+      status: ACTIVE,
+      percent: null,
+      message: '',
+      data: null,
+      error: null,
+      checks: 0,
+      startedAt,
+      updatedAt: Date.now(),
+      finishedAt: null,
+    };
+    jobs.set(id, job);
+    emit(job);
+    run(id);
+    return job;
+  },
+
+  /**
+   * Resume jobs restored from sessionStorage. Call once the session is valid.
+   */
+  resume() {
+    if (resumed) return;
+    resumed = true;
+    jobs.forEach((job) => {
+      if (job.status === ACTIVE && kinds.has(job.kind) && isIdle(job.id)) run(job.id);
+    });
+  },
+
+  get(id) {
+    return jobs.get(id) || null;
+  },
+
+  list() {
+    return snapshot;
+  },
+
+  /**
+   * Listen for job changes
+   * @param {Function} listener - `(jobs, changedJob) => void`
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  /**
+   * Resolve once a job finishes (completed, failed, cancelled or timed out)
+   * @param {string} id - Job id
+   * @returns {Promise<Object>} Final job snapshot
+   */
+  wait(id) {
+    const job = jobs.get(id);
+    if (!job) return Promise.reject(new Error(`Unknown job: ${id}`));
+    if (job.status !== ACTIVE) return Promise.resolve(job);
+    return new Promise((resolve) => runtimeFor(id).waiters.push(resolve));
+  },
+
+  /**
+   * Cancel a job on the backend when its kind supports it; otherwise just stop tracking
+   * @param {string} id - Job id
+   */
+  async cancel(id) {
+    const job = jobs.get(id);
+    if (!job || job.status !== ACTIVE) return;
+    stopTimers(runtimeFor(id));
+    const definition = kinds.get(job.kind);
+    try {
+      await definition?.cancel?.(job.params);
+      finish(id, 'cancelled', { error: null, message: 'Cancelled' });
+    } catch (error) {
+      console.error(`❌ Failed to cancel job ${id}:`, error);
+      run(id);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove a finished job from the tray
+   * @param {string} id - Job id
+   */
+  dismiss(id) {
+    const job = jobs.get(id);
+    if (!job || job.status === ACTIVE) return;
+    jobs.delete(id);
+    runtime.delete(id);
+    emit();
+  },
+
+  /**
+   * Stop and forget every job (logout)
+   */
+  clear() {
+    runtime.forEach(stopTimers);
+    runtime.clear();
+    jobs.clear();
+    resumed = false;
+    emit();
+  },
+};
+
+export default jobTracker;
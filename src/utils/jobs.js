@@ -0,0 +1,99 @@
+// Job kinds
+// Everything the app waits on, registered with the background job tracker
+
+import jobTracker from './jobTracker';
+import queryCache from './queryCache';
+import { scanning } from './api';
+import { streamScan, normalizeProgress } from './scanEvents';
+import altTextAIService from '../services/altTextAIService.js';
+
+// Counts from the stream or GET /api/scans/:id → tracker progress
+const scanProgress = (progress) => {
+  const { pagesDiscovered, pagesScanned } = progress;
+  const known = pagesDiscovered > 0 && pagesScanned !== null;
+  return {
+    percent: known ? Math.round((pagesScanned / pagesDiscovered) * 100) : null,
+    message: known ? `Scanned ${pagesScanned} of ${pagesDiscovered} pages` : 'Scanning…',
+    data: progress,
+  };
+};
+
+jobTracker.define('scan', {
+  label: ({ scanId, url }) => (url ? `Scan of ${url.replace(/^https?:\/\//, '')}` : `Scan #${scanId}`),
+  link: ({ scanId }) => `/scans/${scanId}`,
+  stream: ({ scanId }, { signal, onProgress }) => streamScan(scanId, {
+    signal,
+    onProgress: (progress) => onProgress(scanProgress(progress)),
+  }),
+  check: async ({ scanId }, { signal }) => {
+    const meta = await scanning.getScanMeta(scanId, { signal });
+    if (meta?.status === 'done' || meta?.status === 'completed') return { status: 'completed', data: meta };
+    if (meta?.status === 'error' || meta?.status === 'failed') return { status: 'failed', error: 'Scan failed on backend' };
+    return scanProgress(normalizeProgress(meta));
+  },
+  // Everything that changes when a scan finishes
+  onComplete: ({ params }) => {
+    queryCache.invalidate(['websites']);
+    queryCache.invalidate(['scans']);
+    queryCache.invalidate(['overview']);
+    queryCache.invalidate(['scan', params.scanId]);
+  },
+});
+
+jobTracker.define('ai-analysis', {
+  label: ({ scanId }) => `AI analysis for scan #${scanId}`,
+  link: ({ scanId }) => `/scans/${scanId}/ai`,
+  check: async ({ scanId }, { signal }) => {
+    const res = await scanning.getAIAnalysis(scanId, { signal });
+    if (res?.summary || res?.steps || res?.issues) return { status: 'completed', result: res };
+    return { message: 'Generating analysis…' };
+  },
+  // the backend answers 409 until the scan itself has finished
+  isPending: (error) => error?.status === 409 || error?.code === 'scan_not_ready',
+  maxDuration: 2 * 60 * 1000,
+});
+
+jobTracker.define('alt-text', {
+  label: ({ jobId }) => `Alt Text AI job ${jobId}`,
+  link: ({ scanId }) => (scanId ? `/scans/${scanId}/alt-text` : null),
+  check: async ({ jobId }, { signal }) => {
+    const job = await altTextAIService.getJobStatus(jobId, { signal });
+    if (job.status === 'completed') {
+      const results = await altTextAIService.getJobResults(jobId, { signal });
+      return { status: 'completed', data: job, result: results };
+    }
+    if (job.status === 'failed' || job.status === 'cancelled') {
+      return { status: job.status, data: job, error: job.error || `Alt Text AI job ${job.status}` };
+    }
+    return {
+      percent: job.progress ?? null,
+      message: `${job.processedImages || 0} of ${job.totalImages || 0} images processed`,
+      data: job,
+    };
+  },
+  cancel: ({ jobId }) => altTextAIService.cancelJob(jobId),
+  maxDuration: 30 * 60 * 1000,
+});
+
+// Scans started before the tracker existed were kept under `activeScans`
+const migrateActiveScans = () => {
+  try {
+    const legacy = JSON.parse(sessionStorage.getItem('activeScans') || '{}');
+    Object.entries(legacy).forEach(([websiteId, { scanId, startedAt } = {}]) => {
+      if (scanId) jobTracker.track('scan', { scanId, websiteId }, { startedAt });
+    });
+  } catch {
+    // nothing worth migrating
+  }
+  sessionStorage.removeItem('activeScans');
+};
+
+/**
+ * Pick up jobs left running before a reload. Call once signed in.
+ */
+export const resumeJobs = () => {
+  migrateActiveScans();
+  jobTracker.resume();
+};
+
+export default jobTracker;
@@ -0,0 +1,151 @@
+// Portfolio overview
+// Reads `GET /api/dashboard/overview`. Backends that don't send a section get null for
+// it, or a version derived from the websites and scans lists where that's possible,
+// so the Overview tab can show whatever is available.
+
+import { IMPACTS } from './violations';
+import { isFinishedScan } from './trends';
+
+const WORST_WEBSITES = 5;
+const RECENT_ACTIVITY = 10;
+
+/** @private */
+const numberOrNull = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+/** @private */
+const arrayOrNull = (value) => (Array.isArray(value) ? value : null);
+
+/** @private */
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Average of each website's latest score at the end of every day a scan finished
+ * @private
+ */
+const deriveComplianceTrend = (scans) => {
+  const done = scans
+    .filter((scan) => isFinishedScan(scan) && numberOrNull(scan.compliance_score) != null)
+    .map((scan) => ({ ...scan, at: Date.parse(scan.completed_at || scan.created_at) }))
+    .filter((scan) => !Number.isNaN(scan.at))
+    .sort((a, b) => a.at - b.at);
+  const days = [...new Set(done.map((scan) => dayKey(scan.at)))];
+  return days.map((date) => {
+    const end = Date.parse(`${date}T23:59:59.999Z`);
+    const latestBySite = new Map();
+    done.filter((scan) => scan.at <= end).forEach((scan) => latestBySite.set(String(scan.website_id), scan.compliance_score));
+    const scores = [...latestBySite.values()];
+    return { date, avgCompliance: Math.round(scores.reduce((sum, n) => sum + n, 0) / scores.length), websites: scores.length };
+  });
+};
+
+/**
+ * Latest finished scan of every website
+ * @private
+ */
+const latestScans = (scans) => {
+  const latest = new Map();
+  scans.filter(isFinishedScan).forEach((scan) => {
+    const key = String(scan.website_id);
+    const current = latest.get(key);
+    if (!current || new Date(scan.created_at) > new Date(current.created_at)) latest.set(key, scan);
+  });
+  return [...latest.values()];
+};
+
+/** @private */
+const deriveImpactDistribution = (scans) => {
+  const latest = latestScans(scans);
+  if (latest.length === 0 || !latest.every((scan) => scan.violations_by_impact)) return null;
+  return Object.fromEntries(IMPACTS.map((impact) => [
+    impact,
+    latest.reduce((sum, scan) => sum + (numberOrNull(scan.violations_by_impact[impact]) ?? 0), 0),
+  ]));
+};
+
+/** @private */
+const deriveWorstWebsites = (websites) => websites
+  .filter((site) => site.status !== 'archived' && numberOrNull(site.compliance_score) != null && site.last_scan_id)
+  .sort((a, b) => a.compliance_score - b.compliance_score)
+  .slice(0, WORST_WEBSITES)
+  .map((site) => ({
+    id: site.id,
+    name: site.name,
+    url: site.url,
+    complianceScore: site.compliance_score,
+    totalViolations: numberOrNull(site.total_violations),
+    lastScanId: site.last_scan_id,
+    lastScanDate: site.last_scan_date || null,
+  }));
+
+/** @private */
+const deriveRecentActivity = (scans, websites) => [...scans]
+  .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+  .slice(0, RECENT_ACTIVITY)
+  .map((scan) => ({
+    scanId: scan.id,
+    websiteId: scan.website_id,
+    websiteName: websites.find((site) => String(site.id) === String(scan.website_id))?.name || scan.url,
+    url: scan.url,
+    status: scan.status,
+    trigger: scan.trigger || 'manual',
+    createdAt: scan.created_at,
+    complianceScore: numberOrNull(scan.compliance_score),
+  }));
+
+/**
+ * Overview payload with every section present, missing ones derived or null
+ * @param {Object} [raw] - Overview response; undefined while loading or after an error
+ * @param {Object} [lists] - `{ websites, scans }` from their queries, when loaded
+ * @returns {Object} `{ totals, complianceTrend, impactDistribution, topRules, worstWebsites,
+ *   recentActivity, issues, derived }` where `derived` lists the sections computed here
+ */
+export const normalizeOverview = (raw, { websites, scans } = {}) => {
+  const source = raw || {};
+  const impacts = source.impactDistribution;
+  const overview = {
+    totals: {
+      totalWebsites: numberOrNull(source.totalWebsites),
+      totalScans: numberOrNull(source.totalScans),
+      avgCompliance: numberOrNull(source.avgCompliance),
+      totalViolations: numberOrNull(source.totalViolations),
+    },
+    complianceTrend: arrayOrNull(source.complianceTrend),
+    impactDistribution: impacts && typeof impacts === 'object'
+      ? Object.fromEntries(IMPACTS.map((impact) => [impact, numberOrNull(impacts[impact]) ?? 0]))
+      : null,
+    topRules: arrayOrNull(source.topRules),
+    worstWebsites: arrayOrNull(source.worstWebsites),
+    recentActivity: arrayOrNull(source.recentActivity),
+    issues: source.issues && typeof source.issues === 'object'
+      ? {
+        open: numberOrNull(source.issues.open),
+        fixed: numberOrNull(source.issues.fixed),
+        introduced: numberOrNull(source.issues.introduced),
+        byWebsite: arrayOrNull(source.issues.byWebsite) || [],
+      }
+      : null,
+    derived: [],
+  };
+
+  const derive = (section, value) => {
+    if (overview[section] != null || value == null) return;
+    overview[section] = value;
+    overview.derived.push(section);
+  };
+  if (scans) {
+    // Like the backend, portfolio figures leave out archived websites; activity lists every scan
+    const archived = new Set((websites || []).filter((site) => site.status === 'archived').map((site) => String(site.id)));
+    const activeScans = scans.filter((scan) => !archived.has(String(scan.website_id)));
+    derive('complianceTrend', deriveComplianceTrend(activeScans));
+    derive('impactDistribution', deriveImpactDistribution(activeScans));
+    derive('recentActivity', deriveRecentActivity(scans, websites || []));
+  }
+  if (websites) {
+    derive('worstWebsites', deriveWorstWebsites(websites));
+    if (overview.totals.totalWebsites == null) {
+      overview.totals.totalWebsites = websites.filter((site) => site.status !== 'archived').length;
+    }
+  }
+  if (scans && overview.totals.totalScans == null) overview.totals.totalScans = scans.length;
+  return overview;
+};
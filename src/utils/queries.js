@@ -0,0 +1,53 @@
+// Query definitions
+// Cache keys and fetchers for every cached backend resource, plus the optimistic
+// updates more than one view shares
+
+import { dashboard, scanning } from './api';
+import queryCache from './queryCache';
+
+export const queries = {
+  overview: {
+    key: ['overview'],
+    fetch: (options) => dashboard.getOverview(options),
+  },
+  websites: {
+    key: ['websites'],
+    fetch: (options) => dashboard.getWebsites(options),
+  },
+  scans: {
+    key: ['scans'],
+    fetch: (options) => dashboard.getScans(options),
+  },
+  scan: (scanId) => ({
+    key: ['scan', scanId],
+    fetch: (options) => scanning.getScanResults(scanId, options),
+    // short, so a report loaded mid-scan doesn't linger; the scan job also invalidates it on completion
+    staleTime: 30 * 1000,
+  }),
+};
+
+/**
+ * Pause or resume a website's schedule, showing the change before the backend confirms it
+ * @param {Object} site - Website from the websites query, with `schedule` in API shape
+ * @param {boolean} paused - New paused state
+ * @returns {Promise<Object>} Updated website from the backend
+ * @throws {ApiError} After the cached website has been rolled back
+ */
+export const setSchedulePaused = async (site, paused) => {
+  const id = String(site.id);
+  const replace = (changes) => queryCache.setData(queries.websites.key, (prev = []) => (
+    prev.map((entry) => (String(entry.id) === id ? { ...entry, ...changes } : entry))
+  ));
+  const rollback = replace({ schedule: { ...site.schedule, paused } });
+  try {
+    const updated = await dashboard.saveSchedule(id, { ...site.schedule, paused });
+    if (updated?.id) replace(updated);
+    queryCache.invalidate(['websites']);
+    return updated;
+  } catch (error) {
+    rollback();
+    throw error;
+  }
+};
+
+export default queries;
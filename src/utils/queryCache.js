@@ -0,0 +1,168 @@
+// Query cache
+// Keyed cache for backend resources: deduplicates concurrent fetches, serves
+// stale data while revalidating, and supports targeted invalidation and
+// optimistic updates. Framework-free; React binds through hooks/useQuery.js.
+
+import { isAbortError } from './httpClient';
+
+const DEFAULT_STALE_TIME = 30 * 1000;
+
+/**
+ * Serialize a query key (`['scan', 42]`) into a cache id
+ * @param {Array} key - Query key
+ * @returns {string}
+ */
+export const hashKey = (key) => JSON.stringify(key.map(String));
+
+// `['scan']` matches `['scan', '42']`; `['scan', 42]` matches only that scan
+const matchesPrefix = (key, prefix) => prefix.every((part, i) => String(key[i]) === String(part));
+
+const entries = new Map();
+
+const createEntry = (key) => ({
+  key,
+  data: undefined,
+  error: null,
+  updatedAt: 0,
+  promise: null,
+  controller: null,
+  fetcher: null,
+  staleTime: DEFAULT_STALE_TIME,
+  subscribers: new Set(),
+});
+
+const getEntry = (key) => {
+  const id = hashKey(key);
+  if (!entries.has(id)) entries.set(id, createEntry(key));
+  return entries.get(id);
+};
+
+const notify = (entry) => {
+  entry.subscribers.forEach((listener) => listener());
+};
+
+const isStale = (entry) => Date.now() - entry.updatedAt > entry.staleTime;
+
+export const queryCache = {
+  /**
+   * Snapshot of a query's state
+   * @param {Array} key - Query key
+   * @returns {{data: *, error: Error|null, updatedAt: number, isFetching: boolean}}
+   */
+  getState(key) {
+    const entry = getEntry(key);
+    return {
+      data: entry.data,
+      error: entry.error,
+      updatedAt: entry.updatedAt,
+      isFetching: Boolean(entry.promise),
+    };
+  },
+
+  /**
+   * Fetch a query, reusing fresh data or an in-flight request for the same key
+   * @param {Array} key - Query key
+   * @param {Function} fetcher - `({ signal }) => Promise<data>`
+   * @param {Object} options - `{ staleTime, force }`
+   * @returns {Promise<*>} Query data
+   */
+  fetch(key, fetcher, { staleTime = DEFAULT_STALE_TIME, force = false } = {}) {
+    const entry = getEntry(key);
+    entry.fetcher = fetcher;
+    entry.staleTime = staleTime;
+
+    if (entry.promise) return entry.promise;
+    if (!force && entry.updatedAt && !isStale(entry)) return Promise.resolve(entry.data);
+
+    const controller = new AbortController();
+    entry.controller = controller;
+    entry.promise = fetcher({ signal: controller.signal })
+      .then((data) => {
+        entry.data = data;
+        entry.error = null;
+        entry.updatedAt = Date.now();
+        return data;
+      })
+      .catch((error) => {
+        if (!isAbortError(error)) entry.error = error;
+        throw error;
+      })
+      .finally(() => {
+        if (entry.controller === controller) {
+          entry.promise = null;
+          entry.controller = null;
+        }
+        notify(entry);
+      });
+
+    notify(entry);
+    return entry.promise;
+  },
+
+  /**
+   * Listen for changes to one query. When the last listener leaves,
+   * an in-flight request for it is aborted.
+   * @param {Array} key - Query key
+   * @param {Function} listener - Called on every state change
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(key, listener) {
+    const entry = getEntry(key);
+    entry.subscribers.add(listener);
+    return () => {
+      entry.subscribers.delete(listener);
+      if (entry.subscribers.size === 0 && entry.controller) {
+        entry.controller.abort();
+        entry.controller = null;
+        entry.promise = null;
+      }
+    };
+  },
+
+  /**
+   * Replace a query's data locally (optimistic update)
+   * @param {Array} key - Query key
+   * @param {Function|*} updater - New data or `(previous) => next`
+   * @returns {Function} Rollback to the previous data
+   */
+  setData(key, updater) {
+    const entry = getEntry(key);
+    const previous = entry.data;
+    const previousUpdatedAt = entry.updatedAt;
+    entry.data = typeof updater === 'function' ? updater(previous) : updater;
+    entry.updatedAt = Date.now();
+    notify(entry);
+    return () => {
+      entry.data = previous;
+      entry.updatedAt = previousUpdatedAt;
+      notify(entry);
+    };
+  },
+
+  /**
+   * Mark every query under a key prefix stale and refetch the ones on screen
+   * @param {Array} prefix - Key prefix, e.g. `['scans']`
+   */
+  invalidate(prefix) {
+    entries.forEach((entry) => {
+      if (!matchesPrefix(entry.key, prefix)) return;
+      entry.updatedAt = 0;
+      // a request already in flight may carry pre-invalidation data
+      if (entry.controller) {
+        entry.controller.abort();
+        entry.controller = null;
+        entry.promise = null;
+      }
+      if (entry.subscribers.size > 0 && entry.fetcher) {
+        this.fetch(entry.key, entry.fetcher, { staleTime: entry.staleTime }).catch(() => {});
+      }
+    });
+  },
+
+  clear() {
+    entries.forEach((entry) => entry.controller?.abort());
+    entries.clear();
+  },
+};
+
+export default queryCache;
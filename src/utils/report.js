@@ -0,0 +1,164 @@
+// Printable scan report
+// Builds a standalone, branded HTML document for a scan. The same markup is
+// downloaded as .html or opened in a new window and printed to PDF.
+
+import { IMPACTS, flattenViolations, sortViolations, formatSelector, formatTag } from './violations';
+
+const BRAND = 'SentryPrime';
+
+const IMPACT_COLORS = {
+  critical: '#b91c1c',
+  serious: '#c2410c',
+  moderate: '#a16207',
+  minor: '#1d4ed8',
+};
+
+/**
+ * Escape text for HTML content and attribute values
+ * @param {*} value - Anything printable
+ * @returns {string}
+ */
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (ch) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+}[ch]));
+
+const STYLES = `
+  @page { size: A4; margin: 18mm 16mm 20mm; @bottom-right { content: "Page " counter(page) " of " counter(pages); font: 9pt system-ui, sans-serif; color: #6b7280; } }
+  * { box-sizing: border-box; }
+  body { font: 11pt/1.5 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: #111827; margin: 0 auto; max-width: 960px; padding: 32px; }
+  h1, h2, h3 { line-height: 1.25; }
+  a { color: #2563eb; }
+  .brand { display: flex; justify-content: space-between; align-items: center; border-bottom: 3px solid #2563eb; padding-bottom: 12px; }
+  .brand strong { font-size: 14pt; color: #2563eb; letter-spacing: .02em; }
+  .muted { color: #6b7280; }
+  .cards { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; margin: 24px 0; }
+  .card { border: 1px solid #e5e7eb; border-radius: 8px; padding: 16px; }
+  .card .value { font-size: 24pt; font-weight: 700; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+  th { background: #f9fafb; }
+  .badge { display: inline-block; padding: 1px 8px; border-radius: 9999px; color: #fff; font-size: 9pt; font-weight: 600; text-transform: capitalize; }
+  .violations { break-before: page; }
+  .violation { border: 1px solid #e5e7eb; border-radius: 8px; padding: 16px; margin-bottom: 16px; }
+  .violation header { break-inside: avoid; break-after: avoid; }
+  .tag { display: inline-block; background: #f3f4f6; color: #4b5563; border-radius: 4px; padding: 0 6px; font-size: 9pt; margin-right: 4px; }
+  .node { border-top: 1px dashed #e5e7eb; padding-top: 8px; margin-top: 8px; break-inside: avoid; }
+  code, pre { font: 9pt/1.4 ui-monospace, SFMono-Regular, Menlo, monospace; }
+  pre { background: #f3f4f6; padding: 8px; border-radius: 4px; white-space: pre-wrap; word-break: break-all; margin: 4px 0; }
+  footer { margin-top: 32px; font-size: 9pt; }
+  @media print { body { padding: 0; max-width: none; } a { text-decoration: none; } }
+`;
+
+/** @private */
+const renderNode = (node, index, total) => `
+  <div class="node">
+    <div class="muted">Element ${index + 1} of ${total}</div>
+    ${node.target?.length ? `<div><strong>Selector:</strong> <code>${escapeHtml(formatSelector(node.target))}</code></div>` : ''}
+    ${node.html ? `<pre>${escapeHtml(node.html)}</pre>` : ''}
+    ${node.failureSummary ? `<pre>${escapeHtml(node.failureSummary)}</pre>` : ''}
+  </div>`;
+
+/** @private */
+const renderViolation = (row) => `
+  <section class="violation">
+    <header>
+      <h3>${escapeHtml(row.ruleId)} <span class="badge" style="background:${IMPACT_COLORS[row.impact] || IMPACT_COLORS.minor}">${escapeHtml(row.impact)}</span></h3>
+      <p>${escapeHtml(row.help || row.description)}</p>
+      ${row.help && row.description ? `<p class="muted">${escapeHtml(row.description)}</p>` : ''}
+      <p><strong>Page:</strong> ${escapeHtml(row.pageTitle || row.pageUrl)}${row.pageTitle ? ` <span class="muted">(${escapeHtml(row.pageUrl)})</span>` : ''}</p>
+      <p>${row.tags.filter((tag) => tag.startsWith('wcag')).map((tag) => `<span class="tag">${escapeHtml(formatTag(tag))}</span>`).join('')}</p>
+      ${row.helpUrl ? `<p><strong>How to fix:</strong> <a href="${escapeHtml(row.helpUrl)}">${escapeHtml(row.helpUrl)}</a></p>` : ''}
+    </header>
+    ${row.nodes.map((node, index) => renderNode(node, index, row.nodes.length)).join('')}
+  </section>`;
+
+/**
+ * Build the standalone report document for a scan
+ * @param {Object} scan - Scan detail as returned by `getScanResults`
+ * @param {Object} [options]
+ * @param {string} [options.standard] - Conformance target shown with the score
+ * @param {number} [options.score] - Score against that target; defaults to the scan's `complianceScore`
+ * @param {Date} [options.generatedAt] - Defaults to now
+ * @param {boolean} [options.autoPrint] - Open the print dialog once loaded (PDF export)
+ * @returns {string} Complete HTML document
+ */
+export const buildReportHtml = (scan, { standard = 'WCAG 2.1 AA', score, generatedAt = new Date(), autoPrint = false } = {}) => {
+  const {
+    websiteName,
+    url,
+    scanDate,
+    totalViolations = 0,
+    complianceScore = 0,
+    pagesScanned = 0,
+    results = {},
+  } = scan || {};
+  const pages = results.pages || [];
+  const byImpact = results.byImpact || {};
+  const rows = sortViolations(flattenViolations(pages));
+  const title = `Accessibility Report – ${websiteName || url || 'Website'}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+  <div class="brand">
+    <strong>${BRAND}</strong>
+    <span class="muted">Generated ${escapeHtml(generatedAt.toLocaleString())}</span>
+  </div>
+
+  <h1>Accessibility Audit Report</h1>
+  <p>
+    <strong>${escapeHtml(websiteName || url)}</strong>${websiteName && url ? ` — <a href="${escapeHtml(url)}">${escapeHtml(url)}</a>` : ''}<br>
+    ${scanDate ? `<span class="muted">Scanned on ${escapeHtml(new Date(scanDate).toLocaleString())}</span>` : ''}
+  </p>
+
+  <div class="cards">
+    <div class="card"><div class="muted">Compliance Score</div><div class="value">${escapeHtml(score ?? complianceScore)}%</div><div class="muted">${escapeHtml(standard)}</div></div>
+    <div class="card"><div class="muted">Pages Scanned</div><div class="value">${escapeHtml(results.totalPages ?? pagesScanned)}</div></div>
+    <div class="card"><div class="muted">Total Issues</div><div class="value">${escapeHtml(results.totalViolations ?? totalViolations)}</div></div>
+  </div>
+
+  <h2>Impact Breakdown</h2>
+  <table>
+    <thead><tr><th>Impact</th><th>Issues</th></tr></thead>
+    <tbody>
+      ${IMPACTS.map((impact) => `<tr><td><span class="badge" style="background:${IMPACT_COLORS[impact]}">${impact}</span></td><td>${byImpact[impact] || 0}</td></tr>`).join('')}
+    </tbody>
+  </table>
+
+  <div class="violations">
+    <h2>Issues (${rows.length})</h2>
+    ${rows.length ? rows.map(renderViolation).join('') : '<p>No accessibility issues were found.</p>'}
+  </div>
+
+  <footer class="muted">
+    Automated testing finds a subset of accessibility barriers; manual review is still recommended. Report produced by ${BRAND}.
+  </footer>
+${autoPrint ? '<script>window.addEventListener("load", function () { window.print(); });</script>' : ''}
+</body>
+</html>`;
+};
+
+/**
+ * Open the report in a new window and start printing it (save as PDF from the dialog)
+ * @param {Object} scan - Scan detail
+ * @param {Object} [options] - As for buildReportHtml
+ * @returns {boolean} false when the browser blocked the window
+ */
+export const printReport = (scan, options = {}) => {
+  const win = window.open('', '_blank');
+  if (!win) return false;
+  win.document.open();
+  win.document.write(buildReportHtml(scan, { ...options, autoPrint: true }));
+  win.document.close();
+  return true;
+};
@@ -0,0 +1,127 @@
+// Scan comparison
+// Matches the affected elements of two scans of the same website to find what
+// was introduced, what was fixed and what is still outstanding.
+
+import { IMPACTS, flattenViolations, nodeFingerprint } from './violations';
+import { conformanceScore } from './wcag';
+
+/**
+ * Page URL without fragment or trailing slash, so `/about/` and `/about` match
+ * @private
+ */
+const normalizeUrl = (url = '') => url.replace(/#.*$/, '').replace(/\/+$/, '');
+
+/**
+ * One record per affected element, keyed by rule, page and element fingerprint
+ * @private
+ */
+const elementsOf = (pages = []) => {
+  const elements = new Map();
+  flattenViolations(pages).forEach((row) => {
+    row.nodes.forEach((node) => {
+      const fingerprint = nodeFingerprint(node);
+      const key = `${row.ruleId}|${normalizeUrl(row.pageUrl)}|${fingerprint}`;
+      if (elements.has(key)) return;
+      elements.set(key, {
+        key,
+        fingerprint,
+        ruleId: row.ruleId,
+        impact: row.impact,
+        description: row.description,
+        help: row.help,
+        helpUrl: row.helpUrl,
+        tags: row.tags,
+        pageUrl: row.pageUrl,
+        pageTitle: row.pageTitle,
+        node,
+      });
+    });
+  });
+  return elements;
+};
+
+/**
+ * Score for one side of the comparison: against the conformance target when it can be computed,
+ * otherwise the backend's compliance score
+ * @private
+ */
+const scoreOf = (scan, target) => {
+  const pages = scan?.results?.pages || [];
+  return (target && conformanceScore(pages, target).score) ?? scan?.complianceScore ?? null;
+};
+
+/**
+ * Compare two scans element by element
+ * @param {Object} baseScan - Earlier scan detail from `getScanResults`
+ * @param {Object} compareScan - Later scan detail
+ * @param {Object} [target] - `{ version, level }` to score both scans against
+ * @returns {Object} `{ added, fixed, persisting, score: { base, compare, delta }, byImpact }` where
+ *   `added`, `fixed` and `persisting` are element records (`{ key, ruleId, impact, pageUrl, node, … }`)
+ *   and `byImpact[impact]` is `{ base, compare, delta, added, fixed }` counted in affected elements
+ */
+export const diffScans = (baseScan, compareScan, target) => {
+  const before = elementsOf(baseScan?.results?.pages);
+  const after = elementsOf(compareScan?.results?.pages);
+
+  const added = [...after.values()].filter((element) => !before.has(element.key));
+  const fixed = [...before.values()].filter((element) => !after.has(element.key));
+  const persisting = [...after.values()].filter((element) => before.has(element.key));
+
+  const byImpact = Object.fromEntries(IMPACTS.map((impact) => [impact, { base: 0, compare: 0, delta: 0, added: 0, fixed: 0 }]));
+  const bucket = (impact) => byImpact[impact] || byImpact.minor;
+  before.forEach((element) => { bucket(element.impact).base += 1; });
+  after.forEach((element) => { bucket(element.impact).compare += 1; });
+  added.forEach((element) => { bucket(element.impact).added += 1; });
+  fixed.forEach((element) => { bucket(element.impact).fixed += 1; });
+  IMPACTS.forEach((impact) => { byImpact[impact].delta = byImpact[impact].compare - byImpact[impact].base; });
+
+  const baseScore = scoreOf(baseScan, target);
+  const compareScore = scoreOf(compareScan, target);
+
+  return {
+    added,
+    fixed,
+    persisting,
+    score: {
+      base: baseScore,
+      compare: compareScore,
+      delta: baseScore != null && compareScore != null ? compareScore - baseScore : null,
+    },
+    byImpact,
+  };
+};
+
+/**
+ * Group element records from diffScans by rule, worst impact first
+ * @param {Array} elements - `added`, `fixed` or `persisting`
+ * @returns {Array<Object>} `{ ruleId, impact, help, helpUrl, elements, pageCount }`
+ */
+export const groupDiffByRule = (elements = []) => {
+  const groups = new Map();
+  elements.forEach((element) => {
+    const group = groups.get(element.ruleId) || {
+      ruleId: element.ruleId,
+      impact: element.impact,
+      help: element.help || element.description,
+      helpUrl: element.helpUrl,
+      elements: [],
+    };
+    group.elements.push(element);
+    groups.set(element.ruleId, group);
+  });
+  const rank = (impact) => (IMPACTS.includes(impact) ? IMPACTS.indexOf(impact) : IMPACTS.length);
+  return [...groups.values()]
+    .map((group) => ({ ...group, pageCount: new Set(group.elements.map((element) => element.pageUrl)).size }))
+    .sort((a, b) => rank(a.impact) - rank(b.impact) || b.elements.length - a.elements.length);
+};
+
+/**
+ * Route comparing two scans, with the older one as the base so "new" means introduced since then
+ * @param {Object} a - Scan list entry (`{ id, created_at }`)
+ * @param {Object} b - The other scan, in either order
+ * @returns {string}
+ */
+export const compareUrl = (a, b) => {
+  const [base, compare] = [a, b].sort((x, y) => new Date(x.created_at) - new Date(y.created_at));
+  return `/scans/compare?base=${encodeURIComponent(base.id)}&compare=${encodeURIComponent(compare.id)}`;
+};
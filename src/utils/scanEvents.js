@@ -0,0 +1,128 @@
+// Scan progress stream
+// Follows a running scan over Server-Sent Events (GET /api/scans/:id/events).
+// The scan job in utils/jobs.js falls back to polling when this throws.
+
+import { apiUrl } from './config';
+import session from './session';
+import { ApiError, errorFromResponse } from './errors';
+
+// Give up on a stream that sends nothing (not even a keep-alive) for this long
+const IDLE_TIMEOUT_MS = 45 * 1000;
+
+const toNumber = (value) => (value === undefined || value === null ? null : Number(value));
+
+/**
+ * Normalize a progress payload from either the stream or GET /api/scans/:id
+ * @param {Object} data - Raw payload (snake_case or camelCase)
+ * @returns {{pagesDiscovered: number|null, pagesScanned: number|null, currentUrl: string|null, violationsFound: number|null}}
+ */
+export const normalizeProgress = (data = {}) => {
+  const source = data.progress && typeof data.progress === 'object' ? data.progress : data;
+  return {
+    pagesDiscovered: toNumber(source.pages_discovered ?? source.pagesDiscovered),
+    pagesScanned: toNumber(source.pages_scanned ?? source.pagesScanned),
+    currentUrl: source.current_url ?? source.currentUrl ?? null,
+    violationsFound: toNumber(source.violations_found ?? source.violationsFound),
+  };
+};
+
+/**
+ * Split an SSE buffer into complete frames
+ * @private
+ * @returns {{frames: Array<{event: string, data: string}>, rest: string}}
+ */
+const parseFrames = (buffer) => {
+  const chunks = buffer.replace(/\r\n/g, '\n').split('\n\n');
+  const rest = chunks.pop();
+  const frames = chunks.map((chunk) => {
+    let event = 'message';
+    const data = [];
+    for (const line of chunk.split('\n')) {
+      if (line.startsWith(':')) continue; // comment / keep-alive
+      const [field, ...value] = line.split(':');
+      const text = value.join(':').replace(/^ /, '');
+      if (field === 'event') event = text;
+      else if (field === 'data') data.push(text);
+    }
+    return { event, data: data.join('\n') };
+  }).filter((frame) => frame.data);
+  return { frames, rest };
+};
+
+/**
+ * Next chunk from the stream, or an ApiError once it has been silent for `ms`
+ * @private
+ */
+const readWithIdleTimeout = (reader, ms) => {
+  let timer;
+  const idle = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(new ApiError(`Scan event stream idle for ${Math.round(ms / 1000)}s`, { code: 'stream_idle' }));
+    }, ms);
+  });
+  return Promise.race([reader.read(), idle]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Read a scan's event stream until it completes or fails
+ * @param {string|number} scanId - Scan to follow
+ * @param {Object} options - `{ signal, onProgress, idleTimeout }`
+ * @returns {Promise<Object|null>} `{ status: 'completed', data }` or `{ status: 'failed', error }`;
+ *   null when the stream closed early
+ * @throws {ApiError} When the backend doesn't stream or the stream goes idle (callers should poll instead)
+ */
+export const streamScan = async (scanId, { signal, onProgress, idleTimeout = IDLE_TIMEOUT_MS } = {}) => {
+  const token = await session.getValidAccessToken().catch(() => null);
+  const response = await fetch(apiUrl(`/api/scans/${scanId}/events`), {
+    headers: {
+      Accept: 'text/event-stream',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    signal,
+  });
+
+  const type = response.headers.get('Content-Type') || '';
+  if (!response.ok || !type.includes('text/event-stream') || !response.body) {
+    throw response.ok
+      ? new ApiError('Scan event stream unavailable', { status: response.status, code: 'stream_unavailable' })
+      : errorFromResponse(response, await response.json().catch(() => ({})));
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  // not every fetch implementation tears the body down on abort
+  signal?.addEventListener('abort', () => reader.cancel().catch(() => {}), { once: true });
+
+  for (;;) {
+    let chunk;
+    try {
+      chunk = await readWithIdleTimeout(reader, idleTimeout);
+    } catch (error) {
+      reader.cancel().catch(() => {});
+      throw error;
+    }
+    const { value, done } = chunk;
+    if (done) return null;
+    buffer += decoder.decode(value, { stream: true });
+    const { frames, rest } = parseFrames(buffer);
+    buffer = rest;
+
+    for (const { event, data } of frames) {
+      let payload;
+      try { payload = JSON.parse(data); }
+      catch { continue; }
+
+      if (event === 'progress') {
+        onProgress?.(normalizeProgress(payload));
+      } else if (event === 'complete' || event === 'error') {
+        reader.cancel().catch(() => {});
+        return event === 'complete'
+          ? { status: 'completed', data: payload }
+          : { status: 'failed', error: payload.error || 'Scan failed on backend' };
+      }
+    }
+  }
+};
+
+export default streamScan;
@@ -0,0 +1,241 @@
+// Scan options
+// Crawl and rule settings chosen before a scan starts. The form works with the camelCase
+// shape below; the API takes and returns snake_case, like the rest of the scan payloads.
+
+import { WCAG_VERSIONS, WCAG_LEVELS, formatTarget } from './wcag';
+import wcagTarget from './wcagTarget';
+
+const STORAGE_KEY = 'sentryprime_scan_options';
+
+export const VIEWPORT_PRESETS = {
+  desktop: { label: 'Desktop', width: 1280, height: 800 },
+  tablet: { label: 'Tablet', width: 768, height: 1024 },
+  mobile: { label: 'Mobile', width: 375, height: 667 },
+};
+
+// Rule tags that can run alongside the WCAG level
+export const EXTRA_RULE_TAGS = [
+  { tag: 'best-practice', label: 'Best practices', description: 'Common accessibility problems outside WCAG' },
+  { tag: 'section508', label: 'Section 508', description: 'US federal requirements' },
+  { tag: 'experimental', label: 'Experimental', description: 'Rules still in development; may be noisy' },
+];
+
+export const LIMITS = {
+  maxPages: [1, 1000],
+  maxDepth: [0, 10],
+  viewportWidth: [320, 3840],
+  viewportHeight: [240, 2160],
+  requestsPerSecond: [0, 50],
+  concurrency: [1, 10],
+};
+
+export const DEFAULT_SCAN_OPTIONS = {
+  maxPages: 50,
+  maxDepth: 3,
+  includePatterns: [],
+  excludePatterns: [],
+  sitemapUrl: '',
+  wcagVersion: '2.1',
+  wcagLevel: 'AA',
+  extraTags: ['best-practice'],
+  viewport: { width: 1280, height: 800 },
+  waitForSelectors: [],
+  requestsPerSecond: 2,
+  concurrency: 2,
+};
+
+/**
+ * axe tags for a WCAG target: every level up to `level` in every version up to `version`.
+ * 2.0 AA → `wcag2a`, `wcag2aa`; 2.1 A → `wcag2a`, `wcag21a`
+ * @param {string} version - 2.0 | 2.1 | 2.2
+ * @param {string} level - A | AA | AAA
+ * @returns {string[]}
+ */
+export const tagsForLevel = (version, level) => {
+  const versions = WCAG_VERSIONS.slice(0, WCAG_VERSIONS.indexOf(version) + 1);
+  const levels = WCAG_LEVELS.slice(0, WCAG_LEVELS.indexOf(level) + 1);
+  return versions.flatMap((v) => levels.map((l) => `wcag${v === '2.0' ? '2' : v.replace('.', '')}${l.toLowerCase()}`));
+};
+
+/**
+ * Every axe tag a scan runs with these options
+ * @param {Object} options - Scan options
+ * @returns {string[]}
+ */
+export const ruleTagsFor = (options) => [
+  ...tagsForLevel(options.wcagVersion, options.wcagLevel),
+  ...(options.extraTags || []),
+];
+
+/**
+ * Whether a URL matches a crawl pattern. `*` matches anything; patterns starting with `/`
+ * are matched against the path (with query), others against the full URL.
+ * @param {string} url - Absolute URL
+ * @param {string} pattern - e.g. `/blog/*`, `*.pdf`, `https://example.com/shop/*`
+ * @returns {boolean}
+ */
+export const matchesPattern = (url, pattern) => {
+  const source = pattern.trim().split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  let subject = url;
+  if (pattern.trim().startsWith('/')) {
+    try {
+      const parsed = new URL(url);
+      subject = `${parsed.pathname}${parsed.search}`;
+    } catch {
+      // relative URL: match it as is
+    }
+  }
+  return new RegExp(`^${source}$`).test(subject);
+};
+
+/**
+ * Whether the crawler may visit a URL: it must match an include pattern (when there are any)
+ * and no exclude pattern
+ * @param {string} url - Absolute URL
+ * @param {Object} options - Scan options
+ * @returns {boolean}
+ */
+export const isUrlAllowed = (url, { includePatterns = [], excludePatterns = [] } = {}) => (
+  (includePatterns.length === 0 || includePatterns.some((pattern) => matchesPattern(url, pattern))) &&
+  !excludePatterns.some((pattern) => matchesPattern(url, pattern))
+);
+
+/** @private */
+const inRange = (value, [min, max]) => Number.isInteger(value) && value >= min && value <= max;
+
+/** @private */
+const isValidSelector = (selector) => {
+  if (typeof document === 'undefined') return true;
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Check options before they're sent
+ * @param {Object} options - Scan options
+ * @returns {Object} Field name → message; empty when valid
+ */
+export const validateScanOptions = (options) => {
+  const errors = {};
+  const range = (key) => `${LIMITS[key][0]}–${LIMITS[key][1]}`;
+
+  if (!inRange(options.maxPages, LIMITS.maxPages)) errors.maxPages = `Enter a whole number from ${range('maxPages')}`;
+  if (!inRange(options.maxDepth, LIMITS.maxDepth)) errors.maxDepth = `Enter a whole number from ${range('maxDepth')}`;
+  if (options.sitemapUrl && !/^https?:\/\/[^\s/]+\.[^\s]+$/i.test(options.sitemapUrl)) {
+    errors.sitemapUrl = 'Enter a full http(s) URL, e.g. https://example.com/sitemap.xml';
+  }
+  if (!inRange(options.viewport?.width, LIMITS.viewportWidth) || !inRange(options.viewport?.height, LIMITS.viewportHeight)) {
+    errors.viewport = `Width must be ${range('viewportWidth')} and height ${range('viewportHeight')} pixels`;
+  }
+  const badSelector = options.waitForSelectors.find((selector) => !isValidSelector(selector));
+  if (badSelector) errors.waitForSelectors = `Not a valid CSS selector: ${badSelector}`;
+  const requestsPerSecond = options.requestsPerSecond;
+  if (!(Number.isFinite(requestsPerSecond) && requestsPerSecond >= LIMITS.requestsPerSecond[0] && requestsPerSecond <= LIMITS.requestsPerSecond[1])) {
+    errors.requestsPerSecond = `Enter a number from ${range('requestsPerSecond')} (0 for no limit)`;
+  }
+  if (!inRange(options.concurrency, LIMITS.concurrency)) errors.concurrency = `Enter a whole number from ${range('concurrency')}`;
+  return errors;
+};
+
+/**
+ * Request body shape for `POST /api/dashboard/scans`
+ * @param {Object} options - Scan options
+ * @returns {Object}
+ */
+export const toApiOptions = (options) => ({
+  max_pages: options.maxPages,
+  max_depth: options.maxDepth,
+  include_patterns: options.includePatterns,
+  exclude_patterns: options.excludePatterns,
+  sitemap_url: options.sitemapUrl || null,
+  wcag_version: options.wcagVersion,
+  wcag_level: options.wcagLevel,
+  tags: ruleTagsFor(options),
+  viewport: { width: options.viewport.width, height: options.viewport.height },
+  wait_for_selectors: options.waitForSelectors,
+  rate_limit: { requests_per_second: options.requestsPerSecond, concurrency: options.concurrency },
+});
+
+/**
+ * Read the options echoed back on a scan
+ * @param {Object} [raw] - `options` from the scan payload
+ * @returns {Object|null} null for scans started without options
+ */
+export const fromApiOptions = (raw) => {
+  if (!raw) return null;
+  const levelTags = new Set(tagsForLevel(raw.wcag_version || '2.1', raw.wcag_level || 'AA'));
+  return {
+    maxPages: raw.max_pages ?? null,
+    maxDepth: raw.max_depth ?? null,
+    includePatterns: raw.include_patterns || [],
+    excludePatterns: raw.exclude_patterns || [],
+    sitemapUrl: raw.sitemap_url || '',
+    wcagVersion: raw.wcag_version || null,
+    wcagLevel: raw.wcag_level || null,
+    extraTags: (raw.tags || []).filter((tag) => !levelTags.has(tag)),
+    viewport: raw.viewport || null,
+    waitForSelectors: raw.wait_for_selectors || [],
+    requestsPerSecond: raw.rate_limit?.requests_per_second ?? null,
+    concurrency: raw.rate_limit?.concurrency ?? null,
+  };
+};
+
+/**
+ * Human-readable rows for showing options on a scan
+ * @param {Object} options - From fromApiOptions
+ * @returns {Array<[string, string]>} `[label, value]` pairs
+ */
+export const describeScanOptions = (options) => {
+  const list = (items, empty) => (items.length ? items.join(', ') : empty);
+  const preset = Object.values(VIEWPORT_PRESETS).find((p) => p.width === options.viewport?.width && p.height === options.viewport?.height);
+  return [
+    ['Pages', options.maxPages != null ? `Up to ${options.maxPages}, ${options.maxDepth ?? '?'} links deep` : 'Default'],
+    ['Include', list(options.includePatterns, 'Everything')],
+    ['Exclude', list(options.excludePatterns, 'Nothing')],
+    ['Sitemap', options.sitemapUrl || 'Not used'],
+    ['Rules', [
+      options.wcagVersion && options.wcagLevel ? formatTarget({ version: options.wcagVersion, level: options.wcagLevel }) : 'Default',
+      ...options.extraTags.map((tag) => EXTRA_RULE_TAGS.find((t) => t.tag === tag)?.label || tag),
+    ].join(' + ')],
+    ['Viewport', options.viewport ? `${options.viewport.width}×${options.viewport.height}${preset ? ` (${preset.label})` : ''}` : 'Default'],
+    ['Wait for', list(options.waitForSelectors, 'Page load only')],
+    ['Rate limit', options.requestsPerSecond
+      ? `${options.requestsPerSecond} req/s, ${options.concurrency ?? 1} at a time`
+      : `Unlimited${options.concurrency ? `, ${options.concurrency} at a time` : ''}`],
+  ];
+};
+
+/**
+ * Options last used for a website, so the dialog reopens with them.
+ * A website never scanned before starts from the app-wide conformance target.
+ * @param {string|number} websiteId
+ * @returns {Object}
+ */
+export const loadScanOptions = (websiteId) => {
+  const { version, level } = wcagTarget.get();
+  const defaults = { ...DEFAULT_SCAN_OPTIONS, wcagVersion: version, wcagLevel: level };
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}')[websiteId];
+    return { ...defaults, ...saved };
+  } catch {
+    return defaults;
+  }
+};
+
+/**
+ * Remember the options a website was last scanned with
+ * @param {string|number} websiteId
+ * @param {Object} options
+ */
+export const saveScanOptions = (websiteId, options) => {
+  try {
+    const all = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...all, [websiteId]: options }));
+  } catch {
+    // storage full or unavailable: the next scan starts from the defaults
+  }
+};
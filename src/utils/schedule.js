@@ -0,0 +1,305 @@
+// Scan schedules
+// Daily, weekly, monthly or cron schedules for recurring scans, evaluated in the
+// schedule's own time zone. Every frequency is reduced to a cron expression so one
+// routine finds the next run. The API uses snake_case; the form uses the shape below.
+
+export const FREQUENCIES = {
+  daily: 'Daily',
+  weekly: 'Weekly',
+  monthly: 'Monthly',
+  cron: 'Custom (cron)',
+};
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Later days don't exist in every month, so monthly schedules stop at 28
+export const MAX_DAY_OF_MONTH = 28;
+
+const browserTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+};
+
+export const defaultSchedule = () => ({
+  frequency: 'weekly',
+  time: '09:00',
+  dayOfWeek: 1,
+  dayOfMonth: 1,
+  cron: '0 9 * * 1',
+  timezone: browserTimeZone(),
+  paused: false,
+});
+
+/**
+ * Time zones to offer, from the runtime when it can list them
+ * @returns {string[]}
+ */
+export const timeZones = () => {
+  try {
+    const zones = Intl.supportedValuesOf('timeZone');
+    return zones.includes('UTC') ? zones : ['UTC', ...zones];
+  } catch {
+    return ['UTC', 'Europe/London', 'Europe/Berlin', 'America/New_York', 'America/Chicago', 'America/Los_Angeles', 'Asia/Tokyo', 'Australia/Sydney'];
+  }
+};
+
+/**
+ * Whether the runtime knows a time zone
+ * @param {string} timeZone - IANA name
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return Boolean(timeZone);
+  } catch {
+    return false;
+  }
+};
+
+// minute, hour, day of month, month, day of week
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+/** @private */
+const parseCronField = (text, { name, min, max }) => {
+  const values = new Set();
+  text.split(',').forEach((part) => {
+    const match = /^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new Error(`Invalid ${name}: "${part}"`);
+    const [, start, end, step] = match;
+    const from = start === '*' ? min : Number(start);
+    const to = start === '*' ? max : end !== undefined ? Number(end) : step ? max : from;
+    const by = step ? Number(step) : 1;
+    if (from < min || to > max || from > to || by < 1) throw new Error(`Invalid ${name}: "${part}" (allowed ${min}–${max})`);
+    for (let value = from; value <= to; value += by) values.add(value);
+  });
+  return values;
+};
+
+/**
+ * Parse a five-field cron expression (`minute hour day-of-month month day-of-week`).
+ * Supports `*`, lists, ranges and steps; Sunday is 0 or 7.
+ * @param {string} expression - e.g. `30 6 * * 1-5`
+ * @returns {Object} `{ minutes, hours, days, months, weekdays, anyDay, anyWeekday }` as Sets and flags
+ * @throws {Error} With a readable message when the expression is invalid
+ */
+export const parseCron = (expression) => {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error('Use five fields: minute hour day-of-month month day-of-week');
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  if (weekdays.has(7)) {
+    weekdays.delete(7);
+    weekdays.add(0);
+  }
+  return { minutes, hours, days, months, weekdays, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+};
+
+/**
+ * Validation message for a cron expression
+ * @param {string} expression
+ * @returns {string|null} null when valid
+ */
+export const cronError = (expression) => {
+  try {
+    parseCron(expression);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+};
+
+/**
+ * The cron expression a schedule runs on
+ * @param {Object} schedule - `{ frequency, time, dayOfWeek, dayOfMonth, cron }`
+ * @returns {string}
+ */
+export const cronFor = ({ frequency, time = '09:00', dayOfWeek = 1, dayOfMonth = 1, cron }) => {
+  if (frequency === 'cron') return cron;
+  const [hour, minute] = time.split(':').map(Number);
+  if (frequency === 'weekly') return `${minute} ${hour} * * ${dayOfWeek}`;
+  if (frequency === 'monthly') return `${minute} ${hour} ${dayOfMonth} * *`;
+  return `${minute} ${hour} * * *`;
+};
+
+/**
+ * Wall-clock fields of an instant in a time zone
+ * @private
+ */
+const zonedParts = (date, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+  }).formatToParts(date).forEach(({ type, value }) => { parts[type] = Number(value); });
+  return parts;
+};
+
+/**
+ * The instant a wall-clock time in a zone refers to. Times skipped by a DST change
+ * move forward by the size of the gap.
+ * @private
+ */
+const zonedToUtc = (year, month, day, hour, minute, timeZone) => {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (instant) => {
+    const p = zonedParts(new Date(instant), timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(instant / 60000) * 60000;
+  };
+  const first = wall - offsetAt(wall);
+  const second = wall - offsetAt(first);
+  return new Date(Math.max(first, second));
+};
+
+/**
+ * Next runs of a schedule after a moment, in its time zone
+ * @param {Object} schedule - Form shape; paused schedules have no runs
+ * @param {Object} [options]
+ * @param {Date} [options.from] - Defaults to now
+ * @param {number} [options.count] - How many runs to return
+ * @returns {Date[]} Empty when paused, invalid or nothing matches within five years
+ */
+export const nextRuns = (schedule, { from = new Date(), count = 1 } = {}) => {
+  if (!schedule || schedule.paused) return [];
+  const timeZone = isValidTimeZone(schedule.timezone) ? schedule.timezone : 'UTC';
+  let cron;
+  try {
+    cron = parseCron(cronFor(schedule));
+  } catch {
+    return [];
+  }
+
+  const minutes = [...cron.minutes].sort((a, b) => a - b);
+  const hours = [...cron.hours].sort((a, b) => a - b);
+  // Standard cron: when both day fields are restricted, either may match
+  const dayMatches = (day, weekday) => {
+    if (cron.anyDay && cron.anyWeekday) return true;
+    if (cron.anyDay) return cron.weekdays.has(weekday);
+    if (cron.anyWeekday) return cron.days.has(day);
+    return cron.days.has(day) || cron.weekdays.has(weekday);
+  };
+
+  const runs = [];
+  const start = zonedParts(from, timeZone);
+  // Walk calendar days in the zone; Date.UTC is only used for calendar arithmetic
+  for (let offset = 0; offset < 366 * 5 && runs.length < count; offset += 1) {
+    const calendar = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+    const year = calendar.getUTCFullYear();
+    const month = calendar.getUTCMonth() + 1;
+    const day = calendar.getUTCDate();
+    if (!cron.months.has(month) || !dayMatches(day, calendar.getUTCDay())) continue;
+
+    for (const hour of hours) {
+      for (const minute of minutes) {
+        const run = zonedToUtc(year, month, day, hour, minute, timeZone);
+        if (run > from && !runs.some((r) => r.getTime() === run.getTime())) runs.push(run);
+        if (runs.length >= count) return runs;
+      }
+    }
+  }
+  return runs;
+};
+
+/**
+ * Next run of a schedule
+ * @param {Object} schedule - Form shape
+ * @param {Date} [from] - Defaults to now
+ * @returns {Date|null}
+ */
+export const nextRun = (schedule, from = new Date()) => nextRuns(schedule, { from })[0] || null;
+
+/**
+ * Check a schedule before saving
+ * @param {Object} schedule - Form shape
+ * @returns {Object} Field name → message; empty when valid
+ */
+export const validateSchedule = (schedule) => {
+  const errors = {};
+  if (!FREQUENCIES[schedule.frequency]) errors.frequency = 'Choose how often to scan';
+  if (schedule.frequency === 'cron') {
+    const message = cronError(schedule.cron);
+    if (message) errors.cron = message;
+  } else if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(schedule.time || '')) {
+    errors.time = 'Enter a time as HH:MM';
+  }
+  if (schedule.frequency === 'monthly' && !(schedule.dayOfMonth >= 1 && schedule.dayOfMonth <= MAX_DAY_OF_MONTH)) {
+    errors.dayOfMonth = `Choose a day from 1 to ${MAX_DAY_OF_MONTH}`;
+  }
+  if (!isValidTimeZone(schedule.timezone)) errors.timezone = 'Unknown time zone';
+  return errors;
+};
+
+/**
+ * Plain-language summary: `Weekly on Monday at 09:00 (Europe/Berlin)`
+ * @param {Object} schedule - Form shape
+ * @returns {string}
+ */
+export const describeSchedule = (schedule) => {
+  const zone = ` (${schedule.timezone})`;
+  if (schedule.frequency === 'cron') return `Cron ${schedule.cron}${zone}`;
+  if (schedule.frequency === 'weekly') return `Weekly on ${WEEKDAYS[schedule.dayOfWeek]} at ${schedule.time}${zone}`;
+  if (schedule.frequency === 'monthly') return `Monthly on day ${schedule.dayOfMonth} at ${schedule.time}${zone}`;
+  return `Daily at ${schedule.time}${zone}`;
+};
+
+/**
+ * Request body for `PUT /api/dashboard/websites/:id/schedule`
+ * @param {Object} schedule - Form shape
+ * @returns {Object}
+ */
+export const toApiSchedule = (schedule) => ({
+  frequency: schedule.frequency,
+  time: schedule.time,
+  day_of_week: schedule.dayOfWeek,
+  day_of_month: schedule.dayOfMonth,
+  cron: cronFor(schedule),
+  timezone: schedule.timezone,
+  paused: Boolean(schedule.paused),
+});
+
+/**
+ * Read a website's `schedule` from the API
+ * @param {Object} [raw]
+ * @returns {Object|null} Form shape, or null when the website has no schedule
+ */
+export const fromApiSchedule = (raw) => {
+  if (!raw) return null;
+  return {
+    ...defaultSchedule(),
+    frequency: raw.frequency,
+    time: raw.time || '09:00',
+    dayOfWeek: raw.day_of_week ?? 1,
+    dayOfMonth: raw.day_of_month ?? 1,
+    cron: raw.cron || '',
+    timezone: raw.timezone || 'UTC',
+    paused: Boolean(raw.paused),
+  };
+};
+
+/**
+ * Short relative time for an upcoming run: `in 5 min`, `in 3 h`, `in 2 days`
+ * @param {Date|string} date
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export const formatRelative = (date, now = new Date()) => {
+  const minutes = Math.round((new Date(date) - now) / 60000);
+  if (minutes < 1) return 'due now';
+  if (minutes < 60) return `in ${minutes} min`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `in ${hours} h`;
+  return `in ${Math.round(hours / 24)} days`;
+};
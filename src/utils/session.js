@@ -0,0 +1,203 @@
+// Session management
+// Stores access/refresh tokens, decodes expiry, refreshes silently before
+// expiry and holds outgoing requests while a refresh is in flight
+
+import httpClient from './httpClient';
+import { AuthError } from './errors';
+
+const KEYS = {
+  accessToken: 'sentryprime_access_token',
+  refreshToken: 'sentryprime_refresh_token',
+  user: 'sentryprime_user',
+};
+const LEGACY_TOKEN_KEYS = ['token', 'sentryprime_token'];
+
+// Refresh this long before the access token expires
+const REFRESH_SKEW_MS = 60 * 1000;
+// Longest delay setTimeout accepts (2^31 - 1 ms); larger values fire immediately
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+const REFRESH_ENDPOINT = '/api/auth/refresh';
+const LOGIN_PATH = '/login';
+
+/**
+ * Decode the `exp` claim of a JWT
+ * @param {string} token - Access token
+ * @returns {number|null} Expiry as epoch ms, or null when the token is opaque
+ */
+export const decodeTokenExpiry = (token) => {
+  try {
+    const payload = token.split('.')[1];
+    if (!payload) return null;
+    const json = JSON.parse(atob(payload.replace(/-/g, '+').replace(/_/g, '/')));
+    return typeof json.exp === 'number' ? json.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
+
+// Move a token stored under the old keys to the new one, once
+const migrateLegacyToken = () => {
+  const legacy = LEGACY_TOKEN_KEYS.map((key) => localStorage.getItem(key)).find(Boolean);
+  if (legacy && !localStorage.getItem(KEYS.accessToken)) {
+    localStorage.setItem(KEYS.accessToken, legacy);
+  }
+  LEGACY_TOKEN_KEYS.forEach((key) => localStorage.removeItem(key));
+};
+
+let refreshPromise = null;
+let refreshTimer = null;
+
+export const session = {
+  getAccessToken() {
+    return localStorage.getItem(KEYS.accessToken);
+  },
+
+  getRefreshToken() {
+    return localStorage.getItem(KEYS.refreshToken);
+  },
+
+  getUser() {
+    try { return JSON.parse(localStorage.getItem(KEYS.user)); }
+    catch { return null; }
+  },
+
+  /**
+   * Milliseconds until the access token expires (Infinity for opaque tokens)
+   */
+  expiresIn() {
+    const token = this.getAccessToken();
+    if (!token) return 0;
+    const expiry = decodeTokenExpiry(token);
+    return expiry === null ? Infinity : expiry - Date.now();
+  },
+
+  /**
+   * True while there is a usable access token, or an expired one that can still be refreshed
+   */
+  isAuthenticated() {
+    if (!this.getAccessToken()) return false;
+    return this.expiresIn() > 0 || Boolean(this.getRefreshToken());
+  },
+
+  /**
+   * Persist tokens (and optionally the user) and schedule the next refresh
+   * @param {Object} data - `{ accessToken, refreshToken, user }`
+   */
+  store({ accessToken, refreshToken, user }) {
+    if (accessToken) localStorage.setItem(KEYS.accessToken, accessToken);
+    if (refreshToken) localStorage.setItem(KEYS.refreshToken, refreshToken);
+    if (user) localStorage.setItem(KEYS.user, JSON.stringify(user));
+    this.scheduleRefresh();
+  },
+
+  clear() {
+    Object.values(KEYS).forEach((key) => localStorage.removeItem(key));
+    LEGACY_TOKEN_KEYS.forEach((key) => localStorage.removeItem(key));
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+  },
+
+  /**
+   * Exchange the refresh token for a new access token. Concurrent callers
+   * share one in-flight request.
+   * @returns {Promise<string>} New access token
+   * @throws {AuthError} When there is no refresh token or the backend rejects it
+   */
+  refresh() {
+    if (refreshPromise) return refreshPromise;
+
+    const refreshToken = this.getRefreshToken();
+    if (!refreshToken) {
+      return Promise.reject(new AuthError('Session expired', { code: 'no_refresh_token' }));
+    }
+
+    refreshPromise = httpClient
+      .post(REFRESH_ENDPOINT, { refresh_token: refreshToken }, { skipAuth: true, retries: 1 })
+      .then((data) => {
+        const accessToken = data.token || data.access_token || data.accessToken;
+        if (!accessToken) throw new AuthError('Refresh response had no token', { code: 'invalid_refresh' });
+        this.store({
+          accessToken,
+          refreshToken: data.refresh_token || data.refreshToken,
+          user: data.user,
+        });
+        return accessToken;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+
+    return refreshPromise;
+  },
+
+  /**
+   * Access token that is safe to send: waits for an in-flight refresh and
+   * refreshes first when the current one is about to expire
+   * @returns {Promise<string|null>}
+   */
+  async getValidAccessToken() {
+    if (refreshPromise) return refreshPromise;
+    const token = this.getAccessToken();
+    if (!token) return null;
+    if (this.expiresIn() > REFRESH_SKEW_MS || !this.getRefreshToken()) return token;
+    return this.refresh();
+  },
+
+  scheduleRefresh() {
+    clearTimeout(refreshTimer);
+    const remaining = this.expiresIn();
+    if (!Number.isFinite(remaining) || !this.getRefreshToken()) return;
+    const delay = Math.max(0, remaining - REFRESH_SKEW_MS);
+    // Long-lived tokens wait in steps; a timer that fires early just re-arms
+    refreshTimer = setTimeout(() => {
+      if (this.expiresIn() > REFRESH_SKEW_MS) {
+        this.scheduleRefresh();
+        return;
+      }
+      this.refresh().catch((error) => console.error('Silent token refresh failed:', error));
+    }, Math.min(delay, MAX_TIMER_DELAY_MS));
+  },
+
+  /**
+   * End an unrecoverable session and send the user to login,
+   * remembering the page they were on
+   */
+  expire() {
+    this.clear();
+    const { pathname, search, hash } = window.location;
+    if (pathname === LOGIN_PATH) return;
+    const redirect = encodeURIComponent(`${pathname}${search}${hash}`);
+    window.location.assign(`${LOGIN_PATH}?redirect=${redirect}`);
+  },
+
+  /**
+   * Page to return to after signing in (same-origin paths only)
+   * @returns {string}
+   */
+  consumeRedirect() {
+    const redirect = new URLSearchParams(window.location.search).get('redirect');
+    if (!redirect || !redirect.startsWith('/')) return '/';
+    // resolve like the browser would: `//host` and `/\host` both leave the origin
+    let target;
+    try {
+      target = new URL(redirect, window.location.origin);
+    } catch {
+      return '/';
+    }
+    return target.origin === window.location.origin ? `${target.pathname}${target.search}${target.hash}` : '/';
+  },
+};
+
+// Requests wait for a usable token; login/register/refresh opt out with `skipAuth`
+httpClient.interceptors.request.use(async (req) => {
+  if (req.skipAuth || req.headers.Authorization) return req;
+  const token = await session.getValidAccessToken().catch(() => null);
+  if (token) req.headers.Authorization = `Bearer ${token}`;
+  return req;
+});
+
+migrateLegacyToken();
+session.scheduleRefresh();
+
+export default session;
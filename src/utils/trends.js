@@ -0,0 +1,62 @@
+// Scan trends
+// Turns scan summaries into chronological series for the trend charts. Summaries from
+// older backends may lack some fields; those points carry null rather than zero.
+
+import { IMPACTS } from './violations';
+
+/** @private */
+const numberOrNull = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+/**
+ * Whether a scan has finished and has results
+ * @param {Object} scan - Scan summary
+ * @returns {boolean}
+ */
+export const isFinishedScan = (scan) => scan.status === 'completed' || scan.status === 'done';
+
+/**
+ * Finished scans as trend points, oldest first
+ * @param {Array<Object>} scans - Scan summaries, in any order
+ * @returns {Array<Object>} `{ id, date, score, violations, byImpact, pages }`; `byImpact` is
+ *   null when the backend doesn't report it
+ */
+export const scanTrend = (scans = []) => scans
+  .filter((scan) => isFinishedScan(scan) && !Number.isNaN(Date.parse(scan.completed_at || scan.created_at)))
+  .map((scan) => {
+    const raw = scan.violations_by_impact;
+    return {
+      id: scan.id,
+      date: new Date(scan.completed_at || scan.created_at),
+      score: numberOrNull(scan.compliance_score),
+      violations: numberOrNull(scan.total_violations),
+      byImpact: raw ? Object.fromEntries(IMPACTS.map((impact) => [impact, numberOrNull(raw[impact]) ?? 0])) : null,
+      pages: numberOrNull(scan.pages_scanned),
+    };
+  })
+  .sort((a, b) => a.date - b.date);
+
+/**
+ * Change in one value between the first and last points that have it
+ * @param {Array<Object>} points - From scanTrend
+ * @param {string} key - e.g. `score`
+ * @returns {{first: number, last: number, delta: number, since: Date}|null} null with fewer than two values
+ */
+export const trendChange = (points, key) => {
+  const withValue = points.filter((point) => point[key] != null);
+  if (withValue.length < 2) return null;
+  const first = withValue[0];
+  const last = withValue[withValue.length - 1];
+  return { first: first[key], last: last[key], delta: last[key] - first[key], since: first.date };
+};
+
+/**
+ * A round axis maximum at or above a value: 1, 2 or 5 times a power of ten
+ * @param {number} value
+ * @returns {number}
+ */
+export const niceMax = (value) => {
+  if (!(value > 0)) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 5, 10].find((m) => m * magnitude >= value);
+  return step * magnitude;
+};
@@ -0,0 +1,281 @@
+// Violation helpers
+// Flatten, group, filter, sort and page the axe violations in a scan report.
+// Pure functions shared by the explorer and anything that exports filtered issues.
+
+export const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+
+const IMPACT_RANK = { critical: 0, serious: 1, moderate: 2, minor: 3 };
+
+/**
+ * Tailwind classes for an impact badge
+ * @param {string} impact - critical | serious | moderate | minor
+ * @returns {string}
+ */
+export const impactClass = (impact) => (
+  impact === 'critical' ? 'bg-red-100 text-red-800' :
+  impact === 'serious' ? 'bg-orange-100 text-orange-800' :
+  impact === 'moderate' ? 'bg-yellow-100 text-yellow-800' :
+  'bg-blue-100 text-blue-800'
+);
+
+// Fill colours for impacts in charts, matching the badge hues
+export const IMPACT_COLORS = {
+  critical: '#dc2626',
+  serious: '#ea580c',
+  moderate: '#ca8a04',
+  minor: '#2563eb',
+};
+
+export const DEFAULT_FILTERS = {
+  search: '',
+  impacts: [],
+  ruleId: '',
+  tag: '',
+  pageUrl: '',
+};
+
+export const DEFAULT_SORT = { field: 'impact', direction: 'asc' };
+
+// Explorer page sizes; the first is the default
+export const PAGE_SIZES = [25, 50, 100];
+
+/**
+ * Human label for an axe tag: `wcag2aa` → `WCAG 2.0 AA`, `wcag143` → `WCAG 1.4.3`
+ * @param {string} tag - axe tag
+ * @returns {string}
+ */
+export const formatTag = (tag) => {
+  const level = tag.match(/^wcag(2|21|22)(a{1,3})$/);
+  if (level) {
+    const version = { 2: '2.0', 21: '2.1', 22: '2.2' }[level[1]];
+    return `WCAG ${version} ${level[2].toUpperCase()}`;
+  }
+  const criterion = tag.match(/^wcag(\d)(\d)(\d+)$/);
+  if (criterion) return `WCAG ${criterion[1]}.${criterion[2]}.${criterion[3]}`;
+  if (tag === 'best-practice') return 'Best practice';
+  if (tag === 'section508') return 'Section 508';
+  return tag;
+};
+
+/**
+ * One row per rule per page, across every page of a report
+ * @param {Array} pages - `results.pages` from a scan
+ * @returns {Array<Object>} Rows with `key`, `ruleId`, `impact`, `pageUrl`, `nodeCount`, …
+ */
+export const flattenViolations = (pages = []) => pages.flatMap((page, pageIndex) => (
+  (page.violations || []).map((violation, index) => ({
+    key: `${pageIndex}:${violation.id || index}`,
+    ruleId: violation.id || 'unknown',
+    impact: violation.impact || 'minor',
+    description: violation.description || '',
+    help: violation.help || '',
+    helpUrl: violation.helpUrl || '',
+    tags: violation.tags || [],
+    pageUrl: page.url || '',
+    pageTitle: page.title || '',
+    nodes: violation.nodes || [],
+    nodeCount: (violation.nodes || []).length,
+  }))
+));
+
+/**
+ * Selector string for an axe `target`: frames are space-separated, shadow roots joined with `>>>`
+ * @param {Array} target - axe node target
+ * @returns {string}
+ */
+export const formatSelector = (target = []) => target
+  .map((part) => (Array.isArray(part) ? part.join(' >>> ') : part))
+  .join(' ');
+
+/**
+ * Identity of an affected element: its selector plus whitespace-normalised markup
+ * @param {Object} node - axe node
+ * @returns {string}
+ */
+export const nodeFingerprint = (node = {}) => (
+  `${formatSelector(node.target)}|${(node.html || '').replace(/\s+/g, ' ').trim()}`
+);
+
+/**
+ * Group violations across pages by rule, collapsing identical elements
+ * @param {Array} pages - `results.pages` from a scan
+ * @returns {Array<Object>} `{ ruleId, impact, description, help, helpUrl, tags, pages, pageCount, occurrenceCount, elements, uniqueCount }`
+ *   where each element is `{ fingerprint, node, pageUrls }`
+ */
+export const groupByRule = (pages = []) => {
+  const groups = new Map();
+
+  flattenViolations(pages).forEach((row) => {
+    let group = groups.get(row.ruleId);
+    if (!group) {
+      group = {
+        ruleId: row.ruleId,
+        impact: row.impact,
+        description: row.description,
+        help: row.help,
+        helpUrl: row.helpUrl,
+        tags: row.tags,
+        pages: [],
+        occurrenceCount: 0,
+        elementsByFingerprint: new Map(),
+      };
+      groups.set(row.ruleId, group);
+    }
+    // A rule's impact can vary per page; keep the worst
+    if ((IMPACT_RANK[row.impact] ?? 4) < (IMPACT_RANK[group.impact] ?? 4)) group.impact = row.impact;
+    group.pages.push({ url: row.pageUrl, title: row.pageTitle, nodeCount: row.nodeCount });
+    group.occurrenceCount += row.nodeCount;
+
+    row.nodes.forEach((node) => {
+      const fingerprint = nodeFingerprint(node);
+      const element = group.elementsByFingerprint.get(fingerprint);
+      if (element) {
+        if (!element.pageUrls.includes(row.pageUrl)) element.pageUrls.push(row.pageUrl);
+      } else {
+        group.elementsByFingerprint.set(fingerprint, { fingerprint, node, pageUrls: [row.pageUrl] });
+      }
+    });
+  });
+
+  return [...groups.values()].map(({ elementsByFingerprint, ...group }) => {
+    const elements = [...elementsByFingerprint.values()].sort((a, b) => b.pageUrls.length - a.pageUrls.length);
+    return { ...group, pageCount: group.pages.length, elements, uniqueCount: elements.length };
+  });
+};
+
+/**
+ * Per-page summary with violation counts by impact
+ * @param {Array} pages - `results.pages` from a scan
+ * @returns {Array<Object>} `{ index, url, title, statusCode, scannedAt, loadTime, byImpact, violationCount, nodeCount }`
+ */
+export const summarizePages = (pages = []) => pages.map((page, index) => {
+  const byImpact = { critical: 0, serious: 0, moderate: 0, minor: 0 };
+  let nodeCount = 0;
+  (page.violations || []).forEach((violation) => {
+    const impact = violation.impact || 'minor';
+    if (impact in byImpact) byImpact[impact] += 1;
+    nodeCount += (violation.nodes || []).length;
+  });
+  return {
+    index,
+    url: page.url || '',
+    title: page.title || '',
+    statusCode: page.statusCode ?? null,
+    scannedAt: page.scannedAt || null,
+    loadTime: page.loadTime ?? null,
+    byImpact,
+    violationCount: (page.violations || []).length,
+    nodeCount,
+  };
+});
+
+/**
+ * Worst page first: most critical issues, then serious, moderate, minor, then affected elements
+ * @param {Object} a - From summarizePages
+ * @param {Object} b - From summarizePages
+ * @returns {number}
+ */
+export const comparePageSeverity = (a, b) => (
+  IMPACTS.reduce((diff, impact) => diff || b.byImpact[impact] - a.byImpact[impact], 0) ||
+  b.nodeCount - a.nodeCount
+);
+
+/**
+ * Distinct values available to the filters
+ * @param {Array} rows - From flattenViolations
+ * @returns {{ruleIds: string[], tags: string[], pageUrls: string[]}}
+ */
+export const facetsFor = (rows) => {
+  const ruleIds = new Set();
+  const tags = new Set();
+  const pageUrls = new Set();
+  rows.forEach((row) => {
+    ruleIds.add(row.ruleId);
+    row.tags.filter((tag) => tag.startsWith('wcag') || tag === 'best-practice').forEach((tag) => tags.add(tag));
+    pageUrls.add(row.pageUrl);
+  });
+  return {
+    ruleIds: [...ruleIds].sort(),
+    tags: [...tags].sort((a, b) => formatTag(a).localeCompare(formatTag(b), undefined, { numeric: true })),
+    pageUrls: [...pageUrls].sort(),
+  };
+};
+
+/**
+ * Apply search and filters
+ * @param {Array} rows - From flattenViolations
+ * @param {Object} filters - `{ search, impacts, ruleId, tag, pageUrl }`
+ * @returns {Array<Object>}
+ */
+export const filterViolations = (rows, filters = DEFAULT_FILTERS) => {
+  const { search = '', impacts = [], ruleId = '', tag = '', pageUrl = '' } = filters;
+  const needle = search.trim().toLowerCase();
+
+  return rows.filter((row) => {
+    if (impacts.length && !impacts.includes(row.impact)) return false;
+    if (ruleId && row.ruleId !== ruleId) return false;
+    if (tag && !row.tags.includes(tag)) return false;
+    if (pageUrl && row.pageUrl !== pageUrl) return false;
+    if (!needle) return true;
+    return [row.ruleId, row.description, row.help, row.pageUrl, row.pageTitle, ...row.tags]
+      .some((value) => value.toLowerCase().includes(needle));
+  });
+};
+
+const compareBy = {
+  impact: (a, b) => (IMPACT_RANK[a.impact] ?? 4) - (IMPACT_RANK[b.impact] ?? 4),
+  ruleId: (a, b) => a.ruleId.localeCompare(b.ruleId),
+  pageUrl: (a, b) => a.pageUrl.localeCompare(b.pageUrl),
+  nodeCount: (a, b) => a.nodeCount - b.nodeCount,
+};
+
+/**
+ * Sort rows by one column; ties fall back to impact, then rule id
+ * @param {Array} rows - Rows to sort (not mutated)
+ * @param {Object} sort - `{ field, direction }`
+ * @returns {Array<Object>}
+ */
+export const sortViolations = (rows, { field, direction } = DEFAULT_SORT) => {
+  const primary = compareBy[field] || compareBy.impact;
+  const sign = direction === 'desc' ? -1 : 1;
+  return [...rows].sort((a, b) => (
+    sign * primary(a, b) || compareBy.impact(a, b) || compareBy.ruleId(a, b)
+  ));
+};
+
+/**
+ * Slice one page of rows
+ * @param {Array} rows - Rows to page
+ * @param {number} page - 1-based page number (clamped)
+ * @param {number} pageSize - Rows per page
+ * @returns {{items: Array, page: number, pageCount: number, start: number, end: number}}
+ */
+export const paginate = (rows, page, pageSize) => {
+  const pageCount = Math.max(1, Math.ceil(rows.length / pageSize));
+  const current = Math.min(Math.max(1, page), pageCount);
+  const start = (current - 1) * pageSize;
+  const items = rows.slice(start, start + pageSize);
+  return { items, page: current, pageCount, start: items.length ? start + 1 : 0, end: start + items.length };
+};
+
+/**
+ * Read explorer filters and sort from URL search params
+ * @param {URLSearchParams} params - Current search params
+ * @returns {{filters: Object, sort: Object, page: number, pageSize: number}}
+ */
+export const readExplorerParams = (params) => ({
+  filters: {
+    search: params.get('q') || '',
+    impacts: (params.get('impact') || '').split(',').filter((impact) => IMPACTS.includes(impact)),
+    ruleId: params.get('rule') || '',
+    tag: params.get('tag') || '',
+    pageUrl: params.get('page_url') || '',
+  },
+  sort: {
+    field: params.get('sort') || DEFAULT_SORT.field,
+    direction: params.get('dir') === 'desc' ? 'desc' : 'asc',
+  },
+  // hand-edited URLs can hold anything; pages are whole numbers from 1, sizes one of PAGE_SIZES
+  page: Math.max(1, Math.floor(Number(params.get('p'))) || 1),
+  pageSize: PAGE_SIZES.includes(Number(params.get('size'))) ? Number(params.get('size')) : PAGE_SIZES[0],
+});
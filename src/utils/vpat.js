@@ -0,0 +1,174 @@
+// Accessibility Conformance Report (VPAT 2.x, WCAG edition)
+// Maps a scan's axe results onto WCAG success criteria and renders the ACR as
+// HTML, or as HTML that Word opens as a document.
+
+import { WCAG_VERSIONS, WCAG_LEVELS, criteriaForTarget, criterionResults } from './wcag';
+import { escapeHtml } from './report';
+
+export const CONFORMANCE_LEVELS = ['Supports', 'Partially Supports', 'Does Not Support', 'Not Applicable', 'Not Evaluated'];
+
+const TERMS = {
+  Supports: 'The functionality of the product has at least one method that meets the criterion without known defects or meets with equivalent facilitation.',
+  'Partially Supports': 'Some functionality of the product does not meet the criterion.',
+  'Does Not Support': 'The majority of product functionality does not meet the criterion.',
+  'Not Applicable': 'The criterion is not relevant to the product.',
+  'Not Evaluated': 'The product has not been evaluated against the criterion. This can only be used in WCAG Level AAA criteria.',
+};
+
+const LEVEL_TITLES = {
+  A: 'Table 1: Success Criteria, Level A',
+  AA: 'Table 2: Success Criteria, Level AA',
+  AAA: 'Table 3: Success Criteria, Level AAA',
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Conformance of each criterion in a target, judged from automated results only.
+ * Failing on every scanned page is "Does Not Support", on some pages "Partially Supports";
+ * criteria axe can test with no failures "Supports", and everything else "Not Evaluated".
+ * @param {Object} scan - Scan detail from `getScanResults`
+ * @param {Object} target - `{ version, level }`
+ * @returns {Array<Object>} Criteria with `status`, `remark`, `failedPages` and `rules`
+ */
+export const evaluateCriteria = (scan, target) => {
+  const pages = scan?.results?.pages || [];
+  const results = criterionResults(pages);
+
+  return criteriaForTarget(target).map((sc) => {
+    const result = results.get(sc.id);
+    if (result.status === 'fail') {
+      const failedPages = result.failedPages.size;
+      const detail = [...result.rules].map(([ruleId, count]) => `${ruleId} (${plural(count, 'element')})`).join(', ');
+      return {
+        ...sc,
+        status: failedPages >= pages.length ? 'Does Not Support' : 'Partially Supports',
+        remark: `Automated testing found failures on ${failedPages} of ${plural(pages.length, 'tested page')}: ${detail}.`,
+        failedPages,
+        rules: [...result.rules.keys()],
+      };
+    }
+    if (result.status === 'pass') {
+      return {
+        ...sc,
+        status: 'Supports',
+        remark: `No failures found by automated testing of ${plural(pages.length, 'page')}.`,
+        failedPages: 0,
+        rules: [],
+      };
+    }
+    return {
+      ...sc,
+      status: 'Not Evaluated',
+      remark: 'Not covered by automated testing; requires manual evaluation.',
+      failedPages: 0,
+      rules: [],
+    };
+  });
+};
+
+/**
+ * Final status and remarks after the reviewer's manual edits
+ * @param {Object} criterion - From evaluateCriteria
+ * @param {Object} [entry] - `{ status, remarks }` entered by the reviewer
+ * @returns {{status: string, remarks: string}}
+ */
+export const resolveEntry = (criterion, entry = {}) => ({
+  status: entry.status || criterion.status,
+  remarks: [criterion.remark, entry.remarks?.trim()].filter(Boolean).join('\n\n'),
+});
+
+/** @private */
+const paragraphs = (text) => escapeHtml(text).split(/\n{2,}/).map((p) => p.replace(/\n/g, '<br>')).join('<br><br>');
+
+/**
+ * Render the ACR document
+ * @param {Object} report
+ * @param {Object} report.product - `{ name, version, reportDate, description, contact, notes, evaluationMethods }`
+ * @param {Object} report.target - `{ version, level }`
+ * @param {Array} report.criteria - From evaluateCriteria
+ * @param {Object} [report.entries] - Criterion id → `{ status, remarks }`
+ * @param {Object} [options]
+ * @param {boolean} [options.word] - Add the Office namespaces so Word opens it as a document
+ * @returns {string} Complete HTML document
+ */
+export const buildVpatHtml = ({ product = {}, target, criteria, entries = {} }, { word = false } = {}) => {
+  const name = product.name || 'Website';
+  const title = `${name} Accessibility Conformance Report`;
+  const levels = WCAG_LEVELS.slice(0, WCAG_LEVELS.indexOf(target.level) + 1);
+  const cell = 'border:1px solid #6b7280;padding:6px;vertical-align:top;text-align:left';
+
+  const standards = WCAG_VERSIONS.map((version) => {
+    const included = WCAG_VERSIONS.indexOf(version) <= WCAG_VERSIONS.indexOf(target.version);
+    const levelText = WCAG_LEVELS.map((level) => `Level ${level} (${included && levels.includes(level) ? 'Yes' : 'No'})`).join('<br>');
+    return `<tr><td style="${cell}">Web Content Accessibility Guidelines ${version}</td><td style="${cell}">${levelText}</td></tr>`;
+  }).join('');
+
+  const tables = levels.map((level) => {
+    const rows = criteria.filter((sc) => sc.level === level).map((sc) => {
+      const { status, remarks } = resolveEntry(sc, entries[sc.id]);
+      const since = sc.version !== '2.0' ? ` (WCAG ${sc.version} only)` : '';
+      return `<tr><td style="${cell}">${sc.id} ${escapeHtml(sc.title)}${since}</td><td style="${cell}">${escapeHtml(status)}</td><td style="${cell}">${paragraphs(remarks)}</td></tr>`;
+    }).join('');
+    return `
+<h3>${LEVEL_TITLES[level]}</h3>
+<table style="border-collapse:collapse;width:100%">
+  <thead><tr><th style="${cell}" scope="col">Criteria</th><th style="${cell}" scope="col">Conformance Level</th><th style="${cell}" scope="col">Remarks and Explanations</th></tr></thead>
+  <tbody>${rows}</tbody>
+</table>`;
+  }).join('');
+
+  const field = (label, value) => (value ? `<p><strong>${label}:</strong> ${paragraphs(value)}</p>` : '');
+  const htmlOpen = word
+    ? '<html xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:w="urn:schemas-microsoft-com:office:word" xmlns="http://www.w3.org/TR/REC-html40" lang="en">'
+    : '<html lang="en">';
+  const wordSettings = word
+    ? '<!--[if gte mso 9]><xml><w:WordDocument><w:View>Print</w:View><w:Zoom>100</w:Zoom></w:WordDocument></xml><![endif]-->'
+    : '';
+
+  return `<!DOCTYPE html>
+${htmlOpen}
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+${wordSettings}
+<style>
+  body { font-family: Calibri, Arial, sans-serif; font-size: 11pt; color: #111827; max-width: 960px; margin: 0 auto; padding: 24px; }
+  h1 { font-size: 20pt; } h2 { font-size: 15pt; margin-top: 24pt; } h3 { font-size: 12pt; margin-top: 18pt; }
+  table { margin-bottom: 12pt; }
+  @media print { body { padding: 0; } tr { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>Based on VPAT® Version 2.5 (WCAG edition)</p>
+
+<h2>Name of Product/Version</h2>
+<p>${escapeHtml(name)}${product.version ? ` ${escapeHtml(product.version)}` : ''}</p>
+${field('Report Date', product.reportDate)}
+${field('Product Description', product.description)}
+${field('Contact Information', product.contact)}
+${field('Notes', product.notes)}
+${field('Evaluation Methods Used', product.evaluationMethods)}
+
+<h2>Applicable Standards/Guidelines</h2>
+<p>This report covers the degree of conformance for the following accessibility standard/guidelines:</p>
+<table style="border-collapse:collapse;width:100%">
+  <thead><tr><th style="${cell}" scope="col">Standard/Guideline</th><th style="${cell}" scope="col">Included In Report</th></tr></thead>
+  <tbody>${standards}</tbody>
+</table>
+
+<h2>Terms</h2>
+<p>The terms used in the Conformance Level information are defined as follows:</p>
+<ul>
+  ${CONFORMANCE_LEVELS.map((term) => `<li><strong>${term}</strong>: ${TERMS[term]}</li>`).join('\n  ')}
+</ul>
+
+<h2>WCAG ${escapeHtml(target.version)} Report</h2>
+${tables}
+
+<h2>Legal Disclaimer</h2>
+<p>This report reflects automated testing supplemented by the reviewer's remarks at the date above. It is not a guarantee of conformance.</p>
+</body>
+</html>`;
+};
@@ -0,0 +1,201 @@
+// WCAG success criteria
+// Catalogue of WCAG 2.0, 2.1 and 2.2 success criteria and helpers to map axe tags onto them.
+
+import { flattenViolations } from './violations';
+
+export const WCAG_VERSIONS = ['2.0', '2.1', '2.2'];
+
+export const WCAG_LEVELS = ['A', 'AA', 'AAA'];
+
+export const DEFAULT_TARGET = { version: '2.1', level: 'AA' };
+
+/**
+ * Label for a conformance target: `WCAG 2.1 AA`
+ * @param {Object} target - `{ version, level }`
+ * @returns {string}
+ */
+export const formatTarget = ({ version, level } = DEFAULT_TARGET) => `WCAG ${version} ${level}`;
+
+// `automated`: axe-core has at least one rule tagged with the criterion, so a scan can find failures
+const criterion = (id, title, level, version = '2.0', extra = {}) => ({ id, title, level, version, ...extra });
+const automated = { automated: true };
+
+export const WCAG_CRITERIA = [
+  criterion('1.1.1', 'Non-text Content', 'A', '2.0', automated),
+  criterion('1.2.1', 'Audio-only and Video-only (Prerecorded)', 'A'),
+  criterion('1.2.2', 'Captions (Prerecorded)', 'A', '2.0', automated),
+  criterion('1.2.3', 'Audio Description or Media Alternative (Prerecorded)', 'A'),
+  criterion('1.2.4', 'Captions (Live)', 'AA'),
+  criterion('1.2.5', 'Audio Description (Prerecorded)', 'AA'),
+  criterion('1.2.6', 'Sign Language (Prerecorded)', 'AAA'),
+  criterion('1.2.7', 'Extended Audio Description (Prerecorded)', 'AAA'),
+  criterion('1.2.8', 'Media Alternative (Prerecorded)', 'AAA'),
+  criterion('1.2.9', 'Audio-only (Live)', 'AAA'),
+  criterion('1.3.1', 'Info and Relationships', 'A', '2.0', automated),
+  criterion('1.3.2', 'Meaningful Sequence', 'A'),
+  criterion('1.3.3', 'Sensory Characteristics', 'A'),
+  criterion('1.3.4', 'Orientation', 'AA', '2.1', automated),
+  criterion('1.3.5', 'Identify Input Purpose', 'AA', '2.1', automated),
+  criterion('1.3.6', 'Identify Purpose', 'AAA', '2.1'),
+  criterion('1.4.1', 'Use of Color', 'A', '2.0', automated),
+  criterion('1.4.2', 'Audio Control', 'A', '2.0', automated),
+  criterion('1.4.3', 'Contrast (Minimum)', 'AA', '2.0', automated),
+  criterion('1.4.4', 'Resize Text', 'AA', '2.0', automated),
+  criterion('1.4.5', 'Images of Text', 'AA'),
+  criterion('1.4.6', 'Contrast (Enhanced)', 'AAA', '2.0', automated),
+  criterion('1.4.7', 'Low or No Background Audio', 'AAA'),
+  criterion('1.4.8', 'Visual Presentation', 'AAA'),
+  criterion('1.4.9', 'Images of Text (No Exception)', 'AAA'),
+  criterion('1.4.10', 'Reflow', 'AA', '2.1'),
+  criterion('1.4.11', 'Non-text Contrast', 'AA', '2.1'),
+  criterion('1.4.12', 'Text Spacing', 'AA', '2.1', automated),
+  criterion('1.4.13', 'Content on Hover or Focus', 'AA', '2.1'),
+  criterion('2.1.1', 'Keyboard', 'A', '2.0', automated),
+  criterion('2.1.2', 'No Keyboard Trap', 'A'),
+  criterion('2.1.3', 'Keyboard (No Exception)', 'AAA'),
+  criterion('2.1.4', 'Character Key Shortcuts', 'A', '2.1'),
+  criterion('2.2.1', 'Timing Adjustable', 'A', '2.0', automated),
+  criterion('2.2.2', 'Pause, Stop, Hide', 'A', '2.0', automated),
+  criterion('2.2.3', 'No Timing', 'AAA'),
+  criterion('2.2.4', 'Interruptions', 'AAA', '2.0', automated),
+  criterion('2.2.5', 'Re-authenticating', 'AAA'),
+  criterion('2.2.6', 'Timeouts', 'AAA', '2.1'),
+  criterion('2.3.1', 'Three Flashes or Below Threshold', 'A'),
+  criterion('2.3.2', 'Three Flashes', 'AAA'),
+  criterion('2.3.3', 'Animation from Interactions', 'AAA', '2.1'),
+  criterion('2.4.1', 'Bypass Blocks', 'A', '2.0', automated),
+  criterion('2.4.2', 'Page Titled', 'A', '2.0', automated),
+  criterion('2.4.3', 'Focus Order', 'A'),
+  criterion('2.4.4', 'Link Purpose (In Context)', 'A', '2.0', automated),
+  criterion('2.4.5', 'Multiple Ways', 'AA'),
+  criterion('2.4.6', 'Headings and Labels', 'AA'),
+  criterion('2.4.7', 'Focus Visible', 'AA'),
+  criterion('2.4.8', 'Location', 'AAA'),
+  criterion('2.4.9', 'Link Purpose (Link Only)', 'AAA', '2.0', automated),
+  criterion('2.4.10', 'Section Headings', 'AAA'),
+  criterion('2.4.11', 'Focus Not Obscured (Minimum)', 'AA', '2.2'),
+  criterion('2.4.12', 'Focus Not Obscured (Enhanced)', 'AAA', '2.2'),
+  criterion('2.4.13', 'Focus Appearance', 'AAA', '2.2'),
+  criterion('2.5.1', 'Pointer Gestures', 'A', '2.1'),
+  criterion('2.5.2', 'Pointer Cancellation', 'A', '2.1'),
+  criterion('2.5.3', 'Label in Name', 'A', '2.1', automated),
+  criterion('2.5.4', 'Motion Actuation', 'A', '2.1'),
+  criterion('2.5.5', 'Target Size (Enhanced)', 'AAA', '2.1'),
+  criterion('2.5.6', 'Concurrent Input Mechanisms', 'AAA', '2.1'),
+  criterion('2.5.7', 'Dragging Movements', 'AA', '2.2'),
+  criterion('2.5.8', 'Target Size (Minimum)', 'AA', '2.2', automated),
+  criterion('3.1.1', 'Language of Page', 'A', '2.0', automated),
+  criterion('3.1.2', 'Language of Parts', 'AA', '2.0', automated),
+  criterion('3.1.3', 'Unusual Words', 'AAA'),
+  criterion('3.1.4', 'Abbreviations', 'AAA'),
+  criterion('3.1.5', 'Reading Level', 'AAA'),
+  criterion('3.1.6', 'Pronunciation', 'AAA'),
+  criterion('3.2.1', 'On Focus', 'A'),
+  criterion('3.2.2', 'On Input', 'A'),
+  criterion('3.2.3', 'Consistent Navigation', 'AA'),
+  criterion('3.2.4', 'Consistent Identification', 'AA'),
+  criterion('3.2.5', 'Change on Request', 'AAA'),
+  criterion('3.2.6', 'Consistent Help', 'A', '2.2'),
+  criterion('3.3.1', 'Error Identification', 'A'),
+  criterion('3.3.2', 'Labels or Instructions', 'A', '2.0', automated),
+  criterion('3.3.3', 'Error Suggestion', 'AA'),
+  criterion('3.3.4', 'Error Prevention (Legal, Financial, Data)', 'AA'),
+  criterion('3.3.5', 'Help', 'AAA'),
+  criterion('3.3.6', 'Error Prevention (All)', 'AAA'),
+  criterion('3.3.7', 'Redundant Entry', 'A', '2.2'),
+  criterion('3.3.8', 'Accessible Authentication (Minimum)', 'AA', '2.2'),
+  criterion('3.3.9', 'Accessible Authentication (Enhanced)', 'AAA', '2.2'),
+  // Parsing is obsolete in WCAG 2.2 and always satisfied there
+  criterion('4.1.1', 'Parsing', 'A', '2.0', { ...automated, removedIn: '2.2' }),
+  criterion('4.1.2', 'Name, Role, Value', 'A', '2.0', automated),
+  criterion('4.1.3', 'Status Messages', 'AA', '2.1'),
+];
+
+/**
+ * Success criterion id for an axe tag: `wcag143` → `1.4.3`, `wcag1410` → `1.4.10`
+ * @param {string} tag - axe tag
+ * @returns {string|null} null for level tags (`wcag2aa`) and non-WCAG tags
+ */
+export const criterionIdFromTag = (tag) => {
+  const match = /^wcag(\d)(\d)(\d+)$/.exec(tag);
+  return match ? `${match[1]}.${match[2]}.${match[3]}` : null;
+};
+
+/**
+ * axe tag for a success criterion: `1.4.3` → `wcag143`
+ * @param {string} id - Criterion id
+ * @returns {string}
+ */
+export const tagForCriterion = (id) => `wcag${id.replace(/\./g, '')}`;
+
+const versionRank = (version) => WCAG_VERSIONS.indexOf(version);
+
+/**
+ * Criteria that make up a conformance target, in document order
+ * @param {Object} target - `{ version: '2.0'|'2.1'|'2.2', level: 'A'|'AA'|'AAA' }`
+ * @returns {Array<Object>}
+ */
+export const criteriaForTarget = ({ version = '2.1', level = 'AA' } = {}) => WCAG_CRITERIA.filter((sc) => (
+  versionRank(sc.version) <= versionRank(version)
+  && !(sc.removedIn && versionRank(sc.removedIn) <= versionRank(version))
+  && WCAG_LEVELS.indexOf(sc.level) <= WCAG_LEVELS.indexOf(level)
+));
+
+/**
+ * Automated result for every criterion, from the violation tags of a scan.
+ * `fail` when any rule tagged with the criterion failed, `pass` when axe can test it and nothing failed,
+ * otherwise `not-tested`.
+ * @param {Array} pages - `results.pages` from a scan
+ * @returns {Map<string, Object>} Criterion id → `{ status, failedPages: Set<string>, rules: Map<ruleId, nodeCount> }`
+ */
+export const criterionResults = (pages = []) => {
+  const failures = new Map();
+  flattenViolations(pages).forEach((row) => {
+    new Set(row.tags.map(criterionIdFromTag).filter(Boolean)).forEach((id) => {
+      const failure = failures.get(id) || { failedPages: new Set(), rules: new Map() };
+      failure.failedPages.add(row.pageUrl);
+      failure.rules.set(row.ruleId, (failure.rules.get(row.ruleId) || 0) + row.nodeCount);
+      failures.set(id, failure);
+    });
+  });
+
+  return new Map(WCAG_CRITERIA.map((sc) => {
+    const failure = failures.get(sc.id);
+    if (failure) return [sc.id, { status: 'fail', ...failure }];
+    const status = sc.automated && pages.length ? 'pass' : 'not-tested';
+    return [sc.id, { status, failedPages: new Set(), rules: new Map() }];
+  }));
+};
+
+/**
+ * Compliance score against a target: for each criterion in the target that automated testing covers,
+ * the share of scanned pages with no failure, averaged. Criteria that can't be tested don't count.
+ * @param {Array} pages - `results.pages` from a scan
+ * @param {Object} target - `{ version, level }`
+ * @returns {{score: number|null, passed: number, failed: number, tested: number, total: number}}
+ *   `score` is null when nothing in the target could be tested
+ */
+export const conformanceScore = (pages = [], target = DEFAULT_TARGET) => {
+  const results = criterionResults(pages);
+  const criteria = criteriaForTarget(target);
+  let passed = 0;
+  let failed = 0;
+  let sum = 0;
+
+  criteria.forEach((sc) => {
+    const result = results.get(sc.id);
+    if (result.status === 'not-tested') return;
+    if (result.status === 'pass') passed += 1;
+    else failed += 1;
+    sum += 1 - result.failedPages.size / pages.length;
+  });
+
+  const tested = passed + failed;
+  return {
+    score: tested ? Math.round((sum / tested) * 100) : null,
+    passed,
+    failed,
+    tested,
+    total: criteria.length,
+  };
+};
@@ -0,0 +1,57 @@
+// Conformance target preference
+// The WCAG version and level scores and the conformance matrix are measured
+// against. Kept in localStorage and shared by every view that reads it.
+
+import { DEFAULT_TARGET, WCAG_LEVELS, WCAG_VERSIONS } from './wcag';
+
+const STORAGE_KEY = 'sentryprime_wcag_target';
+
+const listeners = new Set();
+
+const isValid = (target) => WCAG_VERSIONS.includes(target?.version) && WCAG_LEVELS.includes(target?.level);
+
+const restore = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    return isValid(stored) ? stored : DEFAULT_TARGET;
+  } catch {
+    return DEFAULT_TARGET;
+  }
+};
+
+let current = restore();
+
+const wcagTarget = {
+  /**
+   * Current target; the same object until it changes
+   * @returns {{version: string, level: string}}
+   */
+  get: () => current,
+
+  /**
+   * Change the target (partial updates are merged)
+   * @param {Object} changes - `{ version?, level? }`
+   */
+  set: (changes) => {
+    const next = { ...current, ...changes };
+    if (!isValid(next) || (next.version === current.version && next.level === current.level)) return;
+    current = next;
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(current));
+    } catch {
+      // storage full or unavailable: the choice still applies until reload
+    }
+    listeners.forEach((listener) => listener(current));
+  },
+
+  /**
+   * @param {Function} listener - Called with the new target
+   * @returns {Function} Unsubscribe
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+};
+
+export default wcagTarget;
@@ -0,0 +1,248 @@
+// Bulk website import
+// Parses pasted URL lists, CSV files and sitemap.xml / sitemap index files into
+// rows, then validates them against each other and the websites already added.
+
+export const IMPORT_FORMATS = {
+  list: 'URL list',
+  csv: 'CSV',
+  sitemap: 'Sitemap',
+};
+
+export const MAX_IMPORT_ROWS = 500;
+
+// Header names accepted for each CSV column
+const CSV_COLUMNS = {
+  name: ['name', 'website', 'site', 'title', 'client'],
+  url: ['url', 'address', 'domain', 'homepage', 'link'],
+  tags: ['tags', 'tag', 'labels', 'groups'],
+};
+
+/**
+ * Guess the format of pasted or uploaded text
+ * @param {string} text - File or textarea content
+ * @param {string} [filename] - Uploaded file name
+ * @returns {'list'|'csv'|'sitemap'}
+ */
+export const detectFormat = (text, filename = '') => {
+  if (/\.xml$/i.test(filename) || /<(urlset|sitemapindex)[\s>]/i.test(text)) return 'sitemap';
+  if (/\.csv$/i.test(filename)) return 'csv';
+  const firstLine = text.trim().split(/\r?\n/)[0] || '';
+  return firstLine.includes(',') ? 'csv' : 'list';
+};
+
+/**
+ * Split CSV text into records, honouring quoted fields with commas, quotes and newlines
+ * @param {string} text - CSV content
+ * @returns {string[][]} Every record, blank ones included, so positions match the file
+ */
+export const parseCsvRecords = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const source = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i += 1) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i += 1;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+  return records;
+};
+
+/** @private */
+const splitTags = (value = '') => [...new Set(value.split(/[;|]/).map((tag) => tag.trim()).filter(Boolean))];
+
+/**
+ * Rows from a CSV with name, URL and tags columns. Without a recognisable header the
+ * columns are read as `url` or `name,url[,tags]`.
+ * @param {string} text - CSV content
+ * @returns {Array<Object>} `{ line, name, url, tags }`
+ */
+export const parseCsv = (text) => {
+  const isBlank = (record) => !record.some((cell) => cell.trim());
+  const records = parseCsvRecords(text);
+  const first = records.findIndex((record) => !isBlank(record));
+  if (first === -1) return [];
+
+  const header = records[first].map((cell) => cell.trim().toLowerCase());
+  const indexOf = (column) => header.findIndex((cell) => CSV_COLUMNS[column].includes(cell));
+  const hasHeader = indexOf('url') !== -1;
+  const columns = hasHeader
+    ? { name: indexOf('name'), url: indexOf('url'), tags: indexOf('tags') }
+    : records[first].length === 1 ? { name: -1, url: 0, tags: -1 } : { name: 0, url: 1, tags: 2 };
+
+  // `line` is the record number in the file, header included
+  return records
+    .map((record, index) => ({ record, line: index + 1 }))
+    .slice(hasHeader ? first + 1 : first)
+    .filter(({ record }) => !isBlank(record))
+    .map(({ record, line }) => ({
+      line,
+      name: columns.name >= 0 ? (record[columns.name] || '').trim() : '',
+      url: (record[columns.url] || '').trim(),
+      tags: columns.tags >= 0 ? splitTags(record[columns.tags]) : [],
+    }));
+};
+
+/**
+ * Rows from one URL per line; blank lines and `#` comments are skipped
+ * @param {string} text - Pasted list
+ * @returns {Array<Object>} `{ line, name, url, tags }`
+ */
+export const parseUrlList = (text) => text.split(/\r?\n/)
+  .map((raw, index) => ({ line: index + 1, raw: raw.trim() }))
+  .filter(({ raw }) => raw && !raw.startsWith('#'))
+  .map(({ line, raw }) => ({ line, name: '', url: raw, tags: [] }));
+
+/** @private */
+const decodeXml = (value) => value
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&')
+  .trim();
+
+/** @private */
+const originOf = (url) => {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Rows from a sitemap. Websites are sites, not pages, so each host becomes one row
+ * unless `perPage` is set. In a sitemap index every child sitemap's host is a site.
+ * @param {string} xml - sitemap.xml or sitemap index content
+ * @param {Object} [options]
+ * @param {boolean} [options.perPage] - One row per `<loc>` instead of per host
+ * @returns {{kind: 'urlset'|'index'|null, rows: Array<Object>, locCount: number}}
+ */
+export const parseSitemap = (xml, { perPage = false } = {}) => {
+  const kind = /<sitemapindex[\s>]/i.test(xml) ? 'index' : /<urlset[\s>]/i.test(xml) ? 'urlset' : null;
+  const locs = [...xml.matchAll(/<loc>([\s\S]*?)<\/loc>/gi)].map((match) => decodeXml(match[1])).filter(Boolean);
+  const urls = perPage && kind === 'urlset' ? locs : locs.map((loc) => originOf(loc) || loc);
+  const unique = [...new Set(urls)];
+  return {
+    kind,
+    locCount: locs.length,
+    rows: unique.map((url, index) => ({ line: index + 1, name: '', url, tags: [] })),
+  };
+};
+
+/**
+ * Canonical form of a website URL: scheme added when missing, lower-case host, no trailing slash
+ * @param {string} value - As typed
+ * @returns {string|null} null when it isn't an http(s) URL
+ */
+export const normalizeWebsiteUrl = (value) => {
+  const trimmed = String(value || '').trim();
+  if (!trimmed) return null;
+  const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+  try {
+    const url = new URL(withScheme);
+    if (!['http:', 'https:'].includes(url.protocol) || (!url.hostname.includes('.') && url.hostname !== 'localhost')) return null;
+    return `${url.protocol}//${url.host.toLowerCase()}${url.pathname.replace(/\/+$/, '')}${url.search}`;
+  } catch {
+    return null;
+  }
+};
+
+/** @private */
+const urlKey = (url) => (normalizeWebsiteUrl(url) || url).replace(/^https?:\/\//i, '').replace(/^www\./, '');
+
+/**
+ * Check every row and flag duplicates, within the import and against existing websites.
+ * http/https and `www.` variants count as the same site.
+ * @param {Array<Object>} rows - From a parser
+ * @param {Array<Object>} existing - Websites already added (`{ id, name, url }`)
+ * @returns {Array<Object>} Rows with `url` normalised, a default `name`, and
+ *   `status` ('ready'|'invalid'|'duplicate'|'exists') plus `message`
+ */
+export const validateImportRows = (rows, existing = []) => {
+  const existingByKey = new Map(existing.map((site) => [urlKey(site.url), site]));
+  const seen = new Map();
+
+  return rows.map((row) => {
+    const url = normalizeWebsiteUrl(row.url);
+    if (!url) {
+      return { ...row, status: 'invalid', message: row.url ? 'Not a valid http(s) URL' : 'URL is missing' };
+    }
+    const name = row.name || url.replace(/^https?:\/\//, '');
+    const key = urlKey(url);
+    const match = existingByKey.get(key);
+    if (match) {
+      return { ...row, url, name, status: 'exists', message: `Already added as ${match.name || match.url}` };
+    }
+    if (seen.has(key)) {
+      return { ...row, url, name, status: 'duplicate', message: `Same site as line ${seen.get(key)}` };
+    }
+    seen.set(key, row.line);
+    return { ...row, url, name, status: 'ready', message: '' };
+  });
+};
+
+/**
+ * Parse and validate in one step
+ * @param {string} text - Pasted or uploaded content
+ * @param {Object} options - `{ format, existing, perPage }`; `format` defaults to detectFormat
+ * @returns {{format: string, rows: Array<Object>, truncated: boolean, sitemapKind: string|null}}
+ */
+export const prepareImport = (text, { format = detectFormat(text), existing = [], perPage = false } = {}) => {
+  let parsed;
+  let sitemapKind = null;
+  if (format === 'sitemap') {
+    const sitemap = parseSitemap(text, { perPage });
+    parsed = sitemap.rows;
+    sitemapKind = sitemap.kind;
+  } else {
+    parsed = format === 'csv' ? parseCsv(text) : parseUrlList(text);
+  }
+  return {
+    format,
+    sitemapKind,
+    truncated: parsed.length > MAX_IMPORT_ROWS,
+    rows: validateImportRows(parsed.slice(0, MAX_IMPORT_ROWS), existing),
+  };
+};
+
+/**
+ * Split work into fixed-size batches
+ * @param {Array} items
+ * @param {number} size
+ * @returns {Array<Array>}
+ */
+export const chunk = (items, size) => {
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) batches.push(items.slice(i, i + size));
+  return batches;
+};
@@ -16,8 +16,5 @@ export default defineConfig({
   build: {
     outDir: 'dist',
     sourcemap: false
-  },
-  define: {
-    'import.meta.env.VITE_BACKEND_URL': JSON.stringify(process.env.VITE_BACKEND_URL),
   }
 });